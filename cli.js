@@ -1,12 +1,59 @@
 #!/usr/bin/env node
+import { resolve } from 'node:path';
 import { program } from 'commander';
-import { runSearch, runTracks, startSession } from './lib/session.js';
+import { configureCache } from './lib/cache.js';
+import { configureFixtures } from './lib/fixtures.js';
+import {
+  runArtist,
+  runBuyList,
+  runCache,
+  runCollect,
+  runCollection,
+  runFixtures,
+  runLabel,
+  runLabelReleases,
+  runLogin,
+  runLogout,
+  runLookup,
+  runMarket,
+  runMockServer,
+  runPlaylist,
+  runReleases,
+  runSearch,
+  runTracks,
+  runUncollect,
+  runVersions,
+  runWant,
+  runWantlist,
+  runWantlistPush,
+  runWhoami,
+  startSession,
+} from './lib/session.js';
 
 program
   .name('moozhak')
   .description('CLI tool for searching Discogs and getting track information')
   .version('2.0.0')
   .option('-t, --token <token>', 'Discogs personal access token')
+  .option('--no-cache', 'Always call the Discogs API, bypassing the cache')
+  .option('--offline', 'Answer Discogs calls from recorded fixtures only')
+  .option('--fixtures <dir>', 'Fixtures directory for offline mode')
+  .option(
+    '--api-url <url>',
+    'Discogs API base URL, e.g. a local mock server (http://127.0.0.1:4010)',
+  )
+  .hook('preAction', () => {
+    const { cache, offline, fixtures } = program.opts();
+    if (cache === false) {
+      configureCache({ enabled: false });
+    }
+    if (fixtures) {
+      configureFixtures({ dir: resolve(fixtures) });
+    }
+    if (offline) {
+      configureFixtures({ offline: true });
+    }
+  })
   .action((options) => {
     // Default action: start interactive session
     startSession(options);
@@ -14,14 +61,46 @@ program
 
 // Non-interactive search command
 program
-  .command('search <query>')
+  .command('search [query]')
   .description('Search Discogs (non-interactive)')
   .option('--type <type>', 'Filter by type: artist, release, master, label')
+  .option('--artist <name>', 'Filter by artist name')
+  .option('--release-title <title>', 'Filter by release title')
+  .option('--track <title>', 'Filter by track title')
+  .option('--label <name>', 'Filter by label name')
+  .option('--genre <genre>', 'Filter by genre')
+  .option('--style <style>', 'Filter by style')
+  .option('--country <country>', 'Filter by country')
+  .option('--year <year>', 'Filter by year (2010) or range (2010-2015)')
+  .option('--format <format>', 'Filter by format, e.g. Vinyl')
+  .option('--catno <catno>', 'Filter by catalog number')
+  .option('--barcode <barcode>', 'Filter by barcode')
   .option('--limit <n>', 'Results per page', '5')
+  .option('--pages <n>', 'Collect the first n pages into one output')
+  .option('--all', 'Collect every page into one output')
   .option('-v, --verbose', 'Show verbose output')
   .action(async (query, options, cmd) => {
     const globalOpts = cmd.parent.opts();
-    await runSearch(query, { ...globalOpts, ...options });
+    await runSearch(query || '', { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+// Non-interactive lookup command
+program
+  .command('lookup <code>')
+  .description('Find releases by barcode or catalog number (non-interactive)')
+  .option('--catno', 'Treat the code as a catalog number')
+  .option('--label <name>', 'Narrow catalog number matches to a label')
+  .option('--limit <n>', 'Maximum candidates to list', '5')
+  .option(
+    '--format <fmt>',
+    'Tracks output format for a single hit: human, csv, pipe, markdown',
+    'human',
+  )
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (code, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runLookup(code, { ...globalOpts, ...options });
     process.exit(0);
   });
 
@@ -42,4 +121,268 @@ program
     process.exit(0);
   });
 
+// Non-interactive versions command
+program
+  .command('versions <masterId>')
+  .description('List every release of a master (non-interactive)')
+  .option('--format <format>', 'Only versions with this format, e.g. Vinyl')
+  .option('--country <country>', 'Only versions from this country, e.g. UK')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (masterId, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runVersions(masterId, { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+// Non-interactive artist command
+program
+  .command('artist <id>')
+  .description('Get artist profile, aliases, members and links')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (id, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runArtist(id, { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+// Non-interactive releases command
+program
+  .command('releases <artistId>')
+  .description("Browse an artist's releases (non-interactive)")
+  .option('--role <role>', 'Filter: main, remix, appearance, trackappearance')
+  .option('--sort <key>', 'Sort by: year, title, format', 'year')
+  .option('--order <order>', 'Sort order: asc or desc', 'asc')
+  .option('--page <n>', 'Page number', '1')
+  .option('--limit <n>', 'Releases per page', '5')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (artistId, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runReleases(artistId, { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+// Non-interactive label command
+program
+  .command('label <id>')
+  .description('Get label profile, parent label and sub-labels')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (id, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runLabel(id, { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+// Non-interactive label-releases command
+program
+  .command('label-releases <id>')
+  .description("Browse and export a label's catalog (non-interactive)")
+  .option('--page <n>', 'Page number', '1')
+  .option('--all', 'Fetch and export the whole catalog')
+  .option('--limit <n>', 'Releases per page', '5')
+  .option(
+    '--format <fmt>',
+    'Output format: human, csv, pipe, markdown',
+    'human',
+  )
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (id, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runLabelReleases(id, { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+// Non-interactive market command
+program
+  .command('market <id>')
+  .description('Marketplace prices for a master or release (non-interactive)')
+  .option('--type <type>', 'Source type: master or release', 'master')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (id, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runMarket(id, { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+// Non-interactive playlist command
+program
+  .command('playlist <file>')
+  .description('Match every track in a playlist CSV against Discogs')
+  .option('--type <type>', 'Match against: master or release', 'master')
+  .option('--limit <n>', 'Results to fetch per track', '5')
+  .option('--threshold <n>', 'Confidence (0-1) below which rows need review')
+  .option('--no-owned-check', 'Do not check matches against your collection')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (file, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runPlaylist(file, { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+// Non-interactive buylist command
+program
+  .command('buylist <file>')
+  .description('Buy list report (md, csv, json) for a playlist JSON output')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (file, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runBuyList(file, { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+// Non-interactive collection command
+program
+  .command('collection [args...]')
+  .description(
+    'Browse and export your collection: folders, folder:<id>, sort, page|all, key:value filters',
+  )
+  .option('--limit <n>', 'Items per page', '5')
+  .option(
+    '--format <fmt>',
+    'Output format: human, csv, pipe, markdown',
+    'human',
+  )
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (args, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runCollection(args, { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+// Collection and wantlist changes (asks before changing unless --yes)
+program
+  .command('collect <releaseId> [folder...]')
+  .description(
+    'Add a release to your collection (folder ID or name, default Uncategorized)',
+  )
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (releaseId, folder, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runCollect([releaseId, ...folder], { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+program
+  .command('uncollect <releaseId>')
+  .description('Remove a copy of a release from your collection')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (releaseId, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runUncollect(releaseId, { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+program
+  .command('want <releaseId>')
+  .description('Add a release to your wantlist')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (releaseId, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runWant(releaseId, { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+program
+  .command('unwant <releaseId>')
+  .description('Remove a release from your wantlist')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (releaseId, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runWant(releaseId, { ...globalOpts, ...options }, true);
+    process.exit(0);
+  });
+
+program
+  .command('wantlist')
+  .description('Export your wantlist to JSON, CSV and markdown in dist/reports')
+  .option(
+    '--diff [snapshot]',
+    'List wants added/removed since a snapshot (default: your last export)',
+  )
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runWantlist({ ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+program
+  .command('wantlist-push <file>')
+  .description(
+    'Add the confirmed, not owned releases of a playlist JSON output to your wantlist',
+  )
+  .option('--dry-run', 'Show what would be added without changing anything')
+  .option('--note <text>', 'Note for each want (default: "for <playlist>")')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (file, options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runWantlistPush(file, { ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+// Non-interactive cache command
+program
+  .command('cache [action]')
+  .description('Show response cache stats, or clear it with "clear"')
+  .action(async (action) => {
+    await runCache(action);
+    process.exit(0);
+  });
+
+// Non-interactive fixtures command
+program
+  .command('fixtures [action] [file]')
+  .description(
+    'Show recorded fixtures, or record a session log with "import [file]"',
+  )
+  .action(async (action, file) => {
+    await runFixtures(action, file);
+    process.exit(0);
+  });
+
+// OAuth login (alternative to a personal token)
+program
+  .command('login')
+  .description('Log in to Discogs with OAuth and store the access token')
+  .option('--consumer-key <key>', 'Discogs application consumer key')
+  .option('--consumer-secret <secret>', 'Discogs application consumer secret')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runLogin({ ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+program
+  .command('logout')
+  .description('Remove the OAuth credentials stored by login')
+  .action(async () => {
+    await runLogout();
+    process.exit(0);
+  });
+
+program
+  .command('whoami')
+  .description('Show the Discogs user you are authenticated as')
+  .option('-v, --verbose', 'Show verbose output')
+  .action(async (options, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    await runWhoami({ ...globalOpts, ...options });
+    process.exit(0);
+  });
+
+// Local mock Discogs API (keeps running until Ctrl+C)
+program
+  .command('mock-server')
+  .description('Serve canned Discogs search/master/release responses locally')
+  .option('--port <n>', 'Port to listen on', '4010')
+  .option('--responses <file>', 'JSON file with canned responses')
+  .action(async (options) => {
+    await runMockServer(options);
+  });
+
 program.parse();
@@ -0,0 +1,170 @@
+import {
+  chmodSync,
+  existsSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+/**
+ * Stored OAuth credentials for this user
+ * Kept out of .mzkconfig and readable by the owner only.
+ */
+const authState = {
+  file: join(homedir(), '.mzkauth.json'),
+};
+
+/**
+ * Fields an OAuth credentials file must contain
+ */
+const CREDENTIAL_FIELDS = [
+  'consumerKey',
+  'consumerSecret',
+  'token',
+  'tokenSecret',
+];
+
+/**
+ * Override the credentials file location
+ * @param {{ file?: string }} options
+ */
+export function configureAuth({ file } = {}) {
+  if (file !== undefined) authState.file = file;
+}
+
+/**
+ * Get the credentials file path
+ * @returns {string}
+ */
+export function getCredentialsPath() {
+  return authState.file;
+}
+
+/**
+ * Check that stored credentials are complete (pure function)
+ * @param {*} credentials - Parsed credentials file
+ * @returns {boolean}
+ */
+export function isValidCredentials(credentials) {
+  return Boolean(
+    credentials &&
+      typeof credentials === 'object' &&
+      CREDENTIAL_FIELDS.every(
+        (field) => typeof credentials[field] === 'string' && credentials[field],
+      ),
+  );
+}
+
+/**
+ * Build the disconnect auth object for stored credentials (pure function)
+ * @param {Object} credentials - From loadCredentials()
+ * @returns {Object} { method: 'oauth', level: 2, consumerKey, consumerSecret, token, tokenSecret }
+ */
+export function buildOAuthAuth(credentials) {
+  return {
+    method: 'oauth',
+    level: 2,
+    consumerKey: credentials.consumerKey,
+    consumerSecret: credentials.consumerSecret,
+    token: credentials.token,
+    tokenSecret: credentials.tokenSecret,
+  };
+}
+
+/**
+ * Describe how a disconnect client is authenticated (pure function)
+ * @param {Object|undefined} auth - `client.auth`
+ * @returns {string|null} 'personal token', 'OAuth', or null when anonymous
+ */
+export function describeAuthMethod(auth) {
+  if (auth?.method === 'oauth' && auth.level >= 2) return 'OAuth';
+  if (auth?.userToken) return 'personal token';
+  return null;
+}
+
+/**
+ * Read the stored OAuth credentials
+ * @returns {Object|null} Credentials, or null when not logged in or the
+ *   file is unreadable
+ */
+export function loadCredentials() {
+  if (!existsSync(authState.file)) return null;
+
+  try {
+    const credentials = JSON.parse(readFileSync(authState.file, 'utf-8'));
+    return isValidCredentials(credentials) ? credentials : null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Store OAuth credentials, readable and writable by the owner only
+ * @param {Object} credentials - consumerKey, consumerSecret, token,
+ *   tokenSecret, plus username and createdAt for display
+ * @returns {string} Credentials file path
+ */
+export function saveCredentials(credentials) {
+  writeFileSync(authState.file, `${JSON.stringify(credentials, null, 2)}\n`, {
+    mode: 0o600,
+  });
+  // mode only applies to new files; tighten an existing one too
+  chmodSync(authState.file, 0o600);
+  return authState.file;
+}
+
+/**
+ * Delete the stored OAuth credentials
+ * @returns {boolean} True when a credentials file was removed
+ */
+export function deleteCredentials() {
+  if (!existsSync(authState.file)) return false;
+  rmSync(authState.file, { force: true });
+  return true;
+}
+
+/**
+ * Step 1 of the OAuth 1.0a flow: get a request token and the authorize URL
+ * Uses out-of-band ("oob") mode, so Discogs shows a verification code
+ * instead of redirecting.
+ * @param {Object} oauth - disconnect OAuth instance (`client.oauth()`)
+ * @param {string} consumerKey - Application consumer key
+ * @param {string} consumerSecret - Application consumer secret
+ * @returns {Promise<Object>} Auth object with `authorizeUrl`
+ */
+export function getRequestToken(oauth, consumerKey, consumerSecret) {
+  return new Promise((resolve, reject) => {
+    oauth.getRequestToken(consumerKey, consumerSecret, 'oob', (error, auth) => {
+      if (error) {
+        reject(error);
+      } else if (!auth.token) {
+        reject(new Error('Discogs did not return a request token'));
+      } else {
+        resolve(auth);
+      }
+    });
+  });
+}
+
+/**
+ * Step 3 of the OAuth 1.0a flow: trade the verification code for an
+ * access token
+ * @param {Object} oauth - Same OAuth instance as getRequestToken()
+ * @param {string} verifier - Code shown by Discogs after authorizing
+ * @returns {Promise<Object>} Auth object with the access token and secret
+ */
+export function getAccessToken(oauth, verifier) {
+  return new Promise((resolve, reject) => {
+    oauth.getAccessToken(verifier, (error, auth) => {
+      if (error) {
+        reject(error);
+      } else if (auth.level !== 2) {
+        reject(new Error('Discogs did not return an access token'));
+      } else {
+        resolve(auth);
+      }
+    });
+  });
+}
@@ -0,0 +1,274 @@
+import { createHash } from 'node:crypto';
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  statSync,
+  writeFileSync,
+} from 'node:fs';
+import { join } from 'node:path';
+import { getCacheMaxMb, getCacheTtlHours, projectRoot } from './config.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+/**
+ * Share of the size cap a write over the cap prunes down to, so the next
+ * writes have room before the directory is listed again
+ */
+const PRUNE_TARGET = 0.9;
+
+/**
+ * Response cache state for this process
+ * `enabled` is turned off by --no-cache or `cache off`; `customApiUrl` is
+ * set while another server than Discogs answers, whose responses must not
+ * be stored under Discogs keys. `bytes` is the size of the cache directory,
+ * counted on the first write and then kept up to date (null until then).
+ * Hits and misses count lookups since startup.
+ */
+const cacheState = {
+  dir: join(projectRoot, 'dist', 'cache'),
+  enabled: true,
+  customApiUrl: null,
+  bytes: null,
+  hits: 0,
+  misses: 0,
+};
+
+/**
+ * Override cache settings (directory, on/off, custom API URL)
+ * @param {{ dir?: string, enabled?: boolean, customApiUrl?: string|null }} options
+ */
+export function configureCache({ dir, enabled, customApiUrl } = {}) {
+  if (dir !== undefined) {
+    cacheState.dir = dir;
+    cacheState.bytes = null;
+  }
+  if (enabled !== undefined) cacheState.enabled = enabled;
+  if (customApiUrl !== undefined) cacheState.customApiUrl = customApiUrl;
+}
+
+/**
+ * Check whether responses are read from and written to the cache
+ * @returns {boolean} False when turned off, CACHE_TTL_HOURS is 0 or a
+ *   custom API URL is in use
+ */
+export function isCacheEnabled() {
+  return (
+    cacheState.enabled && !cacheState.customApiUrl && getCacheTtlHours() > 0
+  );
+}
+
+/**
+ * Serialize a value with object keys sorted, so equal params give equal keys
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON text
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Build the cache key for an API call (pure function)
+ * @param {string} endpoint - API endpoint name, e.g. 'database.getRelease'
+ * @param {Object} params - Request parameters
+ * @returns {string} Hex digest used as file name
+ */
+export function buildCacheKey(endpoint, params) {
+  return createHash('sha256')
+    .update(`${endpoint} ${stableStringify(params)}`)
+    .digest('hex');
+}
+
+/**
+ * Check whether a cache entry is past its lifetime (pure function)
+ * @param {Object} entry - Stored entry with `storedAt` (ms timestamp)
+ * @param {number} ttlHours - Lifetime in hours
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function isExpired(entry, ttlHours, now) {
+  return now - entry.storedAt > ttlHours * HOUR_MS;
+}
+
+/**
+ * Read a cached API response
+ * Expired or unreadable entries are removed and count as a miss.
+ * @param {string} endpoint - API endpoint name
+ * @param {Object} params - Request parameters
+ * @param {number} [now] - Current time in ms
+ * @returns {*} Cached response data, or undefined on a miss
+ */
+export function readCache(endpoint, params, now = Date.now()) {
+  const file = join(cacheState.dir, `${buildCacheKey(endpoint, params)}.json`);
+
+  if (existsSync(file)) {
+    try {
+      const entry = JSON.parse(readFileSync(file, 'utf-8'));
+      if (!isExpired(entry, getCacheTtlHours(), now)) {
+        cacheState.hits++;
+        return entry.data;
+      }
+    } catch (_err) {
+      // Unreadable entry; dropped below
+    }
+    removeEntry(file);
+  }
+
+  cacheState.misses++;
+  return undefined;
+}
+
+/**
+ * Store an API response, then trim the cache once it is over its size cap
+ * The directory is only listed when the cap is crossed, so a long batch of
+ * writes does not stat every entry each time. Failures are ignored: the
+ * cache never breaks an API call.
+ * @param {string} endpoint - API endpoint name
+ * @param {Object} params - Request parameters
+ * @param {*} data - Response data
+ * @param {number} [now] - Current time in ms
+ */
+export function writeCache(endpoint, params, data, now = Date.now()) {
+  try {
+    const file = join(
+      cacheState.dir,
+      `${buildCacheKey(endpoint, params)}.json`,
+    );
+    const text = JSON.stringify({ endpoint, params, storedAt: now, data });
+    const total = getCacheBytes() - getFileBytes(file);
+
+    mkdirSync(cacheState.dir, { recursive: true });
+    writeFileSync(file, text);
+    cacheState.bytes = total + Buffer.byteLength(text);
+
+    const maxBytes = getCacheMaxMb() * MB;
+    if (cacheState.bytes > maxBytes) {
+      pruneCache(maxBytes * PRUNE_TARGET);
+    }
+  } catch (_err) {
+    // Ignore write errors (read-only or full disk)
+  }
+}
+
+/**
+ * Get the size of a file, 0 when it does not exist
+ * @param {string} file - File path
+ * @returns {number} Size in bytes
+ */
+function getFileBytes(file) {
+  return statSync(file, { throwIfNoEntry: false })?.size || 0;
+}
+
+/**
+ * Get the size of the cache directory, listing it only the first time
+ * @returns {number} Size in bytes
+ */
+function getCacheBytes() {
+  if (cacheState.bytes === null) {
+    cacheState.bytes = listEntries().reduce((sum, e) => sum + e.bytes, 0);
+  }
+  return cacheState.bytes;
+}
+
+/**
+ * Delete one entry and keep the size total in step
+ * @param {string} file - Entry file path
+ */
+function removeEntry(file) {
+  const bytes = getFileBytes(file);
+  rmSync(file, { force: true });
+  if (cacheState.bytes !== null) {
+    cacheState.bytes = Math.max(0, cacheState.bytes - bytes);
+  }
+}
+
+/**
+ * List cache entry files with size and age, oldest first
+ * @returns {Array<{ file: string, bytes: number, mtimeMs: number }>}
+ */
+function listEntries() {
+  if (!existsSync(cacheState.dir)) return [];
+
+  return readdirSync(cacheState.dir)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => {
+      const file = join(cacheState.dir, name);
+      const { size, mtimeMs } = statSync(file);
+      return { file, bytes: size, mtimeMs };
+    })
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+}
+
+/**
+ * Delete the oldest entries until the cache fits its size cap
+ * Also recounts the size kept for writeCache().
+ * @param {number} [maxBytes] - Size cap, CACHE_MAX_MB by default
+ * @returns {number} Number of entries removed
+ */
+export function pruneCache(maxBytes = getCacheMaxMb() * MB) {
+  const entries = listEntries();
+  let total = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+  let removed = 0;
+
+  for (const entry of entries) {
+    if (total <= maxBytes) break;
+    rmSync(entry.file, { force: true });
+    total -= entry.bytes;
+    removed++;
+  }
+
+  cacheState.bytes = total;
+  return removed;
+}
+
+/**
+ * Delete every cache entry
+ * @returns {number} Number of entries removed
+ */
+export function clearCache() {
+  const entries = listEntries();
+  for (const entry of entries) {
+    rmSync(entry.file, { force: true });
+  }
+  cacheState.bytes = 0;
+  return entries.length;
+}
+
+/**
+ * Collect cache statistics
+ * @param {number} [now] - Current time in ms
+ * @returns {{ dir: string, enabled: boolean, customApiUrl: string|null, entries: number, expired: number, bytes: number, maxBytes: number, ttlHours: number, oldest: number|null, hits: number, misses: number }}
+ */
+export function getCacheStats(now = Date.now()) {
+  const entries = listEntries();
+  const ttlHours = getCacheTtlHours();
+
+  return {
+    dir: cacheState.dir,
+    enabled: isCacheEnabled(),
+    customApiUrl: cacheState.customApiUrl,
+    entries: entries.length,
+    expired: entries.filter((entry) =>
+      isExpired({ storedAt: entry.mtimeMs }, ttlHours, now),
+    ).length,
+    bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+    maxBytes: getCacheMaxMb() * MB,
+    ttlHours,
+    oldest: entries.length ? entries[0].mtimeMs : null,
+    hits: cacheState.hits,
+    misses: cacheState.misses,
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Flatten a collection item from the API (pure function)
+ * @param {Object} item - Collection item with `basic_information`
+ * @returns {Object} { id, instanceId, folderId, masterId, artist, title,
+ *   year, format, label, catno, dateAdded, rating }
+ */
+export function extractCollectionItem(item) {
+  const info = item.basic_information || {};
+  const [label] = info.labels || [];
+
+  return {
+    id: item.id,
+    instanceId: item.instance_id ?? null,
+    folderId: item.folder_id ?? null,
+    masterId: info.master_id || null,
+    artist: info.artists?.map((a) => a.name).join(', ') || 'Unknown Artist',
+    title: info.title || 'Untitled',
+    year: info.year || null,
+    format: (info.formats || [])
+      .flatMap((f) => [f.name, ...(f.descriptions || [])])
+      .filter(Boolean)
+      .join(', '),
+    label: label?.name || '',
+    catno: label?.catno || '',
+    dateAdded: item.date_added || null,
+    rating: item.rating || 0,
+  };
+}
+
+/**
+ * Index collection items by release ID and master ID (pure function)
+ * @param {Array} items - Items from extractCollectionItem()
+ * @returns {{ releases: Map<number, Array>, masters: Map<number, Array> }}
+ */
+export function buildOwnedIndex(items) {
+  const releases = new Map();
+  const masters = new Map();
+
+  for (const item of items) {
+    releases.set(item.id, [...(releases.get(item.id) || []), item]);
+    if (item.masterId) {
+      masters.set(item.masterId, [...(masters.get(item.masterId) || []), item]);
+    }
+  }
+
+  return { releases, masters };
+}
+
+/**
+ * Find the owned copies of a search result (pure function)
+ * A release is owned as that exact pressing, or as another pressing of its
+ * master; a master is owned through any of its pressings. Exact pressings
+ * come first.
+ * @param {Object} result - Search result or candidate ({ id, type, master_id })
+ * @param {Object} index - From buildOwnedIndex()
+ * @returns {Array} Owned copies: { releaseId, instanceId, folderId, title,
+ *   year, format, catno, samePressing }
+ */
+export function findOwnedCopies(result, index) {
+  const masterId = result.type === 'master' ? result.id : result.master_id;
+  const items = [
+    ...(result.type === 'release' ? index.releases.get(result.id) || [] : []),
+    ...(masterId ? index.masters.get(masterId) || [] : []),
+  ];
+  const seen = new Set();
+
+  return items
+    .filter((item) => {
+      const key = `${item.id}/${item.instanceId}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((item) => ({
+      releaseId: item.id,
+      instanceId: item.instanceId,
+      folderId: item.folderId,
+      title: `${item.artist} - ${item.title}`,
+      year: item.year,
+      format: item.format,
+      catno: item.catno,
+      samePressing: result.type === 'release' && item.id === result.id,
+    }));
+}
@@ -0,0 +1,170 @@
+import { buildDiscogsUrl, getArtist } from '../discogs.js';
+import { log } from '../logger.js';
+import { writeJsonOutput } from '../output.js';
+
+/**
+ * Clean Discogs markup from an artist profile (pure function)
+ * Link tags like [a=Name] keep their name, id tags like [a123] become
+ * "artist #123", and formatting tags ([b], [i], [url=...]) are dropped.
+ * @param {string} profile - Raw profile text
+ * @returns {string} Plain profile text
+ */
+export function cleanProfile(profile) {
+  const types = { a: 'artist', l: 'label', r: 'release', m: 'master' };
+
+  return (profile || '')
+    .replace(/\[[almr]=([^\]]+)\]/g, '$1')
+    .replace(/\[([almr])(\d+)\]/g, (_, t, id) => `${types[t]} #${id}`)
+    .replace(/\[\/?(?:b|i|u|url(?:=[^\]]*)?)\]/g, '')
+    .replace(/\r\n/g, '\n')
+    .trim();
+}
+
+/**
+ * Build a related artist reference (pure function)
+ * @param {Object} artist - Alias, member or group from API
+ * @returns {{ id: number, name: string, active?: boolean }}
+ */
+function buildArtistRef(artist) {
+  const ref = { id: artist.id, name: artist.name };
+  if (typeof artist.active === 'boolean') ref.active = artist.active;
+  return ref;
+}
+
+/**
+ * Extract artist info from API response (pure function)
+ * @param {Object} data - API response data
+ * @param {number} id - Artist ID
+ * @returns {Object} Extracted artist info
+ */
+export function extractArtistInfo(data, id) {
+  return {
+    name: data.name || 'Unknown Artist',
+    realName: data.realname || null,
+    profile: cleanProfile(data.profile),
+    nameVariations: data.namevariations || [],
+    aliases: (data.aliases || []).map(buildArtistRef),
+    members: (data.members || []).map(buildArtistRef),
+    groups: (data.groups || []).map(buildArtistRef),
+    urls: data.urls || [],
+    url: buildDiscogsUrl('artist', id),
+  };
+}
+
+/**
+ * Build artist output JSON structure (pure function)
+ * @param {number} id - Artist ID
+ * @param {Object} artistInfo - Extracted artist info
+ * @returns {Object} Structured output for JSON file
+ */
+export function buildArtistOutput(id, artistInfo) {
+  return {
+    type: 'artist',
+    params: {
+      id,
+    },
+    result: artistInfo,
+  };
+}
+
+/**
+ * Artist command definition
+ */
+export const artistCommand = {
+  name: 'artist',
+  aliases: ['a'],
+  minArgs: 1,
+  usage: 'artist <id>',
+  description: 'Get artist profile, aliases, members and links',
+  handler: async (args, ctx) => {
+    await handleArtist(ctx.db, args[0], ctx.sessionFlags);
+    return true;
+  },
+};
+
+/**
+ * Handle artist command - fetch artist details
+ * @param {Object} db - Discogs database instance
+ * @param {string} id - Artist ID
+ * @param {Object} flags - CLI flags
+ */
+export async function handleArtist(db, id, flags) {
+  const numId = parseInt(id, 10);
+
+  if (Number.isNaN(numId)) {
+    log.error('Invalid ID. Please provide a numeric ID.');
+    return;
+  }
+
+  log.plain('');
+  log.info(`Fetching artist #${numId} from Discogs...`);
+
+  const data = await getArtist(db, numId, flags.verbose);
+
+  if (!data) {
+    log.warn(`Could not fetch artist #${numId}.`);
+    return;
+  }
+
+  const artistInfo = extractArtistInfo(data, numId);
+
+  log.success(`Found: artist #${numId} - ${artistInfo.name}`);
+  log.info(`See: ${artistInfo.url}`);
+  displayArtist(artistInfo);
+  log.info(`Type 'releases ${numId}' to browse the discography.`);
+
+  writeJsonOutput(buildArtistOutput(numId, artistInfo));
+}
+
+/**
+ * Display a list of related artists with their IDs
+ * @param {string} title - Section title
+ * @param {Array} artists - Artist references
+ */
+function displayArtistRefs(title, artists) {
+  if (artists.length === 0) return;
+
+  log.plain('');
+  log.header(`${title} (${artists.length}):\n`);
+  for (const artist of artists) {
+    const inactive = artist.active === false ? ' (inactive)' : '';
+    log.plain(`  ${artist.id} | ${artist.name}${inactive}`);
+  }
+}
+
+/**
+ * Display artist details to console
+ * @param {Object} artistInfo - Extracted artist info
+ */
+function displayArtist(artistInfo) {
+  log.divider(true);
+
+  if (artistInfo.realName) {
+    log.plain(`  real name: ${artistInfo.realName}`);
+  }
+  if (artistInfo.nameVariations.length) {
+    log.plain(`  also known as: ${artistInfo.nameVariations.join(', ')}`);
+  }
+
+  if (artistInfo.profile) {
+    log.plain('');
+    log.header('Profile:\n');
+    log.plain(artistInfo.profile);
+  }
+
+  displayArtistRefs('Aliases', artistInfo.aliases);
+  displayArtistRefs('Members', artistInfo.members);
+  displayArtistRefs('Groups', artistInfo.groups);
+
+  if (artistInfo.urls.length) {
+    log.plain('');
+    log.header('Links:\n');
+    for (const url of artistInfo.urls) {
+      log.plain(`  ${url}`);
+    }
+  }
+
+  log.plain('');
+  log.divider();
+  log.plain('');
+}
@@ -0,0 +1,236 @@
+import { input, password } from '@inquirer/prompts';
+import {
+  deleteCredentials,
+  describeAuthMethod,
+  getAccessToken,
+  getCredentialsPath,
+  getRequestToken,
+  loadCredentials,
+  saveCredentials,
+} from '../auth.js';
+import { getConsumerKey, getConsumerSecret } from '../config.js';
+import {
+  buildDiscogsUrl,
+  createOAuth,
+  createOAuthClient,
+  getIdentity,
+} from '../discogs.js';
+import { isOffline } from '../fixtures.js';
+import { log } from '../logger.js';
+
+/**
+ * Build the credentials stored after login (pure function)
+ * @param {Object} auth - Auth object from getAccessToken()
+ * @param {string|null} username - Discogs username from the identity endpoint
+ * @param {string} createdAt - ISO timestamp
+ * @returns {Object} Credentials for saveCredentials()
+ */
+export function buildCredentials(auth, username, createdAt) {
+  return {
+    consumerKey: auth.consumerKey,
+    consumerSecret: auth.consumerSecret,
+    token: auth.token,
+    tokenSecret: auth.tokenSecret,
+    username,
+    createdAt,
+  };
+}
+
+/**
+ * Login command definition
+ */
+export const loginCommand = {
+  name: 'login',
+  aliases: [],
+  minArgs: 0,
+  usage: 'login',
+  description: 'Log in to Discogs with OAuth instead of a personal token',
+  handler: async (_args, ctx) => {
+    const credentials = await handleLogin({
+      verbose: ctx.sessionFlags.verbose,
+    });
+    if (credentials) ctx.reconnect?.();
+    return true;
+  },
+};
+
+/**
+ * Logout command definition
+ */
+export const logoutCommand = {
+  name: 'logout',
+  aliases: [],
+  minArgs: 0,
+  usage: 'logout',
+  description: 'Remove the OAuth credentials stored by login',
+  handler: async (_args, ctx) => {
+    if (handleLogout()) ctx.reconnect?.();
+    return true;
+  },
+};
+
+/**
+ * Whoami command definition
+ */
+export const whoamiCommand = {
+  name: 'whoami',
+  aliases: [],
+  minArgs: 0,
+  usage: 'whoami',
+  description: 'Show the Discogs user and how you are authenticated',
+  handler: async (_args, ctx) => {
+    await handleWhoami(ctx.client, ctx.sessionFlags.verbose);
+    return true;
+  },
+};
+
+/**
+ * Handle login command - Discogs OAuth 1.0a out-of-band flow
+ * Gets a request token, shows the authorize URL, asks for the verification
+ * code, trades it for an access token and stores it with saveCredentials().
+ * The consumer key and secret come from options, DISCOGS_CONSUMER_KEY /
+ * DISCOGS_CONSUMER_SECRET, or a prompt.
+ * @param {Object} [options]
+ * @param {string} [options.consumerKey] - Application consumer key
+ * @param {string} [options.consumerSecret] - Application consumer secret
+ * @param {boolean} [options.verbose] - Whether to output verbose info
+ * @returns {Promise<Object|null>} Stored credentials, or null when login
+ *   did not complete
+ */
+export async function handleLogin({
+  consumerKey,
+  consumerSecret,
+  verbose = false,
+} = {}) {
+  if (isOffline()) {
+    log.error('Logging in needs Discogs; turn offline mode off first.');
+    return null;
+  }
+
+  const existing = loadCredentials();
+  if (existing) {
+    log.info(
+      `Already logged in${existing.username ? ` as ${existing.username}` : ''}. Run 'logout' first to switch accounts.`,
+    );
+    return null;
+  }
+
+  try {
+    const required = (v) => Boolean(v.trim()) || 'Required';
+    const key =
+      consumerKey ||
+      getConsumerKey() ||
+      (await input({ message: 'Consumer key:', validate: required }));
+    const secret =
+      consumerSecret ||
+      getConsumerSecret() ||
+      (await password({
+        message: 'Consumer secret:',
+        mask: '*',
+        validate: required,
+      }));
+
+    const oauth = createOAuth();
+    log.info('Requesting a login token from Discogs...');
+    const { authorizeUrl } = await getRequestToken(
+      oauth,
+      key.trim(),
+      secret.trim(),
+    );
+
+    log.plain('');
+    log.info(
+      'Open this page, allow access, then enter the code Discogs shows:',
+    );
+    log.plain(`  ${authorizeUrl}`);
+    log.plain('');
+
+    const verifier = await input({
+      message: 'Verification code:',
+      validate: required,
+    });
+    const auth = await getAccessToken(oauth, verifier.trim());
+
+    const credentials = buildCredentials(auth, null, new Date().toISOString());
+    const identity = await getIdentity(createOAuthClient(credentials), verbose);
+    credentials.username = identity?.username || null;
+
+    const file = saveCredentials(credentials);
+    log.success(
+      `Logged in${credentials.username ? ` as ${credentials.username}` : ''}.`,
+    );
+    log.plain(`  credentials saved to ${file} (readable by you only)`);
+    return credentials;
+  } catch (error) {
+    // User cancelled (Ctrl+C) one of the prompts
+    if (error.name === 'ExitPromptError') return null;
+    log.error('Login failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Handle logout command - delete the stored OAuth credentials
+ * A personal DISCOGS_TOKEN is not affected.
+ * @returns {boolean} True when credentials were removed
+ */
+export function handleLogout() {
+  if (!deleteCredentials()) {
+    log.info('Not logged in with OAuth; nothing to remove.');
+    return false;
+  }
+
+  log.success(`Logged out. Removed ${getCredentialsPath()}.`);
+  return true;
+}
+
+/**
+ * Handle whoami command - show the authenticated Discogs user
+ * @param {Object} client - Discogs client instance
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} Identity, or null when not authenticated
+ */
+export async function handleWhoami(client, verbose = false) {
+  const method = describeAuthMethod(client.auth);
+
+  if (!method) {
+    warnNotLoggedIn();
+    return null;
+  }
+
+  const identity = await getIdentity(client, verbose);
+  if (!identity) return null;
+
+  log.success(`Logged in as ${identity.username} (#${identity.id})`);
+  log.plain(`  authentication: ${method}`);
+  if (identity.consumer_name) {
+    log.plain(`  application: ${identity.consumer_name}`);
+  }
+  log.plain(`  profile: ${buildDiscogsUrl('user', identity.username)}`);
+  return identity;
+}
+
+/**
+ * Get the username of the authenticated user, for user-scoped endpoints
+ * (collection, wantlist). Warns when the client is not authenticated.
+ * @param {Object} client - Discogs client instance
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<string|null>} Username, or null when unavailable
+ */
+export async function resolveUsername(client, verbose = false) {
+  if (!describeAuthMethod(client.auth)) {
+    warnNotLoggedIn();
+    return null;
+  }
+
+  const identity = await getIdentity(client, verbose);
+  return identity?.username || null;
+}
+
+/**
+ * Tell the user how to authenticate
+ */
+function warnNotLoggedIn() {
+  log.warn('Not logged in.');
+  log.info("Run 'login', or set DISCOGS_TOKEN in .mzkconfig.");
+}
@@ -0,0 +1,534 @@
+import { existsSync } from 'node:fs';
+import { basename, resolve } from 'node:path';
+import {
+  buildDiscogsUrl,
+  formatPrice,
+  getMarketplaceStats,
+  getMaster,
+  getRelease,
+} from '../discogs.js';
+import { log } from '../logger.js';
+import { readJsonOutput, writeReportOutput } from '../output.js';
+
+/**
+ * Discogs format names (lowercase) grouped into buy list format options
+ * Releases without any of these formats are reported as 'other'.
+ */
+const FORMAT_CATEGORIES = {
+  vinyl: ['vinyl', 'lathe cut', 'flexi-disc', 'acetate'],
+  cd: ['cd', 'cdr', 'sacd', 'hybrid'],
+  digital: ['file'],
+};
+
+/**
+ * Display labels for format options
+ */
+const FORMAT_LABELS = {
+  vinyl: 'Vinyl',
+  cd: 'CD',
+  digital: 'Digital',
+  other: 'Other',
+};
+
+/**
+ * CSV header for buy list items
+ */
+const CSV_HEADER = [
+  'line',
+  'artist',
+  'title',
+  'release',
+  'type',
+  'id',
+  'year',
+  'formats',
+  'lowest_price',
+  'currency',
+  'priced_format',
+  'for_sale',
+  'url',
+];
+
+/**
+ * Group Discogs format names into format options (pure function)
+ * @param {string[]} [formats] - Discogs formats, e.g. ['Vinyl', 'LP', 'Album']
+ * @returns {string[]} Format options in FORMAT_CATEGORIES order, or ['other']
+ */
+export function classifyFormats(formats) {
+  const names = (formats || []).map((f) => f.toLowerCase());
+  const options = Object.entries(FORMAT_CATEGORIES)
+    .filter(([, aliases]) => aliases.some((alias) => names.includes(alias)))
+    .map(([option]) => option);
+
+  return options.length ? options : ['other'];
+}
+
+/**
+ * Get why a playlist entry cannot go on the buy list (pure function)
+ * @param {Object} entry - Playlist entry
+ * @returns {string|null} Reason, or null when the match is usable
+ */
+export function getUnmatchedReason(entry) {
+  if (!entry.match) return 'no match';
+  if (entry.review?.status === 'skipped') return 'skipped in review';
+  if (entry.needsReview) return 'needs review';
+  const [owned] = entry.match.owned || [];
+  if (owned) return `already owned (release #${owned.releaseId})`;
+  return null;
+}
+
+/**
+ * Build the price lookup key for a matched release (pure function)
+ * @param {Object} match - Entry match: { type, id }
+ * @returns {string} e.g. "master:27113"
+ */
+export function getReleaseKey(match) {
+  return `${match.type}:${match.id}`;
+}
+
+/**
+ * Build a buy list item for a matched playlist entry (pure function)
+ * Formats come from the stored candidate of the chosen release. The price
+ * belongs to one format only: that of the main release for masters, else
+ * the release's first format option.
+ * @param {Object} entry - Playlist entry with a usable match
+ * @param {Object|null} price - Price info from fetchReleasePrice()
+ * @returns {Object} Buy list item
+ */
+export function buildBuyListItem(entry, price) {
+  const { match } = entry;
+  const candidate = entry.candidates?.find(
+    (c) => c.id === match.id && c.type === match.type,
+  );
+
+  const formats = classifyFormats(candidate?.format);
+  const pricedFormat =
+    match.type === 'master' ? price?.format || null : formats[0];
+
+  return {
+    line: entry.line,
+    artist: entry.artist,
+    title: entry.title,
+    release: {
+      type: match.type,
+      id: match.id,
+      title: match.title || candidate?.title || '',
+      year: match.year || null,
+    },
+    formats,
+    lowestPrice: price?.lowestPrice || null,
+    pricedFormat: price?.lowestPrice ? pricedFormat : null,
+    numForSale: price?.numForSale || 0,
+    url: buildDiscogsUrl(match.type, match.id),
+  };
+}
+
+/**
+ * Add a price to a list of per-currency totals (pure function)
+ * @param {Array<{ value: number, currency: string }>} totals - Current totals
+ * @param {Object} price - { value, currency }
+ * @returns {Array<{ value: number, currency: string }>} Updated totals
+ */
+function addPrice(totals, price) {
+  const currency = price.currency || '';
+  const existing = totals.find((t) => t.currency === currency);
+
+  if (!existing) return [...totals, { value: price.value, currency }];
+
+  return totals.map((t) =>
+    t === existing
+      ? { currency, value: Math.round((t.value + price.value) * 100) / 100 }
+      : t,
+  );
+}
+
+/**
+ * Total lowest prices per format option (pure function)
+ * A release matched by several tracks is only counted once. It counts as a
+ * release of every format it comes in, but its price only adds to the total
+ * of the format that was priced (`pricedFormat`).
+ * @param {Array} items - Buy list items
+ * @returns {Object} Per format: { releases, priced, total: [{ value, currency }] }
+ */
+export function buildFormatTotals(items) {
+  const totals = {};
+  const seen = new Set();
+
+  for (const item of items) {
+    const key = getReleaseKey(item.release);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const formats = new Set(
+      [item.pricedFormat, ...item.formats].filter(Boolean),
+    );
+
+    for (const format of formats) {
+      const current = totals[format] || { releases: 0, priced: 0, total: [] };
+      const priced =
+        format === item.pricedFormat &&
+        typeof item.lowestPrice?.value === 'number';
+
+      totals[format] = {
+        releases: current.releases + 1,
+        priced: current.priced + (priced ? 1 : 0),
+        total: priced
+          ? addPrice(current.total, item.lowestPrice)
+          : current.total,
+      };
+    }
+  }
+
+  // Keep a stable vinyl, cd, digital, other order
+  return Object.fromEntries(
+    Object.keys(FORMAT_LABELS)
+      .filter((format) => totals[format])
+      .map((format) => [format, totals[format]]),
+  );
+}
+
+/**
+ * Build the buy list from a playlist output (pure function)
+ * @param {Object} output - Playlist output JSON
+ * @param {Map<string, Object>} prices - Price info keyed by getReleaseKey()
+ * @returns {{ items: Array, totals: Object, unmatched: Array }}
+ */
+export function buildBuyList(output, prices) {
+  const items = [];
+  const unmatched = [];
+
+  for (const entry of output.result.tracks) {
+    const reason = getUnmatchedReason(entry);
+
+    if (reason) {
+      const { line, artist, title, album } = entry;
+      unmatched.push({ line, artist, title, album, reason });
+    } else {
+      const price = prices.get(getReleaseKey(entry.match)) || null;
+      items.push(buildBuyListItem(entry, price));
+    }
+  }
+
+  return { items, totals: buildFormatTotals(items), unmatched };
+}
+
+/**
+ * Build buy list output JSON structure (pure function)
+ * @param {string} file - Playlist output the list was built from
+ * @param {Object} buyList - Buy list from buildBuyList()
+ * @returns {Object} Structured output for JSON file
+ */
+export function buildBuyListOutput(file, buyList) {
+  return {
+    type: 'buylist',
+    params: { file },
+    result: buyList,
+  };
+}
+
+/**
+ * Format per-currency totals for display (pure function)
+ * @param {Array<{ value: number, currency: string }>} total - Totals
+ * @returns {string} e.g. "42.00 USD + 10.00 EUR" or "n/a"
+ */
+export function formatTotal(total) {
+  return total.length ? total.map(formatPrice).join(' + ') : 'n/a';
+}
+
+/**
+ * Format format options for display (pure function)
+ * @param {string[]} formats - Format options
+ * @returns {string} e.g. "Vinyl, CD"
+ */
+function formatOptions(formats) {
+  return formats.map((f) => FORMAT_LABELS[f]).join(', ');
+}
+
+/**
+ * Format the lowest price of an item with the format it is for
+ * @param {Object} item - Buy list item
+ * @returns {string} e.g. "14.50 USD (Vinyl)"
+ */
+function formatItemPrice(item) {
+  const price = formatPrice(item.lowestPrice);
+  return item.pricedFormat
+    ? `${price} (${FORMAT_LABELS[item.pricedFormat]})`
+    : price;
+}
+
+/**
+ * Escape a value for a markdown table cell
+ * @param {string|number|null} value - Cell value
+ * @returns {string}
+ */
+export function mdCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|');
+}
+
+/**
+ * Escape a value for a CSV field
+ * @param {string|number|null} value - Field value
+ * @returns {string}
+ */
+export function csvField(value) {
+  const str = String(value ?? '');
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Format the buy list as a markdown report (pure function)
+ * @param {string} file - Playlist output the list was built from
+ * @param {Object} buyList - Buy list from buildBuyList()
+ * @returns {string} Markdown content
+ */
+export function formatBuyListMarkdown(file, buyList) {
+  const lines = [
+    `# Buy list: ${basename(file)}`,
+    '',
+    '| Line | Artist | Track | Release | Year | Formats | Lowest price | For sale | Link |',
+    '|------|--------|-------|---------|------|---------|--------------|----------|------|',
+  ];
+
+  for (const item of buyList.items) {
+    lines.push(
+      `| ${[
+        item.line,
+        mdCell(item.artist),
+        mdCell(item.title),
+        mdCell(item.release.title),
+        item.release.year || '',
+        formatOptions(item.formats),
+        formatItemPrice(item),
+        item.numForSale,
+        `[${item.release.type} ${item.release.id}](${item.url})`,
+      ].join(' | ')} |`,
+    );
+  }
+
+  lines.push(
+    '',
+    '## Totals per format',
+    '',
+    '| Format | Releases | Priced | Total (lowest prices) |',
+    '|--------|----------|--------|-----------------------|',
+  );
+
+  for (const [format, total] of Object.entries(buyList.totals)) {
+    lines.push(
+      `| ${FORMAT_LABELS[format]} | ${total.releases} | ${total.priced} | ${formatTotal(total.total)} |`,
+    );
+  }
+
+  lines.push('', `## Unmatched tracks (${buyList.unmatched.length})`, '');
+
+  for (const track of buyList.unmatched) {
+    lines.push(
+      `- line ${track.line}: ${track.artist} - ${track.title} (${track.reason})`,
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Format the buy list as CSV (pure function)
+ * Items come first; totals and unmatched tracks follow as separate sections.
+ * @param {Object} buyList - Buy list from buildBuyList()
+ * @returns {string} CSV content
+ */
+export function formatBuyListCsv(buyList) {
+  const row = (fields) => fields.map(csvField).join(',');
+  const lines = [CSV_HEADER.join(',')];
+
+  for (const item of buyList.items) {
+    lines.push(
+      row([
+        item.line,
+        item.artist,
+        item.title,
+        item.release.title,
+        item.release.type,
+        item.release.id,
+        item.release.year,
+        item.formats.join(' '),
+        item.lowestPrice?.value,
+        item.lowestPrice?.currency,
+        item.pricedFormat,
+        item.numForSale,
+        item.url,
+      ]),
+    );
+  }
+
+  lines.push('', 'format,releases,priced,total');
+  for (const [format, total] of Object.entries(buyList.totals)) {
+    lines.push(
+      row([format, total.releases, total.priced, formatTotal(total.total)]),
+    );
+  }
+
+  lines.push('', 'unmatched_line,artist,title,reason');
+  for (const track of buyList.unmatched) {
+    lines.push(row([track.line, track.artist, track.title, track.reason]));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Get the release ID of a matched master or release
+ * Masters resolve to their main release, like the market command.
+ * @param {Object} db - Discogs database instance
+ * @param {Object} match - Entry match: { type, id }
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<number|null>} Release ID, or null when a master cannot
+ *   be fetched
+ */
+export async function resolveReleaseId(db, match, verbose = false) {
+  if (match.type !== 'master') return match.id;
+
+  const master = await getMaster(db, match.id, verbose);
+  return master?.main_release || null;
+}
+
+/**
+ * Fetch the lowest marketplace price for a matched master or release
+ * Masters are priced by their main release, whose format is looked up so
+ * the price can be totalled under the right format (`format`, null when the
+ * release cannot be fetched). For releases, `format` is null: the stored
+ * candidate already has their formats.
+ * @param {Object} db - Discogs database instance
+ * @param {Object} client - Discogs client instance
+ * @param {Object} match - Entry match: { type, id }
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { releaseId, format, lowestPrice,
+ *   numForSale } or null
+ */
+export async function fetchReleasePrice(db, client, match, verbose = false) {
+  const releaseId = await resolveReleaseId(db, match, verbose);
+  if (!releaseId) return null;
+
+  const stats = await getMarketplaceStats(client, releaseId, verbose);
+  if (!stats) return null;
+
+  let format = null;
+  if (match.type === 'master') {
+    const release = await getRelease(db, releaseId, verbose);
+    format = release
+      ? classifyFormats(release.formats?.map((f) => f.name))[0]
+      : null;
+  }
+
+  return {
+    releaseId,
+    format,
+    lowestPrice: stats.lowest_price || null,
+    numForSale: stats.num_for_sale || 0,
+  };
+}
+
+/**
+ * Buy list command definition
+ */
+export const buylistCommand = {
+  name: 'buylist',
+  aliases: ['bl'],
+  minArgs: 0,
+  usage: 'buylist [playlist.json]',
+  description: 'Build a buy list report with prices for a matched playlist',
+  handler: async (args, ctx) => {
+    const file = args.length ? args.join(' ') : ctx.lastPlaylistOutput;
+    if (!file) {
+      log.error('No playlist output for a buy list.');
+      log.info('Run playlist <file.csv> first, or pass a playlist JSON file.');
+      return true;
+    }
+    await handleBuyList(ctx.db, ctx.client, file, ctx.sessionFlags);
+    return true;
+  },
+};
+
+/**
+ * Handle buylist command - price every matched release and write reports
+ * @param {Object} db - Discogs database instance
+ * @param {Object} client - Discogs client instance
+ * @param {string} file - Path to a playlist JSON output
+ * @param {Object} flags - CLI flags
+ * @returns {Promise<string[]|undefined>} Paths of the written reports
+ */
+export async function handleBuyList(db, client, file, flags) {
+  const filePath = resolve(process.cwd(), file);
+
+  if (!existsSync(filePath)) {
+    log.error(`Playlist output not found: ${filePath}`);
+    return;
+  }
+
+  let output;
+  try {
+    output = readJsonOutput(filePath);
+  } catch {
+    log.error(`Not a valid JSON output file: ${filePath}`);
+    return;
+  }
+
+  if (output?.type !== 'playlist') {
+    log.error(`Not a playlist output file: ${filePath}`);
+    return;
+  }
+
+  const matches = output.result.tracks
+    .filter((entry) => !getUnmatchedReason(entry))
+    .map((entry) => entry.match);
+  const releases = [
+    ...new Map(matches.map((m) => [getReleaseKey(m), m])).entries(),
+  ];
+
+  log.plain('');
+  log.info(`Fetching prices for ${releases.length} release(s)...`);
+
+  const prices = new Map();
+  for (const [idx, [key, match]] of releases.entries()) {
+    log.plain(`  [${idx + 1}/${releases.length}] ${match.type} #${match.id}`);
+    prices.set(key, await fetchReleasePrice(db, client, match, flags.verbose));
+  }
+
+  const buyList = buildBuyList(output, prices);
+  displayBuyListSummary(buyList);
+
+  return writeReportOutput('buylist', {
+    md: formatBuyListMarkdown(filePath, buyList),
+    csv: formatBuyListCsv(buyList),
+    json: JSON.stringify(buildBuyListOutput(filePath, buyList), null, 2),
+  });
+}
+
+/**
+ * Display buy list totals to console
+ * @param {Object} buyList - Buy list from buildBuyList()
+ */
+function displayBuyListSummary(buyList) {
+  log.divider(true);
+  log.success(`${buyList.items.length} track(s) on the buy list`);
+  log.plain('');
+
+  for (const [format, total] of Object.entries(buyList.totals)) {
+    log.plain(
+      `  ${FORMAT_LABELS[format].padEnd(8)} ${String(total.releases).padStart(3)} release(s)  ${formatTotal(total.total)}`,
+    );
+  }
+
+  if (buyList.unmatched.length) {
+    log.plain('');
+    log.warn(`${buyList.unmatched.length} track(s) not on the list:`);
+    for (const track of buyList.unmatched) {
+      log.plain(
+        `  line ${track.line}: ${track.artist} - ${track.title} (${track.reason})`,
+      );
+    }
+  }
+
+  log.plain('');
+}
+
+export { FORMAT_CATEGORIES };
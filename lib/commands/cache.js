@@ -0,0 +1,96 @@
+import { clearCache, configureCache, getCacheStats } from '../cache.js';
+import { log } from '../logger.js';
+
+/**
+ * Actions accepted by the cache command
+ */
+const CACHE_ACTIONS = ['stats', 'clear', 'on', 'off'];
+
+/**
+ * Format a byte count for display (pure function)
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512 B", "12.3 KB", "4.0 MB"
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Build the cache stats lines shown by `cache` (pure function)
+ * @param {Object} stats - Stats from getCacheStats()
+ * @returns {string[]} Display lines
+ */
+export function buildCacheSummary(stats) {
+  const lookups = stats.hits + stats.misses;
+  const hitRate = lookups
+    ? ` (${Math.round((stats.hits / lookups) * 100)}%)`
+    : '';
+
+  return [
+    `  status: ${stats.enabled ? 'on' : 'off'}${stats.customApiUrl ? ` (custom API URL ${stats.customApiUrl})` : ''}`,
+    `  location: ${stats.dir}`,
+    `  entries: ${stats.entries}${stats.expired ? ` (${stats.expired} expired)` : ''}`,
+    `  size: ${formatBytes(stats.bytes)} of ${formatBytes(stats.maxBytes)}`,
+    `  lifetime: ${stats.ttlHours} hour(s)`,
+    `  this session: ${stats.hits} hit(s), ${stats.misses} miss(es)${hitRate}`,
+  ];
+}
+
+/**
+ * Cache command definition
+ */
+export const cacheCommand = {
+  name: 'cache',
+  aliases: [],
+  minArgs: 0,
+  usage: 'cache [stats|clear|on|off]',
+  description: 'Show response cache stats, clear it or turn it on/off',
+  handler: async (args) => {
+    handleCache(args[0]);
+    return true;
+  },
+};
+
+/**
+ * Handle cache command - show stats, clear entries or toggle the cache
+ * The cache cannot be turned on while a custom API URL is in use.
+ * @param {string} [action] - One of CACHE_ACTIONS, stats by default
+ */
+export function handleCache(action = 'stats') {
+  const name = action.toLowerCase();
+
+  if (!CACHE_ACTIONS.includes(name)) {
+    log.error(`Unknown cache action '${action}'`);
+    log.info(`Usage: ${cacheCommand.usage}`);
+    return;
+  }
+
+  if (name === 'clear') {
+    log.success(`Cleared ${clearCache()} cached response(s).`);
+    return;
+  }
+
+  if (name === 'on' || name === 'off') {
+    const { customApiUrl } = getCacheStats();
+    if (name === 'on' && customApiUrl) {
+      log.error(`The response cache stays off while using ${customApiUrl}.`);
+      log.info('Its responses must not be mixed with cached Discogs ones.');
+      return;
+    }
+
+    configureCache({ enabled: name === 'on' });
+    log.success(`Response cache turned ${name} for this session.`);
+    return;
+  }
+
+  log.plain('');
+  log.header('Response Cache');
+  for (const line of buildCacheSummary(getCacheStats())) {
+    log.plain(line);
+  }
+  log.plain('');
+}
+
+export { CACHE_ACTIONS };
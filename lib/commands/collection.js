@@ -0,0 +1,801 @@
+import { confirm, select } from '@inquirer/prompts';
+import { buildOwnedIndex, extractCollectionItem } from '../collection.js';
+import {
+  addToCollection,
+  buildDiscogsUrl,
+  getCollectionFolders,
+  getCollectionReleases,
+  getRelease,
+  getReleaseInstances,
+  removeFromCollection,
+} from '../discogs.js';
+import { isOffline } from '../fixtures.js';
+import { log } from '../logger.js';
+import { normalizeText } from '../matching.js';
+import {
+  OUTPUT_EXTENSIONS,
+  writeJsonOutput,
+  writeReportOutput,
+} from '../output.js';
+import { resolveUsername } from './auth.js';
+import { formatCatalogForFile } from './label.js';
+import { paginate } from './releases.js';
+import { isInYearRange } from './search.js';
+import { SETTINGS_SCHEMA } from './settings.js';
+
+/**
+ * Sort keys supported by the collection endpoint
+ */
+const COLLECTION_SORTS = ['added', 'artist', 'year'];
+
+/**
+ * Sort orders supported by the collection endpoint
+ */
+const SORT_ORDERS = ['asc', 'desc'];
+
+/**
+ * Filters applied to collection items (`key:value` words)
+ * The API does not filter collections, so filtering happens client-side.
+ */
+const COLLECTION_FILTERS = ['artist', 'title', 'label', 'format', 'year'];
+
+/**
+ * Largest page size the API allows, used when walking every page
+ */
+const MAX_PER_PAGE = 100;
+
+/**
+ * Folder that new collection items go to ("Uncategorized")
+ */
+const DEFAULT_FOLDER_ID = 1;
+
+const USAGE =
+  'collection [folders] [folder:<id>] [added|artist|year] [asc|desc] [page|all] [artist|title|label|format|year:<value>]';
+
+/**
+ * Parse collection command arguments (pure function)
+ * `folders` lists the folders. Otherwise words are recognized by value in
+ * any order: a sort key, a sort order, a page number, `all`, `folder:<id>`
+ * or a `key:value` filter. Newest additions come first by default; other
+ * sorts default to ascending.
+ * @param {string[]} args - Command arguments
+ * @returns {{ action?: string, folderId?: number, page?: number, all?: boolean, sort?: string, order?: string, filters?: Object, error?: string, hint?: string }}
+ */
+export function parseCollectionArgs(args) {
+  if (args[0]?.toLowerCase() === 'folders') {
+    if (args.length > 1) {
+      return { error: `Invalid option '${args[1]}'`, hint: `Usage: ${USAGE}` };
+    }
+    return { action: 'folders' };
+  }
+
+  const options = {
+    action: 'list',
+    folderId: 0,
+    page: 1,
+    all: false,
+    sort: 'added',
+    order: null,
+    filters: {},
+  };
+
+  for (const arg of args) {
+    const word = arg.toLowerCase();
+    const match = /^([a-z]+):(.*)$/i.exec(arg);
+
+    if (match) {
+      const key = match[1].toLowerCase();
+      const value = match[2].replace(/^"|"$/g, '').trim();
+
+      if (key === 'folder' && /^\d+$/.test(value)) {
+        options.folderId = parseInt(value, 10);
+      } else if (key === 'year' && SETTINGS_SCHEMA.year.validate(value)) {
+        options.filters.year = value;
+      } else if (key !== 'year' && COLLECTION_FILTERS.includes(key) && value) {
+        options.filters[key] = value;
+      } else {
+        return {
+          error: `Invalid filter '${arg}'`,
+          hint: `Filters: folder:<id>, ${COLLECTION_FILTERS.map((f) => `${f}:<value>`).join(', ')} (year: 2010 or 2010-2015)`,
+        };
+      }
+    } else if (COLLECTION_SORTS.includes(word)) {
+      options.sort = word;
+    } else if (SORT_ORDERS.includes(word)) {
+      options.order = word;
+    } else if (word === 'all') {
+      options.all = true;
+    } else if (/^\d+$/.test(word) && parseInt(word, 10) > 0) {
+      options.page = parseInt(word, 10);
+    } else {
+      return {
+        error: `Invalid option '${arg}'`,
+        hint: `Sort: ${COLLECTION_SORTS.join(', ')}; order: asc, desc; a page number or all; or a key:value filter`,
+      };
+    }
+  }
+
+  options.order ??= options.sort === 'added' ? 'desc' : 'asc';
+  return options;
+}
+
+/**
+ * Check a collection item against `key:value` filters (pure function)
+ * Text filters match part of the field, ignoring case and accents; year
+ * takes a single year or a range.
+ * @param {Object} item - From extractCollectionItem()
+ * @param {Object} filters - e.g. { artist: 'bonobo', year: '2010-2015' }
+ * @returns {boolean}
+ */
+export function matchesCollectionFilters(item, filters) {
+  return Object.entries(filters).every(([key, value]) => {
+    if (key === 'year') {
+      const [from, to = from] = value.split('-').map(Number);
+      return isInYearRange(item, { from, to });
+    }
+    return normalizeText(String(item[key] ?? '')).includes(
+      normalizeText(value),
+    );
+  });
+}
+
+/**
+ * Format a collection item for display (pure function)
+ * @param {Object} item - From extractCollectionItem()
+ * @returns {string} Formatted string
+ */
+export function formatCollectionItem(item) {
+  const parts = [
+    item.id,
+    `${item.artist} - ${item.title}`,
+    item.year,
+    item.format,
+    [item.label, item.catno].filter(Boolean).join(' '),
+    item.dateAdded ? `added ${item.dateAdded.slice(0, 10)}` : null,
+  ].filter(Boolean);
+  return `  ${parts.join(' | ')}`;
+}
+
+/**
+ * Write a filter the way the command takes it (pure function)
+ * @param {[string, string]} filter - Key and value
+ * @returns {string} e.g. 'format:vinyl' or 'artist:"Daft Punk"'
+ */
+function formatFilter([key, value]) {
+  return value.includes(' ') ? `${key}:"${value}"` : `${key}:${value}`;
+}
+
+/**
+ * Build the command that shows another page of the same listing (pure function)
+ * @param {Object} options - Parsed collection options
+ * @param {number} page - Page to show
+ * @returns {string} e.g. "collection folder:3 artist format:vinyl 2"
+ */
+export function buildCollectionCommand(options, page) {
+  const folder = options.folderId ? `folder:${options.folderId}` : null;
+  const sort = options.sort !== 'added' ? options.sort : null;
+  const defaultOrder = options.sort === 'added' ? 'desc' : 'asc';
+  const order = options.order !== defaultOrder ? options.order : null;
+  const filters = Object.entries(options.filters).map(formatFilter);
+
+  return ['collection', folder, sort, order, ...filters, page]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Build collection output JSON structure (pure function)
+ * @param {string} username - Discogs username
+ * @param {Object} options - Parsed collection options
+ * @param {Object} listing - { items, pagination }
+ * @returns {Object} Structured output for JSON file
+ */
+export function buildCollectionOutput(username, options, listing) {
+  return {
+    type: 'collection',
+    params: {
+      username,
+      folderId: options.folderId,
+      sort: options.sort,
+      order: options.order,
+      filters: options.filters,
+      page: options.all ? null : listing.pagination.page,
+      per_page: listing.pagination.per_page,
+      all: options.all,
+    },
+    result: {
+      pagination: listing.pagination,
+      releases: listing.items.map((item) => ({
+        ...item,
+        url: buildDiscogsUrl('release', item.id),
+      })),
+    },
+  };
+}
+
+/**
+ * Build collection folders output JSON structure (pure function)
+ * @param {string} username - Discogs username
+ * @param {Array} folders - Folders from API
+ * @returns {Object} Structured output for JSON file
+ */
+export function buildCollectionFoldersOutput(username, folders) {
+  return {
+    type: 'collection-folders',
+    params: {
+      username,
+    },
+    result: {
+      folders: folders.map((folder) => ({
+        id: folder.id,
+        name: folder.name,
+        count: folder.count ?? 0,
+      })),
+    },
+  };
+}
+
+/**
+ * Fetch one page of a collection folder, or every item when `all` is set
+ * Without filters, the API pages directly. With filters, every page is
+ * fetched and filtered first, so pages only contain matching items.
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {string} username - Discogs username
+ * @param {Object} options - { folderId, page, perPage, sort, order, all, filters }
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { items, pagination } or null on error
+ */
+export async function fetchCollection(
+  client,
+  username,
+  { folderId, page, perPage, sort, order, all, filters = {} },
+  verbose = false,
+) {
+  const params = { sort, sort_order: order };
+  const filtered = Object.keys(filters).length > 0;
+
+  if (!all && !filtered) {
+    const data = await getCollectionReleases(
+      client,
+      username,
+      folderId,
+      { ...params, page, per_page: perPage },
+      verbose,
+    );
+    if (!data) return null;
+
+    const releases = data.releases || [];
+    return {
+      items: releases.map(extractCollectionItem),
+      pagination: {
+        page,
+        pages: data.pagination?.pages || 1,
+        per_page: perPage,
+        items: data.pagination?.items ?? releases.length,
+      },
+    };
+  }
+
+  const matches = [];
+  let apiPage = 1;
+  let apiPages = 1;
+
+  do {
+    const data = await getCollectionReleases(
+      client,
+      username,
+      folderId,
+      { ...params, page: apiPage, per_page: MAX_PER_PAGE },
+      verbose,
+    );
+    if (!data) return null;
+
+    matches.push(
+      ...(data.releases || [])
+        .map(extractCollectionItem)
+        .filter((item) => matchesCollectionFilters(item, filters)),
+    );
+    apiPages = data.pagination?.pages || 1;
+    apiPage++;
+  } while (apiPage <= apiPages);
+
+  if (all) {
+    return {
+      items: matches,
+      pagination: {
+        page: 1,
+        pages: 1,
+        per_page: matches.length,
+        items: matches.length,
+      },
+    };
+  }
+
+  return paginate(matches, page, perPage);
+}
+
+/**
+ * Fetch the whole collection of the authenticated user and index it
+ * @param {Object} client - Discogs client instance
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} Index from buildOwnedIndex(), or null
+ *   when not logged in or the collection cannot be fetched
+ */
+export async function fetchOwnedIndex(client, verbose = false) {
+  const username = await resolveUsername(client, verbose);
+  if (!username) return null;
+
+  const listing = await fetchCollection(
+    client,
+    username,
+    {
+      folderId: 0,
+      page: 1,
+      perPage: MAX_PER_PAGE,
+      sort: 'added',
+      order: 'desc',
+      all: true,
+    },
+    verbose,
+  );
+
+  return listing ? buildOwnedIndex(listing.items) : null;
+}
+
+/**
+ * Collection command definition
+ */
+export const collectionCommand = {
+  name: 'collection',
+  aliases: ['col'],
+  minArgs: 0,
+  usage: USAGE,
+  description: 'Browse, filter and export your Discogs collection',
+  handler: async (args, ctx) => {
+    const options = parseCollectionArgs(args);
+    if (options.error) {
+      log.error(options.error);
+      if (options.hint) log.info(options.hint);
+      return true;
+    }
+    await handleCollection(ctx.client, options, ctx.sessionFlags);
+    return true;
+  },
+};
+
+/**
+ * Handle collection command - list folders, or list and export one page
+ * (or all) of a folder
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {Object} options - Parsed options from parseCollectionArgs()
+ * @param {Object} flags - CLI flags (per_page, tracks_output, verbose)
+ */
+export async function handleCollection(client, options, flags) {
+  const username = await resolveUsername(client, flags.verbose);
+  if (!username) return;
+
+  if (options.action === 'folders') {
+    await handleCollectionFolders(client, username, flags);
+    return;
+  }
+
+  const perPage = flags.per_page || 5;
+  const outputFormat = flags.tracks_output || 'human';
+  const { folderId, page, sort, order, all, filters } = options;
+  const filterText = Object.entries(filters).map(formatFilter).join(' ');
+
+  log.plain('');
+  log.info(
+    all
+      ? `Fetching the collection of ${username}...`
+      : `Fetching collection page ${page} of ${username}...`,
+  );
+  log.plain(`  folder: ${folderId}${folderId === 0 ? ' (all)' : ''}`);
+  log.plain(`  sort: ${sort} ${order}`);
+  log.plain(`  filters: ${filterText || 'none'}`);
+  log.plain(`  output format: ${outputFormat}\n`);
+
+  const listing = await fetchCollection(
+    client,
+    username,
+    { folderId, page, perPage, sort, order, all, filters },
+    flags.verbose,
+  );
+
+  if (!listing) {
+    log.warn(`Could not fetch the collection of ${username}.`);
+    return;
+  }
+
+  const { items, pagination } = listing;
+
+  if (items.length === 0) {
+    log.warn(
+      pagination.items
+        ? `No items on page ${page} (${pagination.pages} page(s)).`
+        : 'No items found :(',
+    );
+    return;
+  }
+
+  log.success(
+    all
+      ? `Collection (${pagination.items} item(s)):`
+      : `Page ${pagination.page} of ${pagination.pages} (${pagination.items} item(s)):`,
+  );
+  log.divider(true);
+  for (const item of items) {
+    log.plain(formatCollectionItem(item));
+  }
+  log.plain('');
+  log.divider();
+  log.plain('');
+
+  if (!all && pagination.page < pagination.pages) {
+    log.info(
+      `Type '${buildCollectionCommand(options, pagination.page + 1)}' for the next page, or add 'all' to export everything.`,
+    );
+  }
+
+  const name = [
+    'collection',
+    username,
+    folderId ? `folder-${folderId}` : null,
+    all ? null : `p${pagination.page}`,
+  ]
+    .filter(Boolean)
+    .join('-');
+  writeReportOutput(name, {
+    [OUTPUT_EXTENSIONS[outputFormat] || 'txt']: formatCatalogForFile(
+      items,
+      outputFormat,
+    ),
+  });
+  writeJsonOutput(buildCollectionOutput(username, options, listing));
+}
+
+/**
+ * List the collection folders of a user
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {string} username - Discogs username
+ * @param {Object} flags - CLI flags (verbose)
+ */
+async function handleCollectionFolders(client, username, flags) {
+  log.plain('');
+  log.info(`Fetching collection folders of ${username}...`);
+
+  const data = await getCollectionFolders(client, username, flags.verbose);
+
+  if (!data) {
+    log.warn(`Could not fetch the collection folders of ${username}.`);
+    return;
+  }
+
+  const output = buildCollectionFoldersOutput(username, data.folders || []);
+  const { folders } = output.result;
+
+  log.success(`${folders.length} folder(s):`);
+  log.divider(true);
+  for (const folder of folders) {
+    log.plain(`  ${folder.id} | ${folder.name} (${folder.count} item(s))`);
+  }
+  log.plain('');
+  log.divider();
+  log.plain('');
+  log.info("Type 'collection folder:<id>' to browse a folder.");
+
+  writeJsonOutput(output);
+}
+
+/**
+ * Parse a release ID argument (pure function)
+ * @param {string} [value] - Argument, e.g. '249504'
+ * @returns {number|null} Release ID, or null when not a positive integer
+ */
+export function parseReleaseId(value) {
+  return /^\d+$/.test(value ?? '') && parseInt(value, 10) > 0
+    ? parseInt(value, 10)
+    : null;
+}
+
+/**
+ * Parse collect command arguments: `<releaseId> [folder]` (pure function)
+ * The folder is a folder ID or name, Uncategorized when left out.
+ * @param {string[]} args - Command arguments
+ * @returns {{ releaseId?: number, folder?: string, error?: string, hint?: string }}
+ */
+export function parseCollectArgs(args) {
+  const releaseId = parseReleaseId(args[0]);
+
+  if (!releaseId) {
+    return {
+      error: args[0]
+        ? `Invalid release ID '${args[0]}'`
+        : 'Please provide a release ID',
+      hint: `Usage: ${collectCommand.usage}`,
+    };
+  }
+
+  const folder = args.slice(1).join(' ').replace(/^"|"$/g, '').trim();
+  return { releaseId, folder: folder || String(DEFAULT_FOLDER_ID) };
+}
+
+/**
+ * Find a collection folder by ID or name (pure function)
+ * Names match ignoring case and accents. Folder 0 holds every item and
+ * cannot be added to.
+ * @param {Array} folders - Folders from getCollectionFolders()
+ * @param {string} spec - Folder ID or name
+ * @returns {Object|null} Folder { id, name, count } or null
+ */
+export function findFolder(folders, spec) {
+  const id = /^\d+$/.test(spec) ? parseInt(spec, 10) : null;
+  const folder = folders.find((f) =>
+    id !== null ? f.id === id : normalizeText(f.name) === normalizeText(spec),
+  );
+  return folder && folder.id !== 0 ? folder : null;
+}
+
+/**
+ * Describe a release for confirmation prompts (pure function)
+ * @param {Object} release - Release data ({ artists, title, year }) or an
+ *   item from extractCollectionItem()
+ * @param {number} releaseId - Release ID
+ * @returns {string} e.g. "Bonobo - Black Sands (2010), release #2223419"
+ */
+export function describeRelease(release, releaseId) {
+  const artist =
+    release.artist ||
+    release.artists?.map((a) => a.name).join(', ') ||
+    'Unknown Artist';
+  const year = release.year ? ` (${release.year})` : '';
+  return `${artist} - ${release.title || 'Untitled'}${year}, release #${releaseId}`;
+}
+
+/**
+ * Build select choices for picking one copy of a release (pure function)
+ * @param {Array} copies - Items from extractCollectionItem()
+ * @param {Map<number, string>} folderNames - Folder names by ID
+ * @returns {Array<{ name: string, value: Object|null }>}
+ */
+export function buildCopyChoices(copies, folderNames) {
+  return [
+    ...copies.map((copy) => ({
+      name: [
+        `instance #${copy.instanceId}`,
+        `in ${folderNames.get(copy.folderId) || `folder #${copy.folderId}`}`,
+        copy.dateAdded ? `added ${copy.dateAdded.slice(0, 10)}` : null,
+      ]
+        .filter(Boolean)
+        .join(', '),
+      value: copy,
+    })),
+    { name: '← Cancel', value: null },
+  ];
+}
+
+/**
+ * Ask before changing the user's Discogs data
+ * @param {string} message - Yes/no question
+ * @param {boolean} [skip=false] - Answer yes without asking (--yes)
+ * @returns {Promise<boolean>} True when confirmed; false when declined or
+ *   cancelled (Ctrl+C)
+ */
+export async function confirmChange(message, skip = false) {
+  if (skip) return true;
+
+  try {
+    return await confirm({ message, default: false });
+  } catch (error) {
+    if (error.name === 'ExitPromptError') return false;
+    throw error;
+  }
+}
+
+/**
+ * Refuse changes in offline mode, where nothing reaches Discogs
+ * @param {string} action - What needs Discogs, e.g. 'Changing your collection'
+ * @returns {boolean} True when online
+ */
+export function ensureOnline(action) {
+  if (!isOffline()) return true;
+  log.error(`${action} needs Discogs; turn offline mode off first.`);
+  return false;
+}
+
+/**
+ * Collect command definition
+ */
+export const collectCommand = {
+  name: 'collect',
+  aliases: [],
+  minArgs: 1,
+  usage: 'collect <releaseId> [folder]',
+  description:
+    'Add a release to your collection (default folder: Uncategorized)',
+  handler: async (args, ctx) => {
+    const options = parseCollectArgs(args);
+    if (options.error) {
+      log.error(options.error);
+      log.info(options.hint);
+      return true;
+    }
+    await handleCollect(ctx.db, ctx.client, options, ctx.sessionFlags);
+    return true;
+  },
+};
+
+/**
+ * Uncollect command definition
+ */
+export const uncollectCommand = {
+  name: 'uncollect',
+  aliases: [],
+  minArgs: 1,
+  usage: 'uncollect <releaseId>',
+  description: 'Remove a copy of a release from your collection',
+  handler: async (args, ctx) => {
+    const releaseId = parseReleaseId(args[0]);
+    if (!releaseId || args.length > 1) {
+      log.error(`Invalid release ID '${args.join(' ')}'`);
+      log.info(`Usage: ${uncollectCommand.usage}`);
+      return true;
+    }
+    await handleUncollect(ctx.client, releaseId, ctx.sessionFlags);
+    return true;
+  },
+};
+
+/**
+ * Handle collect command - add a release to a collection folder after
+ * confirming; warns when the release is already in the collection
+ * @param {Object} db - Discogs database instance
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {Object} options - From parseCollectArgs(): releaseId, folder
+ * @param {Object} flags - CLI flags (verbose, yes)
+ * @returns {Promise<boolean>} True when the release was added
+ */
+export async function handleCollect(db, client, options, flags) {
+  const { releaseId } = options;
+
+  if (!ensureOnline('Changing your collection')) return false;
+
+  const username = await resolveUsername(client, flags.verbose);
+  if (!username) return false;
+
+  const release = await getRelease(db, releaseId, flags.verbose);
+  if (!release) {
+    log.warn(`Could not fetch release #${releaseId}.`);
+    return false;
+  }
+
+  const data = await getCollectionFolders(client, username, flags.verbose);
+  if (!data) return false;
+
+  const folder = findFolder(data.folders || [], options.folder);
+  if (!folder) {
+    log.error(`No collection folder '${options.folder}'.`);
+    log.info("Type 'collection folders' to list your folders.");
+    return false;
+  }
+
+  const instances = await getReleaseInstances(
+    client,
+    username,
+    releaseId,
+    flags.verbose,
+  );
+  const copies = instances?.releases?.length || 0;
+
+  log.plain('');
+  log.info(describeRelease(release, releaseId));
+  if (copies) {
+    log.warn(
+      `Already in your collection (${copies} cop${copies === 1 ? 'y' : 'ies'}); this adds another.`,
+    );
+  }
+
+  if (!(await confirmChange(`Add to folder "${folder.name}"?`, flags.yes))) {
+    log.info('Cancelled.');
+    return false;
+  }
+
+  const added = await addToCollection(
+    client,
+    username,
+    folder.id,
+    releaseId,
+    flags.verbose,
+  );
+  if (!added) return false;
+
+  log.success(
+    `Added release #${releaseId} to "${folder.name}" (instance #${added.instance_id}).`,
+  );
+  return true;
+}
+
+/**
+ * Handle uncollect command - remove one copy of a release from the
+ * collection after confirming; asks which copy when there are several
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {number} releaseId - Release ID
+ * @param {Object} flags - CLI flags (verbose, yes)
+ * @returns {Promise<boolean>} True when a copy was removed
+ */
+export async function handleUncollect(client, releaseId, flags) {
+  if (!ensureOnline('Changing your collection')) return false;
+
+  const username = await resolveUsername(client, flags.verbose);
+  if (!username) return false;
+
+  const instances = await getReleaseInstances(
+    client,
+    username,
+    releaseId,
+    flags.verbose,
+  );
+  if (!instances) return false;
+
+  const copies = (instances.releases || []).map(extractCollectionItem);
+  if (!copies.length) {
+    log.warn(`Release #${releaseId} is not in your collection.`);
+    return false;
+  }
+
+  const data = await getCollectionFolders(client, username, flags.verbose);
+  const folderNames = new Map(
+    (data?.folders || []).map((folder) => [folder.id, folder.name]),
+  );
+
+  log.plain('');
+  log.info(describeRelease(copies[0], releaseId));
+
+  const copy =
+    copies.length === 1 ? copies[0] : await pickCopy(copies, folderNames);
+  const folderName =
+    folderNames.get(copy?.folderId) || `folder #${copy?.folderId}`;
+
+  if (
+    !copy ||
+    !(await confirmChange(`Remove it from "${folderName}"?`, flags.yes))
+  ) {
+    log.info('Cancelled.');
+    return false;
+  }
+
+  const removed = await removeFromCollection(
+    client,
+    username,
+    copy.folderId,
+    releaseId,
+    copy.instanceId,
+    flags.verbose,
+  );
+  if (!removed) return false;
+
+  log.success(
+    `Removed release #${releaseId} (instance #${copy.instanceId}) from "${folderName}".`,
+  );
+  return true;
+}
+
+/**
+ * Ask which copy of a release to remove
+ * @param {Array} copies - Items from extractCollectionItem()
+ * @param {Map<number, string>} folderNames - Folder names by ID
+ * @returns {Promise<Object|null>} Chosen copy, or null when cancelled
+ */
+async function pickCopy(copies, folderNames) {
+  try {
+    return await select({
+      message: `You have ${copies.length} copies. Remove which one?`,
+      choices: buildCopyChoices(copies, folderNames),
+    });
+  } catch (error) {
+    if (error.name === 'ExitPromptError') return null;
+    throw error;
+  }
+}
+
+export { COLLECTION_FILTERS, COLLECTION_SORTS };
@@ -0,0 +1,111 @@
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import {
+  configureFixtures,
+  getFixtureStats,
+  importFixtures,
+} from '../fixtures.js';
+import { log, logDir } from '../logger.js';
+
+/**
+ * Actions accepted by the fixtures command
+ */
+const FIXTURES_ACTIONS = ['stats', 'import', 'on', 'off'];
+
+/**
+ * Pick the newest session log (pure function)
+ * Log names embed an ISO timestamp, so they sort by age.
+ * @param {string[]} names - File names in the logs directory
+ * @returns {string|null} Newest log-*.txt name
+ */
+export function findLatestLog(names) {
+  const logs = names.filter((name) => /^log-.*\.txt$/.test(name)).sort();
+  return logs.at(-1) || null;
+}
+
+/**
+ * Build the fixture stats lines shown by `fixtures` (pure function)
+ * @param {Object} stats - Stats from getFixtureStats()
+ * @returns {string[]} Display lines
+ */
+export function buildFixtureSummary(stats) {
+  return [
+    `  offline mode: ${stats.offline ? 'on' : 'off'}`,
+    `  location: ${stats.dir}`,
+    `  fixtures: ${stats.total}`,
+    ...Object.entries(stats.endpoints)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([endpoint, count]) => `    ${endpoint}: ${count}`),
+  ];
+}
+
+/**
+ * Fixtures command definition
+ */
+export const fixturesCommand = {
+  name: 'fixtures',
+  aliases: [],
+  minArgs: 0,
+  usage: 'fixtures [stats|import [log-file]|on|off]',
+  description: 'Record API calls from a session log or replay them offline',
+  handler: async (args) => {
+    handleFixtures(args[0], args[1]);
+    return true;
+  },
+};
+
+/**
+ * Handle fixtures command - show stats, import a session log or toggle
+ * offline mode
+ * @param {string} [action] - One of FIXTURES_ACTIONS, stats by default
+ * @param {string} [file] - Session log to import, the newest in dist/logs
+ *   by default
+ */
+export function handleFixtures(action = 'stats', file = null) {
+  const name = action.toLowerCase();
+
+  if (!FIXTURES_ACTIONS.includes(name)) {
+    log.error(`Unknown fixtures action '${action}'`);
+    log.info(`Usage: ${fixturesCommand.usage}`);
+    return;
+  }
+
+  if (name === 'import') {
+    const latest = existsSync(logDir)
+      ? findLatestLog(readdirSync(logDir))
+      : null;
+    const path = file || (latest && join(logDir, latest));
+
+    if (!path || !existsSync(path)) {
+      log.error(`Session log not found: ${path || logDir}`);
+      return;
+    }
+
+    const { saved, errors } = importFixtures(readFileSync(path, 'utf-8'));
+    if (saved === 0) {
+      log.warn(`No API calls found in ${path}`);
+      return;
+    }
+
+    log.success(
+      `Recorded ${saved} API call(s)${errors ? ` (${errors} failed)` : ''} from ${path}`,
+    );
+    log.plain(`  into ${getFixtureStats().dir}`);
+    return;
+  }
+
+  if (name === 'on' || name === 'off') {
+    configureFixtures({ offline: name === 'on' });
+    log.success(`Offline mode turned ${name} for this session.`);
+    return;
+  }
+
+  log.plain('');
+  log.header('Recorded Fixtures');
+  for (const line of buildFixtureSummary(getFixtureStats())) {
+    log.plain(line);
+  }
+  log.plain('');
+}
+
+export { FIXTURES_ACTIONS };
@@ -7,21 +7,95 @@ export function showHelp() {
   log.plain(`
   Available Commands:
     search               Show current search settings
-    search <query>       Search Discogs for a release or artist
+    search <query> [field:value ...]
+                         Search Discogs for a release or artist (fields:
+                         artist, release_title, track, label, genre, style,
+                         country, year, format, catno, barcode)
+    next / prev          Show the next or previous page of the last search
+    page <n>             Jump to a page of the last search
+    lookup <barcode|catno> [label:<name>]
+                         Find releases by barcode or catalog number; a single
+                         hit shows its tracks
     tracks <id>          Get tracklist using current tracks_type setting
     tracks <type> <id>   Get tracklist (type: master or release)
+    versions <masterId> [format:<f>] [country:<c>]
+                         List every release of a master, pick one for tracks
+    artist <id>          Get artist profile, aliases, members and links
+    releases <id> [role] [sort] [asc|desc] [page]
+                         Browse an artist's releases (role: main, remix,
+                         appearance, trackappearance; sort: year, title, format)
+    label <id>           Get label profile, parent label and sub-labels
+    label-releases <id> [page|all]
+                         Browse a label's catalog (exported using tracks_output)
+    market [type] <id>   Marketplace prices for a master or release
+    playlist <file.csv>  Match every track in a playlist CSV against Discogs
+    review [file.json]   Review low-confidence matches from the last playlist run
+    buylist [file.json]  Buy list report (md, csv, json) with prices per format
+    collection [folders] [folder:<id>] [added|artist|year] [asc|desc] [page|all]
+               [artist|title|label|format|year:<value>]
+                         Browse your Discogs collection (exported using
+                         tracks_output); filters match part of the field
+    collect <releaseId> [folder]
+                         Add a release to your collection (folder ID or
+                         name; default Uncategorized)
+    uncollect <releaseId>
+                         Remove a copy of a release from your collection
+    want <releaseId>     Add a release to your wantlist
+    unwant <releaseId>   Remove a release from your wantlist
+    wantlist [diff [snapshot.json]]
+                         Export your wantlist to JSON, CSV and markdown; diff
+                         lists what was added/removed since a snapshot (default:
+                         your last export)
+    wantlist-push [file.json] [dry-run] [note:<text>]
+                         Add the confirmed, not owned matches of the last
+                         playlist run to your wantlist (resumable)
     settings             Interactive settings menu
-    set [option] [val]   Quick set: type, per_page, tracks_type, tracks_output, verbose
-    clean                Delete all files in the dist folder
+    set [option] [val]   Quick set: type, per_page, tracks_type, tracks_output,
+                         match_threshold, verbose, owned_check, or a
+                         search field
+                         (e.g. set format Vinyl, set format none)
+    cache [clear|on|off] Show response cache stats, clear it or turn it
+                         on/off for this session
+    fixtures [stats|import [log-file]|on|off]
+                         Record the API calls of a session log (the newest
+                         by default) and replay them offline
+    login                Log in with Discogs OAuth (alternative to a token)
+    logout               Remove the stored OAuth credentials
+    whoami               Show the Discogs user you are authenticated as
+    clean                Delete all files in the dist folder (incl. cache)
     help                 Show this help message
     exit                 Exit the session
 
   Examples:
     search Daft Punk
+    search artist:"Bonobo" format:Vinyl year:2010-2015
+    next
+    page 3
+    lookup 724384960629
+    lookup ZEN 140 label:"Ninja Tune"
     tracks 1234
     tracks release 249504
+    versions 27113 format:vinyl country:UK
+    artist 1289
+    releases 1289 remix year desc
+    label 23528
+    label-releases 23528 all
+    market release 249504
+    playlist tests/data/chillmix.csv
+    review
+    buylist
+    collection folders
+    collection artist asc format:vinyl all
+    collect 249504 Vinyl
+    want 249504
+    wantlist diff
+    wantlist-push dry-run note:"for chillmix"
     set type master
-    set verbose on`);
+    set verbose on
+    cache clear
+    fixtures import
+    fixtures on
+    whoami`);
 }
 
 /**
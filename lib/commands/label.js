@@ -0,0 +1,422 @@
+import {
+  buildDiscogsUrl,
+  formatCatalogEntry,
+  getLabel,
+  getLabelReleases,
+} from '../discogs.js';
+import { log } from '../logger.js';
+import {
+  OUTPUT_EXTENSIONS,
+  writeJsonOutput,
+  writeReportOutput,
+} from '../output.js';
+import { cleanProfile } from './artist.js';
+
+/**
+ * Format-specific header lines for catalog output
+ * null = no static header (human format uses dynamic header with counts)
+ */
+const CATALOG_HEADERS = {
+  human: null,
+  csv: ['catno,artist,title,year,format,id'],
+  pipe: null,
+  markdown: [
+    '| Cat# | Artist | Title | Year | Format |',
+    '|------|--------|-------|------|--------|',
+  ],
+};
+
+/**
+ * Largest page size the API allows, used when exporting a whole catalog
+ */
+const MAX_PER_PAGE = 100;
+
+/**
+ * Build a label reference (pure function)
+ * @param {Object} label - Parent label or sub-label from API
+ * @returns {{ id: number, name: string }}
+ */
+function buildLabelRef(label) {
+  return { id: label.id, name: label.name };
+}
+
+/**
+ * Extract label info from API response (pure function)
+ * @param {Object} data - API response data
+ * @param {number} id - Label ID
+ * @returns {Object} Extracted label info
+ */
+export function extractLabelInfo(data, id) {
+  return {
+    name: data.name || 'Unknown Label',
+    profile: cleanProfile(data.profile),
+    contactInfo: data.contact_info?.trim() || null,
+    parentLabel: data.parent_label ? buildLabelRef(data.parent_label) : null,
+    sublabels: (data.sublabels || []).map(buildLabelRef),
+    urls: data.urls || [],
+    url: buildDiscogsUrl('label', id),
+  };
+}
+
+/**
+ * Build label output JSON structure (pure function)
+ * @param {number} id - Label ID
+ * @param {Object} labelInfo - Extracted label info
+ * @returns {Object} Structured output for JSON file
+ */
+export function buildLabelOutput(id, labelInfo) {
+  return {
+    type: 'label',
+    params: {
+      id,
+    },
+    result: labelInfo,
+  };
+}
+
+/**
+ * Parse label-releases command arguments (pure function)
+ * @param {string[]} args - Command arguments
+ * @returns {{ labelId?: string, page?: number, all?: boolean, error?: string, hint?: string }}
+ */
+export function parseLabelReleasesArgs(args) {
+  const [labelId, option] = args;
+
+  if (!labelId) {
+    return {
+      error: 'Please provide a label ID',
+      hint: 'Usage: label-releases <id> [page|all]',
+    };
+  }
+
+  if (!option) return { labelId, page: 1, all: false };
+
+  if (option.toLowerCase() === 'all') return { labelId, page: 1, all: true };
+
+  const page = parseInt(option, 10);
+  if (!/^\d+$/.test(option) || page < 1) {
+    return {
+      error: `Invalid page '${option}'`,
+      hint: 'Usage: label-releases <id> [page|all]',
+    };
+  }
+
+  return { labelId, page, all: false };
+}
+
+/**
+ * Build label-releases output JSON structure (pure function)
+ * @param {number} labelId - Label ID
+ * @param {Object} catalog - { releases, pagination }
+ * @param {boolean} all - Whether the whole catalog was fetched
+ * @returns {Object} Structured output for JSON file
+ */
+export function buildLabelReleasesOutput(labelId, catalog, all) {
+  return {
+    type: 'label-releases',
+    params: {
+      labelId,
+      page: all ? null : catalog.pagination.page,
+      per_page: catalog.pagination.per_page,
+      all,
+    },
+    result: {
+      pagination: catalog.pagination,
+      releases: catalog.releases.map((release) => ({
+        id: release.id,
+        catno: release.catno || '',
+        artist: release.artist || '',
+        title: release.title || '',
+        year: release.year || null,
+        format: release.format || '',
+        url: buildDiscogsUrl('release', release.id),
+      })),
+    },
+  };
+}
+
+/**
+ * Format a catalog for file output (pure function)
+ * @param {Array} releases - Label releases
+ * @param {string} format - Output format
+ * @returns {string} Formatted content for file
+ */
+export function formatCatalogForFile(releases, format) {
+  const lines = [...(CATALOG_HEADERS[format] || [])];
+
+  for (const release of releases) {
+    lines.push(formatCatalogEntry(release, format));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Fetch a page of a label's catalog, or every page when `all` is set
+ * @param {Object} db - Discogs database instance
+ * @param {number} labelId - Label ID
+ * @param {Object} options - { page, perPage, all }
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { releases, pagination } or null on error
+ */
+export async function fetchLabelCatalog(
+  db,
+  labelId,
+  { page, perPage, all },
+  verbose = false,
+) {
+  if (!all) {
+    const data = await getLabelReleases(
+      db,
+      labelId,
+      { page, per_page: perPage },
+      verbose,
+    );
+    if (!data) return null;
+
+    return {
+      releases: data.releases || [],
+      pagination: {
+        page,
+        pages: data.pagination?.pages || 1,
+        per_page: perPage,
+        items: data.pagination?.items ?? (data.releases || []).length,
+      },
+    };
+  }
+
+  const releases = [];
+  let apiPage = 1;
+  let apiPages = 1;
+
+  do {
+    const data = await getLabelReleases(
+      db,
+      labelId,
+      { page: apiPage, per_page: MAX_PER_PAGE },
+      verbose,
+    );
+    if (!data) return null;
+
+    releases.push(...(data.releases || []));
+    apiPages = data.pagination?.pages || 1;
+    apiPage++;
+  } while (apiPage <= apiPages);
+
+  return {
+    releases,
+    pagination: {
+      page: 1,
+      pages: 1,
+      per_page: releases.length,
+      items: releases.length,
+    },
+  };
+}
+
+/**
+ * Label command definition
+ */
+export const labelCommand = {
+  name: 'label',
+  aliases: ['l'],
+  minArgs: 1,
+  usage: 'label <id>',
+  description: 'Get label profile, parent label and sub-labels',
+  handler: async (args, ctx) => {
+    await handleLabel(ctx.db, args[0], ctx.sessionFlags);
+    return true;
+  },
+};
+
+/**
+ * Label releases command definition
+ */
+export const labelReleasesCommand = {
+  name: 'label-releases',
+  aliases: ['lr'],
+  minArgs: 1,
+  usage: 'label-releases <id> [page|all]',
+  description: "Browse and export a label's catalog",
+  handler: async (args, ctx) => {
+    const options = parseLabelReleasesArgs(args);
+    if (options.error) {
+      log.error(options.error);
+      if (options.hint) log.info(options.hint);
+      return true;
+    }
+    await handleLabelReleases(ctx.db, options, ctx.sessionFlags);
+    return true;
+  },
+};
+
+/**
+ * Handle label command - fetch label details
+ * @param {Object} db - Discogs database instance
+ * @param {string} id - Label ID
+ * @param {Object} flags - CLI flags
+ */
+export async function handleLabel(db, id, flags) {
+  const numId = parseInt(id, 10);
+
+  if (Number.isNaN(numId)) {
+    log.error('Invalid ID. Please provide a numeric ID.');
+    return;
+  }
+
+  log.plain('');
+  log.info(`Fetching label #${numId} from Discogs...`);
+
+  const data = await getLabel(db, numId, flags.verbose);
+
+  if (!data) {
+    log.warn(`Could not fetch label #${numId}.`);
+    return;
+  }
+
+  const labelInfo = extractLabelInfo(data, numId);
+
+  log.success(`Found: label #${numId} - ${labelInfo.name}`);
+  log.info(`See: ${labelInfo.url}`);
+  displayLabel(labelInfo);
+  log.info(`Type 'label-releases ${numId}' to browse the catalog.`);
+
+  writeJsonOutput(buildLabelOutput(numId, labelInfo));
+}
+
+/**
+ * Handle label-releases command - list and export a label's catalog
+ * @param {Object} db - Discogs database instance
+ * @param {Object} options - Parsed options from parseLabelReleasesArgs()
+ * @param {Object} flags - CLI flags (per_page, tracks_output, verbose)
+ */
+export async function handleLabelReleases(db, options, flags) {
+  const labelId = parseInt(options.labelId, 10);
+
+  if (Number.isNaN(labelId)) {
+    log.error('Invalid ID. Please provide a numeric ID.');
+    return;
+  }
+
+  const perPage = flags.per_page || 5;
+  const outputFormat = flags.tracks_output || 'human';
+
+  log.plain('');
+  log.info(
+    options.all
+      ? `Fetching the full catalog of label #${labelId}...`
+      : `Fetching catalog page ${options.page} of label #${labelId}...`,
+  );
+  log.plain(`  output format: ${outputFormat}\n`);
+
+  const catalog = await fetchLabelCatalog(
+    db,
+    labelId,
+    { page: options.page, perPage, all: options.all },
+    flags.verbose,
+  );
+
+  if (!catalog) {
+    log.warn(`Could not fetch releases for label #${labelId}.`);
+    return;
+  }
+
+  const { releases, pagination } = catalog;
+
+  if (releases.length === 0) {
+    log.warn('No releases found :(');
+    return;
+  }
+
+  displayCatalog(catalog, outputFormat, options.all);
+
+  if (!options.all && pagination.page < pagination.pages) {
+    log.info(
+      `Type 'label-releases ${labelId} ${pagination.page + 1}' for the next page, or 'label-releases ${labelId} all' to export everything.`,
+    );
+  }
+
+  const name = options.all
+    ? `label-${labelId}-catalog`
+    : `label-${labelId}-catalog-p${pagination.page}`;
+  writeReportOutput(name, {
+    [OUTPUT_EXTENSIONS[outputFormat] || 'txt']: formatCatalogForFile(
+      releases,
+      outputFormat,
+    ),
+  });
+  writeJsonOutput(buildLabelReleasesOutput(labelId, catalog, options.all));
+}
+
+/**
+ * Display label details to console
+ * @param {Object} labelInfo - Extracted label info
+ */
+function displayLabel(labelInfo) {
+  log.divider(true);
+
+  if (labelInfo.parentLabel) {
+    const { id, name } = labelInfo.parentLabel;
+    log.plain(`  parent label: ${id} | ${name}`);
+  }
+
+  if (labelInfo.profile) {
+    log.plain('');
+    log.header('Profile:\n');
+    log.plain(labelInfo.profile);
+  }
+
+  if (labelInfo.contactInfo) {
+    log.plain('');
+    log.header('Contact:\n');
+    log.plain(labelInfo.contactInfo);
+  }
+
+  if (labelInfo.sublabels.length) {
+    log.plain('');
+    log.header(`Sub-labels (${labelInfo.sublabels.length}):\n`);
+    for (const sublabel of labelInfo.sublabels) {
+      log.plain(`  ${sublabel.id} | ${sublabel.name}`);
+    }
+  }
+
+  if (labelInfo.urls.length) {
+    log.plain('');
+    log.header('Links:\n');
+    for (const url of labelInfo.urls) {
+      log.plain(`  ${url}`);
+    }
+  }
+
+  log.plain('');
+  log.divider();
+  log.plain('');
+}
+
+/**
+ * Display a catalog page to console
+ * @param {Object} catalog - { releases, pagination }
+ * @param {string} format - Output format
+ * @param {boolean} all - Whether the whole catalog was fetched
+ */
+function displayCatalog(catalog, format, all) {
+  const { releases, pagination } = catalog;
+
+  log.success(
+    all
+      ? `Catalog (${pagination.items} release(s)):`
+      : `Page ${pagination.page} of ${pagination.pages} (${pagination.items} release(s)):`,
+  );
+  log.divider(true);
+
+  for (const line of CATALOG_HEADERS[format] || []) {
+    log.plain(line);
+  }
+  for (const release of releases) {
+    log.plain(formatCatalogEntry(release, format));
+  }
+
+  log.plain('');
+  log.divider();
+  log.plain('');
+}
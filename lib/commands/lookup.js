@@ -0,0 +1,231 @@
+import { select } from '@inquirer/prompts';
+import {
+  buildDiscogsUrlFromUri,
+  formatResult,
+  searchDiscogsPage,
+} from '../discogs.js';
+import { log } from '../logger.js';
+import { writeJsonOutput } from '../output.js';
+import { handleTracks } from './tracks.js';
+
+/**
+ * Barcodes (UPC-A, EAN-8/13, GTIN-14) are 8-14 digits, often printed with
+ * spaces or dashes; anything else is treated as a catalog number
+ */
+const BARCODE_PATTERN = /^\d{8,14}$/;
+
+/**
+ * Usage hint shared by parse errors
+ */
+const LOOKUP_USAGE =
+  'Usage: lookup <barcode|catno> [label:<name>] (prefix catno: or barcode: to force)';
+
+/**
+ * Strip spaces and dashes from a scanned or typed barcode (pure function)
+ * @param {string} value - Raw barcode
+ * @returns {string} Digits only when the value looks like a barcode
+ */
+export function normalizeBarcode(value) {
+  return value.replace(/[\s-]/g, '');
+}
+
+/**
+ * Parse lookup command arguments (pure function)
+ * The code is a barcode when it is 8-14 digits (ignoring spaces and
+ * dashes), otherwise a catalog number; `barcode:`/`catno:` force the kind.
+ * @param {string[]} args - Command arguments, e.g. ['ZEN', '140', 'label:Ninja Tune']
+ * @returns {{ kind?: 'barcode'|'catno', code?: string, label?: string|null, error?: string, hint?: string }}
+ */
+export function parseLookupArgs(args) {
+  const words = [];
+  let kind = null;
+  let label = null;
+
+  for (const arg of args) {
+    const match = /^(label|catno|barcode):(.*)$/i.exec(arg);
+    if (!match) {
+      words.push(arg);
+      continue;
+    }
+
+    const key = match[1].toLowerCase();
+    const value = match[2].replace(/^"|"$/g, '').trim();
+
+    if (key === 'label') {
+      label = value || null;
+    } else {
+      kind = key;
+      if (value) words.push(value);
+    }
+  }
+
+  const code = words.join(' ').trim();
+
+  if (!code) {
+    return {
+      error: 'Please provide a barcode or catalog number',
+      hint: LOOKUP_USAGE,
+    };
+  }
+
+  if (!kind) {
+    kind = BARCODE_PATTERN.test(normalizeBarcode(code)) ? 'barcode' : 'catno';
+  }
+
+  return {
+    kind,
+    code: kind === 'barcode' ? normalizeBarcode(code) : code,
+    label,
+  };
+}
+
+/**
+ * Build lookup output JSON structure (pure function)
+ * @param {Object} options - Parsed options from parseLookupArgs()
+ * @param {Array} results - Candidate releases from search
+ * @returns {Object} Structured output for JSON file
+ */
+export function buildLookupOutput(options, results) {
+  return {
+    type: 'lookup',
+    params: {
+      kind: options.kind,
+      code: options.code,
+      label: options.label,
+    },
+    result: {
+      count: results.length,
+      candidates: results.map((result) => ({
+        id: result.id,
+        title: result.title || '',
+        year: result.year || null,
+        country: result.country || '',
+        format: result.format || [],
+        label: result.label || [],
+        catno: result.catno || '',
+        barcode: result.barcode || [],
+        url: buildDiscogsUrlFromUri(result.uri),
+      })),
+    },
+  };
+}
+
+/**
+ * Build select choices for picking a candidate (pure function)
+ * @param {Array} results - Candidate releases
+ * @returns {Array<{ name: string, value: number|null }>}
+ */
+export function buildLookupChoices(results) {
+  return [
+    ...results.map((result) => ({
+      name: formatResult(result).trim(),
+      value: result.id,
+    })),
+    { name: '← Done', value: null },
+  ];
+}
+
+/**
+ * Lookup command definition
+ */
+export const lookupCommand = {
+  name: 'lookup',
+  aliases: ['lu'],
+  minArgs: 1,
+  usage: 'lookup <barcode|catno> [label:<name>]',
+  description: 'Find releases by barcode or catalog number',
+  handler: async (args, ctx) => {
+    const options = parseLookupArgs(args);
+    if (options.error) {
+      log.error(options.error);
+      if (options.hint) log.info(options.hint);
+      return true;
+    }
+
+    const candidates = await handleLookup(ctx.db, options, ctx.sessionFlags);
+    if (!(candidates?.length > 1)) return true;
+
+    try {
+      const releaseId = await select({
+        message: 'Show tracks for a release:',
+        choices: buildLookupChoices(candidates),
+      });
+      if (releaseId) {
+        await handleTracks(ctx.db, 'release', releaseId, ctx.sessionFlags);
+      }
+    } catch (error) {
+      // User cancelled (Ctrl+C); keep the session running
+      if (error.name !== 'ExitPromptError') throw error;
+    }
+    return true;
+  },
+};
+
+/**
+ * Handle lookup command - resolve a barcode or catalog number to releases
+ * A single hit goes straight to its tracklist.
+ * @param {Object} db - Discogs database instance
+ * @param {Object} options - Parsed options from parseLookupArgs()
+ * @param {Object} flags - CLI flags (per_page, tracks_output, verbose)
+ * @returns {Promise<Array|undefined>} Candidate releases
+ */
+export async function handleLookup(db, options, flags) {
+  const { kind, code, label } = options;
+  const perPage = flags.per_page || 5;
+
+  log.plain('');
+  log.info(`Looking up ${kind} "${code}" on Discogs...`);
+  if (label) log.plain(`  label: ${label}`);
+  log.plain('');
+
+  const data = await searchDiscogsPage(
+    db,
+    '',
+    { type: 'release', [kind]: code, label, per_page: perPage },
+    flags.verbose,
+  );
+
+  if (!data) {
+    log.warn(`Could not look up ${kind} "${code}".`);
+    return;
+  }
+
+  const { results, pagination } = data;
+
+  if (results.length === 0) {
+    log.warn(`No releases found for ${kind} "${code}" :(`);
+    if (kind === 'catno' && !label) {
+      log.info(
+        "Add 'label:<name>' or check the spacing of the catalog number.",
+      );
+    }
+    return results;
+  }
+
+  writeJsonOutput(buildLookupOutput(options, results));
+
+  if (results.length === 1) {
+    log.success(`Found a single release for ${kind} "${code}".`);
+    await handleTracks(db, 'release', results[0].id, flags);
+    return results;
+  }
+
+  log.success(
+    pagination.items > results.length
+      ? `Found ${pagination.items} release(s), showing the first ${results.length}:`
+      : `Found ${results.length} release(s):`,
+  );
+  log.divider(true);
+  for (const result of results) {
+    log.plain(formatResult(result));
+  }
+  log.plain('');
+  log.divider();
+  log.plain('');
+
+  if (pagination.items > results.length) {
+    log.info("Add 'label:<name>' to narrow the candidates.");
+  }
+
+  return results;
+}
@@ -0,0 +1,231 @@
+import {
+  buildMarketplaceUrl,
+  formatPrice,
+  getMarketplaceStats,
+  getMaster,
+  getPriceSuggestions,
+  getRelease,
+} from '../discogs.js';
+import { log } from '../logger.js';
+import { writeJsonOutput } from '../output.js';
+import { parseTracksArgs } from './tracks.js';
+
+/**
+ * Shown with every market lookup: the API has no listing search
+ */
+const LISTINGS_NOTE =
+  'Listings (condition, ships from) are not available through the Discogs API; open the link above to see them.';
+
+/**
+ * Round a price value to cents
+ * @param {number} value - Price value
+ * @returns {number}
+ */
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Build condition price list from price suggestions (pure function)
+ * @param {Object|null} suggestions - Prices keyed by condition name
+ * @returns {Array<{ condition: string, value: number, currency: string }>}
+ */
+export function buildConditionPrices(suggestions) {
+  return Object.entries(suggestions || {})
+    .filter(([, price]) => typeof price?.value === 'number')
+    .map(([condition, price]) => ({
+      condition,
+      value: roundPrice(price.value),
+      currency: price.currency || '',
+    }));
+}
+
+/**
+ * Build marketplace info from API responses (pure function)
+ * @param {string} type - 'master' or 'release'
+ * @param {number} id - Master or release ID
+ * @param {Object} data - Master or release data
+ * @param {Object|null} stats - Marketplace stats for the (main) release
+ * @param {Object|null} suggestions - Price suggestions for the (main) release
+ * @returns {Object} Marketplace info
+ */
+export function extractMarketInfo(type, id, data, stats, suggestions) {
+  const releaseId = type === 'master' ? data.main_release || null : id;
+
+  const info = {
+    releaseId,
+    artist: data.artists?.map((a) => a.name).join(', ') || 'Unknown Artist',
+    title: data.title || 'Untitled',
+    year: data.year || null,
+    lowestPrice: stats?.lowest_price || null,
+    numForSale: stats?.num_for_sale || 0,
+    blockedFromSale: Boolean(stats?.blocked_from_sale),
+    conditions: buildConditionPrices(suggestions),
+    url: buildMarketplaceUrl(type, id),
+  };
+
+  // Masters also report totals across every version
+  if (type === 'master') {
+    info.allVersions = {
+      numForSale: data.num_for_sale || 0,
+      lowestPrice:
+        typeof data.lowest_price === 'number'
+          ? { value: roundPrice(data.lowest_price), currency: '' }
+          : null,
+    };
+  }
+
+  return info;
+}
+
+/**
+ * Build market output JSON structure (pure function)
+ * @param {string} type - 'master' or 'release'
+ * @param {number} id - Resource ID
+ * @param {Object} marketInfo - Info from extractMarketInfo()
+ * @returns {Object} Structured output for JSON file
+ */
+export function buildMarketOutput(type, id, marketInfo) {
+  return {
+    type: 'market',
+    params: {
+      sourceType: type,
+      id,
+    },
+    result: marketInfo,
+  };
+}
+
+/**
+ * Fetch marketplace info for a master or release
+ * Masters are resolved to their main release for stats and price suggestions.
+ * @param {Object} db - Discogs database instance
+ * @param {Object} client - Discogs client instance
+ * @param {string} type - 'master' or 'release'
+ * @param {number} id - Master or release ID
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} Marketplace info or null if not found
+ */
+export async function fetchMarketInfo(db, client, type, id, verbose = false) {
+  const data =
+    type === 'master'
+      ? await getMaster(db, id, verbose)
+      : await getRelease(db, id, verbose);
+
+  if (!data) return null;
+
+  const releaseId = type === 'master' ? data.main_release : id;
+  const stats = releaseId
+    ? await getMarketplaceStats(client, releaseId, verbose)
+    : null;
+  const suggestions = releaseId
+    ? await getPriceSuggestions(client, releaseId, verbose)
+    : null;
+
+  return extractMarketInfo(type, id, data, stats, suggestions);
+}
+
+/**
+ * Market command definition
+ */
+export const marketCommand = {
+  name: 'market',
+  aliases: ['buy'],
+  minArgs: 1,
+  usage: 'market [type] <id>',
+  description:
+    'Show marketplace prices for a master or release and link to its listings',
+  handler: async (args, ctx) => {
+    const { type, id, error } = parseTracksArgs(
+      args,
+      ctx.sessionFlags.tracks_type,
+    );
+    if (error) {
+      log.error(error);
+      log.info(`Usage: ${marketCommand.usage}`);
+      return true;
+    }
+    await handleMarket(ctx.db, ctx.client, type, id, ctx.sessionFlags);
+    return true;
+  },
+};
+
+/**
+ * Handle market command - fetch marketplace stats and prices
+ * @param {Object} db - Discogs database instance
+ * @param {Object} client - Discogs client instance
+ * @param {string} type - 'master' or 'release'
+ * @param {string} id - Master or release ID
+ * @param {Object} flags - CLI flags
+ */
+export async function handleMarket(db, client, type, id, flags) {
+  const numId = parseInt(id, 10);
+
+  if (Number.isNaN(numId)) {
+    log.error('Invalid ID. Please provide a numeric ID.');
+    return;
+  }
+
+  log.plain('');
+  log.info(`Fetching marketplace info for ${type} #${numId}...`);
+
+  const marketInfo = await fetchMarketInfo(
+    db,
+    client,
+    type,
+    numId,
+    flags.verbose,
+  );
+
+  if (!marketInfo) {
+    log.warn(`Could not fetch ${type} #${numId}.`);
+    return;
+  }
+
+  displayMarketInfo(type, numId, marketInfo);
+  writeJsonOutput(buildMarketOutput(type, numId, marketInfo));
+}
+
+/**
+ * Display marketplace info to console
+ * @param {string} type - 'master' or 'release'
+ * @param {number} id - Resource ID
+ * @param {Object} marketInfo - Info from extractMarketInfo()
+ */
+function displayMarketInfo(type, id, marketInfo) {
+  const { artist, title, year, releaseId, url } = marketInfo;
+
+  log.success(
+    `Found: ${type} #${id} - ${artist} - ${title}${year ? ` (${year})` : ''}`,
+  );
+  log.info(`Buy: ${url}`);
+  log.divider(true);
+
+  if (type === 'master') {
+    const { numForSale, lowestPrice } = marketInfo.allVersions;
+    log.plain(
+      `  all versions:  ${numForSale} for sale, from ${formatPrice(lowestPrice)}`,
+    );
+    log.plain(`  main release:  #${releaseId || 'n/a'}`);
+  }
+
+  log.plain(`  for sale:      ${marketInfo.numForSale}`);
+  log.plain(`  lowest price:  ${formatPrice(marketInfo.lowestPrice)}`);
+
+  if (marketInfo.blockedFromSale) {
+    log.warn('This release is blocked from sale on Discogs.');
+  }
+
+  if (marketInfo.conditions.length) {
+    log.plain('');
+    log.header('Suggested prices by condition:\n');
+    for (const price of marketInfo.conditions) {
+      log.plain(`  ${price.condition.padEnd(32)} ${formatPrice(price)}`);
+    }
+  }
+
+  log.plain('');
+  log.info(LISTINGS_NOTE);
+  log.divider();
+  log.plain('');
+}
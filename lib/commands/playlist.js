@@ -0,0 +1,468 @@
+import { existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { describeAuthMethod } from '../auth.js';
+import { findOwnedCopies } from '../collection.js';
+import {
+  formatResult,
+  getMaster,
+  getRelease,
+  searchDiscogs,
+} from '../discogs.js';
+import { log } from '../logger.js';
+import {
+  findTrackInTracklist,
+  getReleaseEvidence,
+  normalizeIsrc,
+  rankCandidates,
+} from '../matching.js';
+import { writeJsonOutput } from '../output.js';
+import { readPlaylist } from '../playlist.js';
+import { fetchOwnedIndex } from './collection.js';
+import { buildMatch } from './search.js';
+
+/**
+ * Top-ranked candidates whose release details are checked for a track's
+ * ISRC and title
+ */
+const ISRC_CHECK_LIMIT = 3;
+
+/**
+ * Build the Discogs search query for a playlist track (pure function)
+ * @param {Object} track - Playlist track record
+ * @returns {string} Search query
+ */
+export function buildPlaylistQuery(track) {
+  return [track.artist, track.title].filter(Boolean).join(' ');
+}
+
+/**
+ * Merge search result lists, dropping repeated results (pure function)
+ * @param {...Array} lists - Discogs search results, in order of preference
+ * @returns {Array} Unique results, first occurrence kept
+ */
+export function mergeSearchResults(...lists) {
+  const seen = new Set();
+
+  return lists.flat().filter((result) => {
+    const key = `${result.type}/${result.id}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Build the tracklist position of a matched track (pure function)
+ * @param {{ track: Object, score: number }|null} found - From findTrackInTracklist()
+ * @returns {{ position: string, title: string, duration: string, score: number }|null}
+ */
+export function buildTrackPosition(found) {
+  if (!found) return null;
+
+  return {
+    position: found.track.position || '',
+    title: found.track.title || '',
+    duration: found.track.duration || '',
+    score: found.score,
+  };
+}
+
+/**
+ * Format a tracklist position for display (pure function)
+ * @param {Object} position - From buildTrackPosition()
+ * @returns {string} e.g. "B2 Rainbows & Waterfalls (6:12)"
+ */
+export function formatTrackPosition(position) {
+  const label = [position.position, position.title].filter(Boolean).join(' ');
+  return position.duration ? `${label} (${position.duration})` : label;
+}
+
+/**
+ * Build the match block for a ranked candidate (pure function)
+ * @param {Object} candidate - Ranked candidate from rankCandidates()
+ * @returns {Object} Match info with confidence, score breakdown, evidence
+ *   and tracklist position
+ */
+export function buildScoredMatch(candidate) {
+  return {
+    ...buildMatch(candidate.result),
+    title: candidate.result.title || '',
+    confidence: candidate.confidence,
+    scores: candidate.scores,
+    isrcConfirmed: Boolean(candidate.isrcConfirmed),
+    trackListed: Boolean(candidate.trackListed),
+    track: candidate.track || null,
+    ...(candidate.owned && { owned: candidate.owned }),
+  };
+}
+
+/**
+ * Build a stored candidate from a ranked search result (pure function)
+ * Keeps the fields formatResult() and buildMatch() need, so candidates can
+ * be shown and picked later without repeating the search.
+ * @param {Object} candidate - Ranked candidate from rankCandidates()
+ * @returns {Object} Candidate summary with confidence and scores
+ */
+export function buildCandidate(candidate) {
+  const { id, type, title, year, format, catno, uri } = candidate.result;
+
+  return {
+    id,
+    type: type || 'unknown',
+    title: title || '',
+    year: year || null,
+    format: format || [],
+    catno: catno || '',
+    uri,
+    confidence: candidate.confidence,
+    scores: candidate.scores,
+    isrcConfirmed: Boolean(candidate.isrcConfirmed),
+    trackListed: Boolean(candidate.trackListed),
+    ...(candidate.owned && { owned: candidate.owned }),
+  };
+}
+
+/**
+ * Attach the owned copies of each ranked candidate (pure function)
+ * @param {Array} ranked - Ranked candidates from rankCandidates()
+ * @param {Object|null} ownedIndex - From fetchOwnedIndex(), null when the
+ *   collection was not checked
+ * @returns {Array} Candidates with `owned` (possibly empty) when checked
+ */
+export function markOwned(ranked, ownedIndex) {
+  if (!ownedIndex) return ranked;
+
+  return ranked.map((candidate) => ({
+    ...candidate,
+    owned: findOwnedCopies(candidate.result, ownedIndex),
+  }));
+}
+
+/**
+ * Format an owned copy for display (pure function)
+ * @param {Object} copy - From findOwnedCopies()
+ * @returns {string} e.g. "Bonobo - Black Sands (Vinyl, LP, ZEN140) - this pressing"
+ */
+export function formatOwnedCopy(copy) {
+  const details = [copy.format, copy.catno].filter(Boolean).join(', ');
+  const pressing = copy.samePressing
+    ? 'this pressing'
+    : `release #${copy.releaseId}`;
+  return `${copy.title}${details ? ` (${details})` : ''} - ${pressing}`;
+}
+
+/**
+ * Build a single playlist output entry (pure function)
+ * @param {Object} track - Playlist track record
+ * @param {Array} ranked - Ranked candidates from rankCandidates(), best first
+ * @param {number} threshold - Confidence below which the row needs review
+ * @returns {Object} Track entry with CSV fields and match info
+ */
+export function buildPlaylistEntry(track, ranked, threshold) {
+  const [best] = ranked;
+
+  return {
+    line: track.line,
+    title: track.title,
+    artist: track.artist,
+    album: track.album,
+    isrc: track.isrc,
+    match: best ? buildScoredMatch(best) : null,
+    candidates: ranked.map(buildCandidate),
+    needsReview: !best || best.confidence < threshold,
+  };
+}
+
+/**
+ * Count matched, needs-review and already owned entries (pure function)
+ * @param {Array} entries - Playlist entries
+ * @returns {{ matched: number, needsReview: number, owned: number, total: number }}
+ */
+export function summarizePlaylist(entries) {
+  return {
+    matched: entries.filter((e) => e.match).length,
+    needsReview: entries.filter((e) => e.needsReview).length,
+    owned: entries.filter((e) => e.match?.owned?.length).length,
+    total: entries.length,
+  };
+}
+
+/**
+ * Build playlist output JSON structure (pure function)
+ * @param {string} file - Playlist file path
+ * @param {string} type - Search type used for matching
+ * @param {number} perPage - Results requested per track
+ * @param {number} threshold - Match confidence threshold
+ * @param {Array} entries - Playlist entries from buildPlaylistEntry()
+ * @param {Array} [errors] - Malformed CSV rows: { line, message }
+ * @returns {Object} Structured output for JSON file
+ */
+export function buildPlaylistOutput(
+  file,
+  type,
+  perPage,
+  threshold,
+  entries,
+  errors = [],
+) {
+  return {
+    type: 'playlist',
+    params: {
+      file,
+      searchType: type,
+      per_page: perPage,
+      threshold,
+    },
+    result: {
+      ...summarizePlaylist(entries),
+      tracks: entries,
+      errors,
+    },
+  };
+}
+
+/**
+ * Playlist command definition
+ */
+export const playlistCommand = {
+  name: 'playlist',
+  aliases: ['p'],
+  minArgs: 1,
+  usage: 'playlist <file.csv>',
+  description: 'Match every track in a playlist CSV against Discogs',
+  handler: async (args, ctx) => {
+    const outputFile = await handlePlaylist(
+      ctx.db,
+      ctx.client,
+      args.join(' '),
+      ctx.sessionFlags,
+    );
+    if (outputFile) {
+      ctx.lastPlaylistOutput = outputFile;
+      log.info("Type 'review' to go through low-confidence matches.");
+    }
+    return true;
+  },
+};
+
+/**
+ * Handle playlist command - search Discogs for each track in a CSV file
+ * When an authenticated client is given and `owned_check` is not off,
+ * matches are checked against the user's collection.
+ * @param {Object} db - Discogs database instance
+ * @param {Object|null} client - Discogs client instance, null to skip the
+ *   collection check
+ * @param {string} file - Path to playlist CSV
+ * @param {Object} flags - CLI flags
+ * @returns {Promise<string|undefined>} Path of the written JSON output
+ */
+export async function handlePlaylist(db, client, file, flags) {
+  const filePath = resolve(process.cwd(), file);
+
+  if (!existsSync(filePath)) {
+    log.error(`Playlist file not found: ${filePath}`);
+    return;
+  }
+
+  const { tracks, errors } = readPlaylist(filePath);
+
+  for (const { line, message } of errors) {
+    log.warn(`Skipping line ${line}: ${message}`);
+  }
+
+  if (tracks.length === 0) {
+    log.warn('No tracks found in playlist.');
+    return;
+  }
+
+  const type = flags.tracks_type || 'master';
+  const threshold = flags.match_threshold ?? 0.7;
+  const { per_page } = flags;
+
+  log.plain('');
+  log.info(`Matching ${tracks.length} track(s) from: ${filePath}`);
+  log.plain(`  search type: ${type}`);
+  log.plain(`  results per track: ${per_page}`);
+  log.plain(`  match threshold: ${threshold}`);
+
+  // Anonymous clients have no collection; skip without a login warning
+  const ownedIndex =
+    client && flags.owned_check !== false && describeAuthMethod(client.auth)
+      ? await fetchOwnedIndex(client, flags.verbose)
+      : null;
+  log.plain(
+    ownedIndex
+      ? `  owned check: ${ownedIndex.releases.size} release(s) in your collection\n`
+      : '  owned check: off\n',
+  );
+
+  const entries = [];
+
+  for (const [idx, track] of tracks.entries()) {
+    log.info(`[${idx + 1}/${tracks.length}] ${track.artist} - ${track.title}`);
+
+    const { results, ranked } = await matchTrack(db, track, flags, type);
+    const entry = buildPlaylistEntry(
+      track,
+      markOwned(ranked, ownedIndex),
+      threshold,
+    );
+
+    displayEntryMatch(entry, results);
+    entries.push(entry);
+  }
+
+  const output = buildPlaylistOutput(
+    filePath,
+    type,
+    per_page,
+    threshold,
+    entries,
+    errors,
+  );
+
+  log.divider(true);
+  log.success(
+    `Matched ${output.result.matched} of ${output.result.total} track(s)`,
+  );
+  if (output.result.needsReview) {
+    log.warn(`${output.result.needsReview} track(s) need review`);
+  }
+  if (output.result.owned) {
+    log.info(`${output.result.owned} track(s) already in your collection`);
+  }
+  log.plain('');
+
+  return writeJsonOutput(output);
+}
+
+/**
+ * Search and rank Discogs candidates for a playlist track
+ * Tracks with a valid ISRC are also searched by ISRC, and the top candidates'
+ * release details are checked for the ISRC and the exact track title. The
+ * best candidate gets the track's position on its tracklist.
+ * @param {Object} db - Discogs database instance
+ * @param {Object} track - Playlist track record
+ * @param {Object} flags - CLI flags (per_page, verbose)
+ * @param {string} type - Search type for the artist/title query
+ * @returns {Promise<{ results: Array, ranked: Array }>}
+ */
+export async function matchTrack(db, track, flags, type) {
+  const { per_page, verbose } = flags;
+  const isrc = normalizeIsrc(track.isrc);
+  const details = new Map();
+  const evidence = new Map();
+
+  let results = await searchDiscogs(
+    db,
+    buildPlaylistQuery(track),
+    type,
+    per_page,
+    verbose,
+  );
+
+  if (isrc) {
+    const isrcResults = await searchDiscogs(
+      db,
+      isrc,
+      'release',
+      per_page,
+      verbose,
+    );
+    results = mergeSearchResults(isrcResults, results);
+
+    for (const { result } of rankCandidates(track, results).slice(
+      0,
+      ISRC_CHECK_LIMIT,
+    )) {
+      const release = await fetchReleaseDetails(db, result, verbose);
+      details.set(result, release);
+      evidence.set(result, getReleaseEvidence(track, release));
+    }
+  }
+
+  const ranked = rankCandidates(track, results, evidence);
+
+  if (ranked.length) {
+    const [best] = ranked;
+    const release = details.has(best.result)
+      ? details.get(best.result)
+      : await fetchReleaseDetails(db, best.result, verbose);
+    ranked[0] = { ...best, track: locateTrack(track, release) };
+  }
+
+  return { results, ranked };
+}
+
+/**
+ * Find a playlist track's position in a release tracklist (pure function)
+ * @param {Object} track - Playlist track record
+ * @param {Object|null} release - Release or master details
+ * @returns {Object|null} Position from buildTrackPosition()
+ */
+export function locateTrack(track, release) {
+  return buildTrackPosition(
+    findTrackInTracklist(release?.tracklist, track.title),
+  );
+}
+
+/**
+ * Fetch a candidate's tracklist and find the playlist track on it
+ * @param {Object} db - Discogs database instance
+ * @param {Object} track - Playlist track record
+ * @param {Object} candidate - Search result or stored candidate ({ id, type })
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} Position from buildTrackPosition()
+ */
+export async function fetchTrackPosition(db, track, candidate, verbose) {
+  return locateTrack(track, await fetchReleaseDetails(db, candidate, verbose));
+}
+
+/**
+ * Fetch the release behind a search result; masters resolve to their main
+ * release, since only releases carry identifiers
+ * @param {Object} db - Discogs database instance
+ * @param {Object} result - Discogs search result
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} Release details or null
+ */
+async function fetchReleaseDetails(db, result, verbose) {
+  if (result.type !== 'master') return getRelease(db, result.id, verbose);
+
+  const master = await getMaster(db, result.id, verbose);
+  if (!master?.main_release) return master;
+  return (await getRelease(db, master.main_release, verbose)) || master;
+}
+
+/**
+ * Display the best match for a playlist entry
+ * @param {Object} entry - Entry from buildPlaylistEntry()
+ * @param {Array} results - Raw search results (for formatResult)
+ */
+function displayEntryMatch(entry, results) {
+  if (!entry.match) {
+    log.warn('No match found');
+    return;
+  }
+
+  const best = results.find((r) => r.id === entry.match.id);
+  const evidence = [
+    entry.match.isrcConfirmed && 'ISRC confirmed',
+    entry.match.trackListed && 'title on tracklist',
+  ].filter(Boolean);
+  log.plain(
+    `${formatResult(best)} (confidence: ${[entry.match.confidence, ...evidence].join(', ')})`,
+  );
+  log.plain(
+    entry.match.track
+      ? `  track: ${formatTrackPosition(entry.match.track)}`
+      : '  track: not found on the tracklist',
+  );
+  for (const copy of entry.match.owned || []) {
+    log.success(`  owned: ${formatOwnedCopy(copy)}`);
+  }
+
+  if (entry.needsReview) {
+    log.warn('Low confidence - needs review');
+  }
+}
@@ -1,18 +1,71 @@
+import { artistCommand } from './artist.js';
+import { loginCommand, logoutCommand, whoamiCommand } from './auth.js';
+import { buylistCommand } from './buylist.js';
+import { cacheCommand } from './cache.js';
 import { cleanCommand } from './clean.js';
+import {
+  collectCommand,
+  collectionCommand,
+  uncollectCommand,
+} from './collection.js';
 import { exitCommand } from './exit.js';
+import { fixturesCommand } from './fixtures.js';
 import { helpCommand } from './help.js';
-import { searchCommand } from './search.js';
+import { labelCommand, labelReleasesCommand } from './label.js';
+import { lookupCommand } from './lookup.js';
+import { marketCommand } from './market.js';
+import { playlistCommand } from './playlist.js';
+import { releasesCommand } from './releases.js';
+import { reviewCommand } from './review.js';
+import {
+  nextCommand,
+  pageCommand,
+  prevCommand,
+  searchCommand,
+} from './search.js';
 import { setCommand, settingsCommand } from './settings.js';
 import { tracksCommand } from './tracks.js';
+import { versionsCommand } from './versions.js';
+import {
+  unwantCommand,
+  wantCommand,
+  wantlistCommand,
+  wantlistPushCommand,
+} from './wantlist.js';
 
 /**
  * All command definitions
  */
 const commandList = [
   searchCommand,
+  nextCommand,
+  prevCommand,
+  pageCommand,
+  lookupCommand,
   tracksCommand,
+  versionsCommand,
+  artistCommand,
+  releasesCommand,
+  labelCommand,
+  labelReleasesCommand,
+  marketCommand,
+  playlistCommand,
+  reviewCommand,
+  buylistCommand,
+  collectionCommand,
+  collectCommand,
+  uncollectCommand,
+  wantCommand,
+  unwantCommand,
+  wantlistCommand,
+  wantlistPushCommand,
   settingsCommand,
   setCommand,
+  cacheCommand,
+  fixturesCommand,
+  loginCommand,
+  logoutCommand,
+  whoamiCommand,
   cleanCommand,
   helpCommand,
   exitCommand,
@@ -0,0 +1,316 @@
+import { buildDiscogsUrl, getArtistReleases } from '../discogs.js';
+import { log } from '../logger.js';
+import { writeJsonOutput } from '../output.js';
+
+/**
+ * Sort keys supported by the artist releases endpoint
+ */
+const RELEASE_SORTS = ['year', 'title', 'format'];
+
+/**
+ * Sort orders supported by the artist releases endpoint
+ */
+const SORT_ORDERS = ['asc', 'desc'];
+
+/**
+ * Role filter names (lowercase) mapped to Discogs role values
+ * The API does not filter by role, so filtering happens client-side.
+ */
+const RELEASE_ROLES = {
+  main: 'Main',
+  remix: 'Remix',
+  appearance: 'Appearance',
+  trackappearance: 'TrackAppearance',
+};
+
+/**
+ * Largest page size the API allows, used when walking every page
+ */
+const MAX_PER_PAGE = 100;
+
+/**
+ * Parse releases command arguments (pure function)
+ * After the artist ID, words are recognized by value in any order:
+ * a role, a sort key, a sort order, or a page number.
+ * @param {string[]} args - Command arguments
+ * @returns {{ artistId?: string, page?: number, sort?: string, order?: string, role?: string|null, error?: string, hint?: string }}
+ */
+export function parseReleasesArgs(args) {
+  const [artistId, ...rest] = args;
+
+  if (!artistId) {
+    return {
+      error: 'Please provide an artist ID',
+      hint: 'Usage: releases <artistId> [role] [sort] [asc|desc] [page]',
+    };
+  }
+
+  const options = { artistId, page: 1, sort: 'year', order: 'asc', role: null };
+
+  for (const arg of rest) {
+    const word = arg.toLowerCase();
+
+    if (RELEASE_ROLES[word]) {
+      options.role = RELEASE_ROLES[word];
+    } else if (RELEASE_SORTS.includes(word)) {
+      options.sort = word;
+    } else if (SORT_ORDERS.includes(word)) {
+      options.order = word;
+    } else if (/^\d+$/.test(word) && parseInt(word, 10) > 0) {
+      options.page = parseInt(word, 10);
+    } else {
+      return {
+        error: `Invalid option '${arg}'`,
+        hint: `Roles: ${Object.keys(RELEASE_ROLES).join(', ')}; sort: ${RELEASE_SORTS.join(', ')}; order: asc, desc; or a page number`,
+      };
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Keep only releases with the given role (pure function)
+ * @param {Array} releases - Artist releases from API
+ * @param {string|null} role - Discogs role value, or null for all
+ * @returns {Array} Filtered releases
+ */
+export function filterByRole(releases, role) {
+  return role ? releases.filter((r) => r.role === role) : releases;
+}
+
+/**
+ * Slice one page out of a full list (pure function)
+ * @param {Array} items - All items
+ * @param {number} page - Page number (1-based)
+ * @param {number} perPage - Items per page
+ * @returns {{ items: Array, pagination: { page: number, pages: number, per_page: number, items: number } }}
+ */
+export function paginate(items, page, perPage) {
+  const pages = Math.max(1, Math.ceil(items.length / perPage));
+  const start = (page - 1) * perPage;
+
+  return {
+    items: items.slice(start, start + perPage),
+    pagination: { page, pages, per_page: perPage, items: items.length },
+  };
+}
+
+/**
+ * Format an artist release for display (pure function)
+ * @param {Object} release - Artist release from API
+ * @returns {string} Formatted string
+ */
+export function formatArtistRelease(release) {
+  const parts = [
+    release.id,
+    release.type,
+    release.year,
+    `${release.artist} - ${release.title}`,
+    release.format,
+    release.role,
+  ].filter(Boolean);
+  return `  ${parts.join(' | ')}`;
+}
+
+/**
+ * Build the command that shows another page of the same listing (pure function)
+ * @param {Object} options - Parsed releases options
+ * @param {number} page - Page to show
+ * @returns {string} e.g. "releases 1289 remix 2"
+ */
+export function buildReleasesCommand(options, page) {
+  const role = Object.keys(RELEASE_ROLES).find(
+    (key) => RELEASE_ROLES[key] === options.role,
+  );
+  const sort = options.sort !== 'year' ? options.sort : null;
+  const order = options.order !== 'asc' ? options.order : null;
+
+  return ['releases', options.artistId, role, sort, order, page]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Build releases output JSON structure (pure function)
+ * @param {number} artistId - Artist ID
+ * @param {Object} options - Parsed releases options
+ * @param {Object} listing - { releases, pagination } for the shown page
+ * @returns {Object} Structured output for JSON file
+ */
+export function buildReleasesOutput(artistId, options, listing) {
+  return {
+    type: 'releases',
+    params: {
+      artistId,
+      sort: options.sort,
+      order: options.order,
+      role: options.role,
+      page: listing.pagination.page,
+      per_page: listing.pagination.per_page,
+    },
+    result: {
+      pagination: listing.pagination,
+      releases: listing.releases.map((release) => ({
+        id: release.id,
+        type: release.type || 'release',
+        title: release.title || '',
+        artist: release.artist || '',
+        year: release.year || null,
+        role: release.role || '',
+        format: release.format || '',
+        label: release.label || '',
+        url: buildDiscogsUrl(release.type || 'release', release.id),
+      })),
+    },
+  };
+}
+
+/**
+ * Fetch one page of an artist's releases
+ * Without a role filter, the API pages directly. With a role filter, every
+ * page is fetched and filtered first, so pages only contain that role.
+ * @param {Object} db - Discogs database instance
+ * @param {number} artistId - Artist ID
+ * @param {Object} options - { page, perPage, sort, order, role }
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { releases, pagination } or null on error
+ */
+export async function fetchArtistReleases(
+  db,
+  artistId,
+  { page, perPage, sort, order, role },
+  verbose = false,
+) {
+  const params = { sort, sort_order: order };
+
+  if (!role) {
+    const data = await getArtistReleases(
+      db,
+      artistId,
+      { ...params, page, per_page: perPage },
+      verbose,
+    );
+    if (!data) return null;
+
+    return {
+      releases: data.releases || [],
+      pagination: {
+        page,
+        pages: data.pagination?.pages || 1,
+        per_page: perPage,
+        items: data.pagination?.items ?? (data.releases || []).length,
+      },
+    };
+  }
+
+  const all = [];
+  let apiPage = 1;
+  let apiPages = 1;
+
+  do {
+    const data = await getArtistReleases(
+      db,
+      artistId,
+      { ...params, page: apiPage, per_page: MAX_PER_PAGE },
+      verbose,
+    );
+    if (!data) return null;
+
+    all.push(...filterByRole(data.releases || [], role));
+    apiPages = data.pagination?.pages || 1;
+    apiPage++;
+  } while (apiPage <= apiPages);
+
+  const { items, pagination } = paginate(all, page, perPage);
+  return { releases: items, pagination };
+}
+
+/**
+ * Releases command definition
+ */
+export const releasesCommand = {
+  name: 'releases',
+  aliases: ['rel'],
+  minArgs: 1,
+  usage: 'releases <artistId> [role] [sort] [asc|desc] [page]',
+  description: "Browse an artist's releases with sort, role filter and pages",
+  handler: async (args, ctx) => {
+    const options = parseReleasesArgs(args);
+    if (options.error) {
+      log.error(options.error);
+      if (options.hint) log.info(options.hint);
+      return true;
+    }
+    await handleReleases(ctx.db, options, ctx.sessionFlags);
+    return true;
+  },
+};
+
+/**
+ * Handle releases command - list one page of an artist's discography
+ * @param {Object} db - Discogs database instance
+ * @param {Object} options - Parsed options from parseReleasesArgs()
+ * @param {Object} flags - CLI flags (per_page, verbose)
+ */
+export async function handleReleases(db, options, flags) {
+  const artistId = parseInt(options.artistId, 10);
+
+  if (Number.isNaN(artistId)) {
+    log.error('Invalid ID. Please provide a numeric ID.');
+    return;
+  }
+
+  const perPage = flags.per_page || 5;
+  const { page, sort, order, role } = options;
+
+  log.plain('');
+  log.info(`Fetching releases for artist #${artistId}...`);
+  log.plain(`  sort: ${sort} ${order}`);
+  log.plain(`  role: ${role || 'all'}`);
+  log.plain(`  results per page: ${perPage}\n`);
+
+  const listing = await fetchArtistReleases(
+    db,
+    artistId,
+    { page, perPage, sort, order, role },
+    flags.verbose,
+  );
+
+  if (!listing) {
+    log.warn(`Could not fetch releases for artist #${artistId}.`);
+    return;
+  }
+
+  const { releases, pagination } = listing;
+
+  if (releases.length === 0) {
+    log.warn(
+      pagination.items
+        ? `No releases on page ${page} (${pagination.pages} page(s)).`
+        : 'No releases found :(',
+    );
+    return;
+  }
+
+  log.success(
+    `Page ${pagination.page} of ${pagination.pages} (${pagination.items} release(s)):`,
+  );
+  log.divider(true);
+  for (const release of releases) {
+    log.plain(formatArtistRelease(release));
+  }
+  log.plain('');
+  log.divider();
+  log.plain('');
+
+  if (pagination.page < pagination.pages) {
+    log.info(
+      `Type '${buildReleasesCommand(options, pagination.page + 1)}' for the next page.`,
+    );
+  }
+
+  writeJsonOutput(buildReleasesOutput(artistId, options, listing));
+}
+
+export { RELEASE_ROLES, RELEASE_SORTS };
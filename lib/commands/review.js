@@ -0,0 +1,256 @@
+import { existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { input, select } from '@inquirer/prompts';
+import { describeAuthMethod } from '../auth.js';
+import { formatResult, searchDiscogs } from '../discogs.js';
+import { log, writeLog } from '../logger.js';
+import { rankCandidates } from '../matching.js';
+import { readJsonOutput, updateJsonOutput } from '../output.js';
+import { fetchOwnedIndex } from './collection.js';
+import {
+  buildCandidate,
+  buildPlaylistQuery,
+  buildScoredMatch,
+  fetchTrackPosition,
+  markOwned,
+  summarizePlaylist,
+} from './playlist.js';
+
+/**
+ * Non-candidate choices offered for each reviewed track
+ */
+const REVIEW_ACTIONS = {
+  search: '__search',
+  skip: '__skip',
+  stop: '__stop',
+};
+
+/**
+ * Get playlist entries that still need a review decision (pure function)
+ * Entries with a recorded `review` (picked or skipped) are not asked again.
+ * @param {Array} entries - Playlist output entries
+ * @returns {Array} Entries to review
+ */
+export function getReviewQueue(entries) {
+  return entries.filter((entry) => entry.needsReview && !entry.review);
+}
+
+/**
+ * Build select choices for a track under review (pure function)
+ * @param {Object} entry - Playlist entry
+ * @returns {Array<{ name: string, value: number|string }>}
+ */
+export function buildReviewChoices(entry) {
+  const choices = entry.candidates.map((candidate, idx) => ({
+    name: `${formatResult(candidate).trim()} (confidence: ${candidate.confidence})`,
+    value: idx,
+  }));
+
+  choices.push(
+    { name: 'Search again with a refined query', value: REVIEW_ACTIONS.search },
+    { name: 'Skip this track', value: REVIEW_ACTIONS.skip },
+    { name: '← Stop reviewing', value: REVIEW_ACTIONS.stop },
+  );
+
+  return choices;
+}
+
+/**
+ * Record a picked candidate as the entry's match (pure function)
+ * @param {Object} entry - Playlist entry
+ * @param {Object} candidate - Chosen candidate from entry.candidates, with
+ *   its tracklist `track` position when known
+ * @param {string} reviewedAt - ISO timestamp of the decision
+ * @param {string|null} [query] - Refined query that produced the candidate
+ * @returns {Object} Updated entry
+ */
+export function applyPick(entry, candidate, reviewedAt, query = null) {
+  return {
+    ...entry,
+    match: buildScoredMatch({
+      result: candidate,
+      confidence: candidate.confidence,
+      scores: candidate.scores,
+      isrcConfirmed: candidate.isrcConfirmed,
+      trackListed: candidate.trackListed,
+      track: candidate.track,
+      owned: candidate.owned,
+    }),
+    needsReview: false,
+    review: { status: 'picked', query, reviewedAt },
+  };
+}
+
+/**
+ * Record a skipped entry so it is not asked again (pure function)
+ * @param {Object} entry - Playlist entry
+ * @param {string} reviewedAt - ISO timestamp of the decision
+ * @returns {Object} Updated entry
+ */
+export function applySkip(entry, reviewedAt) {
+  return { ...entry, review: { status: 'skipped', reviewedAt } };
+}
+
+/**
+ * Review command definition
+ */
+export const reviewCommand = {
+  name: 'review',
+  aliases: ['r'],
+  minArgs: 0,
+  usage: 'review [playlist.json]',
+  description: 'Review low-confidence playlist matches',
+  handler: async (args, ctx) => {
+    const file = args.length ? args.join(' ') : ctx.lastPlaylistOutput;
+    if (!file) {
+      log.error('No playlist output to review.');
+      log.info('Run playlist <file.csv> first, or pass a playlist JSON file.');
+      return true;
+    }
+    await handleReview(ctx.db, ctx.client, file, ctx.sessionFlags);
+    return true;
+  },
+};
+
+/**
+ * Handle review command - walk through tracks below the match threshold
+ * Each decision is written back to the playlist JSON immediately.
+ * Refined searches are checked against the collection like `playlist` runs.
+ * @param {Object} db - Discogs database instance
+ * @param {Object|null} client - Discogs client instance, null to skip the
+ *   collection check
+ * @param {string} file - Path to a playlist JSON output
+ * @param {Object} flags - Session flags
+ */
+export async function handleReview(db, client, file, flags) {
+  const filePath = resolve(process.cwd(), file);
+
+  if (!existsSync(filePath)) {
+    log.error(`Playlist output not found: ${filePath}`);
+    return;
+  }
+
+  let output;
+  try {
+    output = readJsonOutput(filePath);
+  } catch {
+    log.error(`Not a valid JSON output file: ${filePath}`);
+    return;
+  }
+
+  if (output?.type !== 'playlist') {
+    log.error(`Not a playlist output file: ${filePath}`);
+    return;
+  }
+
+  const tracks = output.result.tracks;
+  const queue = getReviewQueue(tracks);
+
+  if (queue.length === 0) {
+    log.success('Nothing to review - all matches are confirmed.');
+    return;
+  }
+
+  log.info(`${queue.length} track(s) need review in: ${filePath}`);
+  const searchFlags = { ...flags, tracks_type: output.params.searchType };
+
+  // Fetched once per run; anonymous clients have no collection
+  const ownedIndex =
+    client && flags.owned_check !== false && describeAuthMethod(client.auth)
+      ? await fetchOwnedIndex(client, flags.verbose)
+      : null;
+
+  try {
+    for (const [idx, entry] of queue.entries()) {
+      log.divider(true);
+      log.header(`[${idx + 1}/${queue.length}] ${describeEntry(entry)}`);
+
+      const updated = await reviewEntry(db, entry, searchFlags, ownedIndex);
+      if (!updated) break;
+
+      tracks[tracks.indexOf(entry)] = updated;
+      Object.assign(output.result, summarizePlaylist(tracks));
+      updateJsonOutput(filePath, output);
+      writeLog(`Review: line ${entry.line} ${updated.review.status}`);
+    }
+  } catch (error) {
+    // User cancelled (Ctrl+C); decisions so far are already saved
+    if (error.name !== 'ExitPromptError') throw error;
+  }
+
+  const remaining = getReviewQueue(tracks).length;
+  log.divider(true);
+  log.success(`Review saved to: ${filePath}`);
+  if (remaining) {
+    log.info(`${remaining} track(s) left to review.`);
+  }
+}
+
+/**
+ * Describe a playlist entry for the review header
+ * @param {Object} entry - Playlist entry
+ * @returns {string}
+ */
+function describeEntry(entry) {
+  const album = entry.album ? ` (${entry.album})` : '';
+  return `${entry.artist} - ${entry.title}${album}`;
+}
+
+/**
+ * Prompt for a decision on one entry, re-searching as often as requested
+ * @param {Object} db - Discogs database instance
+ * @param {Object} entry - Playlist entry
+ * @param {Object} flags - Session flags (tracks_type, per_page, verbose)
+ * @param {Object|null} ownedIndex - From fetchOwnedIndex(), null when the
+ *   collection is not checked
+ * @returns {Promise<Object|null>} Updated entry, or null to stop reviewing
+ */
+async function reviewEntry(db, entry, flags, ownedIndex) {
+  let current = entry;
+  let query = null;
+
+  while (true) {
+    if (current.candidates.length === 0) {
+      log.warn('No candidates found.');
+    }
+
+    const choice = await select({
+      message: 'Pick a match:',
+      choices: buildReviewChoices(current),
+    });
+
+    if (choice === REVIEW_ACTIONS.stop) return null;
+
+    const reviewedAt = new Date().toISOString();
+
+    if (choice === REVIEW_ACTIONS.skip) return applySkip(current, reviewedAt);
+
+    if (choice !== REVIEW_ACTIONS.search) {
+      const candidate = current.candidates[choice];
+      const track = await fetchTrackPosition(
+        db,
+        current,
+        candidate,
+        flags.verbose,
+      );
+      return applyPick(current, { ...candidate, track }, reviewedAt, query);
+    }
+
+    query = await input({
+      message: 'Search query:',
+      default: query || buildPlaylistQuery(current),
+    });
+
+    const results = await searchDiscogs(
+      db,
+      query,
+      flags.tracks_type || 'master',
+      flags.per_page,
+      flags.verbose,
+    );
+    const ranked = markOwned(rankCandidates(current, results), ownedIndex);
+    current = { ...current, candidates: ranked.map(buildCandidate) };
+  }
+}
+
+export { REVIEW_ACTIONS };
@@ -1,10 +1,25 @@
 import {
   buildDiscogsUrlFromUri,
   formatResult,
-  searchDiscogs,
+  searchDiscogsPage,
 } from '../discogs.js';
 import { log } from '../logger.js';
 import { writeJsonOutput } from '../output.js';
+import { SEARCH_FIELDS, SETTINGS_SCHEMA } from './settings.js';
+
+/**
+ * Build the match block for a Discogs search result (pure function)
+ * @param {Object} result - Search result from API
+ * @returns {Object} Match info: type, year, url, id
+ */
+export function buildMatch(result) {
+  return {
+    type: result.type || 'unknown',
+    year: result.year || null,
+    url: buildDiscogsUrlFromUri(result.uri),
+    id: result.id,
+  };
+}
 
 /**
  * Build search output JSON structure (pure function)
@@ -12,33 +27,206 @@ import { writeJsonOutput } from '../output.js';
  * @param {string|null} type - Search type filter
  * @param {number} perPage - Results per page
  * @param {Array} results - Search results from API
+ * @param {Object|null} pagination - { page, lastPage, pages, per_page, items }
+ * @param {Object} fields - Search field filters in use (artist, year, ...)
  * @returns {Object} Structured output for JSON file
  */
-export function buildSearchOutput(query, type, perPage, results) {
+export function buildSearchOutput(
+  query,
+  type,
+  perPage,
+  results,
+  pagination = null,
+  fields = {},
+) {
   return {
     type: 'search',
     params: {
       query,
       searchType: type,
       per_page: perPage,
+      ...fields,
     },
     result: {
+      pagination,
       tracks: results.map((result) => ({
         title: result.title || '',
         artist: result.title?.split(' - ')[0] || '',
         album: '',
         isrc: '',
-        match: {
-          type: result.type || 'unknown',
-          year: result.year || null,
-          url: buildDiscogsUrlFromUri(result.uri),
-          id: result.id,
-        },
+        match: buildMatch(result),
       })),
     },
   };
 }
 
+/**
+ * Pick the search field filters set in session flags (pure function)
+ * @param {Object} flags - Session or CLI flags
+ * @returns {Object} Non-empty search fields, e.g. { artist: 'Bonobo' }
+ */
+export function pickSearchFields(flags) {
+  const fields = {};
+  for (const key of Object.keys(SEARCH_FIELDS)) {
+    if (flags[key]) fields[key] = flags[key];
+  }
+  return fields;
+}
+
+/**
+ * Parse search arguments into a free-text query and field filters (pure function)
+ * Words like `artist:"Bonobo"` or `year:2010-2015` become fields; anything
+ * else, including unknown `key:value` words, stays in the query.
+ * @param {string[]} args - Command arguments
+ * @returns {{ query?: string, fields?: Object, error?: string, hint?: string }}
+ */
+export function parseSearchArgs(args) {
+  const words = [];
+  const fields = {};
+
+  for (const arg of args) {
+    const match = /^([a-z_]+):(.*)$/i.exec(arg);
+    const key = match?.[1].toLowerCase();
+
+    if (!match || !SEARCH_FIELDS[key]) {
+      words.push(arg);
+      continue;
+    }
+
+    const value = match[2].replace(/^"|"$/g, '').trim();
+    const schema = SETTINGS_SCHEMA[key];
+
+    if (!value || !schema.validate(value)) {
+      return {
+        error: `Invalid ${key} filter '${match[2]}'`,
+        hint: schema.errorMsg,
+      };
+    }
+    fields[key] = schema.transform(value);
+  }
+
+  return { query: words.join(' '), fields };
+}
+
+/**
+ * Split a year range out of the search fields (pure function)
+ * The search API only takes a single year, so ranges are applied to results.
+ * @param {Object} fields - Search fields
+ * @returns {{ apiFields: Object, yearRange: { from: number, to: number }|null }}
+ */
+export function splitYearRange(fields) {
+  if (!fields.year?.includes('-')) {
+    return { apiFields: fields, yearRange: null };
+  }
+
+  const { year, ...apiFields } = fields;
+  const [from, to] = year.split('-').map(Number);
+  return { apiFields, yearRange: { from, to } };
+}
+
+/**
+ * Check whether a search result falls in a year range (pure function)
+ * @param {Object} result - Search result from API
+ * @param {{ from: number, to: number }|null} yearRange
+ * @returns {boolean}
+ */
+export function isInYearRange(result, yearRange) {
+  if (!yearRange) return true;
+  const year = parseInt(result.year, 10);
+  return year >= yearRange.from && year <= yearRange.to;
+}
+
+/**
+ * Resolve the page a paging command should fetch (pure function)
+ * @param {Object|null} lastSearch - Session search state from handleSearch()
+ * @param {string} target - 'next', 'prev' or a page number
+ * @returns {{ page?: number, error?: string, hint?: string }}
+ */
+export function resolveSearchPage(lastSearch, target) {
+  if (!lastSearch) {
+    return {
+      error: 'No search to page through',
+      hint: "Type 'search <query>' first.",
+    };
+  }
+
+  const { page, pages } = lastSearch;
+
+  if (target === 'next') {
+    return page < pages
+      ? { page: page + 1 }
+      : { error: `Already on the last page (${pages})` };
+  }
+
+  if (target === 'prev') {
+    return page > 1
+      ? { page: page - 1 }
+      : { error: 'Already on the first page' };
+  }
+
+  const number = parseInt(target, 10);
+  if (!/^\d+$/.test(target) || number < 1 || number > pages) {
+    return {
+      error: `Invalid page '${target}'`,
+      hint: `Pick a page from 1 to ${pages}.`,
+    };
+  }
+
+  return { page: number };
+}
+
+/**
+ * Fetch one or more consecutive pages of search results
+ * @param {Object} db - Discogs database instance
+ * @param {string} query - Search query
+ * @param {Object} options - { type, perPage, page, pages, fields } (pages may be Infinity)
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { results, hidden, pagination } or null on
+ *   error; `hidden` counts results dropped by a year range
+ */
+export async function fetchSearchPages(
+  db,
+  query,
+  { type, perPage, page, pages, fields = {} },
+  verbose = false,
+) {
+  const { apiFields, yearRange } = splitYearRange(fields);
+  const results = [];
+  let hidden = 0;
+  let current = page;
+  let last = page;
+  let total;
+
+  do {
+    const data = await searchDiscogsPage(
+      db,
+      query,
+      { type, page: current, per_page: perPage, ...apiFields },
+      verbose,
+    );
+    if (!data) return null;
+
+    const inRange = data.results.filter((r) => isInYearRange(r, yearRange));
+    results.push(...inRange);
+    hidden += data.results.length - inRange.length;
+    total = data.pagination;
+    last = Math.min(page + pages - 1, total.pages);
+    current++;
+  } while (current <= last);
+
+  return {
+    results,
+    hidden,
+    pagination: {
+      page,
+      lastPage: Math.max(page, last),
+      pages: total.pages,
+      per_page: perPage,
+      items: total.items,
+    },
+  };
+}
+
 /**
  * Search command definition
  */
@@ -46,7 +234,7 @@ export const searchCommand = {
   name: 'search',
   aliases: ['s'],
   minArgs: 0,
-  usage: 'search <query>',
+  usage: 'search <query> [field:value ...]',
   description: 'Search Discogs for releases or artists',
   handler: async (args, ctx) => {
     if (args.length === 0) {
@@ -54,12 +242,101 @@ export const searchCommand = {
       log.info(`Search Discogs with current settings\n`);
       log.plain(`  search type: ${type}`);
       log.plain(`  results per page: ${ctx.sessionFlags.per_page}`);
+      for (const [key, value] of Object.entries(
+        pickSearchFields(ctx.sessionFlags),
+      )) {
+        log.plain(`  ${key}: ${value}`);
+      }
       log.plain('');
-      log.plain('  usage: search <query>');
+      log.plain('  usage: search <query> [field:value ...]');
+      log.plain(`  fields: ${Object.keys(SEARCH_FIELDS).join(', ')}`);
       log.plain('  example: search Daft Punk');
+      log.plain(
+        '  example: search artist:"Bonobo" format:Vinyl year:2010-2015',
+      );
+      return true;
+    }
+
+    const parsed = parseSearchArgs(args);
+    if (parsed.error) {
+      log.error(parsed.error);
+      if (parsed.hint) log.info(parsed.hint);
       return true;
     }
-    await handleSearch(ctx.db, args.join(' '), ctx.sessionFlags);
+
+    // Inline fields override the session filters for this search
+    const fields = { ...pickSearchFields(ctx.sessionFlags), ...parsed.fields };
+    ctx.lastSearch =
+      (await handleSearch(ctx.db, parsed.query, ctx.sessionFlags, {
+        fields,
+      })) || null;
+    return true;
+  },
+};
+
+/**
+ * Show another page of the last search, keeping its type and page size
+ * @param {Object} ctx - Session context
+ * @param {string} target - 'next', 'prev' or a page number
+ */
+async function showSearchPage(ctx, target) {
+  const resolved = resolveSearchPage(ctx.lastSearch, target);
+  if (resolved.error) {
+    log.error(resolved.error);
+    if (resolved.hint) log.info(resolved.hint);
+    return;
+  }
+
+  const { query, type, perPage, fields } = ctx.lastSearch;
+  const flags = { ...ctx.sessionFlags, type, per_page: perPage };
+  const state = await handleSearch(ctx.db, query, flags, {
+    page: resolved.page,
+    fields,
+  });
+  if (state) ctx.lastSearch = state;
+}
+
+/**
+ * Next page command definition
+ */
+export const nextCommand = {
+  name: 'next',
+  aliases: ['n'],
+  minArgs: 0,
+  usage: 'next',
+  description: 'Show the next page of the last search',
+  handler: async (_args, ctx) => {
+    await showSearchPage(ctx, 'next');
+    return true;
+  },
+};
+
+/**
+ * Previous page command definition
+ */
+export const prevCommand = {
+  name: 'prev',
+  aliases: ['previous'],
+  minArgs: 0,
+  usage: 'prev',
+  description: 'Show the previous page of the last search',
+  handler: async (_args, ctx) => {
+    await showSearchPage(ctx, 'prev');
+    return true;
+  },
+};
+
+/**
+ * Page command definition
+ */
+export const pageCommand = {
+  name: 'page',
+  aliases: [],
+  minArgs: 1,
+  usage: 'page <n>',
+  description: 'Jump to a page of the last search',
+  handler: async (args, ctx) => {
+    await showSearchPage(ctx, args[0]);
     return true;
   },
 };
@@ -69,24 +346,52 @@ export const searchCommand = {
  * @param {Object} db - Discogs database instance
  * @param {string} query - Search query
  * @param {Object} flags - CLI flags
+ * @param {Object} options - { page, pages, fields }: first page, how many to
+ *   collect, and search fields (defaults to the fields set in flags)
+ * @returns {Promise<Object|undefined>} Search state for paging, or undefined
  */
-export async function handleSearch(db, query, flags) {
+export async function handleSearch(db, query, flags, options = {}) {
   const { type, per_page, verbose } = flags;
+  const { page = 1, pages = 1 } = options;
+  const fields = options.fields ?? pickSearchFields(flags);
 
   log.plain('');
   log.info(
-    `Starting${type ? ` '${type}'` : ''} search on Discogs for: "${query}" ...`,
+    `Starting${type ? ` '${type}'` : ''} search on Discogs for: ${query ? `"${query}"` : 'the given filters'} ...`,
   );
+  for (const [key, value] of Object.entries(fields)) {
+    log.plain(`  ${key}: ${value}`);
+  }
   log.plain(`  results per page: ${per_page}`);
+  log.plain(`  page: ${page}`);
+  if (pages > 1) {
+    log.plain(`  pages to collect: ${Number.isFinite(pages) ? pages : 'all'}`);
+  }
   log.plain(`  verbose mode: ${verbose ? 'on' : 'off'}\n`);
 
-  const results = await searchDiscogs(db, query, type, per_page, verbose);
+  const data = await fetchSearchPages(
+    db,
+    query,
+    { type, perPage: per_page, page, pages, fields },
+    verbose,
+  );
+  const results = data?.results || [];
 
   if (results.length === 0) {
     log.warn('No results found :(');
+
+    // A year range can empty a page while later pages still match
+    if (data?.hidden && data.pagination.lastPage < data.pagination.pages) {
+      log.info(
+        `${data.hidden} result(s) outside year ${fields.year} were left out. Type 'next' for the next page.`,
+      );
+      return buildSearchState(query, type, fields, data.pagination);
+    }
     return;
   }
 
+  const { pagination } = data;
+
   // Display results
   log.success(`Found ${results.length} result(s):`);
   log.divider(true);
@@ -97,7 +402,57 @@ export async function handleSearch(db, query, flags) {
   log.divider();
   log.plain('');
 
+  log.info(
+    pagination.lastPage > pagination.page
+      ? `Pages ${pagination.page}-${pagination.lastPage} of ${pagination.pages} (${pagination.items} result(s) in total).`
+      : `Page ${pagination.page} of ${pagination.pages} (${pagination.items} result(s) in total).`,
+  );
+  if (data.hidden) {
+    log.info(
+      `${data.hidden} result(s) outside year ${fields.year} were left out.`,
+    );
+  }
+  if (pagination.lastPage < pagination.pages) {
+    log.info("Type 'next' for the next page, or 'page <n>' to jump.");
+  }
+
+  // Artist and label results can be opened directly from the session
+  if (results.some((result) => result.type === 'artist')) {
+    log.info("Type 'artist <id>' to see an artist's details.");
+  }
+  if (results.some((result) => result.type === 'label')) {
+    log.info("Type 'label <id>' to see a label's details.");
+  }
+
   // Build and write JSON output
-  const output = buildSearchOutput(query, type, per_page, results);
+  const output = buildSearchOutput(
+    query,
+    type,
+    per_page,
+    results,
+    pagination,
+    fields,
+  );
   writeJsonOutput(output);
+
+  return buildSearchState(query, type, fields, pagination);
+}
+
+/**
+ * Build the session state used by next/prev/page
+ * @param {string} query - Search query
+ * @param {string|null} type - Search type filter
+ * @param {Object} fields - Search fields
+ * @param {Object} pagination - Pagination from fetchSearchPages()
+ * @returns {Object} { query, type, fields, perPage, page, pages }
+ */
+function buildSearchState(query, type, fields, pagination) {
+  return {
+    query,
+    type,
+    fields,
+    perPage: pagination.per_page,
+    page: pagination.lastPage,
+    pages: pagination.pages,
+  };
 }
@@ -1,5 +1,6 @@
 import { input, select } from '@inquirer/prompts';
 import { log, writeLog } from '../logger.js';
+import { formatRateLimit, getRateLimit } from '../ratelimit.js';
 
 /**
  * Valid search types for Discogs
@@ -11,6 +12,56 @@ const VALID_TYPES = ['artist', 'release', 'master', 'label'];
  */
 const VALID_OUTPUT_FORMATS = ['human', 'csv', 'pipe', 'markdown'];
 
+/**
+ * Discogs search fields that can be set as session filters or given inline
+ * (e.g. `search artist:Bonobo year:2010-2015`), mapped to their labels
+ */
+const SEARCH_FIELDS = {
+  artist: 'Artist',
+  release_title: 'Release Title',
+  track: 'Track',
+  label: 'Label',
+  genre: 'Genre',
+  style: 'Style',
+  country: 'Country',
+  year: 'Year',
+  format: 'Format',
+  catno: 'Catalog Number',
+  barcode: 'Barcode',
+};
+
+/**
+ * Check a year filter: a single year (2010) or an ascending range (2010-2015)
+ * @param {string} value - Year filter
+ * @returns {boolean}
+ */
+function isValidYear(value) {
+  const match = /^(\d{4})(?:-(\d{4}))?$/.exec(value);
+  return Boolean(match) && (!match[2] || match[1] <= match[2]);
+}
+
+/**
+ * Build the settings entry for a search field filter
+ * "none" or an empty value clears the filter.
+ * @param {string} key - Search field name
+ * @param {string} label - Display label
+ * @returns {Object} Settings schema entry
+ */
+function buildSearchFieldSetting(key, label) {
+  const isClear = (v) => !v?.trim() || v.trim().toLowerCase() === 'none';
+
+  return {
+    label: `${label} Filter`,
+    validate: (v) => isClear(v) || key !== 'year' || isValidYear(v.trim()),
+    transform: (v) => (isClear(v) ? null : v.trim()),
+    format: (v) => v || 'any',
+    errorMsg:
+      key === 'year'
+        ? 'Use a year (2010), a range (2010-2015) or none'
+        : 'Enter a value, or none to clear',
+  };
+}
+
 /**
  * Settings schema - defines validation, transformation, and display for each setting
  */
@@ -67,6 +118,16 @@ const SETTINGS_SCHEMA = {
     ],
   },
 
+  match_threshold: {
+    label: 'Match Threshold',
+    validate: (v) =>
+      String(v).trim() !== '' && Number(v) >= 0 && Number(v) <= 1,
+    transform: (v) => Number(v),
+    format: (v) => String(v),
+    errorMsg: 'Must be a number between 0 and 1',
+    inputType: 'number',
+  },
+
   verbose: {
     label: 'Verbose Mode',
     validate: () => true,
@@ -78,6 +139,25 @@ const SETTINGS_SCHEMA = {
       { name: 'on', value: true },
     ],
   },
+
+  owned_check: {
+    label: 'Owned Check',
+    validate: (v) => ['on', 'off', 'true', 'false'].includes(String(v)),
+    transform: (v) => v === 'on' || v === 'true' || v === true,
+    format: (v) => (v ? 'on' : 'off'),
+    errorMsg: 'Use: on or off',
+    choices: [
+      { name: 'on', value: true },
+      { name: 'off', value: false },
+    ],
+  },
+
+  ...Object.fromEntries(
+    Object.entries(SEARCH_FIELDS).map(([key, label]) => [
+      key,
+      buildSearchFieldSetting(key, label),
+    ]),
+  ),
 };
 
 /**
@@ -92,6 +172,9 @@ export function showSettings(sessionFlags) {
     const value = schema.format(sessionFlags[key]);
     log.plain(`  ${schema.label.padEnd(20)} ${value}`);
   }
+
+  log.plain('');
+  log.plain(`  ${'API Quota'.padEnd(20)} ${formatRateLimit(getRateLimit())}`);
 }
 
 /**
@@ -108,6 +191,8 @@ export async function handleSettings(sessionFlags, updatePrompt) {
     }));
     choices.push({ name: '← Back', value: 'back' });
 
+    log.info(`API quota: ${formatRateLimit(getRateLimit())}`);
+
     const setting = await select({
       message: 'Which setting to change?',
       choices,
@@ -132,7 +217,7 @@ export async function handleSettings(sessionFlags, updatePrompt) {
     else {
       const newValue = await input({
         message: `Enter ${schema.label}:`,
-        default: String(sessionFlags[setting]),
+        default: String(sessionFlags[setting] ?? ''),
         validate: (v) => schema.validate(v) || schema.errorMsg,
       });
 
@@ -157,12 +242,16 @@ export async function handleSettings(sessionFlags, updatePrompt) {
 
 /**
  * Quick set command - set option value directly
- * @param {string[]} args - [option, value] or [] to show settings
+ * @param {string[]} args - [option, ...value words] or [] to show settings;
+ *   the words make up one value (e.g. `set artist Daft Punk`)
  * @param {Object} sessionFlags - Current session flags
  * @param {Function} updatePrompt - Function to update REPL prompt
  */
 export function handleSet(args, sessionFlags, updatePrompt) {
-  const [option, value] = args;
+  const [option, ...words] = args;
+  const value = words.length
+    ? words.join(' ').replace(/^"|"$/g, '').trim()
+    : undefined;
 
   // No args = show settings
   if (!option) {
@@ -191,7 +280,8 @@ export function handleSet(args, sessionFlags, updatePrompt) {
     return;
   }
 
-  const val = value.toLowerCase();
+  // Search filters keep their case (artist names, catalog numbers)
+  const val = SEARCH_FIELDS[key] ? value : value.toLowerCase();
 
   if (!schema.validate(val)) {
     log.error(`Invalid value '${value}'`);
@@ -239,4 +329,4 @@ export const setCommand = {
   },
 };
 
-export { SETTINGS_SCHEMA, VALID_TYPES, VALID_OUTPUT_FORMATS };
+export { SEARCH_FIELDS, SETTINGS_SCHEMA, VALID_TYPES, VALID_OUTPUT_FORMATS };
@@ -191,6 +191,10 @@ export async function handleTracks(db, tracksSearchType, id, flags) {
   // Write JSON output
   const output = buildTracksOutput(tracksSearchType, numId, releaseInfo);
   writeJsonOutput(output);
+
+  if (tracksSearchType === 'master') {
+    log.info(`Type 'versions ${numId}' to list every release of this master.`);
+  }
 }
 
 /**
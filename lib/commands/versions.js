@@ -0,0 +1,253 @@
+import { select } from '@inquirer/prompts';
+import { buildDiscogsUrl, getMasterVersions } from '../discogs.js';
+import { log } from '../logger.js';
+import { writeJsonOutput } from '../output.js';
+import { handleTracks } from './tracks.js';
+
+/**
+ * Filters accepted as key:value arguments
+ */
+const VERSION_FILTERS = ['format', 'country'];
+
+/**
+ * Largest page size the API allows, used to fetch every version
+ */
+const MAX_PER_PAGE = 100;
+
+/**
+ * Parse versions command arguments (pure function)
+ * @param {string[]} args - Command arguments, e.g. ['27113', 'format:vinyl']
+ * @returns {{ masterId?: string, format?: string|null, country?: string|null, error?: string, hint?: string }}
+ */
+export function parseVersionsArgs(args) {
+  const [masterId, ...rest] = args;
+  const hint =
+    'Usage: versions <masterId> [format:<format>] [country:<country>]';
+
+  if (!masterId) {
+    return { error: 'Please provide a master ID', hint };
+  }
+
+  const options = { masterId, format: null, country: null };
+
+  for (const arg of rest) {
+    const match = /^([a-z]+):(.*)$/i.exec(arg);
+    const name = match?.[1].toLowerCase();
+    const value = match?.[2].replace(/^"|"$/g, '').trim();
+
+    if (!VERSION_FILTERS.includes(name) || !value) {
+      return { error: `Invalid filter '${arg}'`, hint };
+    }
+    options[name] = value;
+  }
+
+  return options;
+}
+
+/**
+ * Keep versions matching format and country filters (pure function)
+ * Matching is case-insensitive; format matches any major format or any
+ * part of the format description (e.g. "LP", "Album", "Reissue").
+ * @param {Array} versions - Master versions from API
+ * @param {{ format?: string|null, country?: string|null }} filters
+ * @returns {Array} Filtered versions
+ */
+export function filterVersions(versions, { format, country }) {
+  const wantedFormat = format?.toLowerCase();
+  const wantedCountry = country?.toLowerCase();
+
+  return versions.filter((version) => {
+    if (wantedCountry && version.country?.toLowerCase() !== wantedCountry) {
+      return false;
+    }
+    if (!wantedFormat) return true;
+
+    const formats = [
+      ...(version.major_formats || []),
+      ...(version.format || '').split(','),
+    ].map((f) => f.trim().toLowerCase());
+    return formats.includes(wantedFormat);
+  });
+}
+
+/**
+ * Format a master version for display (pure function)
+ * @param {Object} version - Master version from API
+ * @returns {string} Formatted string
+ */
+export function formatVersion(version) {
+  const parts = [
+    version.id,
+    version.country || '?',
+    version.released || '?',
+    version.format,
+    version.label,
+    version.catno,
+  ].filter(Boolean);
+  return `  ${parts.join(' | ')}`;
+}
+
+/**
+ * Build versions output JSON structure (pure function)
+ * @param {number} masterId - Master release ID
+ * @param {Object} filters - { format, country }
+ * @param {Array} versions - Filtered versions
+ * @returns {Object} Structured output for JSON file
+ */
+export function buildVersionsOutput(masterId, filters, versions) {
+  return {
+    type: 'versions',
+    params: {
+      masterId,
+      format: filters.format,
+      country: filters.country,
+    },
+    result: {
+      count: versions.length,
+      versions: versions.map((version) => ({
+        id: version.id,
+        title: version.title || '',
+        country: version.country || '',
+        year: parseInt(version.released, 10) || null,
+        format: version.format || '',
+        majorFormats: version.major_formats || [],
+        label: version.label || '',
+        catno: version.catno || '',
+        url: buildDiscogsUrl('release', version.id),
+      })),
+    },
+  };
+}
+
+/**
+ * Build select choices for picking a version (pure function)
+ * @param {Array} versions - Master versions
+ * @returns {Array<{ name: string, value: number|null }>}
+ */
+export function buildVersionChoices(versions) {
+  return [
+    ...versions.map((version) => ({
+      name: formatVersion(version).trim(),
+      value: version.id,
+    })),
+    { name: '← Done', value: null },
+  ];
+}
+
+/**
+ * Fetch every version of a master, page by page
+ * @param {Object} db - Discogs database instance
+ * @param {number} masterId - Master release ID
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Array|null>} All versions or null on error
+ */
+export async function fetchMasterVersions(db, masterId, verbose = false) {
+  const versions = [];
+  let page = 1;
+  let pages = 1;
+
+  do {
+    const data = await getMasterVersions(
+      db,
+      masterId,
+      { page, per_page: MAX_PER_PAGE },
+      verbose,
+    );
+    if (!data) return null;
+
+    versions.push(...(data.versions || []));
+    pages = data.pagination?.pages || 1;
+    page++;
+  } while (page <= pages);
+
+  return versions;
+}
+
+/**
+ * Versions command definition
+ */
+export const versionsCommand = {
+  name: 'versions',
+  aliases: ['v'],
+  minArgs: 1,
+  usage: 'versions <masterId> [format:<format>] [country:<country>]',
+  description: 'List every release of a master and open one with tracks',
+  handler: async (args, ctx) => {
+    const options = parseVersionsArgs(args);
+    if (options.error) {
+      log.error(options.error);
+      if (options.hint) log.info(options.hint);
+      return true;
+    }
+
+    const versions = await handleVersions(ctx.db, options, ctx.sessionFlags);
+    if (!versions?.length) return true;
+
+    try {
+      const releaseId = await select({
+        message: 'Show tracks for a version:',
+        choices: buildVersionChoices(versions),
+      });
+      if (releaseId) {
+        await handleTracks(ctx.db, 'release', releaseId, ctx.sessionFlags);
+      }
+    } catch (error) {
+      // User cancelled (Ctrl+C); keep the session running
+      if (error.name !== 'ExitPromptError') throw error;
+    }
+    return true;
+  },
+};
+
+/**
+ * Handle versions command - list and filter every release of a master
+ * @param {Object} db - Discogs database instance
+ * @param {Object} options - Parsed options from parseVersionsArgs()
+ * @param {Object} flags - CLI flags
+ * @returns {Promise<Array|undefined>} Filtered versions
+ */
+export async function handleVersions(db, options, flags) {
+  const masterId = parseInt(options.masterId, 10);
+
+  if (Number.isNaN(masterId)) {
+    log.error('Invalid ID. Please provide a numeric ID.');
+    return;
+  }
+
+  const filters = { format: options.format, country: options.country };
+
+  log.plain('');
+  log.info(`Fetching versions of master #${masterId}...`);
+  log.plain(`  format: ${filters.format || 'any'}`);
+  log.plain(`  country: ${filters.country || 'any'}\n`);
+
+  const all = await fetchMasterVersions(db, masterId, flags.verbose);
+
+  if (!all) {
+    log.warn(`Could not fetch versions of master #${masterId}.`);
+    return;
+  }
+
+  const versions = filterVersions(all, filters);
+
+  if (versions.length === 0) {
+    log.warn(
+      all.length
+        ? `None of the ${all.length} version(s) match the filters.`
+        : 'No versions found :(',
+    );
+    return versions;
+  }
+
+  log.success(`Found ${versions.length} of ${all.length} version(s):`);
+  log.divider(true);
+  for (const version of versions) {
+    log.plain(formatVersion(version));
+  }
+  log.plain('');
+  log.divider();
+  log.plain('');
+
+  writeJsonOutput(buildVersionsOutput(masterId, filters, versions));
+  return versions;
+}
@@ -0,0 +1,975 @@
+import { existsSync, readdirSync } from 'node:fs';
+import { basename, extname, join, resolve } from 'node:path';
+import { extractCollectionItem, findOwnedCopies } from '../collection.js';
+import {
+  addToWantlist,
+  buildDiscogsUrl,
+  getRelease,
+  getWantlistReleases,
+  removeFromWantlist,
+} from '../discogs.js';
+import { log, writeLog } from '../logger.js';
+import {
+  distDir,
+  readJsonOutput,
+  updateJsonOutput,
+  writeJsonOutput,
+  writeReportOutput,
+} from '../output.js';
+import { formatRateLimit, getRateLimit } from '../ratelimit.js';
+import { resolveUsername } from './auth.js';
+import {
+  csvField,
+  getReleaseKey,
+  getUnmatchedReason,
+  mdCell,
+  resolveReleaseId,
+} from './buylist.js';
+import {
+  confirmChange,
+  describeRelease,
+  ensureOnline,
+  fetchOwnedIndex,
+  formatCollectionItem,
+  parseReleaseId,
+} from './collection.js';
+
+/**
+ * Largest page size the wantlist endpoint allows
+ */
+const MAX_PER_PAGE = 100;
+
+const PUSH_USAGE = 'wantlist-push [playlist.json] [dry-run] [note:<text>]';
+
+const WANTLIST_USAGE = 'wantlist [diff [snapshot.json]]';
+
+/**
+ * Columns of the wantlist CSV export
+ */
+const WANTLIST_CSV_HEADER = [
+  'id',
+  'artist',
+  'title',
+  'year',
+  'format',
+  'label',
+  'catno',
+  'date_added',
+  'notes',
+  'url',
+];
+
+/**
+ * How each release of a wantlist push ended, as shown to the user
+ */
+const PUSH_STATUS_LABELS = {
+  added: 'added',
+  'would-add': 'would be added',
+  'in-wantlist': 'already in your wantlist',
+  owned: 'already in your collection',
+  'no-release': 'no release to add',
+  failed: 'failed',
+};
+
+/**
+ * Parse wantlist-push arguments (pure function)
+ * Words other than `dry-run` and `note:<text>` make up the file path.
+ * @param {string[]} args - Command arguments
+ * @returns {{ file: string|null, dryRun: boolean, note: string|null, error?: string, hint?: string }}
+ */
+export function parsePushArgs(args) {
+  const options = { file: null, dryRun: false, note: null };
+  const fileWords = [];
+
+  for (const arg of args) {
+    const note = /^note:(.*)$/is.exec(arg);
+
+    if (note) {
+      options.note = note[1].replace(/^"|"$/g, '').trim();
+      if (!options.note) {
+        return { error: `Invalid note '${arg}'`, hint: `Usage: ${PUSH_USAGE}` };
+      }
+    } else if (['dry-run', '--dry-run'].includes(arg.toLowerCase())) {
+      options.dryRun = true;
+    } else {
+      fileWords.push(arg);
+    }
+  }
+
+  options.file = fileWords.join(' ') || null;
+  return options;
+}
+
+/**
+ * Name a playlist output after its CSV file (pure function)
+ * @param {Object} output - Playlist output
+ * @returns {string} e.g. "chillmix" for /path/chillmix.csv
+ */
+export function getPlaylistName(output) {
+  const file = output.params?.file || '';
+  return basename(file, extname(file)) || 'playlist';
+}
+
+/**
+ * Build the wantlist notes for one release (pure function)
+ * @param {string} note - Note for the whole push, e.g. "for chillmix"
+ * @param {Array} entries - Playlist entries matched to the release
+ * @returns {string} e.g. "for chillmix: Bonobo - Kiara"
+ */
+export function buildWantNote(note, entries) {
+  const tracks = entries.map((entry) => `${entry.artist} - ${entry.title}`);
+  return `${note}: ${tracks.join('; ')}`;
+}
+
+/**
+ * Group the playlist entries to push by matched release (pure function)
+ * Entries need a usable match (see getUnmatchedReason()); entries pushed
+ * by an earlier run are counted, not queued again, so an interrupted push
+ * resumes where it stopped.
+ * @param {Array} tracks - Playlist entries
+ * @returns {{ groups: Array<{ match: Object, entries: Array }>, pushed: number, skipped: Array<{ entry: Object, reason: string }> }}
+ */
+export function buildPushQueue(tracks) {
+  const groups = new Map();
+  const skipped = [];
+  let pushed = 0;
+
+  for (const entry of tracks) {
+    const reason = getUnmatchedReason(entry);
+
+    if (reason) {
+      skipped.push({ entry, reason });
+    } else if (entry.wantlist?.status === 'added') {
+      pushed++;
+    } else {
+      const key = getReleaseKey(entry.match);
+      if (!groups.has(key))
+        groups.set(key, { match: entry.match, entries: [] });
+      groups.get(key).entries.push(entry);
+    }
+  }
+
+  return { groups: [...groups.values()], pushed, skipped };
+}
+
+/**
+ * Decide what to do with a release before adding it (pure function)
+ * A master counts as owned through any of its pressings.
+ * @param {Object} match - Entry match: { type, id }
+ * @param {number|null} releaseId - From resolveReleaseId()
+ * @param {Set<number>} wanted - Release IDs on the wantlist
+ * @param {Object|null} ownedIndex - From fetchOwnedIndex()
+ * @returns {string|null} Status that skips the release, or null to add it
+ */
+export function getPushSkipStatus(match, releaseId, wanted, ownedIndex) {
+  if (!releaseId) return 'no-release';
+  if (wanted.has(releaseId)) return 'in-wantlist';
+
+  const owned =
+    ownedIndex &&
+    findOwnedCopies(
+      match.type === 'master'
+        ? { id: match.id, type: 'master' }
+        : { id: releaseId, type: 'release' },
+      ownedIndex,
+    ).length;
+  return owned ? 'owned' : null;
+}
+
+/**
+ * Count push results by status (pure function)
+ * @param {Array} results - Push results ({ status })
+ * @returns {Object<string, number>} Counts keyed by status
+ */
+export function summarizePush(results) {
+  const counts = Object.fromEntries(
+    Object.keys(PUSH_STATUS_LABELS).map((status) => [status, 0]),
+  );
+  for (const result of results) counts[result.status]++;
+  return counts;
+}
+
+/**
+ * Build wantlist-push output JSON structure (pure function)
+ * @param {string} file - Playlist output path
+ * @param {Object} params - username, note, dryRun
+ * @param {Array} results - Push results
+ * @param {number} pushed - Tracks pushed by earlier runs
+ * @returns {Object} Structured output for JSON file
+ */
+export function buildPushOutput(file, params, results, pushed) {
+  return {
+    type: 'wantlist-push',
+    params: { file, ...params },
+    result: {
+      ...summarizePush(results),
+      pushedBefore: pushed,
+      releases: results,
+    },
+  };
+}
+
+/**
+ * Parse wantlist arguments (pure function)
+ * @param {string[]} args - Command arguments
+ * @returns {{ diff: boolean, snapshot: string|null, error?: string, hint?: string }}
+ */
+export function parseWantlistArgs(args) {
+  if (!args.length) return { diff: false, snapshot: null };
+
+  if (args[0].toLowerCase() !== 'diff') {
+    return {
+      error: `Unknown option '${args[0]}'`,
+      hint: `Usage: ${WANTLIST_USAGE}`,
+    };
+  }
+
+  return { diff: true, snapshot: args.slice(1).join(' ') || null };
+}
+
+/**
+ * Flatten a want from the API (pure function)
+ * @param {Object} want - Want with `basic_information`
+ * @returns {Object} { id, masterId, artist, title, year, format, label,
+ *   catno, dateAdded, rating, notes }
+ */
+export function extractWantItem(want) {
+  const { instanceId, folderId, ...item } = extractCollectionItem(want);
+  return { ...item, notes: want.notes || '' };
+}
+
+/**
+ * Order wants by artist, title, then release ID (pure function)
+ * A stable order keeps exports of the same wantlist comparable.
+ * @param {Object} a - Want item
+ * @param {Object} b - Want item
+ * @returns {number}
+ */
+export function compareWantItems(a, b) {
+  return (
+    a.artist.localeCompare(b.artist) ||
+    a.title.localeCompare(b.title) ||
+    a.id - b.id
+  );
+}
+
+/**
+ * Format a want for a change list (pure function)
+ * @param {Object} item - Want item
+ * @returns {string} e.g. "Bonobo - Black Sands (2010), release #249504"
+ */
+export function formatWantItem(item) {
+  return `${item.artist} - ${item.title}${item.year ? ` (${item.year})` : ''}, release #${item.id}`;
+}
+
+/**
+ * Pick the newest wantlist export of a user (pure function)
+ * Report names embed an ISO timestamp, so they sort by age.
+ * @param {string[]} names - File names in the reports directory
+ * @param {string} username - Discogs username
+ * @returns {string|null} Newest wantlist-<user>-*.json name
+ */
+export function findLatestSnapshot(names, username) {
+  const prefix = `wantlist-${username}-`;
+  const snapshots = names
+    .filter(
+      (name) =>
+        name.startsWith(prefix) &&
+        name.endsWith('.json') &&
+        /^\d{4}-/.test(name.slice(prefix.length)),
+    )
+    .sort();
+  return snapshots.at(-1) || null;
+}
+
+/**
+ * Compare two wantlists by release ID (pure function)
+ * @param {Array} previous - Items of the earlier snapshot
+ * @param {Array} current - Items of the current wantlist
+ * @returns {{ added: Array, removed: Array }}
+ */
+export function diffWantlists(previous, current) {
+  const previousIds = new Set(previous.map((item) => item.id));
+  const currentIds = new Set(current.map((item) => item.id));
+
+  return {
+    added: current.filter((item) => !previousIds.has(item.id)),
+    removed: previous.filter((item) => !currentIds.has(item.id)),
+  };
+}
+
+/**
+ * Build wantlist output JSON structure (pure function)
+ * The JSON report doubles as the snapshot a later `wantlist diff` reads.
+ * @param {string} username - Discogs username
+ * @param {Array} items - Want items, sorted
+ * @param {Object|null} diff - { snapshot, snapshotExportedAt, added, removed }
+ * @param {string} exportedAt - ISO timestamp
+ * @returns {Object} Structured output for JSON file
+ */
+export function buildWantlistOutput(username, items, diff, exportedAt) {
+  return {
+    type: 'wantlist',
+    params: {
+      username,
+      exportedAt,
+    },
+    result: {
+      total: items.length,
+      items: items.map((item) => ({
+        ...item,
+        url: buildDiscogsUrl('release', item.id),
+      })),
+      diff,
+    },
+  };
+}
+
+/**
+ * Format a wantlist export as a markdown report (pure function)
+ * @param {Object} output - From buildWantlistOutput()
+ * @returns {string} Markdown content
+ */
+export function formatWantlistMarkdown(output) {
+  const { username, exportedAt } = output.params;
+  const { diff, items } = output.result;
+  const lines = [
+    `# Wantlist: ${username}`,
+    '',
+    `${items.length} item(s), exported ${exportedAt}`,
+  ];
+
+  if (diff) {
+    lines.push(
+      '',
+      `## Changes since ${basename(diff.snapshot)}`,
+      '',
+      `${diff.added.length} added, ${diff.removed.length} removed`,
+    );
+    for (const [heading, changed] of [
+      ['Added', diff.added],
+      ['Removed', diff.removed],
+    ]) {
+      if (!changed.length) continue;
+      lines.push('', `### ${heading}`, '');
+      for (const item of changed) {
+        lines.push(
+          `- [${formatWantItem(item)}](${buildDiscogsUrl('release', item.id)})`,
+        );
+      }
+    }
+  }
+
+  lines.push(
+    '',
+    '## Items',
+    '',
+    '| Artist | Title | Year | Format | Label | Cat# | Added | Notes | Link |',
+    '|--------|-------|------|--------|-------|------|-------|-------|------|',
+  );
+
+  for (const item of items) {
+    lines.push(
+      `| ${[
+        mdCell(item.artist),
+        mdCell(item.title),
+        item.year || '',
+        mdCell(item.format),
+        mdCell(item.label),
+        mdCell(item.catno),
+        item.dateAdded?.slice(0, 10) || '',
+        mdCell(item.notes),
+        `[release ${item.id}](${item.url})`,
+      ].join(' | ')} |`,
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Format a wantlist export as CSV (pure function)
+ * Items come first; with a diff, the changes follow as a separate section.
+ * @param {Object} output - From buildWantlistOutput()
+ * @returns {string} CSV content
+ */
+export function formatWantlistCsv(output) {
+  const row = (fields) => fields.map(csvField).join(',');
+  const { diff, items } = output.result;
+  const lines = [WANTLIST_CSV_HEADER.join(',')];
+
+  for (const item of items) {
+    lines.push(
+      row([
+        item.id,
+        item.artist,
+        item.title,
+        item.year,
+        item.format,
+        item.label,
+        item.catno,
+        item.dateAdded,
+        item.notes,
+        item.url,
+      ]),
+    );
+  }
+
+  if (diff) {
+    lines.push('', 'change,id,artist,title,year');
+    for (const [change, changed] of [
+      ['added', diff.added],
+      ['removed', diff.removed],
+    ]) {
+      for (const item of changed) {
+        lines.push(row([change, item.id, item.artist, item.title, item.year]));
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Want command definition
+ */
+export const wantCommand = {
+  name: 'want',
+  aliases: [],
+  minArgs: 1,
+  usage: 'want <releaseId>',
+  description: 'Add a release to your wantlist',
+  handler: async (args, ctx) => {
+    const releaseId = parseWantArgs(args, wantCommand.usage);
+    if (releaseId) {
+      await handleWant(ctx.db, ctx.client, releaseId, ctx.sessionFlags);
+    }
+    return true;
+  },
+};
+
+/**
+ * Unwant command definition
+ */
+export const unwantCommand = {
+  name: 'unwant',
+  aliases: [],
+  minArgs: 1,
+  usage: 'unwant <releaseId>',
+  description: 'Remove a release from your wantlist',
+  handler: async (args, ctx) => {
+    const releaseId = parseWantArgs(args, unwantCommand.usage);
+    if (releaseId) {
+      await handleUnwant(ctx.db, ctx.client, releaseId, ctx.sessionFlags);
+    }
+    return true;
+  },
+};
+
+/**
+ * Handle want command - add a release to the wantlist after confirming
+ * @param {Object} db - Discogs database instance
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {number} releaseId - Release ID
+ * @param {Object} flags - CLI flags (verbose, yes)
+ * @returns {Promise<boolean>} True when the release was added
+ */
+export async function handleWant(db, client, releaseId, flags) {
+  const username = await prepareChange(db, client, releaseId, flags);
+  if (!username) return false;
+
+  if (!(await confirmChange('Add it to your wantlist?', flags.yes))) {
+    log.info('Cancelled.');
+    return false;
+  }
+
+  const added = await addToWantlist(
+    client,
+    username,
+    releaseId,
+    null,
+    flags.verbose,
+  );
+  if (!added) return false;
+
+  log.success(`Added release #${releaseId} to your wantlist.`);
+  return true;
+}
+
+/**
+ * Handle unwant command - remove a release from the wantlist after
+ * confirming
+ * @param {Object} db - Discogs database instance
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {number} releaseId - Release ID
+ * @param {Object} flags - CLI flags (verbose, yes)
+ * @returns {Promise<boolean>} True when the release was removed
+ */
+export async function handleUnwant(db, client, releaseId, flags) {
+  const username = await prepareChange(db, client, releaseId, flags);
+  if (!username) return false;
+
+  if (!(await confirmChange('Remove it from your wantlist?', flags.yes))) {
+    log.info('Cancelled.');
+    return false;
+  }
+
+  const removed = await removeFromWantlist(
+    client,
+    username,
+    releaseId,
+    flags.verbose,
+  );
+  if (!removed) return false;
+
+  log.success(`Removed release #${releaseId} from your wantlist.`);
+  return true;
+}
+
+/**
+ * Validate want/unwant arguments, logging usage on error
+ * @param {string[]} args - Command arguments
+ * @param {string} usage - Command usage line
+ * @returns {number|null} Release ID
+ */
+function parseWantArgs(args, usage) {
+  const releaseId = args.length === 1 ? parseReleaseId(args[0]) : null;
+  if (!releaseId) {
+    log.error(`Invalid release ID '${args.join(' ')}'`);
+    log.info(`Usage: ${usage}`);
+  }
+  return releaseId;
+}
+
+/**
+ * Check a wantlist change can be made and show the release it is about
+ * @param {Object} db - Discogs database instance
+ * @param {Object} client - Discogs client instance
+ * @param {number} releaseId - Release ID
+ * @param {Object} flags - CLI flags (verbose)
+ * @returns {Promise<string|null>} Username, or null when the change cannot
+ *   be made
+ */
+async function prepareChange(db, client, releaseId, flags) {
+  if (!ensureOnline('Changing your wantlist')) return null;
+
+  const username = await resolveUsername(client, flags.verbose);
+  if (!username) return null;
+
+  const release = await getRelease(db, releaseId, flags.verbose);
+  if (!release) {
+    log.warn(`Could not fetch release #${releaseId}.`);
+    return null;
+  }
+
+  log.plain('');
+  log.info(describeRelease(release, releaseId));
+  return username;
+}
+
+/**
+ * Wantlist push command definition
+ */
+export const wantlistPushCommand = {
+  name: 'wantlist-push',
+  aliases: ['wp'],
+  minArgs: 0,
+  usage: PUSH_USAGE,
+  description: 'Add every confirmed, not owned playlist match to your wantlist',
+  handler: async (args, ctx) => {
+    const options = parsePushArgs(args);
+    if (options.error) {
+      log.error(options.error);
+      log.info(options.hint);
+      return true;
+    }
+
+    options.file ??= ctx.lastPlaylistOutput;
+    if (!options.file) {
+      log.error('No playlist output to push.');
+      log.info('Run playlist <file.csv> first, or pass a playlist JSON file.');
+      return true;
+    }
+
+    await handleWantlistPush(ctx.db, ctx.client, options, ctx.sessionFlags);
+    return true;
+  },
+};
+
+/**
+ * Handle wantlist-push command - add the matched releases of a playlist
+ * to the wantlist, one call per release through the request scheduler
+ * Releases already wanted or owned are skipped. Each added release is
+ * recorded on its playlist entries (`wantlist`) right away, so a run that
+ * is interrupted resumes where it stopped; failed releases are retried by
+ * the next run. A push asks first (unless `flags.yes`) and stops when the
+ * wantlist or the collection cannot be fetched. A dry run only reads, and
+ * goes on without the owned check.
+ * @param {Object} db - Discogs database instance
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {Object} options - From parsePushArgs(): file, dryRun, note
+ * @param {Object} flags - CLI flags (verbose, yes)
+ * @returns {Promise<Array|undefined>} Push results
+ */
+export async function handleWantlistPush(db, client, options, flags) {
+  const filePath = resolve(process.cwd(), options.file);
+
+  if (!existsSync(filePath)) {
+    log.error(`Playlist output not found: ${filePath}`);
+    return;
+  }
+
+  let output;
+  try {
+    output = readJsonOutput(filePath);
+  } catch {
+    log.error(`Not a valid JSON output file: ${filePath}`);
+    return;
+  }
+
+  if (output?.type !== 'playlist') {
+    log.error(`Not a playlist output file: ${filePath}`);
+    return;
+  }
+
+  if (!options.dryRun && !ensureOnline('Changing your wantlist')) return;
+
+  const username = await resolveUsername(client, flags.verbose);
+  if (!username) return;
+
+  const note = options.note || `for ${getPlaylistName(output)}`;
+  const { groups, pushed, skipped } = buildPushQueue(output.result.tracks);
+
+  log.plain('');
+  log.info(
+    `${options.dryRun ? 'Dry run: ' : ''}${groups.length} release(s) to push to the wantlist of ${username}`,
+  );
+  log.plain(`  playlist: ${filePath}`);
+  log.plain(`  note: ${note}`);
+  if (pushed) {
+    log.plain(`  resuming: ${pushed} track(s) pushed by an earlier run`);
+  }
+  log.plain('');
+
+  if (
+    !options.dryRun &&
+    !(await confirmChange(
+      `Add ${groups.length} release(s) to your wantlist?`,
+      flags.yes,
+    ))
+  ) {
+    log.info('Cancelled.');
+    return;
+  }
+
+  const wants = await fetchWantlist(client, username, flags.verbose);
+  if (!wants) {
+    log.warn(`Could not fetch the wantlist of ${username}.`);
+    return;
+  }
+
+  const wanted = new Set(wants.map((want) => want.id));
+  const ownedIndex = await fetchOwnedIndex(client, flags.verbose);
+  if (!ownedIndex) {
+    log.warn(`Could not fetch the collection of ${username}.`);
+    // Without it, owned releases would be added to the wantlist
+    if (!options.dryRun) return;
+  }
+
+  const results = [];
+
+  for (const [idx, { match, entries }] of groups.entries()) {
+    const releaseId = await resolveReleaseId(db, match, flags.verbose);
+    const notes = buildWantNote(note, entries);
+    const status =
+      getPushSkipStatus(match, releaseId, wanted, ownedIndex) ||
+      (options.dryRun
+        ? 'would-add'
+        : await pushRelease(client, username, releaseId, notes, flags));
+
+    if (status === 'added') {
+      // A later group may resolve to the same release (master and pressing)
+      wanted.add(releaseId);
+      const addedAt = new Date().toISOString();
+      for (const entry of entries) {
+        entry.wantlist = { status: 'added', releaseId, notes, addedAt };
+      }
+      updateJsonOutput(filePath, output);
+      writeLog(`Wantlist push: release #${releaseId} added`);
+    }
+
+    results.push({
+      releaseId,
+      match: { type: match.type, id: match.id, title: match.title || '' },
+      lines: entries.map((entry) => entry.line),
+      notes,
+      status,
+    });
+    log.plain(
+      `  [${idx + 1}/${groups.length}] ${match.title || `${match.type} #${match.id}`}${releaseId ? ` (release #${releaseId})` : ''}: ${PUSH_STATUS_LABELS[status]}`,
+    );
+  }
+
+  displayPushSummary(results, skipped, options.dryRun);
+  writeJsonOutput(
+    buildPushOutput(
+      filePath,
+      { username, note, dryRun: options.dryRun },
+      results,
+      pushed,
+    ),
+  );
+  return results;
+}
+
+/**
+ * Fetch the whole wantlist of a user, page by page
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {string} username - Discogs username
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Array|null>} Every want ({ id, notes, basic_information })
+ *   or null on error
+ */
+export async function fetchWantlist(client, username, verbose = false) {
+  const wants = [];
+  let page = 1;
+  let pages = 1;
+
+  do {
+    const data = await getWantlistReleases(
+      client,
+      username,
+      { page, per_page: MAX_PER_PAGE },
+      verbose,
+    );
+    if (!data) return null;
+
+    wants.push(...(data.wants || []));
+    pages = data.pagination?.pages || 1;
+    page++;
+  } while (page <= pages);
+
+  return wants;
+}
+
+/**
+ * Wantlist command definition
+ */
+export const wantlistCommand = {
+  name: 'wantlist',
+  aliases: ['wl'],
+  minArgs: 0,
+  usage: WANTLIST_USAGE,
+  description:
+    'Export your wantlist to JSON, CSV and markdown, optionally diffed against a snapshot',
+  handler: async (args, ctx) => {
+    const options = parseWantlistArgs(args);
+    if (options.error) {
+      log.error(options.error);
+      log.info(options.hint);
+      return true;
+    }
+
+    await handleWantlist(ctx.client, options, ctx.sessionFlags);
+    return true;
+  },
+};
+
+/**
+ * Handle wantlist command - export the whole wantlist to dist/reports
+ * With `diff`, the export is compared with an earlier one (the given
+ * snapshot, or the newest export of the same user) and lists the wants
+ * added and removed since.
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {Object} options - From parseWantlistArgs(): diff, snapshot
+ * @param {Object} flags - CLI flags (verbose)
+ * @returns {Promise<string[]|undefined>} Paths of the written reports
+ */
+export async function handleWantlist(client, options, flags) {
+  const username = await resolveUsername(client, flags.verbose);
+  if (!username) return;
+
+  let snapshot = null;
+  if (options.diff) {
+    snapshot = loadSnapshot(options.snapshot, username);
+    if (!snapshot) return;
+  }
+
+  log.plain('');
+  log.info(`Fetching the wantlist of ${username}...`);
+
+  const wants = await fetchWantlist(client, username, flags.verbose);
+  if (!wants) {
+    log.warn(`Could not fetch the wantlist of ${username}.`);
+    return;
+  }
+
+  const items = wants.map(extractWantItem).sort(compareWantItems);
+  const diff = snapshot && {
+    snapshot: snapshot.file,
+    snapshotExportedAt: snapshot.output.params.exportedAt || null,
+    ...diffWantlists(snapshot.output.result.items, items),
+  };
+  const output = buildWantlistOutput(
+    username,
+    items,
+    diff,
+    new Date().toISOString(),
+  );
+
+  displayWantlist(output);
+
+  return writeReportOutput(`wantlist-${username}`, {
+    md: formatWantlistMarkdown(output),
+    csv: formatWantlistCsv(output),
+    json: JSON.stringify(output, null, 2),
+  });
+}
+
+/**
+ * Add one release of a push to the wantlist
+ * @param {Object} client - Discogs client instance
+ * @param {string} username - Discogs username
+ * @param {number} releaseId - Release ID
+ * @param {string} notes - Notes for the want
+ * @param {Object} flags - CLI flags (verbose)
+ * @returns {Promise<string>} 'added' or 'failed'
+ */
+async function pushRelease(client, username, releaseId, notes, flags) {
+  const added = await addToWantlist(
+    client,
+    username,
+    releaseId,
+    notes,
+    flags.verbose,
+  );
+  return added ? 'added' : 'failed';
+}
+
+/**
+ * Display wantlist push totals to console
+ * @param {Array} results - Push results
+ * @param {Array} skipped - Skipped entries from buildPushQueue()
+ * @param {boolean} dryRun - Whether nothing was changed
+ */
+function displayPushSummary(results, skipped, dryRun) {
+  const counts = summarizePush(results);
+
+  log.divider(true);
+  if (dryRun) {
+    log.success(
+      `${counts['would-add']} release(s) would be added (dry run, nothing changed)`,
+    );
+  } else {
+    log.success(`${counts.added} release(s) added to your wantlist`);
+  }
+
+  for (const status of ['in-wantlist', 'owned', 'no-release']) {
+    if (counts[status]) {
+      log.plain(`  ${counts[status]} ${PUSH_STATUS_LABELS[status]}`);
+    }
+  }
+
+  if (counts.failed) {
+    log.warn(
+      `${counts.failed} release(s) failed; run the command again to retry them.`,
+    );
+  }
+
+  if (skipped.length) {
+    log.plain('');
+    log.warn(`${skipped.length} track(s) not pushed:`);
+    for (const { entry, reason } of skipped) {
+      log.plain(
+        `  line ${entry.line}: ${entry.artist} - ${entry.title} (${reason})`,
+      );
+    }
+  }
+
+  log.plain('');
+  log.plain(`  API quota: ${formatRateLimit(getRateLimit())}`);
+  log.plain('');
+}
+
+/**
+ * Read the wantlist snapshot to diff against
+ * Without a file, the newest export of the user in dist/reports is used.
+ * @param {string|null} file - Snapshot path
+ * @param {string} username - Discogs username
+ * @returns {{ file: string, output: Object }|null} Snapshot, or null after
+ *   logging why it cannot be used
+ */
+function loadSnapshot(file, username) {
+  const reportsDir = join(distDir, 'reports');
+  const latest =
+    !file && existsSync(reportsDir)
+      ? findLatestSnapshot(readdirSync(reportsDir), username)
+      : null;
+
+  if (!file && !latest) {
+    log.error(`No earlier wantlist export of ${username} to diff against.`);
+    log.info('Run wantlist first, or pass a snapshot JSON file.');
+    return null;
+  }
+
+  const filePath = file
+    ? resolve(process.cwd(), file)
+    : join(reportsDir, latest);
+
+  if (!existsSync(filePath)) {
+    log.error(`Wantlist snapshot not found: ${filePath}`);
+    return null;
+  }
+
+  let output;
+  try {
+    output = readJsonOutput(filePath);
+  } catch {
+    log.error(`Not a valid JSON output file: ${filePath}`);
+    return null;
+  }
+
+  if (output?.type !== 'wantlist') {
+    log.error(`Not a wantlist snapshot: ${filePath}`);
+    return null;
+  }
+
+  if (output.params.username !== username) {
+    log.warn(
+      `Snapshot is of the wantlist of ${output.params.username}, not ${username}.`,
+    );
+  }
+
+  return { file: filePath, output };
+}
+
+/**
+ * Display a wantlist export to console: its items, or the changes when
+ * diffed against a snapshot
+ * @param {Object} output - From buildWantlistOutput()
+ */
+function displayWantlist(output) {
+  const { diff, items } = output.result;
+
+  if (!diff) {
+    log.plain('');
+    for (const item of items) log.plain(formatCollectionItem(item));
+  }
+
+  log.divider(true);
+  log.success(
+    `${items.length} item(s) in the wantlist of ${output.params.username}`,
+  );
+
+  if (diff) {
+    log.plain(
+      `  since ${basename(diff.snapshot)}${diff.snapshotExportedAt ? ` (exported ${diff.snapshotExportedAt.slice(0, 10)})` : ''}: ${diff.added.length} added, ${diff.removed.length} removed`,
+    );
+    log.plain('');
+    for (const item of diff.added) log.plain(`  + ${formatWantItem(item)}`);
+    for (const item of diff.removed) log.plain(`  - ${formatWantItem(item)}`);
+    if (!diff.added.length && !diff.removed.length) log.info('No changes.');
+  }
+
+  log.plain('');
+}
@@ -1,6 +1,6 @@
 import { existsSync, readFileSync } from 'node:fs';
 import { homedir } from 'node:os';
-import { dirname, join } from 'node:path';
+import { dirname, join, resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -97,5 +97,83 @@ export function getDefaultTracksOutput() {
   return validFormats.includes(val) ? val : 'human';
 }
 
+/**
+ * Get configured playlist match confidence threshold (0-1)
+ * @returns {number}
+ */
+export function getMatchThreshold() {
+  const val = parseFloat(fileConfig.MATCH_THRESHOLD);
+  return Number.isNaN(val) || val < 0 || val > 1 ? 0.7 : val;
+}
+
+/**
+ * Check if playlist runs check matches against the user's collection
+ * On unless OWNED_CHECK=false
+ * @returns {boolean}
+ */
+export function isOwnedCheckEnabled() {
+  return String(fileConfig.OWNED_CHECK).toLowerCase() !== 'false';
+}
+
+/**
+ * Get configured response cache lifetime in hours (0 disables the cache)
+ * @returns {number}
+ */
+export function getCacheTtlHours() {
+  const val = parseFloat(fileConfig.CACHE_TTL_HOURS);
+  return Number.isNaN(val) || val < 0 ? 24 : val;
+}
+
+/**
+ * Get configured response cache size cap in megabytes
+ * @returns {number}
+ */
+export function getCacheMaxMb() {
+  const val = parseFloat(fileConfig.CACHE_MAX_MB);
+  return Number.isNaN(val) || val <= 0 ? 50 : val;
+}
+
+/**
+ * Get the Discogs application consumer key used by `login`
+ * Read from the DISCOGS_CONSUMER_KEY environment variable or .mzkconfig.
+ * @returns {string|null}
+ */
+export function getConsumerKey() {
+  return (
+    process.env.DISCOGS_CONSUMER_KEY || fileConfig.DISCOGS_CONSUMER_KEY || null
+  );
+}
+
+/**
+ * Get the Discogs application consumer secret used by `login`
+ * Read from the DISCOGS_CONSUMER_SECRET environment variable or .mzkconfig.
+ * @returns {string|null}
+ */
+export function getConsumerSecret() {
+  return (
+    process.env.DISCOGS_CONSUMER_SECRET ||
+    fileConfig.DISCOGS_CONSUMER_SECRET ||
+    null
+  );
+}
+
+/**
+ * Check if offline mode is configured (OFFLINE=true)
+ * @returns {boolean}
+ */
+export function isOfflineConfigured() {
+  return String(fileConfig.OFFLINE).toLowerCase() === 'true';
+}
+
+/**
+ * Get configured fixtures directory for offline mode
+ * Relative paths are resolved from the current working directory.
+ * @returns {string}
+ */
+export function getFixturesDir() {
+  const val = fileConfig.FIXTURES_DIR?.trim();
+  return val ? resolve(val) : join(projectRoot, 'fixtures');
+}
+
 // Export project root for other modules
 export { projectRoot };
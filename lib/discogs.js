@@ -1,11 +1,28 @@
 import Disconnect from 'disconnect';
+import { buildOAuthAuth, loadCredentials } from './auth.js';
+import {
+  configureCache,
+  isCacheEnabled,
+  readCache,
+  writeCache,
+} from './cache.js';
 import { fileConfig } from './config.js';
+import { getFixturesPath, isOffline, readFixture } from './fixtures.js';
 import { log, logApiResponse } from './logger.js';
+import {
+  formatRateLimit,
+  getRateLimit,
+  recordRateLimit,
+  scheduleRequest,
+} from './ratelimit.js';
+import { createTransport, DEFAULT_API_URL, parseApiUrl } from './transport.js';
 
 const Discogs = Disconnect.Client;
 
 const DISCOGS_BASE_URL = 'https://www.discogs.com';
 
+const USER_AGENT = 'muzak/1.0.0';
+
 /**
  * Build Discogs URL from type and ID
  * @param {string} type - Resource type ('master', 'release', 'artist', 'label')
@@ -25,6 +42,28 @@ export function buildDiscogsUrlFromUri(uri) {
   return `${DISCOGS_BASE_URL}${uri}`;
 }
 
+/**
+ * Build Discogs marketplace URL for a release or all versions of a master
+ * @param {string} type - 'master' or 'release'
+ * @param {number|string} id - Resource ID
+ * @returns {string} Full marketplace URL
+ */
+export function buildMarketplaceUrl(type, id) {
+  return type === 'master'
+    ? `${DISCOGS_BASE_URL}/sell/list?master_id=${id}`
+    : `${DISCOGS_BASE_URL}/sell/release/${id}`;
+}
+
+/**
+ * Format a marketplace price for display
+ * @param {Object|null} price - { value, currency }
+ * @returns {string} e.g. "12.50 USD" or "n/a"
+ */
+export function formatPrice(price) {
+  if (!price || typeof price.value !== 'number') return 'n/a';
+  return `${price.value.toFixed(2)}${price.currency ? ` ${price.currency}` : ''}`;
+}
+
 /**
  * Log verbose API request/response for debugging
  * @param {string} endpoint - API endpoint name
@@ -67,67 +106,274 @@ function logVerboseRequest(
 
 /**
  * Create and configure Discogs client
+ * A personal token (option, DISCOGS_TOKEN env or .mzkconfig) wins over
+ * OAuth credentials stored by `login`.
+ * A custom API URL (a proxy or a local mock server) swaps in an http(s)
+ * transport for that URL and keeps the response cache off (even through
+ * `cache on`), so responses from different servers never mix.
  * @param {string|null} token - Optional token override
- * @returns {Object} { client, db, token }
+ * @param {string|null} apiUrl - Optional API base URL override
+ * @returns {Object} { client, db, token, apiUrl }; `token` is null when
+ *   the client uses OAuth or no credentials
  */
-export function createClient(token = null) {
+export function createClient(token = null, apiUrl = null) {
   const resolvedToken =
     token || process.env.DISCOGS_TOKEN || fileConfig.DISCOGS_TOKEN;
+  const requestedApiUrl =
+    apiUrl || process.env.DISCOGS_API_URL || fileConfig.DISCOGS_API_URL;
+
+  const credentials = resolvedToken ? null : loadCredentials();
 
   const client = resolvedToken
-    ? new Discogs('muzak/1.0.0', { userToken: resolvedToken })
-    : new Discogs('muzak/1.0.0');
+    ? new Discogs(USER_AGENT, { userToken: resolvedToken })
+    : credentials
+      ? createOAuthClient(credentials)
+      : new Discogs(USER_AGENT);
+
+  let resolvedApiUrl = DEFAULT_API_URL;
+  if (requestedApiUrl) {
+    const parsed = parseApiUrl(requestedApiUrl);
+    if (!parsed) {
+      log.warn(`Ignoring invalid API URL '${requestedApiUrl}'`);
+    } else if (parsed !== DEFAULT_API_URL) {
+      resolvedApiUrl = parsed;
+      client._rawRequest = createTransport(parsed);
+    }
+  }
+
+  // Responses of another server must not be cached under Discogs keys
+  configureCache({
+    customApiUrl: resolvedApiUrl === DEFAULT_API_URL ? null : resolvedApiUrl,
+  });
 
   const db = client.database();
 
-  return { client, db, token: resolvedToken };
+  return { client, db, token: resolvedToken, apiUrl: resolvedApiUrl };
 }
 
 /**
- * Search Discogs database
- * @param {Object} db - Discogs database instance
- * @param {string} query - Search query
- * @param {string|null} type - Filter by type (artist, release, etc.)
- * @param {number} limit - Results per page
- * @param {boolean} verbose - Whether to output verbose info
- * @returns {Promise<Array>} Search results
+ * Create a Discogs client for stored OAuth credentials
+ * @param {Object} credentials - consumerKey, consumerSecret, token, tokenSecret
+ * @returns {Object} disconnect client
  */
-export async function searchDiscogs(
-  db,
-  query,
-  type = null,
-  limit = 5,
-  verbose = false,
+export function createOAuthClient(credentials) {
+  return new Discogs(USER_AGENT, buildOAuthAuth(credentials));
+}
+
+/**
+ * Create a disconnect OAuth helper for the login flow
+ * @returns {Object} disconnect OAuth instance
+ */
+export function createOAuth() {
+  return new Discogs(USER_AGENT).oauth();
+}
+
+/**
+ * Run a callback-style disconnect request as a promise
+ * Only callbacks receive the X-Discogs-Ratelimit-* headers, which are
+ * recorded for the request scheduler.
+ * @param {Function} request - Function passing a callback to a disconnect method
+ * @returns {Promise<Object>} Response data
+ */
+function runRequest(request) {
+  return new Promise((resolve, reject) => {
+    request((error, data, rateLimit) => {
+      recordRateLimit(rateLimit);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(data);
+      }
+    });
+  });
+}
+
+/**
+ * Answer an API call from the recorded fixtures (offline mode)
+ * Replays are written to the session log like real calls, so a replayed
+ * session can be recorded again.
+ * @param {string} endpoint - API endpoint name
+ * @param {Object} params - Request parameters
+ * @param {Object} options - verbose, errorMessage
+ * @returns {Object|null} Recorded response data or null
+ */
+function replayFixture(endpoint, params, { verbose, errorMessage }) {
+  const fixture = readFixture(endpoint, params);
+
+  if (verbose) {
+    log.debug(
+      `Fixture ${fixture ? 'hit' : 'missing'}: ${endpoint} ${JSON.stringify(params)}`,
+    );
+  }
+
+  if (!fixture) {
+    log.error(errorMessage, 'no recorded response (offline mode)');
+    log.info(
+      `Record it online, then run 'fixtures import' into ${getFixturesPath()}`,
+    );
+    return null;
+  }
+
+  logApiResponse(
+    endpoint,
+    params,
+    fixture.error !== undefined ? { error: fixture.error } : fixture.data,
+  );
+
+  if (fixture.error !== undefined) {
+    log.error(errorMessage, fixture.error);
+    return null;
+  }
+
+  return fixture.data;
+}
+
+/**
+ * Call a Discogs API endpoint with response logging and error handling
+ * Successful and failed calls are written to the session log, and echoed
+ * to the console in verbose mode. Cacheable calls are answered from the
+ * response cache when possible; only successful responses are stored.
+ * Cache hits are written to the session log like network responses, so a
+ * recorded session can be imported as fixtures whether the cache was on.
+ * Requests go through scheduleRequest() for throttling and retries. In
+ * offline mode the call is answered from the fixtures instead.
+ * @param {string} endpoint - API endpoint name for logs (e.g. 'database.search')
+ * @param {Object} params - Request parameters (for logs and the cache key)
+ * @param {Function} request - Function calling a disconnect method with the
+ *   given callback, e.g. `(done) => db.getRelease(id, done)`
+ * @param {Object} options - Call options
+ * @param {boolean} options.verbose - Whether to output verbose info
+ * @param {string} options.errorMessage - User-facing error prefix
+ * @param {boolean} [options.cache=false] - Whether the response may be cached
+ * @param {boolean} [options.idempotent=true] - False for writes that must not
+ *   be repeated after a server error
+ * @returns {Promise<Object|null>} Response data or null on error
+ */
+async function callDiscogs(
+  endpoint,
+  params,
+  request,
+  { verbose, errorMessage, cache = false, idempotent = true },
 ) {
-  const params = { q: query, per_page: limit };
+  if (isOffline()) {
+    return replayFixture(endpoint, params, { verbose, errorMessage });
+  }
 
-  if (type) {
-    params.type = type;
+  const useCache = cache && isCacheEnabled();
+
+  if (useCache) {
+    const cached = readCache(endpoint, params);
+    if (cached !== undefined) {
+      logApiResponse(endpoint, params, cached);
+      if (verbose) {
+        log.debug(`Cache hit: ${endpoint} ${JSON.stringify(params)}`);
+      }
+      return cached;
+    }
   }
 
   try {
-    const data = await db.search(params);
+    const data = await scheduleRequest(() => runRequest(request), {
+      endpoint,
+      verbose,
+      idempotent,
+    });
 
-    logApiResponse('database.search', params, data);
+    logApiResponse(endpoint, params, data);
 
     if (verbose) {
-      logVerboseRequest('database.search', params, data);
+      logVerboseRequest(endpoint, params, data);
+      log.debug(`Rate limit: ${formatRateLimit(getRateLimit())}`);
+    }
+
+    if (useCache) {
+      writeCache(endpoint, params, data);
     }
 
-    return data.results;
+    return data;
   } catch (error) {
-    logApiResponse('database.search', params, { error: error.message });
+    logApiResponse(endpoint, params, { error: error.message });
 
     if (verbose) {
-      logVerboseRequest('database.search', params, error, {
+      logVerboseRequest(endpoint, params, error, {
         isError: true,
         errorStack: error.stack,
       });
     }
 
-    log.error('Error searching Discogs:', error.message);
-    return [];
+    log.error(errorMessage, error.message);
+    if (error.statusCode === 429) {
+      log.info('Discogs rate limit reached. Wait a minute and try again.');
+    }
+    return null;
+  }
+}
+
+/**
+ * Search Discogs database
+ * @param {Object} db - Discogs database instance
+ * @param {string} query - Search query
+ * @param {string|null} type - Filter by type (artist, release, etc.)
+ * @param {number} limit - Results per page
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Array>} Search results
+ */
+export async function searchDiscogs(
+  db,
+  query,
+  type = null,
+  limit = 5,
+  verbose = false,
+) {
+  const data = await searchDiscogsPage(
+    db,
+    query,
+    { type, per_page: limit, page: 1 },
+    verbose,
+  );
+  return data?.results || [];
+}
+
+/**
+ * Search Discogs database, keeping the pagination block
+ * @param {Object} db - Discogs database instance
+ * @param {string} query - Search query (may be empty when fields are set)
+ * @param {Object} params - Query params: type, page, per_page and search
+ *   fields (artist, release_title, label, year, format, ...); empty values
+ *   are left out
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { results, pagination } or null on error
+ */
+export async function searchDiscogsPage(db, query, params, verbose = false) {
+  const page = params.page || 1;
+  const perPage = params.per_page || 5;
+  const searchParams = { q: query };
+
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && value !== undefined && value !== '') {
+      searchParams[key] = value;
+    }
   }
+
+  const data = await callDiscogs(
+    'database.search',
+    searchParams,
+    (done) => db.search(searchParams, done),
+    { verbose, errorMessage: 'Error searching Discogs:', cache: true },
+  );
+
+  if (!data) return null;
+
+  const results = data.results || [];
+  return {
+    results,
+    pagination: {
+      page,
+      pages: data.pagination?.pages || 1,
+      per_page: perPage,
+      items: data.pagination?.items ?? results.length,
+    },
+  };
 }
 
 /**
@@ -154,62 +400,360 @@ export function formatResult(result) {
  * @returns {Promise<Object|null>} Master release data or null on error
  */
 export async function getMaster(db, masterId, verbose = false) {
-  const params = { masterId };
-
-  try {
-    const data = await db.getMaster(masterId);
+  return callDiscogs(
+    'database.getMaster',
+    { masterId },
+    (done) => db.getMaster(masterId, done),
+    { verbose, errorMessage: 'Error fetching master:', cache: true },
+  );
+}
 
-    logApiResponse('database.getMaster', params, data);
+/**
+ * Get one page of the releases (versions) under a master
+ * @param {Object} db - Discogs database instance
+ * @param {number} masterId - Master release ID
+ * @param {Object} params - Query params: page, per_page
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { pagination, versions } or null on error
+ */
+export async function getMasterVersions(db, masterId, params, verbose = false) {
+  return callDiscogs(
+    'database.getMasterVersions',
+    { masterId, ...params },
+    (done) => db.getMasterVersions(masterId, params, done),
+    { verbose, errorMessage: 'Error fetching master versions:', cache: true },
+  );
+}
 
-    if (verbose) {
-      logVerboseRequest('database.getMaster', params, data);
-    }
+/**
+ * Get release details including tracklist
+ * @param {Object} db - Discogs database instance
+ * @param {number} releaseId - Release ID
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} Release data or null on error
+ */
+export async function getRelease(db, releaseId, verbose = false) {
+  return callDiscogs(
+    'database.getRelease',
+    { releaseId },
+    (done) => db.getRelease(releaseId, done),
+    { verbose, errorMessage: 'Error fetching release:', cache: true },
+  );
+}
 
-    return data;
-  } catch (error) {
-    logApiResponse('database.getMaster', params, { error: error.message });
+/**
+ * Get artist details (profile, aliases, members, groups, URLs)
+ * @param {Object} db - Discogs database instance
+ * @param {number} artistId - Artist ID
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} Artist data or null on error
+ */
+export async function getArtist(db, artistId, verbose = false) {
+  return callDiscogs(
+    'database.getArtist',
+    { artistId },
+    (done) => db.getArtist(artistId, done),
+    { verbose, errorMessage: 'Error fetching artist:', cache: true },
+  );
+}
 
-    if (verbose) {
-      logVerboseRequest('database.getMaster', params, error, { isError: true });
-    }
+/**
+ * Get one page of an artist's releases
+ * @param {Object} db - Discogs database instance
+ * @param {number} artistId - Artist ID
+ * @param {Object} params - Query params: page, per_page, sort, sort_order
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { pagination, releases } or null on error
+ */
+export async function getArtistReleases(db, artistId, params, verbose = false) {
+  return callDiscogs(
+    'database.getArtistReleases',
+    { artistId, ...params },
+    (done) => db.getArtistReleases(artistId, params, done),
+    { verbose, errorMessage: 'Error fetching artist releases:', cache: true },
+  );
+}
 
-    log.error('Error fetching master:', error.message);
-    return null;
-  }
+/**
+ * Get label details (profile, parent label, sub-labels, URLs)
+ * @param {Object} db - Discogs database instance
+ * @param {number} labelId - Label ID
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} Label data or null on error
+ */
+export async function getLabel(db, labelId, verbose = false) {
+  return callDiscogs(
+    'database.getLabel',
+    { labelId },
+    (done) => db.getLabel(labelId, done),
+    { verbose, errorMessage: 'Error fetching label:', cache: true },
+  );
 }
 
 /**
- * Get release details including tracklist
+ * Get one page of a label's releases (catalog)
  * @param {Object} db - Discogs database instance
+ * @param {number} labelId - Label ID
+ * @param {Object} params - Query params: page, per_page
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { pagination, releases } or null on error
+ */
+export async function getLabelReleases(db, labelId, params, verbose = false) {
+  return callDiscogs(
+    'database.getLabelReleases',
+    { labelId, ...params },
+    (done) => db.getLabelReleases(labelId, params, done),
+    { verbose, errorMessage: 'Error fetching label releases:', cache: true },
+  );
+}
+
+/**
+ * Get the user the client is authenticated as
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { id, username, resource_url, consumer_name } or null on error
+ */
+export async function getIdentity(client, verbose = false) {
+  return callDiscogs('oauth.identity', {}, (done) => client.getIdentity(done), {
+    verbose,
+    errorMessage: 'Error fetching identity:',
+  });
+}
+
+/**
+ * Get a user's collection folders (folder 0 holds every item)
+ * Not cached: the collection changes as records are added.
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {string} username - Discogs username
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { folders: [{ id, name, count }] } or null on error
+ */
+export async function getCollectionFolders(client, username, verbose = false) {
+  return callDiscogs(
+    'collection.getFolders',
+    { username },
+    (done) => client.user().collection().getFolders(username, done),
+    { verbose, errorMessage: 'Error fetching collection folders:' },
+  );
+}
+
+/**
+ * Get one page of the items in a user's collection folder
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {string} username - Discogs username
+ * @param {number} folderId - Folder ID (0 = all)
+ * @param {Object} params - Query params: page, per_page, sort, sort_order
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { releases, pagination } or null on error
+ */
+export async function getCollectionReleases(
+  client,
+  username,
+  folderId,
+  params,
+  verbose = false,
+) {
+  return callDiscogs(
+    'collection.getReleases',
+    { username, folderId, ...params },
+    (done) =>
+      client.user().collection().getReleases(username, folderId, params, done),
+    { verbose, errorMessage: 'Error fetching collection:' },
+  );
+}
+
+/**
+ * Get the instances (copies) of a release in a user's collection
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {string} username - Discogs username
  * @param {number} releaseId - Release ID
  * @param {boolean} verbose - Whether to output verbose info
- * @returns {Promise<Object|null>} Release data or null on error
+ * @returns {Promise<Object|null>} { releases: [{ id, instance_id, folder_id, ... }] }
+ *   or null on error
  */
-export async function getRelease(db, releaseId, verbose = false) {
-  const params = { releaseId };
+export async function getReleaseInstances(
+  client,
+  username,
+  releaseId,
+  verbose = false,
+) {
+  return callDiscogs(
+    'collection.getReleaseInstances',
+    { username, releaseId },
+    (done) =>
+      client.user().collection().getReleaseInstances(username, releaseId, done),
+    { verbose, errorMessage: 'Error fetching collection copies:' },
+  );
+}
 
-  try {
-    const data = await db.getRelease(releaseId);
+/**
+ * Add a release to a folder of the user's collection
+ * Adding a release already in the collection adds another copy, so the
+ * request is only retried when rate limited.
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {string} username - Discogs username
+ * @param {number} folderId - Folder ID (1 = Uncategorized)
+ * @param {number} releaseId - Release ID
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { instance_id, resource_url } or null on error
+ */
+export async function addToCollection(
+  client,
+  username,
+  folderId,
+  releaseId,
+  verbose = false,
+) {
+  return callDiscogs(
+    'collection.addRelease',
+    { username, folderId, releaseId },
+    (done) =>
+      client
+        .user()
+        .collection()
+        .addRelease(username, folderId, releaseId, done),
+    { verbose, errorMessage: 'Error adding to collection:', idempotent: false },
+  );
+}
+
+/**
+ * Remove one copy of a release from the user's collection
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {string} username - Discogs username
+ * @param {number} folderId - Folder ID holding the copy
+ * @param {number} releaseId - Release ID
+ * @param {number} instanceId - Instance ID of the copy
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<boolean>} True when the copy was removed
+ */
+export async function removeFromCollection(
+  client,
+  username,
+  folderId,
+  releaseId,
+  instanceId,
+  verbose = false,
+) {
+  const data = await callDiscogs(
+    'collection.removeRelease',
+    { username, folderId, releaseId, instanceId },
+    (done) =>
+      client
+        .user()
+        .collection()
+        .removeRelease(username, folderId, releaseId, instanceId, done),
+    { verbose, errorMessage: 'Error removing from collection:' },
+  );
+  // Discogs answers 204 No Content, so success is an empty body
+  return data !== null;
+}
 
-    logApiResponse('database.getRelease', params, data);
+/**
+ * Get one page of a user's wantlist
+ * Not cached: the wantlist changes as releases are added.
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {string} username - Discogs username
+ * @param {Object} params - Query params: page, per_page
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} { wants, pagination } or null on error
+ */
+export async function getWantlistReleases(
+  client,
+  username,
+  params,
+  verbose = false,
+) {
+  return callDiscogs(
+    'wantlist.getReleases',
+    { username, ...params },
+    (done) => client.user().wantlist().getReleases(username, params, done),
+    { verbose, errorMessage: 'Error fetching wantlist:' },
+  );
+}
 
-    if (verbose) {
-      logVerboseRequest('database.getRelease', params, data);
-    }
+/**
+ * Add a release to the user's wantlist
+ * Adding a release already on the wantlist replaces its notes.
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {string} username - Discogs username
+ * @param {number} releaseId - Release ID
+ * @param {string|null} notes - Notes stored with the want, null for none
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} Wantlist entry or null on error
+ */
+export async function addToWantlist(
+  client,
+  username,
+  releaseId,
+  notes = null,
+  verbose = false,
+) {
+  return callDiscogs(
+    'wantlist.addRelease',
+    { username, releaseId, ...(notes && { notes }) },
+    (done) =>
+      client
+        .user()
+        .wantlist()
+        .addRelease(username, releaseId, notes ? { notes } : null, done),
+    { verbose, errorMessage: 'Error adding to wantlist:' },
+  );
+}
 
-    return data;
-  } catch (error) {
-    logApiResponse('database.getRelease', params, { error: error.message });
+/**
+ * Remove a release from the user's wantlist
+ * @param {Object} client - Discogs client instance (authenticated)
+ * @param {string} username - Discogs username
+ * @param {number} releaseId - Release ID
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<boolean>} True when the release was removed
+ */
+export async function removeFromWantlist(
+  client,
+  username,
+  releaseId,
+  verbose = false,
+) {
+  const data = await callDiscogs(
+    'wantlist.removeRelease',
+    { username, releaseId },
+    (done) => client.user().wantlist().removeRelease(username, releaseId, done),
+    { verbose, errorMessage: 'Error removing from wantlist:' },
+  );
+  return data !== null;
+}
 
-    if (verbose) {
-      logVerboseRequest('database.getRelease', params, error, {
-        isError: true,
-      });
-    }
+/**
+ * Get marketplace statistics for a release (lowest price, number for sale)
+ * @param {Object} client - Discogs client instance
+ * @param {number} releaseId - Release ID
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} Stats data or null on error
+ */
+export async function getMarketplaceStats(client, releaseId, verbose = false) {
+  return callDiscogs(
+    'marketplace.getStats',
+    { releaseId },
+    (done) => client.get(`/marketplace/stats/${releaseId}`, done),
+    { verbose, errorMessage: 'Error fetching marketplace stats:' },
+  );
+}
 
-    log.error('Error fetching release:', error.message);
-    return null;
-  }
+/**
+ * Get suggested marketplace prices per condition for a release
+ * Requires an authenticated client with seller settings on Discogs.
+ * @param {Object} client - Discogs client instance
+ * @param {number} releaseId - Release ID
+ * @param {boolean} verbose - Whether to output verbose info
+ * @returns {Promise<Object|null>} Prices keyed by condition or null on error
+ */
+export async function getPriceSuggestions(client, releaseId, verbose = false) {
+  return callDiscogs(
+    'marketplace.getPriceSuggestions',
+    { releaseId },
+    (done) => client.marketplace().getPriceSuggestions(releaseId, done),
+    { verbose, errorMessage: 'Error fetching price suggestions:' },
+  );
 }
 
 /**
@@ -245,3 +789,39 @@ export function formatTrack(track, index, format = 'human') {
     }
   }
 }
+
+/**
+ * Format a label catalog entry for display
+ * @param {Object} release - Label release object
+ * @param {string} format - Output format: human, csv, pipe, markdown
+ * @returns {string} Formatted string
+ */
+export function formatCatalogEntry(release, format = 'human') {
+  const catno = release.catno || '';
+  const artist = release.artist || 'Unknown Artist';
+  const title = release.title || 'Untitled';
+  const year = release.year || '';
+  const releaseFormat = release.format || '';
+
+  switch (format) {
+    case 'csv':
+      return [catno, artist, title, year, releaseFormat, release.id]
+        .map((value) => {
+          const str = String(value);
+          return str.includes(',') || str.includes('"')
+            ? `"${str.replace(/"/g, '""')}"`
+            : str;
+        })
+        .join(',');
+
+    case 'pipe':
+      return `${catno} | ${artist} - ${title} | ${year}`;
+
+    case 'markdown':
+      return `| ${catno} | ${artist} | ${title} | ${year} | ${releaseFormat} |`;
+    default: {
+      const yearStr = year ? ` (${year})` : '';
+      return `  ${catno.padEnd(12)} ${artist} - ${title}${yearStr}`;
+    }
+  }
+}
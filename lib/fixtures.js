@@ -0,0 +1,173 @@
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  writeFileSync,
+} from 'node:fs';
+import { join } from 'node:path';
+import { buildCacheKey } from './cache.js';
+import { getFixturesDir, isOfflineConfigured } from './config.js';
+
+/**
+ * Offline mode state for this process
+ * `offline` is turned on by --offline or OFFLINE=true; `dir` by --fixtures
+ * or FIXTURES_DIR.
+ */
+const fixtureState = {
+  dir: getFixturesDir(),
+  offline: isOfflineConfigured(),
+};
+
+/**
+ * Matches one API call written by logApiResponse() to the session log
+ */
+const LOG_ENTRY_PATTERN =
+  /API CALL: (\S+)\nPARAMS: ([\s\S]*?)\nRESPONSE:\n([\s\S]*?)\n─{60}/g;
+
+/**
+ * Override offline mode settings (fixtures directory, on/off)
+ * @param {{ dir?: string, offline?: boolean }} options
+ */
+export function configureFixtures({ dir, offline } = {}) {
+  if (dir !== undefined) fixtureState.dir = dir;
+  if (offline !== undefined) fixtureState.offline = offline;
+}
+
+/**
+ * Check whether Discogs calls are answered from fixtures
+ * @returns {boolean}
+ */
+export function isOffline() {
+  return fixtureState.offline;
+}
+
+/**
+ * Get the fixtures directory in use
+ * @returns {string}
+ */
+export function getFixturesPath() {
+  return fixtureState.dir;
+}
+
+/**
+ * Build the fixture file name for an API call (pure function)
+ * The endpoint prefix keeps the directory browsable; the hash is the
+ * cache key, so param order does not matter.
+ * @param {string} endpoint - API endpoint name, e.g. 'database.getRelease'
+ * @param {Object} params - Request parameters
+ * @returns {string} e.g. "database.getRelease-3f2a9c0d1e4b5a67.json"
+ */
+export function buildFixtureName(endpoint, params) {
+  return `${endpoint}-${buildCacheKey(endpoint, params).slice(0, 16)}.json`;
+}
+
+/**
+ * Parse the API calls recorded in a session log (pure function)
+ * Failed calls are kept with their error message so replays fail the
+ * same way; entries that are not valid JSON are skipped.
+ * @param {string} text - Session log contents (dist/logs/log-*.txt)
+ * @returns {Array<{ endpoint: string, params: Object, data?: *, error?: string }>}
+ */
+export function parseApiLog(text) {
+  const entries = [];
+
+  for (const [, endpoint, paramsText, responseText] of text.matchAll(
+    LOG_ENTRY_PATTERN,
+  )) {
+    try {
+      const params = JSON.parse(paramsText);
+      const response = JSON.parse(responseText);
+      const isError =
+        response &&
+        typeof response === 'object' &&
+        Object.keys(response).length === 1 &&
+        typeof response.error === 'string';
+
+      entries.push(
+        isError
+          ? { endpoint, params, error: response.error }
+          : { endpoint, params, data: response },
+      );
+    } catch (_err) {
+      // Truncated or hand-edited entry; skip it
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Store a recorded API call as a fixture
+ * @param {Object} entry - { endpoint, params, data } or { endpoint, params, error }
+ * @returns {string} Fixture file path
+ */
+export function writeFixture(entry) {
+  mkdirSync(fixtureState.dir, { recursive: true });
+  const file = join(
+    fixtureState.dir,
+    buildFixtureName(entry.endpoint, entry.params),
+  );
+  writeFileSync(file, JSON.stringify(entry, null, 2));
+  return file;
+}
+
+/**
+ * Read the recorded response for an API call
+ * @param {string} endpoint - API endpoint name
+ * @param {Object} params - Request parameters
+ * @returns {Object|undefined} { endpoint, params, data|error }, or undefined
+ *   when the call was never recorded
+ */
+export function readFixture(endpoint, params) {
+  const file = join(fixtureState.dir, buildFixtureName(endpoint, params));
+  if (!existsSync(file)) return undefined;
+
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (_err) {
+    return undefined;
+  }
+}
+
+/**
+ * Record every API call of a session log as fixtures
+ * Later calls to the same endpoint and params replace earlier ones.
+ * @param {string} text - Session log contents
+ * @returns {{ saved: number, errors: number }} Fixtures written, of which
+ *   recorded failures
+ */
+export function importFixtures(text) {
+  const entries = parseApiLog(text);
+  for (const entry of entries) {
+    writeFixture(entry);
+  }
+
+  return {
+    saved: entries.length,
+    errors: entries.filter((entry) => entry.error !== undefined).length,
+  };
+}
+
+/**
+ * Count fixtures per endpoint
+ * @returns {{ dir: string, offline: boolean, total: number, endpoints: Object<string, number> }}
+ */
+export function getFixtureStats() {
+  const endpoints = {};
+  const files = existsSync(fixtureState.dir)
+    ? readdirSync(fixtureState.dir).filter((name) => name.endsWith('.json'))
+    : [];
+
+  for (const name of files) {
+    const endpoint = name.replace(/-[0-9a-f]{16}\.json$/, '');
+    endpoints[endpoint] = (endpoints[endpoint] || 0) + 1;
+  }
+
+  return {
+    dir: fixtureState.dir,
+    offline: fixtureState.offline,
+    total: files.length,
+    endpoints,
+  };
+}
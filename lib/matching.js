@@ -0,0 +1,405 @@
+/**
+ * Weights for each scoring component (sum to 1)
+ * Track title and album both compare against the Discogs release title;
+ * the better of the two counts as `release`, since a track can be found
+ * on its single or on its album.
+ */
+const MATCH_WEIGHTS = {
+  artist: 0.45,
+  release: 0.35,
+  year: 0.1,
+  format: 0.1,
+};
+
+/**
+ * Score for each physical/digital format (first match in result.format wins)
+ */
+const FORMAT_SCORES = {
+  vinyl: 1,
+  cd: 0.7,
+  file: 0.6,
+  cassette: 0.4,
+};
+
+/**
+ * Neutral score used when a component cannot be compared
+ */
+const NEUTRAL_SCORE = 0.5;
+
+/**
+ * Years apart at which year proximity drops to zero
+ */
+const YEAR_TOLERANCE = 5;
+
+/**
+ * ISRC layout: country (2), registrant (3), year (2), designation (5)
+ */
+const ISRC_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/;
+
+/**
+ * Confidence given to a release that lists the track's ISRC; a release that
+ * also lists the exact track title is a certain match (1)
+ */
+const ISRC_CONFIDENCE = 0.95;
+
+/**
+ * Confidence added when a release tracklist contains the exact track title
+ */
+const TRACKLIST_BONUS = 0.1;
+
+/**
+ * Words marking a bracketed or dashed title suffix as a version of the song
+ * ("(Radio Edit)", "- 2011 Remaster", "[feat. Someone]")
+ */
+const VERSION_PATTERN =
+  /\b(remix|mix|edit|version|remaster(ed)?|radio|extended|instrumental|live|mono|stereo|dub|rework|vip|feat|ft|featuring)\b/i;
+
+/**
+ * Title similarity at which a tracklist entry counts as the playlist track
+ */
+const TRACK_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Normalize text for comparison: lowercase, no accents, no punctuation
+ * @param {string} str - Input text
+ * @returns {string} Normalized text
+ */
+export function normalizeText(str) {
+  return (str || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the set of character bigrams for a string
+ * @param {string} str - Normalized text
+ * @returns {Map<string, number>} Bigram counts
+ */
+function bigrams(str) {
+  const counts = new Map();
+  const compact = str.replace(/\s/g, '');
+  for (let i = 0; i < compact.length - 1; i++) {
+    const pair = compact.slice(i, i + 2);
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Text similarity between 0 and 1 (Dice coefficient over bigrams)
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity score
+ */
+export function similarity(a, b) {
+  const na = normalizeText(a);
+  const nb = normalizeText(b);
+
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+
+  const ga = bigrams(na);
+  const gb = bigrams(nb);
+  let overlap = 0;
+  let total = 0;
+
+  for (const [pair, count] of ga) {
+    overlap += Math.min(count, gb.get(pair) || 0);
+    total += count;
+  }
+  for (const count of gb.values()) {
+    total += count;
+  }
+
+  return total ? (2 * overlap) / total : 0;
+}
+
+/**
+ * Split a Discogs search result title into artist and release title
+ * Strips Discogs artist disambiguation suffixes like "(2)" and "*".
+ * @param {string} title - Result title, e.g. "Bonobo - Black Sands"
+ * @returns {{ artist: string, title: string }}
+ */
+export function splitResultTitle(title) {
+  const [artist, ...rest] = (title || '').split(' - ');
+  if (!rest.length) return { artist: '', title: artist.trim() };
+
+  return {
+    artist: artist.replace(/\s*\(\d+\)|\*/g, '').trim(),
+    title: rest.join(' - ').trim(),
+  };
+}
+
+/**
+ * Normalize an ISRC: uppercase, without the dashes and spaces of its
+ * printed form ("US-SM1-17-00198")
+ * @param {string} isrc - ISRC code
+ * @returns {string} Compact ISRC, or '' if not a valid ISRC
+ */
+export function normalizeIsrc(isrc) {
+  const code = (isrc || '').toUpperCase().replace(/[\s-]/g, '');
+  return ISRC_PATTERN.test(code) ? code : '';
+}
+
+/**
+ * Get the year of reference encoded in an ISRC (characters 6-7)
+ * @param {string} isrc - ISRC code, e.g. "QMUY41700198"
+ * @returns {number|null} Four-digit year or null if not a valid ISRC
+ */
+export function getIsrcYear(isrc) {
+  const code = normalizeIsrc(isrc);
+  if (!code) return null;
+
+  const yy = parseInt(code.slice(5, 7), 10);
+  const currentYY = new Date().getFullYear() % 100;
+  return yy > currentYY ? 1900 + yy : 2000 + yy;
+}
+
+/**
+ * Check whether a release lists an ISRC in its identifiers or notes
+ * Identifier values are compared without punctuation, so printed forms
+ * like "ISRC: US-SM1-17-00198" match.
+ * @param {Object|null} release - Release details from the API
+ * @param {string} isrc - ISRC code
+ * @returns {boolean}
+ */
+export function releaseHasIsrc(release, isrc) {
+  const code = normalizeIsrc(isrc);
+  if (!code || !release) return false;
+
+  const texts = [
+    ...(release.identifiers || []).map((identifier) => identifier.value),
+    release.notes,
+  ];
+  return texts.some((text) =>
+    (text || '')
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, '')
+      .includes(code),
+  );
+}
+
+/**
+ * Find the tracklist entry whose title equals the track title
+ * Titles are compared after normalizeText(); headings are ignored.
+ * @param {Array} [tracklist] - Release tracklist from the API
+ * @param {string} title - Track title
+ * @returns {Object|null} Matching track or null
+ */
+export function findTrackByTitle(tracklist, title) {
+  const wanted = normalizeText(title);
+  if (!wanted) return null;
+
+  return (
+    (tracklist || []).find(
+      (track) =>
+        track.type_ !== 'heading' && normalizeText(track.title) === wanted,
+    ) || null
+  );
+}
+
+/**
+ * Normalize a track title for tracklist matching
+ * Drops version suffixes (remix, edit, remaster...) and featured-artist
+ * credits before normalizeText(), so "Kiara (Radio Edit) [feat. X]" and
+ * "Kiara" compare equal.
+ * @param {string} title - Track title
+ * @returns {string} Normalized title
+ */
+export function normalizeTrackTitle(title) {
+  const stripped = (title || '')
+    .replace(/\s*[([][^)\]]*[)\]]/g, (group) =>
+      VERSION_PATTERN.test(group) ? '' : group,
+    )
+    .replace(/\s+-\s+.*$/, (suffix) =>
+      VERSION_PATTERN.test(suffix) ? '' : suffix,
+    )
+    .replace(/\s+(feat\.?|ft\.?|featuring)\s.*$/i, '');
+
+  return normalizeText(stripped);
+}
+
+/**
+ * Fuzzy-find a playlist track in a release tracklist
+ * Headings are skipped and index tracks are searched through their
+ * sub-tracks; the most similar title wins if it reaches
+ * TRACK_MATCH_THRESHOLD.
+ * @param {Array} [tracklist] - Release or master tracklist from the API
+ * @param {string} title - Playlist track title
+ * @returns {{ track: Object, score: number }|null} Best track and its similarity
+ */
+export function findTrackInTracklist(tracklist, title) {
+  const wanted = normalizeTrackTitle(title);
+  if (!wanted) return null;
+
+  let best = null;
+  for (const track of flattenTracklist(tracklist)) {
+    const score = similarity(wanted, normalizeTrackTitle(track.title));
+    if (!best || score > best.score) best = { track, score };
+  }
+
+  if (!best || best.score < TRACK_MATCH_THRESHOLD) return null;
+  return { track: best.track, score: roundScore(best.score) };
+}
+
+/**
+ * List the playable tracks of a tracklist: no headings, index tracks
+ * replaced by their sub-tracks
+ * @param {Array} [tracklist] - Tracklist from the API
+ * @returns {Array} Tracks
+ */
+function flattenTracklist(tracklist) {
+  return (tracklist || []).flatMap((track) => {
+    if (track.type_ === 'heading') return [];
+    return track.sub_tracks?.length ? track.sub_tracks : [track];
+  });
+}
+
+/**
+ * Collect release evidence for a playlist track
+ * @param {Object} track - Playlist track record
+ * @param {Object|null} release - Release details from the API
+ * @returns {{ isrcConfirmed: boolean, trackListed: boolean }}
+ */
+export function getReleaseEvidence(track, release) {
+  return {
+    isrcConfirmed: releaseHasIsrc(release, track.isrc),
+    trackListed: Boolean(findTrackByTitle(release?.tracklist, track.title)),
+  };
+}
+
+/**
+ * Apply release evidence to a confidence score
+ * An ISRC-confirmed release scores at least ISRC_CONFIDENCE (1 when its
+ * tracklist also has the title); a tracklist match alone adds TRACKLIST_BONUS.
+ * @param {number} confidence - Confidence from scoreCandidate()
+ * @param {{ isrcConfirmed?: boolean, trackListed?: boolean }} evidence
+ * @returns {number} Adjusted confidence
+ */
+export function applyEvidence(confidence, evidence) {
+  if (evidence.isrcConfirmed) {
+    return Math.max(confidence, evidence.trackListed ? 1 : ISRC_CONFIDENCE);
+  }
+  if (evidence.trackListed) {
+    return roundScore(Math.min(1, confidence + TRACKLIST_BONUS));
+  }
+  return confidence;
+}
+
+/**
+ * Score how close a release year is to the expected year
+ * @param {number|null} expected - Expected year (from ISRC)
+ * @param {number|string|null} actual - Release year from Discogs
+ * @returns {number} Score between 0 and 1
+ */
+export function scoreYear(expected, actual) {
+  const year = parseInt(actual, 10);
+  if (!expected || Number.isNaN(year)) return NEUTRAL_SCORE;
+  return Math.max(0, 1 - Math.abs(expected - year) / YEAR_TOLERANCE);
+}
+
+/**
+ * Score a result's format list against FORMAT_SCORES
+ * @param {string[]} [formats] - Discogs result formats
+ * @returns {number} Score between 0 and 1
+ */
+export function scoreFormat(formats) {
+  if (!formats?.length) return NEUTRAL_SCORE;
+
+  const names = formats.map((f) => f.toLowerCase());
+  const best = Object.entries(FORMAT_SCORES).find(([name]) =>
+    names.includes(name),
+  );
+  return best ? best[1] : 0.3;
+}
+
+/**
+ * Score a Discogs search result against a playlist track
+ * @param {Object} track - Playlist track record
+ * @param {Object} result - Discogs search result
+ * @returns {{ confidence: number, scores: Object }}
+ */
+export function scoreCandidate(track, result) {
+  const parsed = splitResultTitle(result.title);
+
+  const scores = {
+    artist: similarity(track.artist, parsed.artist),
+    title: similarity(track.title, parsed.title),
+    album: similarity(track.album, parsed.title),
+    year: scoreYear(getIsrcYear(track.isrc), result.year),
+    format: scoreFormat(result.format),
+  };
+
+  const release = Math.max(scores.title, scores.album);
+  const confidence =
+    MATCH_WEIGHTS.artist * scores.artist +
+    MATCH_WEIGHTS.release * release +
+    MATCH_WEIGHTS.year * scores.year +
+    MATCH_WEIGHTS.format * scores.format;
+
+  return { confidence: roundScore(confidence), scores: roundScores(scores) };
+}
+
+/**
+ * Rank search results for a track, best first
+ * Ties go to ISRC-confirmed, then tracklist-matched candidates.
+ * @param {Object} track - Playlist track record
+ * @param {Array} results - Discogs search results
+ * @param {Map<Object, Object>} [evidence] - getReleaseEvidence() per result
+ * @returns {Array<{ result: Object, confidence: number, scores: Object, isrcConfirmed: boolean, trackListed: boolean }>}
+ */
+export function rankCandidates(track, results, evidence = new Map()) {
+  return results
+    .map((result) => {
+      const { isrcConfirmed = false, trackListed = false } =
+        evidence.get(result) || {};
+      const { confidence, scores } = scoreCandidate(track, result);
+
+      return {
+        result,
+        confidence: applyEvidence(confidence, { isrcConfirmed, trackListed }),
+        scores,
+        isrcConfirmed,
+        trackListed,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.confidence - a.confidence ||
+        b.isrcConfirmed - a.isrcConfirmed ||
+        b.trackListed - a.trackListed,
+    );
+}
+
+/**
+ * Round a score to two decimals
+ * @param {number} value - Score
+ * @returns {number}
+ */
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Round every score in a breakdown object
+ * @param {Object} scores - Score breakdown
+ * @returns {Object}
+ */
+function roundScores(scores) {
+  return Object.fromEntries(
+    Object.entries(scores).map(([key, value]) => [key, roundScore(value)]),
+  );
+}
+
+export {
+  MATCH_WEIGHTS,
+  FORMAT_SCORES,
+  ISRC_CONFIDENCE,
+  TRACKLIST_BONUS,
+  TRACK_MATCH_THRESHOLD,
+};
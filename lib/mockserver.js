@@ -0,0 +1,148 @@
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Canned responses shipped with the mock server
+ */
+const DEFAULT_RESPONSES_FILE = join(
+  dirname(fileURLToPath(import.meta.url)),
+  'mockserver.json',
+);
+
+/**
+ * Rate limit reported by the mock server, per minute like Discogs
+ */
+const MOCK_RATE_LIMIT = 60;
+
+/**
+ * Load canned responses
+ * @param {string} [file] - JSON file with `search` (result list), `masters`
+ *   and `releases` (objects keyed by id)
+ * @returns {{ search: Array, masters: Object, releases: Object }}
+ */
+export function loadMockResponses(file = DEFAULT_RESPONSES_FILE) {
+  const responses = JSON.parse(readFileSync(file, 'utf-8'));
+  return {
+    search: responses.search || [],
+    masters: responses.masters || {},
+    releases: responses.releases || {},
+  };
+}
+
+/**
+ * Answer a database search from the canned results (pure function)
+ * Every word of `q` must appear in the title; `type` filters by result
+ * type. Paginated like Discogs.
+ * @param {Array} results - Canned search results
+ * @param {URLSearchParams} params - Query string
+ * @returns {{ pagination: Object, results: Array }}
+ */
+export function searchMockResults(results, params) {
+  const words = (params.get('q') || '').toLowerCase().split(/\s+/);
+  const type = params.get('type');
+  const perPage = Math.min(parseInt(params.get('per_page'), 10) || 50, 100);
+  const page = parseInt(params.get('page'), 10) || 1;
+
+  const matches = results.filter(
+    (result) =>
+      (!type || result.type === type) &&
+      words.every((word) => result.title.toLowerCase().includes(word)),
+  );
+
+  return {
+    pagination: {
+      page,
+      pages: Math.max(1, Math.ceil(matches.length / perPage)),
+      per_page: perPage,
+      items: matches.length,
+    },
+    results: matches.slice((page - 1) * perPage, page * perPage),
+  };
+}
+
+/**
+ * Route a request to a canned response (pure function)
+ * Serves GET /database/search, /masters/:id and /releases/:id; anything
+ * else gets the Discogs-style 404 or 405 body.
+ * @param {string} method - HTTP method
+ * @param {string} url - Request path and query
+ * @param {Object} responses - From loadMockResponses()
+ * @returns {{ status: number, body: Object }}
+ */
+export function routeMockRequest(method, url, responses) {
+  if (method !== 'GET') {
+    return { status: 405, body: { message: 'Method not allowed.' } };
+  }
+
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+
+  if (pathname === '/database/search') {
+    return {
+      status: 200,
+      body: searchMockResults(responses.search, searchParams),
+    };
+  }
+
+  const match = /^\/(masters|releases)\/(\d+)$/.exec(pathname);
+  const found = match && responses[match[1]][match[2]];
+  if (found) {
+    return { status: 200, body: found };
+  }
+
+  return { status: 404, body: { message: 'Resource not found.' } };
+}
+
+/**
+ * Create a local HTTP server that mimics the Discogs API
+ * Responses carry X-Discogs-Ratelimit-* headers counted per minute.
+ * @param {Object} [responses] - From loadMockResponses()
+ * @returns {import('node:http').Server}
+ */
+export function createMockServer(responses = loadMockResponses()) {
+  let windowStart = Date.now();
+  let used = 0;
+
+  return createServer((req, res) => {
+    if (Date.now() - windowStart >= 60 * 1000) {
+      windowStart = Date.now();
+      used = 0;
+    }
+    used++;
+
+    const { status, body } = routeMockRequest(req.method, req.url, responses);
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'X-Discogs-Ratelimit': MOCK_RATE_LIMIT,
+      'X-Discogs-Ratelimit-Used': used,
+      'X-Discogs-Ratelimit-Remaining': Math.max(0, MOCK_RATE_LIMIT - used),
+    });
+    res.end(JSON.stringify(body));
+  });
+}
+
+/**
+ * Start the mock server
+ * @param {Object} [options]
+ * @param {number} [options.port=4010] - Port, 0 for any free port
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+ * @param {string} [options.file] - Canned responses file
+ * @returns {Promise<{ server: import('node:http').Server, url: string }>}
+ */
+export function startMockServer({
+  port = 4010,
+  host = '127.0.0.1',
+  file = DEFAULT_RESPONSES_FILE,
+} = {}) {
+  const server = createMockServer(loadMockResponses(file));
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({ server, url: `http://${host}:${server.address().port}` });
+    });
+  });
+}
+
+export { DEFAULT_RESPONSES_FILE, MOCK_RATE_LIMIT };
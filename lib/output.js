@@ -1,10 +1,20 @@
-import { existsSync, mkdirSync, writeFileSync } from 'node:fs';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
 import { join } from 'node:path';
 import { projectRoot } from './config.js';
 import { log } from './logger.js';
 
 export const distDir = join(projectRoot, 'dist');
 
+/**
+ * File extension for each text output format (tracks_output setting)
+ */
+export const OUTPUT_EXTENSIONS = {
+  human: 'txt',
+  csv: 'csv',
+  pipe: 'txt',
+  markdown: 'md',
+};
+
 /**
  * Ensure dist folder structure exists
  */
@@ -13,6 +23,7 @@ export function ensureDistDir() {
     distDir,
     join(distDir, 'json'),
     join(distDir, 'logs'),
+    join(distDir, 'reports'),
     join(distDir, 'tracks'),
   ];
 
@@ -26,6 +37,7 @@ export function ensureDistDir() {
 /**
  * Write JSON output to dist/json
  * @param {Object} output - Output data to write
+ * @returns {string} Path of the written file
  */
 export function writeJsonOutput(output) {
   const outputDir = join(projectRoot, 'dist', 'json');
@@ -40,6 +52,52 @@ export function writeJsonOutput(output) {
 
   writeFileSync(filepath, JSON.stringify(output, null, 2));
   log.success(`Output saved to: ${filepath}`);
+  return filepath;
+}
+
+/**
+ * Read a previously written JSON output file
+ * @param {string} filepath - Path to the JSON file
+ * @returns {Object} Parsed output data
+ * @throws {SyntaxError} When the file is not valid JSON
+ */
+export function readJsonOutput(filepath) {
+  return JSON.parse(readFileSync(filepath, 'utf-8'));
+}
+
+/**
+ * Overwrite an existing JSON output file in place
+ * @param {string} filepath - Path to the JSON file
+ * @param {Object} output - Updated output data
+ */
+export function updateJsonOutput(filepath, output) {
+  writeFileSync(filepath, JSON.stringify(output, null, 2));
+}
+
+/**
+ * Write a report in several formats to dist/reports
+ * Every format shares one timestamped base name, e.g. buylist-<ts>.md
+ * @param {string} name - Report name used as filename prefix
+ * @param {Object<string, string>} contents - File content keyed by extension
+ * @returns {string[]} Paths of the written files
+ */
+export function writeReportOutput(name, contents) {
+  const outputDir = join(projectRoot, 'dist', 'reports');
+
+  // Create dist/reports directory if it doesn't exist
+  mkdirSync(outputDir, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filepaths = [];
+
+  for (const [ext, content] of Object.entries(contents)) {
+    const filepath = join(outputDir, `${name}-${timestamp}.${ext}`);
+    writeFileSync(filepath, content);
+    log.success(`Report saved to: ${filepath}`);
+    filepaths.push(filepath);
+  }
+
+  return filepaths;
 }
 
 /**
@@ -68,13 +126,7 @@ export function writeTracksOutput(content, id, format, artist, releaseName) {
   const sanitizedRelease = sanitize(releaseName);
 
   // Determine file extension based on format
-  const extensions = {
-    human: 'txt',
-    csv: 'csv',
-    pipe: 'txt',
-    markdown: 'md',
-  };
-  const ext = extensions[format] || 'txt';
+  const ext = OUTPUT_EXTENSIONS[format] || 'txt';
 
   const filename = `${id}-${sanitizedArtist}-${sanitizedRelease}.${ext}`;
   const filepath = join(outputDir, filename);
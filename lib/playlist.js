@@ -0,0 +1,231 @@
+import { readFileSync } from 'node:fs';
+
+/**
+ * Known header names for each normalized track field (lowercase)
+ */
+const COLUMN_ALIASES = {
+  title: ['track name', 'track', 'title', 'song', 'song name', 'name'],
+  artist: ['artist name', 'artist', 'artists', 'artist name(s)'],
+  album: ['album', 'album name', 'release', 'release title'],
+  isrc: ['isrc'],
+};
+
+/**
+ * Streaming services whose track ids may appear as columns (e.g. "Tidal - id")
+ */
+const SERVICE_NAMES = [
+  'tidal',
+  'spotify',
+  'apple',
+  'deezer',
+  'youtube',
+  'amazon',
+];
+
+/**
+ * Column layout assumed for headerless exports
+ */
+const DEFAULT_COLUMNS = ['title', 'artist', 'album', 'isrc', 'id:service'];
+
+/**
+ * Fields every track row must have a value for
+ */
+const REQUIRED_FIELDS = ['title', 'artist'];
+
+/**
+ * Split CSV content into rows of fields, respecting double-quoted values
+ * Quoted values may contain commas, escaped quotes ("") and line breaks.
+ * @param {string} content - Raw CSV content
+ * @returns {{ rows: Array<{ line: number, fields: string[] }>, errors: Array<{ line: number, message: string }> }}
+ */
+export function parseCsvRows(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const rows = [];
+  const errors = [];
+
+  let fields = [];
+  let current = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowStart = 1;
+
+  const endRow = () => {
+    fields.push(current.trim());
+    if (fields.some(Boolean)) {
+      rows.push({ line: rowStart, fields });
+    }
+    fields = [];
+    current = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowStart = line;
+    } else {
+      current += char;
+    }
+  }
+
+  if (inQuotes) {
+    errors.push({ line: rowStart, message: 'Unterminated quoted field' });
+  } else {
+    endRow();
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Map a header cell to a normalized column key (pure function)
+ * @param {string} name - Header cell text
+ * @returns {string|null} Field name, 'id:<service>' for service ids, or null
+ */
+export function mapColumnName(name) {
+  const normalized = name.toLowerCase().trim().replace(/\s+/g, ' ');
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    if (aliases.includes(normalized)) return field;
+  }
+
+  const service = SERVICE_NAMES.find((s) => normalized.startsWith(s));
+  if (service && /\bid$|uri$|url$/.test(normalized)) {
+    return `id:${service}`;
+  }
+
+  return null;
+}
+
+/**
+ * Detect whether the first row is a header row (pure function)
+ * A header needs at least two recognizable column names.
+ * @param {string[]} fields - First row fields
+ * @returns {boolean}
+ */
+export function detectHeader(fields) {
+  return fields.filter((f) => mapColumnName(f)).length >= 2;
+}
+
+/**
+ * Build a normalized track record from a CSV row (pure function)
+ * @param {string[]} fields - Row fields
+ * @param {Array<string|null>} columns - Column keys from mapColumnName()
+ * @param {number} line - Source line number
+ * @returns {{ line: number, title: string, artist: string, album: string, isrc: string, ids: Object }}
+ */
+export function buildTrackRecord(fields, columns, line) {
+  const track = { line, title: '', artist: '', album: '', isrc: '', ids: {} };
+
+  columns.forEach((column, idx) => {
+    const value = fields[idx] || '';
+    if (!column || !value) return;
+
+    if (column.startsWith('id:')) {
+      track.ids[column.slice(3)] = value;
+    } else {
+      track[column] = value;
+    }
+  });
+
+  track.isrc = track.isrc.toUpperCase();
+  return track;
+}
+
+/**
+ * Validate a CSV row against the expected column layout (pure function)
+ * @param {Object} row - { line, fields }
+ * @param {number} expectedCount - Expected number of fields
+ * @param {Object} track - Track record built from the row
+ * @param {boolean} [allowFewer=false] - Accept rows with fewer fields
+ *   (headerless files, whose trailing columns are optional)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateRow(row, expectedCount, track, allowFewer = false) {
+  const count = row.fields.length;
+
+  if (allowFewer && count > expectedCount) {
+    return `Expected at most ${expectedCount} fields, found ${count}`;
+  }
+  if (!allowFewer && count !== expectedCount) {
+    return `Expected ${expectedCount} fields, found ${count}`;
+  }
+
+  const missing = REQUIRED_FIELDS.filter((field) => !track[field]);
+  if (missing.length) {
+    return `Missing ${missing.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse playlist CSV content into track records (pure function)
+ * Detects an optional header row and maps its columns by name; headerless
+ * files are read by position as: Track name, Artist name, Album, ISRC,
+ * service id. Each headerless row is checked on its own, so one short or
+ * long row does not fail the others.
+ * @param {string} content - CSV file content
+ * @returns {{ tracks: Array<Object>, errors: Array<{ line: number, message: string }>, hasHeader: boolean }}
+ */
+export function parsePlaylistCsv(content) {
+  const { rows, errors } = parseCsvRows(content);
+
+  if (rows.length === 0) {
+    return { tracks: [], errors, hasHeader: false };
+  }
+
+  const hasHeader = detectHeader(rows[0].fields);
+  const columns = hasHeader
+    ? rows[0].fields.map(mapColumnName)
+    : DEFAULT_COLUMNS;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  if (hasHeader && !columns.includes('title')) {
+    errors.push({ line: rows[0].line, message: 'No track name column found' });
+    return { tracks: [], errors, hasHeader };
+  }
+
+  const tracks = [];
+
+  for (const row of dataRows) {
+    const track = buildTrackRecord(row.fields, columns, row.line);
+    const message = validateRow(row, columns.length, track, !hasHeader);
+
+    if (message) {
+      errors.push({ line: row.line, message });
+    } else {
+      tracks.push(track);
+    }
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { tracks, errors, hasHeader };
+}
+
+/**
+ * Read a playlist CSV file from disk
+ * @param {string} filePath - Path to the CSV file
+ * @returns {{ tracks: Array<Object>, errors: Array<Object>, hasHeader: boolean }}
+ */
+export function readPlaylist(filePath) {
+  return parsePlaylistCsv(readFileSync(filePath, 'utf-8'));
+}
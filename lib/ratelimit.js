@@ -0,0 +1,226 @@
+import { log } from './logger.js';
+
+/**
+ * Discogs counts requests over a moving one-minute window
+ */
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Remaining requests at which calls start being spaced out
+ */
+const LOW_QUOTA = 5;
+
+/**
+ * Scheduler settings: concurrent calls, retries and backoff
+ * `sleep` is swapped out in tests.
+ */
+const schedulerConfig = {
+  maxConcurrent: 2,
+  maxRetries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000,
+  sleep: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+};
+
+/**
+ * Last rate limit reported by Discogs and the calls in flight
+ */
+const rateState = {
+  limit: null,
+  used: null,
+  remaining: null,
+  updatedAt: null,
+  active: 0,
+  waiting: [],
+};
+
+/**
+ * Override scheduler settings
+ * @param {Object} options - Any of maxConcurrent, maxRetries, baseDelayMs,
+ *   maxDelayMs, sleep
+ */
+export function configureScheduler(options = {}) {
+  Object.assign(schedulerConfig, options);
+}
+
+/**
+ * Store the rate limit headers of a response
+ * @param {{ limit: number, used: number, remaining: number }|null} rateLimit
+ *   From the disconnect callback (X-Discogs-Ratelimit-* headers)
+ * @param {number} [now] - Current time in ms
+ */
+export function recordRateLimit(rateLimit, now = Date.now()) {
+  if (!rateLimit || Number.isNaN(rateLimit.remaining)) return;
+
+  rateState.limit = rateLimit.limit;
+  rateState.used = rateLimit.used;
+  rateState.remaining = rateLimit.remaining;
+  rateState.updatedAt = now;
+}
+
+/**
+ * Get the last known rate limit
+ * @returns {{ limit: number|null, used: number|null, remaining: number|null, updatedAt: number|null }}
+ */
+export function getRateLimit() {
+  const { limit, used, remaining, updatedAt } = rateState;
+  return { limit, used, remaining, updatedAt };
+}
+
+/**
+ * Forget the last known rate limit (new client or tests)
+ */
+export function resetRateLimit() {
+  Object.assign(rateState, {
+    limit: null,
+    used: null,
+    remaining: null,
+    updatedAt: null,
+  });
+}
+
+/**
+ * Format a rate limit for display (pure function)
+ * @param {Object} rateLimit - From getRateLimit()
+ * @param {number} [now] - Current time in ms
+ * @returns {string} e.g. "57/60 requests left (12s ago)"
+ */
+export function formatRateLimit(rateLimit, now = Date.now()) {
+  if (rateLimit.remaining === null) return 'unknown (no requests yet)';
+
+  const age = Math.round((now - rateLimit.updatedAt) / 1000);
+  return `${rateLimit.remaining}/${rateLimit.limit} requests left (${age}s ago)`;
+}
+
+/**
+ * How long to wait before the next request to stay within the quota
+ * (pure function)
+ * Nothing while plenty of quota is left; spaced out at the sustained rate
+ * once it runs low; until the window has passed when it is used up. The
+ * quota refills as the window moves, so old readings are ignored.
+ * @param {Object} rateLimit - From getRateLimit()
+ * @param {number} now - Current time in ms
+ * @returns {number} Delay in ms
+ */
+export function getThrottleDelay(rateLimit, now) {
+  const { limit, remaining, updatedAt } = rateLimit;
+  if (remaining === null || remaining > LOW_QUOTA) return 0;
+
+  const elapsed = now - updatedAt;
+  if (elapsed >= WINDOW_MS) return 0;
+  if (remaining <= 0) return WINDOW_MS - elapsed;
+  return Math.max(0, Math.ceil(WINDOW_MS / (limit || 60)) - elapsed);
+}
+
+/**
+ * Check whether a failed request is worth retrying (pure function)
+ * Retries rate limiting (429), server errors (5xx) and dropped connections.
+ * @param {Error} error - Error from the API client
+ * @returns {boolean}
+ */
+export function isRetryable(error) {
+  const status = error?.statusCode;
+  if (status === 429 || status >= 500) return true;
+  return ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error?.code);
+}
+
+/**
+ * Check whether a failed request that must not run twice is worth retrying
+ * (pure function)
+ * Only rate limiting (429) is retried: Discogs rejects those before doing
+ * anything, while a 5xx or dropped connection may follow a completed write.
+ * @param {Error} error - Error from the API client
+ * @returns {boolean}
+ */
+export function isRetryableWrite(error) {
+  return error?.statusCode === 429;
+}
+
+/**
+ * Backoff before retry number `attempt` (pure function)
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} [config] - baseDelayMs, maxDelayMs
+ * @returns {number} Delay in ms: base, 2x base, 4x base... up to the cap
+ */
+export function getRetryDelay(attempt, config = schedulerConfig) {
+  return Math.min(config.baseDelayMs * 2 ** (attempt - 1), config.maxDelayMs);
+}
+
+/**
+ * Wait for a free request slot
+ * @returns {Promise<void>}
+ */
+function acquireSlot() {
+  if (rateState.active < schedulerConfig.maxConcurrent) {
+    rateState.active++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => rateState.waiting.push(resolve));
+}
+
+/**
+ * Hand the slot to the next waiting request, or free it
+ */
+function releaseSlot() {
+  const next = rateState.waiting.shift();
+  if (next) {
+    next();
+  } else {
+    rateState.active--;
+  }
+}
+
+/**
+ * Run an API request through the scheduler
+ * At most `maxConcurrent` requests run at once; each attempt waits for
+ * getThrottleDelay(), and retryable failures are retried with exponential
+ * backoff up to `maxRetries` times. Requests that are not idempotent are
+ * only retried when rate limited (isRetryableWrite()).
+ * @param {Function} task - Async function performing the request
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - Endpoint name for messages
+ * @param {boolean} [options.verbose] - Log throttling waits
+ * @param {boolean} [options.idempotent=true] - Whether repeating the request
+ *   is harmless
+ * @returns {Promise<*>} Task result; rejects with the last error
+ */
+export async function scheduleRequest(
+  task,
+  { endpoint = 'request', verbose = false, idempotent = true } = {},
+) {
+  const canRetry = idempotent ? isRetryable : isRetryableWrite;
+
+  await acquireSlot();
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const wait = getThrottleDelay(getRateLimit(), Date.now());
+      if (wait > 0) {
+        if (verbose) {
+          log.debug(
+            `Rate limit nearly used, waiting ${(wait / 1000).toFixed(1)}s`,
+          );
+        }
+        await schedulerConfig.sleep(wait);
+      }
+
+      try {
+        return await task();
+      } catch (error) {
+        if (attempt >= schedulerConfig.maxRetries || !canRetry(error)) {
+          throw error;
+        }
+
+        const delay = getRetryDelay(attempt + 1);
+        log.warn(
+          `${endpoint} failed (${error.statusCode || error.code}), retrying in ${delay / 1000}s (${attempt + 1}/${schedulerConfig.maxRetries})`,
+        );
+        await schedulerConfig.sleep(delay);
+      }
+    }
+  } finally {
+    releaseSlot();
+  }
+}
+
+export { WINDOW_MS, LOW_QUOTA };
@@ -1,17 +1,23 @@
 import { input } from '@inquirer/prompts';
+import { describeAuthMethod } from './auth.js';
 import { handleClean } from './commands/clean.js';
 import { executeCommand } from './commands/index.js';
+import { SEARCH_FIELDS, SETTINGS_SCHEMA } from './commands/settings.js';
 import {
   fileConfig,
   getDefaultTracksOutput,
   getDefaultTracksType,
   getDefaultType,
+  getMatchThreshold,
   getPerPage,
+  isOwnedCheckEnabled,
   isVerbose,
 } from './config.js';
 import { createClient } from './discogs.js';
+import { getFixturesPath, isOffline } from './fixtures.js';
 import { initLog, log, writeLog } from './logger.js';
 import { ensureDistDir } from './output.js';
+import { DEFAULT_API_URL } from './transport.js';
 
 /**
  * Session state - initialized from config
@@ -23,6 +29,10 @@ function createSessionFlags() {
     verbose: isVerbose(),
     tracks_type: getDefaultTracksType(),
     tracks_output: getDefaultTracksOutput(),
+    match_threshold: getMatchThreshold(),
+    owned_check: isOwnedCheckEnabled(),
+    // Search field filters (artist, year, format, ...), unset by default
+    ...Object.fromEntries(Object.keys(SEARCH_FIELDS).map((key) => [key, null])),
   };
 }
 
@@ -34,7 +44,9 @@ export async function startSession(options = {}) {
   const sessionFlags = createSessionFlags();
 
   // Create Discogs client
-  const { db, token } = createClient(options.token);
+  const { client, db, apiUrl } = createClient(options.token, options.apiUrl);
+  // Null when anonymous; createClient returns no token for OAuth logins
+  const authMethod = describeAuthMethod(client.auth);
 
   log.divider(true);
   log.header('Moozhak CLI - Interactive Session\n');
@@ -50,13 +62,23 @@ export async function startSession(options = {}) {
   initLog();
 
   writeLog('Session started');
-  writeLog(`Token: ${token ? 'configured' : 'not configured'}`);
+  writeLog(`Auth: ${authMethod || 'none'}`);
 
-  if (!token) {
-    log.warn('No Discogs token configured. Some features may not work.');
-    log.warn('Set DISCOGS_TOKEN in .mzkconfig or environment.\n');
-  } else {
+  if (isOffline()) {
+    log.success(`Offline mode: replaying fixtures from ${getFixturesPath()}`);
+  } else if (authMethod === 'OAuth') {
+    log.success('Logged in to Discogs with OAuth');
+  } else if (authMethod) {
     log.success('Discogs token configured');
+  } else {
+    log.warn('No Discogs token configured. Some features may not work.');
+    log.warn(
+      "Set DISCOGS_TOKEN in .mzkconfig or environment, or run 'login'.\n",
+    );
+  }
+
+  if (apiUrl !== DEFAULT_API_URL) {
+    log.info(`Using Discogs API at ${apiUrl}`);
   }
 
   if (sessionFlags.verbose) {
@@ -70,8 +92,18 @@ export async function startSession(options = {}) {
   // Context object passed to command handlers
   const ctx = {
     db,
+    client,
     sessionFlags,
+    lastPlaylistOutput: null, // Set by playlist, used as review default
+    lastSearch: null, // Set by search, used by next/prev/page
     updatePrompt: () => {}, // No-op for now, prompt is regenerated each iteration
+    // Rebuild the client after login/logout changes the credentials
+    reconnect: () => {
+      ({ client: ctx.client, db: ctx.db } = createClient(
+        options.token,
+        options.apiUrl,
+      ));
+    },
   };
 
   // REPL loop
@@ -117,19 +149,80 @@ export async function startSession(options = {}) {
  * @param {Object} options - Command options
  */
 export async function runSearch(query, options = {}) {
-  const { db } = createClient(options.token);
+  const { db } = createClient(options.token, options.apiUrl);
   const { handleSearch } = await import('./commands/search.js');
 
+  if (options.pages && !/^[1-9]\d*$/.test(options.pages)) {
+    log.error(`Invalid --pages value '${options.pages}'`);
+    return;
+  }
+
   const flags = {
     type: options.type || null,
     per_page: parseInt(options.limit, 10) || 5,
     verbose: options.verbose || false,
   };
 
+  // Commander camel-cases --release-title to releaseTitle
+  for (const key of Object.keys(SEARCH_FIELDS)) {
+    const value = options[key.replace(/_(\w)/g, (_, c) => c.toUpperCase())];
+    if (value === undefined) continue;
+
+    if (!SETTINGS_SCHEMA[key].validate(value)) {
+      log.error(`Invalid --${key.replace('_', '-')} value '${value}'`);
+      log.info(SETTINGS_SCHEMA[key].errorMsg);
+      return;
+    }
+    flags[key] = SETTINGS_SCHEMA[key].transform(value);
+  }
+
+  if (!query && !Object.keys(SEARCH_FIELDS).some((key) => flags[key])) {
+    log.error('Please provide a query or a search field filter');
+    return;
+  }
+
+  const pages = options.all ? Infinity : parseInt(options.pages, 10) || 1;
+
+  ensureDistDir();
+  initLog();
+
+  await handleSearch(db, query, flags, { page: 1, pages });
+}
+
+/**
+ * Run a single lookup command (non-interactive, lists without picking)
+ * @param {string} code - Barcode or catalog number
+ * @param {Object} options - Command options
+ */
+export async function runLookup(code, options = {}) {
+  const { db } = createClient(options.token, options.apiUrl);
+  const { handleLookup, parseLookupArgs } = await import(
+    './commands/lookup.js'
+  );
+
+  const parsed = parseLookupArgs(
+    [
+      options.catno ? `catno:${code}` : code,
+      options.label && `label:${options.label}`,
+    ].filter(Boolean),
+  );
+
+  if (parsed.error) {
+    log.error(parsed.error);
+    if (parsed.hint) log.info(parsed.hint);
+    return;
+  }
+
+  const flags = {
+    per_page: parseInt(options.limit, 10) || 5,
+    tracks_output: options.format || 'human',
+    verbose: options.verbose || false,
+  };
+
   ensureDistDir();
   initLog();
 
-  await handleSearch(db, query, flags);
+  await handleLookup(db, parsed, flags);
 }
 
 /**
@@ -138,7 +231,7 @@ export async function runSearch(query, options = {}) {
  * @param {Object} options - Command options
  */
 export async function runTracks(id, options = {}) {
-  const { db } = createClient(options.token);
+  const { db } = createClient(options.token, options.apiUrl);
   const { handleTracks } = await import('./commands/tracks.js');
 
   const type = options.type || 'master';
@@ -154,4 +247,454 @@ export async function runTracks(id, options = {}) {
   await handleTracks(db, type, id, flags);
 }
 
+/**
+ * Run a single versions command (non-interactive, lists without picking)
+ * @param {string} masterId - Master release ID
+ * @param {Object} options - Command options
+ */
+export async function runVersions(masterId, options = {}) {
+  const { db } = createClient(options.token, options.apiUrl);
+  const { handleVersions, parseVersionsArgs } = await import(
+    './commands/versions.js'
+  );
+
+  const parsed = parseVersionsArgs(
+    [
+      masterId,
+      options.format && `format:${options.format}`,
+      options.country && `country:${options.country}`,
+    ].filter(Boolean),
+  );
+
+  if (parsed.error) {
+    log.error(parsed.error);
+    if (parsed.hint) log.info(parsed.hint);
+    return;
+  }
+
+  const flags = {
+    verbose: options.verbose || false,
+  };
+
+  ensureDistDir();
+  initLog();
+
+  await handleVersions(db, parsed, flags);
+}
+
+/**
+ * Run a single artist command (non-interactive)
+ * @param {string} id - Artist ID
+ * @param {Object} options - Command options
+ */
+export async function runArtist(id, options = {}) {
+  const { db } = createClient(options.token, options.apiUrl);
+  const { handleArtist } = await import('./commands/artist.js');
+
+  const flags = {
+    verbose: options.verbose || false,
+  };
+
+  ensureDistDir();
+  initLog();
+
+  await handleArtist(db, id, flags);
+}
+
+/**
+ * Run a single releases command (non-interactive)
+ * @param {string} artistId - Artist ID
+ * @param {Object} options - Command options
+ */
+export async function runReleases(artistId, options = {}) {
+  const { db } = createClient(options.token, options.apiUrl);
+  const { handleReleases, parseReleasesArgs } = await import(
+    './commands/releases.js'
+  );
+
+  const parsed = parseReleasesArgs(
+    [artistId, options.role, options.sort, options.order, options.page].filter(
+      Boolean,
+    ),
+  );
+
+  if (parsed.error) {
+    log.error(parsed.error);
+    if (parsed.hint) log.info(parsed.hint);
+    return;
+  }
+
+  const flags = {
+    per_page: parseInt(options.limit, 10) || 5,
+    verbose: options.verbose || false,
+  };
+
+  ensureDistDir();
+  initLog();
+
+  await handleReleases(db, parsed, flags);
+}
+
+/**
+ * Run a single label command (non-interactive)
+ * @param {string} id - Label ID
+ * @param {Object} options - Command options
+ */
+export async function runLabel(id, options = {}) {
+  const { db } = createClient(options.token, options.apiUrl);
+  const { handleLabel } = await import('./commands/label.js');
+
+  const flags = {
+    verbose: options.verbose || false,
+  };
+
+  ensureDistDir();
+  initLog();
+
+  await handleLabel(db, id, flags);
+}
+
+/**
+ * Run a single label-releases command (non-interactive)
+ * @param {string} id - Label ID
+ * @param {Object} options - Command options
+ */
+export async function runLabelReleases(id, options = {}) {
+  const { db } = createClient(options.token, options.apiUrl);
+  const { handleLabelReleases, parseLabelReleasesArgs } = await import(
+    './commands/label.js'
+  );
+
+  const parsed = parseLabelReleasesArgs(
+    [id, options.all ? 'all' : options.page].filter(Boolean),
+  );
+
+  if (parsed.error) {
+    log.error(parsed.error);
+    if (parsed.hint) log.info(parsed.hint);
+    return;
+  }
+
+  const flags = {
+    per_page: parseInt(options.limit, 10) || 5,
+    tracks_output: options.format || 'human',
+    verbose: options.verbose || false,
+  };
+
+  ensureDistDir();
+  initLog();
+
+  await handleLabelReleases(db, parsed, flags);
+}
+
+/**
+ * Run a single market command (non-interactive)
+ * @param {string} id - Master or release ID
+ * @param {Object} options - Command options
+ */
+export async function runMarket(id, options = {}) {
+  const { client, db } = createClient(options.token, options.apiUrl);
+  const { handleMarket } = await import('./commands/market.js');
+
+  const type = options.type || 'master';
+  const flags = {
+    verbose: options.verbose || false,
+  };
+
+  ensureDistDir();
+  initLog();
+
+  await handleMarket(db, client, type, id, flags);
+}
+
+/**
+ * Run a single playlist command (non-interactive)
+ * @param {string} file - Path to playlist CSV
+ * @param {Object} options - Command options
+ */
+export async function runPlaylist(file, options = {}) {
+  const { client, db } = createClient(options.token, options.apiUrl);
+  const { handlePlaylist } = await import('./commands/playlist.js');
+  const thresholdSchema = SETTINGS_SCHEMA.match_threshold;
+
+  if (
+    options.threshold !== undefined &&
+    !thresholdSchema.validate(options.threshold)
+  ) {
+    log.error(`Invalid --threshold value '${options.threshold}'`);
+    log.info(thresholdSchema.errorMsg);
+    return;
+  }
+
+  const flags = {
+    tracks_type: options.type || 'master',
+    per_page: parseInt(options.limit, 10) || 5,
+    match_threshold:
+      options.threshold !== undefined
+        ? thresholdSchema.transform(options.threshold)
+        : getMatchThreshold(),
+    // Commander sets ownedCheck to false for --no-owned-check
+    owned_check: options.ownedCheck !== false && isOwnedCheckEnabled(),
+    verbose: options.verbose || false,
+  };
+
+  ensureDistDir();
+  initLog();
+
+  await handlePlaylist(db, client, file, flags);
+}
+
+/**
+ * Run a single collection command (non-interactive)
+ * @param {string[]} args - Collection arguments, as in the session
+ * @param {Object} options - Command options
+ */
+export async function runCollection(args, options = {}) {
+  const { client } = createClient(options.token, options.apiUrl);
+  const { handleCollection, parseCollectionArgs } = await import(
+    './commands/collection.js'
+  );
+
+  const parsed = parseCollectionArgs(args);
+
+  if (parsed.error) {
+    log.error(parsed.error);
+    if (parsed.hint) log.info(parsed.hint);
+    return;
+  }
+
+  const flags = {
+    per_page: parseInt(options.limit, 10) || 5,
+    tracks_output: options.format || 'human',
+    verbose: options.verbose || false,
+  };
+
+  ensureDistDir();
+  initLog();
+
+  await handleCollection(client, parsed, flags);
+}
+
+/**
+ * Run the collect command (non-interactive)
+ * @param {string[]} args - Release ID and optional folder, as in the session
+ * @param {Object} options - Command options (yes, verbose)
+ */
+export async function runCollect(args, options = {}) {
+  const { client, db } = createClient(options.token, options.apiUrl);
+  const { handleCollect, parseCollectArgs } = await import(
+    './commands/collection.js'
+  );
+
+  const parsed = parseCollectArgs(args);
+
+  if (parsed.error) {
+    log.error(parsed.error);
+    log.info(parsed.hint);
+    return;
+  }
+
+  ensureDistDir();
+  initLog();
+
+  await handleCollect(db, client, parsed, createChangeFlags(options));
+}
+
+/**
+ * Run the uncollect command (non-interactive)
+ * @param {string} id - Release ID
+ * @param {Object} options - Command options (yes, verbose)
+ */
+export async function runUncollect(id, options = {}) {
+  const { client } = createClient(options.token, options.apiUrl);
+  const { handleUncollect, parseReleaseId } = await import(
+    './commands/collection.js'
+  );
+
+  const releaseId = parseReleaseId(id);
+  if (!releaseId) {
+    log.error(`Invalid release ID '${id}'`);
+    return;
+  }
+
+  ensureDistDir();
+  initLog();
+
+  await handleUncollect(client, releaseId, createChangeFlags(options));
+}
+
+/**
+ * Run the want or unwant command (non-interactive)
+ * @param {string} id - Release ID
+ * @param {Object} options - Command options (yes, verbose)
+ * @param {boolean} [remove=false] - Remove from the wantlist instead
+ */
+export async function runWant(id, options = {}, remove = false) {
+  const { client, db } = createClient(options.token, options.apiUrl);
+  const { handleUnwant, handleWant } = await import('./commands/wantlist.js');
+  const { parseReleaseId } = await import('./commands/collection.js');
+
+  const releaseId = parseReleaseId(id);
+  if (!releaseId) {
+    log.error(`Invalid release ID '${id}'`);
+    return;
+  }
+
+  ensureDistDir();
+  initLog();
+
+  const handle = remove ? handleUnwant : handleWant;
+  await handle(db, client, releaseId, createChangeFlags(options));
+}
+
+/**
+ * Run the wantlist command (non-interactive)
+ * @param {Object} options - Command options (diff, verbose); `diff` is true
+ *   for the newest earlier export, or a snapshot path
+ */
+export async function runWantlist(options = {}) {
+  const { client } = createClient(options.token, options.apiUrl);
+  const { handleWantlist } = await import('./commands/wantlist.js');
+
+  ensureDistDir();
+  initLog();
+
+  await handleWantlist(
+    client,
+    {
+      diff: Boolean(options.diff),
+      snapshot: typeof options.diff === 'string' ? options.diff : null,
+    },
+    { verbose: options.verbose || false },
+  );
+}
+
+/**
+ * Run the wantlist-push command (non-interactive)
+ * @param {string} file - Path to a playlist JSON output
+ * @param {Object} options - Command options (dryRun, note, yes, verbose)
+ */
+export async function runWantlistPush(file, options = {}) {
+  const { client, db } = createClient(options.token, options.apiUrl);
+  const { handleWantlistPush } = await import('./commands/wantlist.js');
+
+  ensureDistDir();
+  initLog();
+
+  await handleWantlistPush(
+    db,
+    client,
+    { file, dryRun: options.dryRun || false, note: options.note || null },
+    createChangeFlags(options),
+  );
+}
+
+/**
+ * Build flags for commands that change the user's collection or wantlist
+ * @param {Object} options - Command options
+ * @returns {{ yes: boolean, verbose: boolean }}
+ */
+function createChangeFlags(options) {
+  return { yes: options.yes || false, verbose: options.verbose || false };
+}
+
+/**
+ * Run a single cache command (non-interactive)
+ * @param {string} [action] - stats or clear
+ */
+export async function runCache(action) {
+  const { handleCache } = await import('./commands/cache.js');
+  handleCache(action);
+}
+
+/**
+ * Run a single fixtures command (non-interactive)
+ * @param {string} [action] - stats or import
+ * @param {string} [file] - Session log to import
+ */
+export async function runFixtures(action, file) {
+  const { handleFixtures } = await import('./commands/fixtures.js');
+  handleFixtures(action, file);
+}
+
+/**
+ * Run the login command (non-interactive)
+ * @param {Object} options - Command options (consumerKey, consumerSecret, verbose)
+ */
+export async function runLogin(options = {}) {
+  const { handleLogin } = await import('./commands/auth.js');
+  await handleLogin({
+    consumerKey: options.consumerKey,
+    consumerSecret: options.consumerSecret,
+    verbose: options.verbose || false,
+  });
+}
+
+/**
+ * Run the logout command (non-interactive)
+ */
+export async function runLogout() {
+  const { handleLogout } = await import('./commands/auth.js');
+  handleLogout();
+}
+
+/**
+ * Run the whoami command (non-interactive)
+ * @param {Object} options - Command options
+ */
+export async function runWhoami(options = {}) {
+  const { client } = createClient(options.token, options.apiUrl);
+  const { handleWhoami } = await import('./commands/auth.js');
+
+  ensureDistDir();
+  initLog();
+
+  await handleWhoami(client, options.verbose || false);
+}
+
+/**
+ * Start the local mock Discogs server (runs until Ctrl+C)
+ * @param {Object} options - Command options (port, responses)
+ */
+export async function runMockServer(options = {}) {
+  const { startMockServer } = await import('./mockserver.js');
+  const port = parseInt(options.port ?? '4010', 10);
+
+  if (Number.isNaN(port) || port < 0 || port > 65535) {
+    log.error(`Invalid --port value '${options.port}'`);
+    return;
+  }
+
+  try {
+    const { url } = await startMockServer({
+      port,
+      ...(options.responses && { file: options.responses }),
+    });
+    log.success(`Mock Discogs API listening on ${url}`);
+    log.info(`Try: moozhak --api-url ${url} search "black sands"`);
+    log.info('Press Ctrl+C to stop.');
+  } catch (error) {
+    log.error('Could not start the mock server:', error.message);
+  }
+}
+
+/**
+ * Run a single buylist command (non-interactive)
+ * @param {string} file - Path to playlist JSON output
+ * @param {Object} options - Command options
+ */
+export async function runBuyList(file, options = {}) {
+  const { client, db } = createClient(options.token, options.apiUrl);
+  const { handleBuyList } = await import('./commands/buylist.js');
+
+  const flags = {
+    verbose: options.verbose || false,
+  };
+
+  ensureDistDir();
+  initLog();
+
+  await handleBuyList(db, client, file, flags);
+}
+
 export { createSessionFlags };
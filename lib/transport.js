@@ -0,0 +1,143 @@
+import http from 'node:http';
+import https from 'node:https';
+
+/**
+ * Discogs API base URL used by disconnect
+ */
+const DEFAULT_API_URL = 'https://api.discogs.com';
+
+/**
+ * Check and normalize an API base URL (pure function)
+ * @param {string} value - e.g. "http://localhost:4010" or "https://proxy.example/discogs/"
+ * @returns {string|null} URL without trailing slash, or null when it is not
+ *   an http(s) URL
+ */
+export function parseApiUrl(value) {
+  try {
+    const url = new URL(String(value).trim());
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    if (url.search || url.hash) return null;
+    return url.href.replace(/\/+$/, '');
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Build the full URL of an API request (pure function)
+ * disconnect passes paths relative to the API root; absolute URLs are kept.
+ * @param {string} apiUrl - Base URL from parseApiUrl()
+ * @param {string} path - e.g. "/database/search?q=bonobo"
+ * @returns {string}
+ */
+export function buildRequestUrl(apiUrl, path) {
+  if (/^https?:\/\//.test(path)) return path;
+  return `${apiUrl}${path.startsWith('/') ? '' : '/'}${path}`;
+}
+
+/**
+ * Read the X-Discogs-Ratelimit-* response headers (pure function)
+ * @param {Object} headers - Node response headers (lower-cased names)
+ * @returns {{ limit: number, used: number, remaining: number }|null}
+ */
+export function parseRateLimitHeaders(headers) {
+  if (!headers['x-discogs-ratelimit']) return null;
+
+  return {
+    limit: parseInt(headers['x-discogs-ratelimit'], 10),
+    used: parseInt(headers['x-discogs-ratelimit-used'], 10),
+    remaining: parseInt(headers['x-discogs-ratelimit-remaining'], 10),
+  };
+}
+
+/**
+ * Build the error for an unsuccessful HTTP status (pure function)
+ * Matches disconnect's DiscogsError: `statusCode` plus the API message.
+ * @param {number} statusCode - HTTP status
+ * @param {string} body - Response body
+ * @returns {Error}
+ */
+export function buildHttpError(statusCode, body) {
+  let message = 'Unknown error.';
+  try {
+    message = JSON.parse(body).message || message;
+  } catch (_err) {
+    // Not JSON (proxy error page); keep the generic message
+  }
+
+  const error = new Error(message);
+  error.name = 'DiscogsError';
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Build the Authorization header the way disconnect does
+ * @param {Object} client - disconnect client (auth, oauth())
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL (signed for OAuth)
+ * @returns {string|null}
+ */
+function buildAuthHeader(client, method, url) {
+  const { auth } = client;
+  if (!auth || !(auth.consumerKey || auth.userToken)) return null;
+
+  if (auth.method === 'oauth') {
+    return client.oauth().toHeader(method, url);
+  }
+  if (auth.userToken) {
+    return `Discogs token=${auth.userToken}`;
+  }
+  return `Discogs key=${auth.consumerKey}, secret=${auth.consumerSecret}`;
+}
+
+/**
+ * Create an HTTP transport that sends disconnect requests to another base
+ * URL (a proxy or a local mock server), over http or https
+ * Installed as the client's `_rawRequest`, so disconnect's queueing, JSON
+ * parsing and callback contract (error, body, rateLimit) are unchanged.
+ * @param {string} apiUrl - Base URL from parseApiUrl()
+ * @returns {Function} `_rawRequest(options, callback)` replacement
+ */
+export function createTransport(apiUrl) {
+  return function rawRequest(options, callback) {
+    const method = options.method || 'GET';
+    const url = new URL(buildRequestUrl(apiUrl, options.url));
+    const body =
+      options.data && typeof options.data === 'object'
+        ? JSON.stringify(options.data)
+        : options.data || null;
+
+    const headers = {
+      'User-Agent': this.config.userAgent,
+      Accept: `application/vnd.discogs.${this.config.apiVersion}.${this.config.outputFormat}+json`,
+      Connection: 'close',
+      'Content-Length': body ? Buffer.byteLength(body, 'utf8') : 0,
+    };
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const authHeader = buildAuthHeader(this, method, url.href);
+    if (authHeader) headers.Authorization = authHeader;
+
+    const transport = url.protocol === 'http:' ? http : https;
+    const req = transport.request(url, { method, headers }, (res) => {
+      let data = '';
+      res.setEncoding(options.encoding || 'utf8');
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        const error =
+          res.statusCode > 399 ? buildHttpError(res.statusCode, data) : null;
+        callback(error, data, parseRateLimitHeaders(res.headers));
+      });
+    });
+
+    req.on('error', (error) => callback(error));
+    if (body) req.write(body);
+    req.end();
+    return this;
+  };
+}
+
+export { DEFAULT_API_URL };
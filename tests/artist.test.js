@@ -0,0 +1,215 @@
+/**
+ * Tests for artist command with mocked API calls
+ * Uses Jest mocks to verify API interactions without actual network requests
+ */
+import { jest } from '@jest/globals';
+
+// Mock the dependencies before importing the module under test
+const mockGetArtist = jest.fn();
+const mockWriteJsonOutput = jest.fn();
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('../lib/discogs.js', () => ({
+  getArtist: mockGetArtist,
+  buildDiscogsUrl: (type, id) => `https://www.discogs.com/${type}/${id}`,
+}));
+
+jest.unstable_mockModule('../lib/output.js', () => ({
+  writeJsonOutput: mockWriteJsonOutput,
+}));
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+}));
+
+// Import after mocking
+const {
+  artistCommand,
+  buildArtistOutput,
+  cleanProfile,
+  extractArtistInfo,
+  handleArtist,
+} = await import('../lib/commands/artist.js');
+
+const mockArtistData = {
+  name: 'Daft Punk',
+  realname: null,
+  profile: 'French duo formed by [a=Thomas Bangalter] and [a1502].',
+  namevariations: ['Daft-Punk', 'DP'],
+  aliases: [{ id: 123, name: 'Draft Punk', resource_url: 'x' }],
+  members: [
+    { id: 1502, name: 'Guy-Manuel de Homem-Christo', active: true },
+    { id: 1503, name: 'Thomas Bangalter', active: false },
+  ],
+  urls: ['https://www.daftpunk.com'],
+};
+
+describe('cleanProfile', () => {
+  it('keeps names from named link tags', () => {
+    expect(cleanProfile('Member of [a=Stardust].')).toBe('Member of Stardust.');
+  });
+
+  it('turns id tags into readable references', () => {
+    expect(cleanProfile('See [a1502] on [l23].')).toBe(
+      'See artist #1502 on label #23.',
+    );
+  });
+
+  it('drops formatting and url tags', () => {
+    expect(
+      cleanProfile('[b]Bold[/b] [url=https://x.com]site[/url] [i]it[/i]'),
+    ).toBe('Bold site it');
+  });
+
+  it('returns empty string for missing profile', () => {
+    expect(cleanProfile(undefined)).toBe('');
+  });
+});
+
+describe('extractArtistInfo (pure function)', () => {
+  it('extracts profile fields and related artists', () => {
+    const info = extractArtistInfo(mockArtistData, 1289);
+
+    expect(info).toEqual({
+      name: 'Daft Punk',
+      realName: null,
+      profile: 'French duo formed by Thomas Bangalter and artist #1502.',
+      nameVariations: ['Daft-Punk', 'DP'],
+      aliases: [{ id: 123, name: 'Draft Punk' }],
+      members: [
+        { id: 1502, name: 'Guy-Manuel de Homem-Christo', active: true },
+        { id: 1503, name: 'Thomas Bangalter', active: false },
+      ],
+      groups: [],
+      urls: ['https://www.daftpunk.com'],
+      url: 'https://www.discogs.com/artist/1289',
+    });
+  });
+
+  it('keeps real name and groups for solo artists', () => {
+    const info = extractArtistInfo(
+      {
+        name: 'Thomas Bangalter',
+        realname: 'Thomas Bangalter',
+        groups: [{ id: 1289, name: 'Daft Punk', active: true }],
+      },
+      1503,
+    );
+
+    expect(info.realName).toBe('Thomas Bangalter');
+    expect(info.groups).toEqual([
+      { id: 1289, name: 'Daft Punk', active: true },
+    ]);
+  });
+
+  it('uses defaults for missing fields', () => {
+    const info = extractArtistInfo({}, 1);
+
+    expect(info.name).toBe('Unknown Artist');
+    expect(info.aliases).toEqual([]);
+    expect(info.urls).toEqual([]);
+  });
+});
+
+describe('buildArtistOutput (pure function)', () => {
+  it('wraps artist info with type and params', () => {
+    const info = extractArtistInfo(mockArtistData, 1289);
+
+    expect(buildArtistOutput(1289, info)).toEqual({
+      type: 'artist',
+      params: { id: 1289 },
+      result: info,
+    });
+  });
+});
+
+describe('handleArtist', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const mockDb = {};
+
+  it('rejects non-numeric IDs', async () => {
+    await handleArtist(mockDb, 'abc', {});
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Invalid ID. Please provide a numeric ID.',
+    );
+    expect(mockGetArtist).not.toHaveBeenCalled();
+  });
+
+  it('calls getArtist with numeric ID and verbose flag', async () => {
+    mockGetArtist.mockResolvedValue(mockArtistData);
+
+    await handleArtist(mockDb, '1289', { verbose: true });
+
+    expect(mockGetArtist).toHaveBeenCalledWith(mockDb, 1289, true);
+  });
+
+  it('warns when the artist cannot be fetched', async () => {
+    mockGetArtist.mockResolvedValue(null);
+
+    await handleArtist(mockDb, '1289', {});
+
+    expect(mockLog.warn).toHaveBeenCalledWith('Could not fetch artist #1289.');
+    expect(mockWriteJsonOutput).not.toHaveBeenCalled();
+  });
+
+  it('displays name, link, members and urls', async () => {
+    mockGetArtist.mockResolvedValue(mockArtistData);
+
+    await handleArtist(mockDb, '1289', {});
+
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Found: artist #1289 - Daft Punk',
+    );
+    expect(mockLog.info).toHaveBeenCalledWith(
+      'See: https://www.discogs.com/artist/1289',
+    );
+    expect(mockLog.header).toHaveBeenCalledWith('Members (2):\n');
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  1503 | Thomas Bangalter (inactive)',
+    );
+    expect(mockLog.plain).toHaveBeenCalledWith('  https://www.daftpunk.com');
+  });
+
+  it('writes artist JSON output', async () => {
+    mockGetArtist.mockResolvedValue(mockArtistData);
+
+    await handleArtist(mockDb, '1289', {});
+
+    expect(mockWriteJsonOutput).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'artist', params: { id: 1289 } }),
+    );
+  });
+});
+
+describe('artistCommand', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('has alias a and requires an ID', () => {
+    expect(artistCommand.aliases).toContain('a');
+    expect(artistCommand.minArgs).toBe(1);
+  });
+
+  it('passes ID and session flags to handleArtist', async () => {
+    mockGetArtist.mockResolvedValue(mockArtistData);
+    const ctx = { db: {}, sessionFlags: { verbose: false } };
+
+    const result = await artistCommand.handler(['1289'], ctx);
+
+    expect(result).toBe(true);
+    expect(mockGetArtist).toHaveBeenCalledWith(ctx.db, 1289, false);
+  });
+});
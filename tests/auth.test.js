@@ -0,0 +1,387 @@
+/**
+ * Tests for OAuth credentials storage and the login/logout/whoami commands
+ * Uses a temporary credentials file; prompts and Discogs calls are mocked
+ */
+import { mkdtempSync, rmSync, statSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { jest } from '@jest/globals';
+
+// Mock the logger before importing the modules under test
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  debug: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+  writeLog: jest.fn(),
+  logApiResponse: jest.fn(),
+}));
+
+const mockInput = jest.fn();
+const mockPassword = jest.fn();
+
+jest.unstable_mockModule('@inquirer/prompts', () => ({
+  input: mockInput,
+  password: mockPassword,
+}));
+
+const mockCreateOAuth = jest.fn();
+const mockCreateOAuthClient = jest.fn(() => ({ auth: { method: 'oauth' } }));
+const mockGetIdentity = jest.fn();
+
+jest.unstable_mockModule('../lib/discogs.js', () => ({
+  createOAuth: mockCreateOAuth,
+  createOAuthClient: mockCreateOAuthClient,
+  getIdentity: mockGetIdentity,
+  buildDiscogsUrl: (type, id) => `https://www.discogs.com/${type}/${id}`,
+}));
+
+// Import after mocking
+const {
+  buildOAuthAuth,
+  configureAuth,
+  deleteCredentials,
+  describeAuthMethod,
+  getAccessToken,
+  getRequestToken,
+  isValidCredentials,
+  loadCredentials,
+  saveCredentials,
+} = await import('../lib/auth.js');
+const {
+  buildCredentials,
+  handleLogin,
+  handleLogout,
+  handleWhoami,
+  loginCommand,
+  logoutCommand,
+} = await import('../lib/commands/auth.js');
+const { configureFixtures } = await import('../lib/fixtures.js');
+
+const credentials = {
+  consumerKey: 'ckey',
+  consumerSecret: 'csecret',
+  token: 'atoken',
+  tokenSecret: 'asecret',
+};
+
+/**
+ * Fake disconnect OAuth instance that completes both steps
+ */
+function createFakeOAuth() {
+  return {
+    getRequestToken: jest.fn((key, secret, _callback, cb) =>
+      cb(null, {
+        method: 'oauth',
+        level: 1,
+        consumerKey: key,
+        consumerSecret: secret,
+        token: 'rtoken',
+        tokenSecret: 'rsecret',
+        authorizeUrl: 'https://discogs.com/oauth/authorize?oauth_token=rtoken',
+      }),
+    ),
+    getAccessToken: jest.fn((_verifier, cb) =>
+      cb(null, { method: 'oauth', level: 2, ...credentials }),
+    ),
+  };
+}
+
+let dir;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dir = mkdtempSync(join(tmpdir(), 'moozhak-auth-'));
+  configureAuth({ file: join(dir, 'auth.json') });
+  configureFixtures({ offline: false });
+  delete process.env.DISCOGS_CONSUMER_KEY;
+  delete process.env.DISCOGS_CONSUMER_SECRET;
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('isValidCredentials (pure function)', () => {
+  it('requires all four OAuth fields', () => {
+    expect(isValidCredentials(credentials)).toBe(true);
+    expect(isValidCredentials({ ...credentials, tokenSecret: '' })).toBe(false);
+    expect(isValidCredentials({ token: 'atoken' })).toBe(false);
+    expect(isValidCredentials(null)).toBe(false);
+  });
+});
+
+describe('buildOAuthAuth (pure function)', () => {
+  it('builds a level 2 disconnect auth object', () => {
+    expect(buildOAuthAuth({ ...credentials, username: 'digger' })).toEqual({
+      method: 'oauth',
+      level: 2,
+      ...credentials,
+    });
+  });
+});
+
+describe('describeAuthMethod (pure function)', () => {
+  it('names the authentication method', () => {
+    expect(describeAuthMethod({ method: 'oauth', level: 2 })).toBe('OAuth');
+    expect(describeAuthMethod({ method: 'discogs', userToken: 't' })).toBe(
+      'personal token',
+    );
+  });
+
+  it('returns null for anonymous or half-finished auth', () => {
+    expect(describeAuthMethod(undefined)).toBeNull();
+    expect(describeAuthMethod({ method: 'discogs', level: 0 })).toBeNull();
+    expect(describeAuthMethod({ method: 'oauth', level: 1 })).toBeNull();
+  });
+});
+
+describe('buildCredentials (pure function)', () => {
+  it('keeps the tokens and adds the username and timestamp', () => {
+    expect(
+      buildCredentials(
+        { method: 'oauth', level: 2, ...credentials },
+        'digger',
+        '2024-01-01T00:00:00.000Z',
+      ),
+    ).toEqual({
+      ...credentials,
+      username: 'digger',
+      createdAt: '2024-01-01T00:00:00.000Z',
+    });
+  });
+});
+
+describe('credentials file', () => {
+  it('saves, loads and deletes credentials', () => {
+    const file = saveCredentials(credentials);
+
+    expect(file).toBe(join(dir, 'auth.json'));
+    expect(loadCredentials()).toEqual(credentials);
+    expect(deleteCredentials()).toBe(true);
+    expect(loadCredentials()).toBeNull();
+    expect(deleteCredentials()).toBe(false);
+  });
+
+  it('is readable by the owner only', () => {
+    writeFileSync(join(dir, 'auth.json'), '{}', { mode: 0o644 });
+    saveCredentials(credentials);
+
+    expect(statSync(join(dir, 'auth.json')).mode & 0o777).toBe(0o600);
+  });
+
+  it('ignores corrupt or incomplete files', () => {
+    writeFileSync(join(dir, 'auth.json'), 'not json');
+    expect(loadCredentials()).toBeNull();
+
+    writeFileSync(join(dir, 'auth.json'), '{"token": "atoken"}');
+    expect(loadCredentials()).toBeNull();
+  });
+});
+
+describe('getRequestToken / getAccessToken', () => {
+  it('runs the out-of-band OAuth steps', async () => {
+    const oauth = createFakeOAuth();
+
+    const requested = await getRequestToken(oauth, 'ckey', 'csecret');
+    expect(oauth.getRequestToken).toHaveBeenCalledWith(
+      'ckey',
+      'csecret',
+      'oob',
+      expect.any(Function),
+    );
+    expect(requested.authorizeUrl).toContain('oauth_token=rtoken');
+
+    const access = await getAccessToken(oauth, '12345');
+    expect(oauth.getAccessToken).toHaveBeenCalledWith(
+      '12345',
+      expect.any(Function),
+    );
+    expect(access.level).toBe(2);
+  });
+
+  it('rejects on API errors and missing tokens', async () => {
+    const oauth = {
+      getRequestToken: (_key, _secret, _callback, cb) =>
+        cb(new Error('Invalid consumer.')),
+      getAccessToken: (_verifier, cb) => cb(null, { level: 1 }),
+    };
+
+    await expect(getRequestToken(oauth, 'k', 's')).rejects.toThrow(
+      'Invalid consumer.',
+    );
+    await expect(getAccessToken(oauth, 'bad')).rejects.toThrow(
+      'Discogs did not return an access token',
+    );
+  });
+});
+
+describe('handleLogin', () => {
+  it('runs the flow and stores the access token', async () => {
+    mockCreateOAuth.mockReturnValue(createFakeOAuth());
+    mockInput.mockResolvedValueOnce(' 12345 ');
+    mockGetIdentity.mockResolvedValue({ id: 1, username: 'digger' });
+
+    const result = await handleLogin({
+      consumerKey: 'ckey',
+      consumerSecret: 'csecret',
+    });
+
+    expect(mockInput).toHaveBeenCalledTimes(1);
+    expect(mockPassword).not.toHaveBeenCalled();
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  https://discogs.com/oauth/authorize?oauth_token=rtoken',
+    );
+    expect(mockCreateOAuthClient).toHaveBeenCalledWith(
+      expect.objectContaining(credentials),
+    );
+    expect(result.username).toBe('digger');
+    expect(loadCredentials()).toEqual(
+      expect.objectContaining({ ...credentials, username: 'digger' }),
+    );
+    expect(mockLog.success).toHaveBeenCalledWith('Logged in as digger.');
+  });
+
+  it('prompts for the consumer key and secret when not configured', async () => {
+    mockCreateOAuth.mockReturnValue(createFakeOAuth());
+    mockInput.mockResolvedValueOnce('ckey').mockResolvedValueOnce('12345');
+    mockPassword.mockResolvedValueOnce('csecret');
+    mockGetIdentity.mockResolvedValue(null);
+
+    const result = await handleLogin();
+
+    expect(mockPassword).toHaveBeenCalledTimes(1);
+    expect(result).toEqual(
+      expect.objectContaining({ ...credentials, username: null }),
+    );
+  });
+
+  it('uses DISCOGS_CONSUMER_KEY and DISCOGS_CONSUMER_SECRET', async () => {
+    process.env.DISCOGS_CONSUMER_KEY = 'envkey';
+    process.env.DISCOGS_CONSUMER_SECRET = 'envsecret';
+    const oauth = createFakeOAuth();
+    mockCreateOAuth.mockReturnValue(oauth);
+    mockInput.mockResolvedValueOnce('12345');
+
+    await handleLogin();
+
+    expect(oauth.getRequestToken).toHaveBeenCalledWith(
+      'envkey',
+      'envsecret',
+      'oob',
+      expect.any(Function),
+    );
+  });
+
+  it('does nothing when already logged in', async () => {
+    saveCredentials({ ...credentials, username: 'digger' });
+
+    expect(await handleLogin()).toBeNull();
+    expect(mockCreateOAuth).not.toHaveBeenCalled();
+    expect(mockLog.info).toHaveBeenCalledWith(
+      "Already logged in as digger. Run 'logout' first to switch accounts.",
+    );
+  });
+
+  it('refuses to log in offline', async () => {
+    configureFixtures({ offline: true });
+
+    expect(await handleLogin()).toBeNull();
+    expect(mockCreateOAuth).not.toHaveBeenCalled();
+  });
+
+  it('reports errors without storing anything', async () => {
+    mockCreateOAuth.mockReturnValue({
+      getRequestToken: (_key, _secret, _callback, cb) =>
+        cb(new Error('Invalid consumer.')),
+    });
+
+    const result = await handleLogin({ consumerKey: 'k', consumerSecret: 's' });
+
+    expect(result).toBeNull();
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Login failed:',
+      'Invalid consumer.',
+    );
+    expect(loadCredentials()).toBeNull();
+  });
+
+  it('stops quietly when a prompt is cancelled', async () => {
+    const cancelled = new Error('cancelled');
+    cancelled.name = 'ExitPromptError';
+    mockInput.mockRejectedValueOnce(cancelled);
+
+    expect(await handleLogin()).toBeNull();
+    expect(mockLog.error).not.toHaveBeenCalled();
+  });
+});
+
+describe('handleLogout', () => {
+  it('removes stored credentials', () => {
+    saveCredentials(credentials);
+
+    expect(handleLogout()).toBe(true);
+    expect(loadCredentials()).toBeNull();
+  });
+
+  it('reports when there is nothing to remove', () => {
+    expect(handleLogout()).toBe(false);
+    expect(mockLog.info).toHaveBeenCalledWith(
+      'Not logged in with OAuth; nothing to remove.',
+    );
+  });
+});
+
+describe('handleWhoami', () => {
+  it('shows the identity and authentication method', async () => {
+    mockGetIdentity.mockResolvedValue({
+      id: 1,
+      username: 'digger',
+      consumer_name: 'Moozhak',
+    });
+    const client = { auth: { method: 'oauth', level: 2 } };
+
+    const identity = await handleWhoami(client);
+
+    expect(mockGetIdentity).toHaveBeenCalledWith(client, false);
+    expect(identity.username).toBe('digger');
+    expect(mockLog.success).toHaveBeenCalledWith('Logged in as digger (#1)');
+    expect(mockLog.plain).toHaveBeenCalledWith('  authentication: OAuth');
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  profile: https://www.discogs.com/user/digger',
+    );
+  });
+
+  it('warns without calling Discogs when not authenticated', async () => {
+    const identity = await handleWhoami({ auth: { method: 'discogs' } });
+
+    expect(identity).toBeNull();
+    expect(mockGetIdentity).not.toHaveBeenCalled();
+    expect(mockLog.warn).toHaveBeenCalledWith('Not logged in.');
+  });
+});
+
+describe('command handlers', () => {
+  it('reconnect the session after login and logout', async () => {
+    mockCreateOAuth.mockReturnValue(createFakeOAuth());
+    mockInput.mockResolvedValueOnce('12345');
+    process.env.DISCOGS_CONSUMER_KEY = 'ckey';
+    process.env.DISCOGS_CONSUMER_SECRET = 'csecret';
+    const ctx = { sessionFlags: { verbose: false }, reconnect: jest.fn() };
+
+    expect(await loginCommand.handler([], ctx)).toBe(true);
+    expect(await logoutCommand.handler([], ctx)).toBe(true);
+    expect(ctx.reconnect).toHaveBeenCalledTimes(2);
+
+    expect(await logoutCommand.handler([], ctx)).toBe(true);
+    expect(ctx.reconnect).toHaveBeenCalledTimes(2);
+  });
+});
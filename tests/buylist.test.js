@@ -0,0 +1,668 @@
+/**
+ * Tests for the playlist buy list report
+ * Pure builders/formatters run without mocks; handleBuyList uses mocked API and files
+ */
+import { jest } from '@jest/globals';
+
+// Mock the dependencies before importing the module under test
+const mockGetMaster = jest.fn();
+const mockGetRelease = jest.fn();
+const mockGetMarketplaceStats = jest.fn();
+const mockReadJsonOutput = jest.fn();
+const mockWriteReportOutput = jest.fn();
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('node:fs', () => ({
+  existsSync: (path) => !path.includes('missing'),
+  readFileSync: jest.fn(),
+}));
+
+jest.unstable_mockModule('../lib/discogs.js', () => ({
+  getMaster: mockGetMaster,
+  getRelease: mockGetRelease,
+  getMarketplaceStats: mockGetMarketplaceStats,
+  buildDiscogsUrl: (type, id) => `https://www.discogs.com/${type}/${id}`,
+  formatPrice: (price) =>
+    price ? `${price.value.toFixed(2)} ${price.currency}`.trim() : 'n/a',
+}));
+
+jest.unstable_mockModule('../lib/output.js', () => ({
+  readJsonOutput: mockReadJsonOutput,
+  writeReportOutput: mockWriteReportOutput,
+}));
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+}));
+
+// Import after mocking
+const {
+  buildBuyList,
+  buildBuyListItem,
+  buildFormatTotals,
+  buylistCommand,
+  classifyFormats,
+  fetchReleasePrice,
+  formatBuyListCsv,
+  formatBuyListMarkdown,
+  formatTotal,
+  getUnmatchedReason,
+  handleBuyList,
+  resolveReleaseId,
+} = await import('../lib/commands/buylist.js');
+
+/**
+ * Build a playlist entry matched to a release
+ */
+function matchedEntry(line, id, format, overrides = {}) {
+  return {
+    line,
+    title: `Track ${line}`,
+    artist: 'Bonobo',
+    album: 'Black Sands',
+    isrc: '',
+    match: {
+      type: 'master',
+      id,
+      year: '2010',
+      url: `https://www.discogs.com/master/${id}`,
+      title: 'Bonobo - Black Sands',
+      confidence: 0.9,
+    },
+    candidates: [{ id, type: 'master', title: 'Bonobo - Black Sands', format }],
+    needsReview: false,
+    ...overrides,
+  };
+}
+
+const playlistOutput = {
+  type: 'playlist',
+  params: { file: '/tmp/chillmix.csv', searchType: 'master' },
+  result: {
+    tracks: [
+      matchedEntry(2, 100, ['Vinyl', 'LP', 'Album']),
+      matchedEntry(3, 100, ['Vinyl', 'LP', 'Album']),
+      matchedEntry(4, 200, ['CD', 'Album']),
+      {
+        line: 5,
+        title: 'Unknown',
+        artist: 'Nobody',
+        album: '',
+        match: null,
+        candidates: [],
+        needsReview: true,
+      },
+      matchedEntry(6, 300, ['File'], { needsReview: true }),
+    ],
+  },
+};
+
+const prices = new Map([
+  [
+    'master:100',
+    {
+      format: 'vinyl',
+      lowestPrice: { value: 20, currency: 'USD' },
+      numForSale: 5,
+    },
+  ],
+  [
+    'master:200',
+    {
+      format: 'cd',
+      lowestPrice: { value: 8.5, currency: 'USD' },
+      numForSale: 2,
+    },
+  ],
+]);
+
+describe('classifyFormats', () => {
+  it('maps vinyl formats', () => {
+    expect(classifyFormats(['Vinyl', 'LP', 'Album'])).toEqual(['vinyl']);
+  });
+
+  it('maps CD and file formats', () => {
+    expect(classifyFormats(['File', 'CD'])).toEqual(['cd', 'digital']);
+  });
+
+  it('returns other for unknown formats', () => {
+    expect(classifyFormats(['Cassette'])).toEqual(['other']);
+  });
+
+  it('returns other when formats are missing', () => {
+    expect(classifyFormats(undefined)).toEqual(['other']);
+  });
+});
+
+describe('getUnmatchedReason', () => {
+  it('returns null for a confident match', () => {
+    expect(getUnmatchedReason(matchedEntry(2, 1, []))).toBeNull();
+  });
+
+  it('reports missing matches', () => {
+    expect(getUnmatchedReason({ match: null })).toBe('no match');
+  });
+
+  it('reports matches still needing review', () => {
+    expect(
+      getUnmatchedReason(matchedEntry(2, 1, [], { needsReview: true })),
+    ).toBe('needs review');
+  });
+
+  it('reports tracks skipped in review', () => {
+    const entry = matchedEntry(2, 1, [], {
+      needsReview: true,
+      review: { status: 'skipped' },
+    });
+    expect(getUnmatchedReason(entry)).toBe('skipped in review');
+  });
+
+  it('accepts matches picked in review', () => {
+    const entry = matchedEntry(2, 1, [], { review: { status: 'picked' } });
+    expect(getUnmatchedReason(entry)).toBeNull();
+  });
+
+  it('reports matches already in the collection', () => {
+    const entry = matchedEntry(2, 1);
+    entry.match.owned = [{ releaseId: 77, samePressing: false }];
+    expect(getUnmatchedReason(entry)).toBe('already owned (release #77)');
+  });
+
+  it('accepts matches checked against the collection but not owned', () => {
+    const entry = matchedEntry(2, 1);
+    entry.match.owned = [];
+    expect(getUnmatchedReason(entry)).toBeNull();
+  });
+});
+
+describe('buildBuyListItem', () => {
+  it('builds an item with release, formats, price and link', () => {
+    const item = buildBuyListItem(
+      matchedEntry(2, 100, ['Vinyl', 'CD']),
+      prices.get('master:100'),
+    );
+
+    expect(item).toEqual({
+      line: 2,
+      artist: 'Bonobo',
+      title: 'Track 2',
+      release: {
+        type: 'master',
+        id: 100,
+        title: 'Bonobo - Black Sands',
+        year: '2010',
+      },
+      formats: ['vinyl', 'cd'],
+      lowestPrice: { value: 20, currency: 'USD' },
+      pricedFormat: 'vinyl',
+      numForSale: 5,
+      url: 'https://www.discogs.com/master/100',
+    });
+  });
+
+  it('prices a master in the format of its main release', () => {
+    const item = buildBuyListItem(matchedEntry(2, 100, ['Vinyl', 'CD']), {
+      format: 'cd',
+      lowestPrice: { value: 9, currency: 'USD' },
+    });
+
+    expect(item.pricedFormat).toBe('cd');
+  });
+
+  it('prices a release in its first format option', () => {
+    const entry = matchedEntry(2, 7, ['CD', 'Vinyl']);
+    entry.match.type = 'release';
+    entry.candidates[0].type = 'release';
+
+    const item = buildBuyListItem(entry, {
+      format: null,
+      lowestPrice: { value: 9, currency: 'USD' },
+    });
+
+    expect(item.pricedFormat).toBe('vinyl');
+  });
+
+  it('handles a missing price', () => {
+    const item = buildBuyListItem(matchedEntry(2, 100, ['Vinyl']), null);
+
+    expect(item.lowestPrice).toBeNull();
+    expect(item.pricedFormat).toBeNull();
+    expect(item.numForSale).toBe(0);
+  });
+});
+
+describe('buildFormatTotals', () => {
+  it('counts each release once per format', () => {
+    const { items } = buildBuyList(playlistOutput, prices);
+    const totals = buildFormatTotals(items);
+
+    expect(totals.vinyl).toEqual({
+      releases: 1,
+      priced: 1,
+      total: [{ value: 20, currency: 'USD' }],
+    });
+    expect(totals.cd.releases).toBe(1);
+  });
+
+  it('sums prices per currency', () => {
+    const items = [
+      {
+        release: { type: 'release', id: 1 },
+        formats: ['vinyl'],
+        pricedFormat: 'vinyl',
+        lowestPrice: { value: 10.1, currency: 'USD' },
+      },
+      {
+        release: { type: 'release', id: 2 },
+        formats: ['vinyl'],
+        pricedFormat: 'vinyl',
+        lowestPrice: { value: 5.2, currency: 'USD' },
+      },
+      {
+        release: { type: 'release', id: 3 },
+        formats: ['vinyl'],
+        pricedFormat: 'vinyl',
+        lowestPrice: { value: 7, currency: 'EUR' },
+      },
+      {
+        release: { type: 'release', id: 4 },
+        formats: ['vinyl'],
+        lowestPrice: null,
+      },
+    ];
+
+    expect(buildFormatTotals(items).vinyl).toEqual({
+      releases: 4,
+      priced: 3,
+      total: [
+        { value: 15.3, currency: 'USD' },
+        { value: 7, currency: 'EUR' },
+      ],
+    });
+  });
+
+  it('adds a price only to the format that was priced', () => {
+    const items = [
+      {
+        release: { type: 'master', id: 1 },
+        formats: ['vinyl', 'cd', 'digital'],
+        pricedFormat: 'vinyl',
+        lowestPrice: { value: 25, currency: 'USD' },
+      },
+      {
+        release: { type: 'master', id: 2 },
+        formats: ['vinyl'],
+        pricedFormat: 'cd',
+        lowestPrice: { value: 6, currency: 'USD' },
+      },
+    ];
+    const totals = buildFormatTotals(items);
+
+    expect(totals.vinyl).toEqual({
+      releases: 2,
+      priced: 1,
+      total: [{ value: 25, currency: 'USD' }],
+    });
+    expect(totals.cd).toEqual({
+      releases: 2,
+      priced: 1,
+      total: [{ value: 6, currency: 'USD' }],
+    });
+    expect(totals.digital).toEqual({ releases: 1, priced: 0, total: [] });
+  });
+
+  it('orders formats vinyl, cd, digital, other', () => {
+    const items = [
+      {
+        release: { type: 'release', id: 1 },
+        formats: ['other'],
+        lowestPrice: null,
+      },
+      {
+        release: { type: 'release', id: 2 },
+        formats: ['cd'],
+        lowestPrice: null,
+      },
+      {
+        release: { type: 'release', id: 3 },
+        formats: ['vinyl'],
+        lowestPrice: null,
+      },
+    ];
+
+    expect(Object.keys(buildFormatTotals(items))).toEqual([
+      'vinyl',
+      'cd',
+      'other',
+    ]);
+  });
+});
+
+describe('buildBuyList', () => {
+  it('splits entries into items and unmatched tracks', () => {
+    const buyList = buildBuyList(playlistOutput, prices);
+
+    expect(buyList.items.map((i) => i.line)).toEqual([2, 3, 4]);
+    expect(buyList.unmatched).toEqual([
+      {
+        line: 5,
+        artist: 'Nobody',
+        title: 'Unknown',
+        album: '',
+        reason: 'no match',
+      },
+      {
+        line: 6,
+        artist: 'Bonobo',
+        title: 'Track 6',
+        album: 'Black Sands',
+        reason: 'needs review',
+      },
+    ]);
+  });
+});
+
+describe('formatTotal', () => {
+  it('joins currencies', () => {
+    expect(
+      formatTotal([
+        { value: 15.3, currency: 'USD' },
+        { value: 7, currency: 'EUR' },
+      ]),
+    ).toBe('15.30 USD + 7.00 EUR');
+  });
+
+  it('returns n/a when nothing is priced', () => {
+    expect(formatTotal([])).toBe('n/a');
+  });
+});
+
+describe('formatBuyListMarkdown', () => {
+  const markdown = formatBuyListMarkdown(
+    '/tmp/playlist-1.json',
+    buildBuyList(playlistOutput, prices),
+  );
+
+  it('includes a title with the playlist file name', () => {
+    expect(markdown.startsWith('# Buy list: playlist-1.json\n')).toBe(true);
+  });
+
+  it('includes a row with price and link per item', () => {
+    expect(markdown).toContain(
+      '| 4 | Bonobo | Track 4 | Bonobo - Black Sands | 2010 | CD | 8.50 USD (CD) | 2 | [master 200](https://www.discogs.com/master/200) |',
+    );
+  });
+
+  it('puts totals and unmatched tracks at the bottom', () => {
+    const totalsAt = markdown.indexOf('## Totals per format');
+    const unmatchedAt = markdown.indexOf('## Unmatched tracks (2)');
+
+    expect(totalsAt).toBeGreaterThan(markdown.indexOf('| 4 |'));
+    expect(unmatchedAt).toBeGreaterThan(totalsAt);
+    expect(markdown).toContain('| Vinyl | 1 | 1 | 20.00 USD |');
+    expect(markdown).toContain('- line 5: Nobody - Unknown (no match)');
+  });
+
+  it('escapes pipes in cells', () => {
+    const buyList = buildBuyList(
+      {
+        result: {
+          tracks: [matchedEntry(2, 1, ['Vinyl'], { title: 'A | B' })],
+        },
+      },
+      new Map(),
+    );
+
+    expect(formatBuyListMarkdown('x.json', buyList)).toContain('| A \\| B |');
+  });
+});
+
+describe('formatBuyListCsv', () => {
+  const csv = formatBuyListCsv(buildBuyList(playlistOutput, prices));
+  const lines = csv.trim().split('\n');
+
+  it('starts with the item header', () => {
+    expect(lines[0]).toBe(
+      'line,artist,title,release,type,id,year,formats,lowest_price,currency,priced_format,for_sale,url',
+    );
+  });
+
+  it('writes one row per item', () => {
+    expect(lines[1]).toBe(
+      '2,Bonobo,Track 2,Bonobo - Black Sands,master,100,2010,vinyl,20,USD,vinyl,5,https://www.discogs.com/master/100',
+    );
+  });
+
+  it('appends totals and unmatched sections', () => {
+    expect(lines).toContain('format,releases,priced,total');
+    expect(lines).toContain('vinyl,1,1,20.00 USD');
+    expect(lines).toContain('unmatched_line,artist,title,reason');
+    expect(lines).toContain('6,Bonobo,Track 6,needs review');
+  });
+
+  it('quotes fields with commas and quotes', () => {
+    const buyList = buildBuyList(
+      {
+        result: {
+          tracks: [matchedEntry(2, 1, ['Vinyl'], { title: 'Hello, "World"' })],
+        },
+      },
+      new Map(),
+    );
+
+    expect(formatBuyListCsv(buyList)).toContain('"Hello, ""World"""');
+  });
+});
+
+describe('resolveReleaseId', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('uses release matches as they are', async () => {
+    expect(await resolveReleaseId({}, { type: 'release', id: 7 })).toBe(7);
+    expect(mockGetMaster).not.toHaveBeenCalled();
+  });
+
+  it('resolves masters to their main release', async () => {
+    mockGetMaster.mockResolvedValue({ main_release: 555 });
+    expect(await resolveReleaseId({}, { type: 'master', id: 9 })).toBe(555);
+
+    mockGetMaster.mockResolvedValue(null);
+    expect(await resolveReleaseId({}, { type: 'master', id: 9 })).toBeNull();
+  });
+});
+
+describe('fetchReleasePrice', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('prices a master by its main release, in its format', async () => {
+    mockGetMaster.mockResolvedValue({ main_release: 555 });
+    mockGetRelease.mockResolvedValue({
+      formats: [{ name: 'CD', descriptions: ['Album'] }],
+    });
+    mockGetMarketplaceStats.mockResolvedValue({
+      lowest_price: { value: 12, currency: 'USD' },
+      num_for_sale: 3,
+    });
+
+    const price = await fetchReleasePrice({}, {}, { type: 'master', id: 100 });
+
+    expect(mockGetMarketplaceStats).toHaveBeenCalledWith({}, 555, false);
+    expect(mockGetRelease).toHaveBeenCalledWith({}, 555, false);
+    expect(price).toEqual({
+      releaseId: 555,
+      format: 'cd',
+      lowestPrice: { value: 12, currency: 'USD' },
+      numForSale: 3,
+    });
+  });
+
+  it('prices a release directly', async () => {
+    mockGetMarketplaceStats.mockResolvedValue({ num_for_sale: 0 });
+
+    const price = await fetchReleasePrice({}, {}, { type: 'release', id: 7 });
+
+    expect(mockGetMaster).not.toHaveBeenCalled();
+    expect(mockGetRelease).not.toHaveBeenCalled();
+    expect(price).toEqual({
+      releaseId: 7,
+      format: null,
+      lowestPrice: null,
+      numForSale: 0,
+    });
+  });
+
+  it('leaves the format unknown when the main release cannot be fetched', async () => {
+    mockGetMaster.mockResolvedValue({ main_release: 555 });
+    mockGetMarketplaceStats.mockResolvedValue({ num_for_sale: 0 });
+    mockGetRelease.mockResolvedValue(null);
+
+    const price = await fetchReleasePrice({}, {}, { type: 'master', id: 100 });
+
+    expect(price.format).toBeNull();
+  });
+
+  it('returns null when the master cannot be fetched', async () => {
+    mockGetMaster.mockResolvedValue(null);
+
+    expect(
+      await fetchReleasePrice({}, {}, { type: 'master', id: 100 }),
+    ).toBeNull();
+    expect(mockGetMarketplaceStats).not.toHaveBeenCalled();
+  });
+
+  it('returns null when stats fail', async () => {
+    mockGetMarketplaceStats.mockResolvedValue(null);
+
+    expect(
+      await fetchReleasePrice({}, {}, { type: 'release', id: 7 }),
+    ).toBeNull();
+  });
+});
+
+describe('handleBuyList', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetMaster.mockImplementation(async (_db, id) => ({
+      main_release: id + 1,
+    }));
+    mockGetMarketplaceStats.mockResolvedValue({
+      lowest_price: { value: 10, currency: 'USD' },
+      num_for_sale: 1,
+    });
+    mockGetRelease.mockImplementation(async (_db, id) => ({
+      formats: [{ name: id === 201 ? 'CD' : 'Vinyl' }],
+    }));
+    mockWriteReportOutput.mockReturnValue(['a.md', 'a.csv', 'a.json']);
+  });
+
+  it('reports a missing file', async () => {
+    await handleBuyList({}, {}, '/tmp/missing.json', {});
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      expect.stringContaining('Playlist output not found'),
+    );
+    expect(mockWriteReportOutput).not.toHaveBeenCalled();
+  });
+
+  it('rejects non-playlist outputs', async () => {
+    mockReadJsonOutput.mockReturnValue({ type: 'search' });
+
+    await handleBuyList({}, {}, '/tmp/search.json', {});
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      expect.stringContaining('Not a playlist output file'),
+    );
+  });
+
+  it('rejects files that are not valid JSON', async () => {
+    mockReadJsonOutput.mockImplementationOnce(() => {
+      throw new SyntaxError('Unexpected end of JSON input');
+    });
+
+    await handleBuyList({}, {}, '/tmp/truncated.json', {});
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Not a valid JSON output file: /tmp/truncated.json',
+    );
+  });
+
+  it('fetches each matched release once', async () => {
+    mockReadJsonOutput.mockReturnValue(playlistOutput);
+
+    await handleBuyList({}, {}, '/tmp/playlist.json', { verbose: false });
+
+    expect(mockGetMaster).toHaveBeenCalledTimes(2);
+    expect(mockGetMarketplaceStats).toHaveBeenCalledTimes(2);
+  });
+
+  it('writes markdown, csv and json reports', async () => {
+    mockReadJsonOutput.mockReturnValue(playlistOutput);
+
+    const paths = await handleBuyList({}, {}, '/tmp/playlist.json', {});
+
+    expect(paths).toEqual(['a.md', 'a.csv', 'a.json']);
+    const [name, contents] = mockWriteReportOutput.mock.calls[0];
+    expect(name).toBe('buylist');
+    expect(Object.keys(contents)).toEqual(['md', 'csv', 'json']);
+    expect(JSON.parse(contents.json)).toMatchObject({
+      type: 'buylist',
+      params: { file: '/tmp/playlist.json' },
+      result: {
+        totals: {
+          vinyl: { releases: 1, total: [{ value: 10, currency: 'USD' }] },
+          cd: { releases: 1, total: [{ value: 10, currency: 'USD' }] },
+        },
+      },
+    });
+  });
+
+  it('warns about unmatched tracks', async () => {
+    mockReadJsonOutput.mockReturnValue(playlistOutput);
+
+    await handleBuyList({}, {}, '/tmp/playlist.json', {});
+
+    expect(mockLog.warn).toHaveBeenCalledWith('2 track(s) not on the list:');
+  });
+});
+
+describe('buylistCommand', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('has alias bl', () => {
+    expect(buylistCommand.aliases).toContain('bl');
+  });
+
+  it('errors without a file or previous playlist run', async () => {
+    const ctx = { lastPlaylistOutput: null, sessionFlags: {} };
+
+    const result = await buylistCommand.handler([], ctx);
+
+    expect(result).toBe(true);
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'No playlist output for a buy list.',
+    );
+  });
+
+  it('defaults to the last playlist output', async () => {
+    mockReadJsonOutput.mockReturnValue({ type: 'search' });
+    const ctx = { lastPlaylistOutput: '/tmp/last.json', sessionFlags: {} };
+
+    await buylistCommand.handler([], ctx);
+
+    expect(mockReadJsonOutput).toHaveBeenCalledWith('/tmp/last.json');
+  });
+});
@@ -0,0 +1,423 @@
+/**
+ * Tests for the on-disk response cache and the cache command
+ * Uses a temporary cache directory and a fake Discogs database
+ */
+import { existsSync, mkdtempSync, rmSync, utimesSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { jest } from '@jest/globals';
+
+// Mock the logger before importing the modules under test
+const mockLogApiResponse = jest.fn();
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  debug: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+  writeLog: jest.fn(),
+  logApiResponse: mockLogApiResponse,
+}));
+
+// Import after mocking
+const {
+  buildCacheKey,
+  clearCache,
+  configureCache,
+  getCacheStats,
+  isCacheEnabled,
+  isExpired,
+  pruneCache,
+  readCache,
+  writeCache,
+} = await import('../lib/cache.js');
+const { fileConfig } = await import('../lib/config.js');
+const { getMarketplaceStats, getRelease, searchDiscogs } = await import(
+  '../lib/discogs.js'
+);
+const { buildCacheSummary, cacheCommand, formatBytes, handleCache } =
+  await import('../lib/commands/cache.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+let dir;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dir = mkdtempSync(join(tmpdir(), 'moozhak-cache-'));
+  configureCache({ dir, enabled: true, customApiUrl: null });
+  delete fileConfig.CACHE_TTL_HOURS;
+  delete fileConfig.CACHE_MAX_MB;
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('buildCacheKey (pure function)', () => {
+  it('ignores param order', () => {
+    expect(buildCacheKey('database.search', { q: 'a', type: 'master' })).toBe(
+      buildCacheKey('database.search', { type: 'master', q: 'a' }),
+    );
+  });
+
+  it('differs by endpoint and params', () => {
+    const key = buildCacheKey('database.getRelease', { releaseId: 1 });
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(buildCacheKey('database.getMaster', { masterId: 1 })).not.toBe(key);
+    expect(buildCacheKey('database.getRelease', { releaseId: 2 })).not.toBe(
+      key,
+    );
+  });
+});
+
+describe('isExpired (pure function)', () => {
+  it('compares the entry age with the lifetime', () => {
+    expect(isExpired({ storedAt: 0 }, 24, 23 * HOUR_MS)).toBe(false);
+    expect(isExpired({ storedAt: 0 }, 24, 25 * HOUR_MS)).toBe(true);
+  });
+});
+
+describe('readCache / writeCache', () => {
+  const params = { releaseId: 249504 };
+
+  it('returns stored data and counts hits and misses', () => {
+    expect(readCache('database.getRelease', params)).toBeUndefined();
+
+    writeCache('database.getRelease', params, { title: 'Discovery' });
+
+    expect(readCache('database.getRelease', params)).toEqual({
+      title: 'Discovery',
+    });
+    const stats = getCacheStats();
+    expect(stats.hits).toBeGreaterThanOrEqual(1);
+    expect(stats.misses).toBeGreaterThanOrEqual(1);
+    expect(stats.entries).toBe(1);
+  });
+
+  it('drops entries older than CACHE_TTL_HOURS', () => {
+    fileConfig.CACHE_TTL_HOURS = '1';
+    writeCache('database.getRelease', params, { title: 'Old' }, 0);
+
+    expect(readCache('database.getRelease', params, 2 * HOUR_MS)).toBe(
+      undefined,
+    );
+    expect(getCacheStats().entries).toBe(0);
+  });
+
+  it('is disabled by configureCache or a zero lifetime', () => {
+    expect(isCacheEnabled()).toBe(true);
+
+    fileConfig.CACHE_TTL_HOURS = '0';
+    expect(isCacheEnabled()).toBe(false);
+
+    delete fileConfig.CACHE_TTL_HOURS;
+    configureCache({ enabled: false });
+    expect(isCacheEnabled()).toBe(false);
+  });
+
+  it('stays off while a custom API URL is in use', () => {
+    configureCache({ customApiUrl: 'http://127.0.0.1:4010' });
+
+    expect(isCacheEnabled()).toBe(false);
+  });
+
+  it('trims the oldest entries once a write crosses the size cap', () => {
+    const entry = { title: 'x'.repeat(300) };
+    fileConfig.CACHE_MAX_MB = String(1000 / (1024 * 1024));
+    writeCache('database.getRelease', { releaseId: 1 }, entry);
+    writeCache('database.getRelease', { releaseId: 2 }, entry);
+    const old = join(
+      dir,
+      `${buildCacheKey('database.getRelease', { releaseId: 1 })}.json`,
+    );
+    utimesSync(old, new Date(0), new Date(0));
+
+    writeCache('database.getRelease', { releaseId: 3 }, entry);
+
+    expect(existsSync(old)).toBe(false);
+    expect(getCacheStats().entries).toBe(2);
+    expect(getCacheStats().bytes).toBeLessThanOrEqual(1000);
+  });
+});
+
+describe('pruneCache', () => {
+  it('removes the oldest entries until under the cap', () => {
+    writeCache('database.getRelease', { releaseId: 1 }, { n: 1 });
+    writeCache('database.getRelease', { releaseId: 2 }, { n: 2 });
+    const old = join(
+      dir,
+      `${buildCacheKey('database.getRelease', { releaseId: 1 })}.json`,
+    );
+    utimesSync(old, new Date(0), new Date(0));
+
+    const { bytes } = getCacheStats();
+    const removed = pruneCache(bytes - 1);
+
+    expect(removed).toBe(1);
+    expect(existsSync(old)).toBe(false);
+    expect(readCache('database.getRelease', { releaseId: 2 })).toEqual({
+      n: 2,
+    });
+  });
+});
+
+describe('clearCache', () => {
+  it('deletes every entry', () => {
+    writeCache('database.getRelease', { releaseId: 1 }, {});
+    writeCache('database.getMaster', { masterId: 1 }, {});
+
+    expect(clearCache()).toBe(2);
+    expect(getCacheStats().entries).toBe(0);
+  });
+
+  it('copes with a missing cache directory', () => {
+    configureCache({ dir: join(dir, 'missing') });
+
+    expect(clearCache()).toBe(0);
+  });
+});
+
+describe('getCacheStats', () => {
+  it('reports size, lifetime, cap and expired entries', () => {
+    fileConfig.CACHE_MAX_MB = '10';
+    writeCache('database.getRelease', { releaseId: 1 }, { title: 'x' });
+
+    const stats = getCacheStats(Date.now() + 48 * HOUR_MS);
+
+    expect(stats).toEqual(
+      expect.objectContaining({
+        dir,
+        enabled: true,
+        entries: 1,
+        expired: 1,
+        ttlHours: 24,
+        maxBytes: 10 * 1024 * 1024,
+      }),
+    );
+    expect(stats.bytes).toBeGreaterThan(0);
+  });
+});
+
+describe('cached Discogs calls', () => {
+  // disconnect methods take a callback as their last argument
+  const reply =
+    (data) =>
+    (...args) =>
+      args.at(-1)(null, data);
+  const db = {
+    getRelease: jest.fn(),
+    search: jest.fn(),
+  };
+  const client = { get: jest.fn(reply({ num_for_sale: 3 })) };
+
+  it('answers a repeated call from the cache', async () => {
+    db.getRelease.mockImplementation(reply({ id: 1, title: 'Discovery' }));
+
+    await getRelease(db, 1);
+    const second = await getRelease(db, 1, true);
+
+    expect(second).toEqual({ id: 1, title: 'Discovery' });
+    expect(db.getRelease).toHaveBeenCalledTimes(1);
+    expect(mockLog.debug).toHaveBeenCalledWith(
+      expect.stringContaining('Cache hit: database.getRelease'),
+    );
+  });
+
+  it('writes cache hits to the session log for fixture import', async () => {
+    db.getRelease.mockImplementation(reply({ id: 2, title: 'Homework' }));
+
+    await getRelease(db, 2);
+    await getRelease(db, 2);
+
+    expect(db.getRelease).toHaveBeenCalledTimes(1);
+    expect(mockLogApiResponse).toHaveBeenCalledTimes(2);
+    expect(mockLogApiResponse).toHaveBeenLastCalledWith(
+      'database.getRelease',
+      { releaseId: 2 },
+      { id: 2, title: 'Homework' },
+    );
+  });
+
+  it('caches searches by query and params', async () => {
+    db.search.mockImplementation(
+      reply({ results: [{ id: 1 }], pagination: {} }),
+    );
+
+    await searchDiscogs(db, 'bonobo', 'master', 5);
+    await searchDiscogs(db, 'bonobo', 'master', 5);
+    await searchDiscogs(db, 'bonobo', 'release', 5);
+
+    expect(db.search).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not cache failed calls', async () => {
+    db.getRelease
+      .mockImplementationOnce((_id, done) => done(new Error('Not found')))
+      .mockImplementationOnce(reply({ id: 2 }));
+
+    expect(await getRelease(db, 2)).toBeNull();
+    expect(await getRelease(db, 2)).toEqual({ id: 2 });
+    expect(db.getRelease).toHaveBeenCalledTimes(2);
+  });
+
+  it('calls the API every time when the cache is off', async () => {
+    configureCache({ enabled: false });
+    db.getRelease.mockImplementation(reply({ id: 3 }));
+
+    await getRelease(db, 3);
+    await getRelease(db, 3);
+
+    expect(db.getRelease).toHaveBeenCalledTimes(2);
+    expect(getCacheStats().entries).toBe(0);
+  });
+
+  it('never caches marketplace stats', async () => {
+    await getMarketplaceStats(client, 1);
+
+    expect(getCacheStats().entries).toBe(0);
+  });
+});
+
+describe('formatBytes (pure function)', () => {
+  it('picks B, KB or MB', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(50 * 1024 * 1024)).toBe('50.0 MB');
+  });
+});
+
+describe('buildCacheSummary (pure function)', () => {
+  it('lists status, location, entries, size, lifetime and hits', () => {
+    const lines = buildCacheSummary({
+      dir: '/tmp/cache',
+      enabled: true,
+      entries: 12,
+      expired: 2,
+      bytes: 2048,
+      maxBytes: 50 * 1024 * 1024,
+      ttlHours: 24,
+      hits: 3,
+      misses: 1,
+    });
+
+    expect(lines).toEqual([
+      '  status: on',
+      '  location: /tmp/cache',
+      '  entries: 12 (2 expired)',
+      '  size: 2.0 KB of 50.0 MB',
+      '  lifetime: 24 hour(s)',
+      '  this session: 3 hit(s), 1 miss(es) (75%)',
+    ]);
+  });
+
+  it('omits expired count and hit rate when zero', () => {
+    const lines = buildCacheSummary({
+      dir: '/tmp/cache',
+      enabled: false,
+      entries: 0,
+      expired: 0,
+      bytes: 0,
+      maxBytes: 1024,
+      ttlHours: 1,
+      hits: 0,
+      misses: 0,
+    });
+
+    expect(lines[0]).toBe('  status: off');
+    expect(lines[2]).toBe('  entries: 0');
+    expect(lines[5]).toBe('  this session: 0 hit(s), 0 miss(es)');
+  });
+
+  it('names the custom API URL that keeps the cache off', () => {
+    const lines = buildCacheSummary({
+      dir: '/tmp/cache',
+      enabled: false,
+      customApiUrl: 'http://127.0.0.1:4010',
+      entries: 0,
+      expired: 0,
+      bytes: 0,
+      maxBytes: 1024,
+      ttlHours: 1,
+      hits: 0,
+      misses: 0,
+    });
+
+    expect(lines[0]).toBe(
+      '  status: off (custom API URL http://127.0.0.1:4010)',
+    );
+  });
+});
+
+describe('handleCache', () => {
+  it('shows stats by default', () => {
+    handleCache();
+
+    expect(mockLog.header).toHaveBeenCalledWith('Response Cache');
+    expect(mockLog.plain).toHaveBeenCalledWith(`  location: ${dir}`);
+  });
+
+  it('clears the cache', () => {
+    writeCache('database.getRelease', { releaseId: 1 }, {});
+
+    handleCache('clear');
+
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Cleared 1 cached response(s).',
+    );
+  });
+
+  it('turns the cache off and on', () => {
+    handleCache('OFF');
+    expect(isCacheEnabled()).toBe(false);
+
+    handleCache('on');
+    expect(isCacheEnabled()).toBe(true);
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Response cache turned on for this session.',
+    );
+  });
+
+  it('will not turn the cache on while a custom API URL is in use', () => {
+    configureCache({ enabled: false, customApiUrl: 'http://127.0.0.1:4010' });
+
+    handleCache('on');
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'The response cache stays off while using http://127.0.0.1:4010.',
+    );
+    expect(mockLog.success).not.toHaveBeenCalled();
+    configureCache({ customApiUrl: null });
+    expect(isCacheEnabled()).toBe(false);
+  });
+
+  it('rejects unknown actions', () => {
+    handleCache('purge');
+
+    expect(mockLog.error).toHaveBeenCalledWith("Unknown cache action 'purge'");
+    expect(mockLog.info).toHaveBeenCalledWith(
+      'Usage: cache [stats|clear|on|off]',
+    );
+  });
+});
+
+describe('cacheCommand', () => {
+  it('has correct command metadata', () => {
+    expect(cacheCommand.name).toBe('cache');
+    expect(cacheCommand.minArgs).toBe(0);
+  });
+
+  it('passes the action to handleCache', async () => {
+    const result = await cacheCommand.handler(['off']);
+
+    expect(result).toBe(true);
+    expect(isCacheEnabled()).toBe(false);
+  });
+});
@@ -25,15 +25,39 @@ jest.unstable_mockModule('../lib/logger.js', () => ({
   writeLog: mockWriteLog,
   logApiResponse: mockLogApiResponse,
   initLog: mockInitLog,
+  logDir: '/tmp/dist/logs',
 }));
 
 // Mock discogs to avoid API dependencies
 jest.unstable_mockModule('../lib/discogs.js', () => ({
   searchDiscogs: jest.fn().mockResolvedValue([]),
+  searchDiscogsPage: jest.fn().mockResolvedValue(null),
   getMaster: jest.fn().mockResolvedValue(null),
   getRelease: jest.fn().mockResolvedValue(null),
+  getMasterVersions: jest.fn().mockResolvedValue(null),
+  getArtist: jest.fn().mockResolvedValue(null),
+  getArtistReleases: jest.fn().mockResolvedValue(null),
+  getLabel: jest.fn().mockResolvedValue(null),
+  getLabelReleases: jest.fn().mockResolvedValue(null),
+  getMarketplaceStats: jest.fn().mockResolvedValue(null),
+  getPriceSuggestions: jest.fn().mockResolvedValue(null),
+  getIdentity: jest.fn().mockResolvedValue(null),
+  getCollectionFolders: jest.fn().mockResolvedValue(null),
+  getCollectionReleases: jest.fn().mockResolvedValue(null),
+  getReleaseInstances: jest.fn().mockResolvedValue(null),
+  addToCollection: jest.fn().mockResolvedValue(null),
+  removeFromCollection: jest.fn().mockResolvedValue(false),
+  addToWantlist: jest.fn().mockResolvedValue(null),
+  removeFromWantlist: jest.fn().mockResolvedValue(false),
+  getWantlistReleases: jest.fn().mockResolvedValue(null),
+  createOAuth: jest.fn(),
+  createOAuthClient: jest.fn(),
+  buildMarketplaceUrl: (type, id) =>
+    `https://www.discogs.com/sell/${type}/${id}`,
+  formatPrice: jest.fn(() => 'n/a'),
   formatResult: jest.fn((r) => `  ${r.id} | ${r.title}`),
   formatTrack: jest.fn((t, i) => `  ${i + 1} ${t.title}`),
+  formatCatalogEntry: jest.fn((r) => `  ${r.catno}`),
   buildDiscogsUrl: (type, id) => `https://www.discogs.com/${type}/${id}`,
   buildDiscogsUrlFromUri: (uri) => `https://www.discogs.com${uri}`,
 }));
@@ -42,8 +66,12 @@ jest.unstable_mockModule('../lib/discogs.js', () => ({
 jest.unstable_mockModule('../lib/output.js', () => ({
   writeJsonOutput: jest.fn(),
   writeTracksOutput: jest.fn(),
+  readJsonOutput: jest.fn(),
+  writeReportOutput: jest.fn(),
+  updateJsonOutput: jest.fn(),
   ensureDistDir: jest.fn(),
   distDir: '/tmp/dist',
+  OUTPUT_EXTENSIONS: { human: 'txt' },
 }));
 
 // Import after mocking
@@ -228,6 +256,20 @@ describe('executeCommand', () => {
     });
   });
 
+  describe('search paging', () => {
+    it('shows error for next without a previous search', async () => {
+      await executeCommand('next', ctx);
+
+      expect(mockLog.error).toHaveBeenCalledWith('No search to page through');
+    });
+
+    it('requires a page number for page', async () => {
+      await executeCommand('page', ctx);
+
+      expect(mockLog.info).toHaveBeenCalledWith('Usage: page <n>');
+    });
+  });
+
   describe('case insensitivity', () => {
     it('handles uppercase commands', async () => {
       const result = await executeCommand('HELP', ctx);
@@ -0,0 +1,867 @@
+/**
+ * Tests for the collection command with mocked API calls
+ * Uses Jest mocks to verify API interactions without actual network requests
+ */
+import { jest } from '@jest/globals';
+
+// Mock the dependencies before importing the module under test
+const mockGetCollectionFolders = jest.fn();
+const mockGetCollectionReleases = jest.fn();
+const mockGetIdentity = jest.fn();
+const mockGetReleaseInstances = jest.fn();
+const mockAddToCollection = jest.fn();
+const mockRemoveFromCollection = jest.fn();
+const mockGetRelease = jest.fn();
+const mockConfirm = jest.fn();
+const mockSelect = jest.fn();
+const mockIsOffline = jest.fn(() => false);
+const mockWriteJsonOutput = jest.fn();
+const mockWriteReportOutput = jest.fn();
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  debug: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('../lib/discogs.js', () => ({
+  getCollectionFolders: mockGetCollectionFolders,
+  getCollectionReleases: mockGetCollectionReleases,
+  getReleaseInstances: mockGetReleaseInstances,
+  addToCollection: mockAddToCollection,
+  removeFromCollection: mockRemoveFromCollection,
+  getRelease: mockGetRelease,
+  getIdentity: mockGetIdentity,
+  createOAuth: jest.fn(),
+  createOAuthClient: jest.fn(),
+  getLabel: jest.fn(),
+  getLabelReleases: jest.fn(),
+  getArtist: jest.fn(),
+  getArtistReleases: jest.fn(),
+  searchDiscogsPage: jest.fn(),
+  formatResult: jest.fn(),
+  buildDiscogsUrl: (type, id) => `https://www.discogs.com/${type}/${id}`,
+  buildDiscogsUrlFromUri: (uri) => `https://www.discogs.com${uri}`,
+  formatCatalogEntry: (release, format) =>
+    format === 'csv'
+      ? `${release.catno},${release.title}`
+      : `  ${release.catno} ${release.title}`,
+}));
+
+jest.unstable_mockModule('@inquirer/prompts', () => ({
+  confirm: mockConfirm,
+  select: mockSelect,
+  input: jest.fn(),
+  password: jest.fn(),
+}));
+
+jest.unstable_mockModule('../lib/fixtures.js', () => ({
+  isOffline: mockIsOffline,
+}));
+
+jest.unstable_mockModule('../lib/output.js', () => ({
+  OUTPUT_EXTENSIONS: { human: 'txt', csv: 'csv', pipe: 'txt', markdown: 'md' },
+  writeJsonOutput: mockWriteJsonOutput,
+  writeReportOutput: mockWriteReportOutput,
+}));
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+  writeLog: jest.fn(),
+  logApiResponse: jest.fn(),
+  logDir: '/tmp/dist/logs',
+}));
+
+// Import after mocking
+const {
+  buildCollectionCommand,
+  buildCollectionFoldersOutput,
+  buildCollectionOutput,
+  buildCopyChoices,
+  collectCommand,
+  collectionCommand,
+  confirmChange,
+  describeRelease,
+  fetchCollection,
+  fetchOwnedIndex,
+  findFolder,
+  formatCollectionItem,
+  handleCollect,
+  handleCollection,
+  handleUncollect,
+  matchesCollectionFilters,
+  parseCollectArgs,
+  parseCollectionArgs,
+  parseReleaseId,
+  uncollectCommand,
+} = await import('../lib/commands/collection.js');
+const { buildOwnedIndex, extractCollectionItem, findOwnedCopies } =
+  await import('../lib/collection.js');
+
+const client = { auth: { method: 'discogs', userToken: 'token' } };
+
+/**
+ * Build a collection item as returned by the API
+ */
+function apiItem(id, artist, title, year, extra = {}) {
+  return {
+    id,
+    instance_id: id * 10,
+    folder_id: 1,
+    date_added: '2024-03-01T10:00:00-08:00',
+    rating: 0,
+    basic_information: {
+      id,
+      master_id: id + 1000,
+      title,
+      year,
+      artists: [{ name: artist }],
+      labels: [{ name: 'Ninja Tune', catno: `ZEN${id}` }],
+      formats: [{ name: 'Vinyl', qty: '1', descriptions: ['LP', 'Album'] }],
+      ...extra,
+    },
+  };
+}
+
+const items = [
+  apiItem(1, 'Bonobo', 'Black Sands', 2010),
+  apiItem(2, 'Daft Punk', 'Discovery', 2001),
+  apiItem(3, 'Bonobo', 'Migration', 2017, {
+    formats: [{ name: 'CD', descriptions: ['Album'] }],
+  }),
+];
+
+const listOptions = {
+  action: 'list',
+  folderId: 0,
+  page: 1,
+  all: false,
+  sort: 'added',
+  order: 'desc',
+  filters: {},
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockGetIdentity.mockResolvedValue({ id: 1, username: 'digger' });
+});
+
+describe('parseCollectionArgs', () => {
+  it('defaults to the newest additions in every folder', () => {
+    expect(parseCollectionArgs([])).toEqual(listOptions);
+  });
+
+  it('parses folders', () => {
+    expect(parseCollectionArgs(['folders'])).toEqual({ action: 'folders' });
+    expect(parseCollectionArgs(['folders', 'x']).error).toBe(
+      "Invalid option 'x'",
+    );
+  });
+
+  it('recognizes sort, order, page, all and folder in any order', () => {
+    expect(parseCollectionArgs(['3', 'folder:2', 'year', 'desc'])).toEqual({
+      ...listOptions,
+      folderId: 2,
+      page: 3,
+      sort: 'year',
+      order: 'desc',
+    });
+    expect(parseCollectionArgs(['ARTIST', 'all'])).toEqual(
+      expect.objectContaining({ sort: 'artist', order: 'asc', all: true }),
+    );
+  });
+
+  it('parses key:value filters', () => {
+    expect(
+      parseCollectionArgs(['artist:"Bonobo"', 'format:vinyl', 'year:2010-2015'])
+        .filters,
+    ).toEqual({ artist: 'Bonobo', format: 'vinyl', year: '2010-2015' });
+  });
+
+  it('rejects invalid filters and options', () => {
+    expect(parseCollectionArgs(['year:20']).error).toBe(
+      "Invalid filter 'year:20'",
+    );
+    expect(parseCollectionArgs(['genre:house']).error).toBe(
+      "Invalid filter 'genre:house'",
+    );
+    expect(parseCollectionArgs(['folder:x']).error).toBe(
+      "Invalid filter 'folder:x'",
+    );
+    expect(parseCollectionArgs(['title']).error).toBe("Invalid option 'title'");
+    expect(parseCollectionArgs(['0']).error).toBe("Invalid option '0'");
+  });
+});
+
+describe('extractCollectionItem (pure function)', () => {
+  it('flattens basic information', () => {
+    expect(extractCollectionItem(items[0])).toEqual({
+      id: 1,
+      instanceId: 10,
+      folderId: 1,
+      masterId: 1001,
+      artist: 'Bonobo',
+      title: 'Black Sands',
+      year: 2010,
+      format: 'Vinyl, LP, Album',
+      label: 'Ninja Tune',
+      catno: 'ZEN1',
+      dateAdded: '2024-03-01T10:00:00-08:00',
+      rating: 0,
+    });
+  });
+
+  it('uses defaults for missing fields', () => {
+    expect(extractCollectionItem({ id: 9 })).toEqual(
+      expect.objectContaining({
+        artist: 'Unknown Artist',
+        title: 'Untitled',
+        year: null,
+        format: '',
+        catno: '',
+        masterId: null,
+      }),
+    );
+  });
+});
+
+describe('matchesCollectionFilters (pure function)', () => {
+  const item = extractCollectionItem(items[0]);
+
+  it('matches part of a field ignoring case', () => {
+    expect(matchesCollectionFilters(item, { artist: 'bono' })).toBe(true);
+    expect(matchesCollectionFilters(item, { format: 'LP' })).toBe(true);
+    expect(matchesCollectionFilters(item, { label: 'warp' })).toBe(false);
+  });
+
+  it('matches a year or a year range', () => {
+    expect(matchesCollectionFilters(item, { year: '2010' })).toBe(true);
+    expect(matchesCollectionFilters(item, { year: '2011-2015' })).toBe(false);
+  });
+
+  it('requires every filter', () => {
+    expect(
+      matchesCollectionFilters(item, { artist: 'bonobo', title: 'migration' }),
+    ).toBe(false);
+  });
+});
+
+describe('formatCollectionItem (pure function)', () => {
+  it('shows id, artist, title, year, format, label and date added', () => {
+    expect(formatCollectionItem(extractCollectionItem(items[0]))).toBe(
+      '  1 | Bonobo - Black Sands | 2010 | Vinyl, LP, Album | Ninja Tune ZEN1 | added 2024-03-01',
+    );
+  });
+});
+
+describe('buildCollectionCommand (pure function)', () => {
+  it('omits defaults', () => {
+    expect(buildCollectionCommand(listOptions, 2)).toBe('collection 2');
+  });
+
+  it('keeps folder, sort, order and filters', () => {
+    expect(
+      buildCollectionCommand(
+        {
+          ...listOptions,
+          folderId: 3,
+          sort: 'year',
+          order: 'desc',
+          filters: { artist: 'Daft Punk', format: 'vinyl' },
+        },
+        2,
+      ),
+    ).toBe('collection folder:3 year desc artist:"Daft Punk" format:vinyl 2');
+  });
+});
+
+describe('buildCollectionOutput / buildCollectionFoldersOutput', () => {
+  it('builds collection output with release urls', () => {
+    const listing = {
+      items: [extractCollectionItem(items[0])],
+      pagination: { page: 1, pages: 1, per_page: 5, items: 1 },
+    };
+    const output = buildCollectionOutput('digger', listOptions, listing);
+
+    expect(output.type).toBe('collection');
+    expect(output.params).toEqual(
+      expect.objectContaining({ username: 'digger', page: 1, all: false }),
+    );
+    expect(output.result.releases[0].url).toBe(
+      'https://www.discogs.com/release/1',
+    );
+  });
+
+  it('builds folders output', () => {
+    expect(
+      buildCollectionFoldersOutput('digger', [
+        { id: 0, name: 'All', count: 3, resource_url: 'x' },
+      ]).result.folders,
+    ).toEqual([{ id: 0, name: 'All', count: 3 }]);
+  });
+});
+
+describe('buildOwnedIndex / findOwnedCopies (pure functions)', () => {
+  const index = buildOwnedIndex(items.map(extractCollectionItem));
+
+  it('indexes items by release and master ID', () => {
+    expect([...index.releases.keys()]).toEqual([1, 2, 3]);
+    expect([...index.masters.keys()]).toEqual([1001, 1002, 1003]);
+  });
+
+  it('finds the exact pressing of a release', () => {
+    expect(
+      findOwnedCopies({ id: 1, type: 'release', master_id: 1001 }, index),
+    ).toEqual([
+      {
+        releaseId: 1,
+        instanceId: 10,
+        folderId: 1,
+        title: 'Bonobo - Black Sands',
+        year: 2010,
+        format: 'Vinyl, LP, Album',
+        catno: 'ZEN1',
+        samePressing: true,
+      },
+    ]);
+  });
+
+  it('finds other pressings through the master', () => {
+    const copies = findOwnedCopies(
+      { id: 99, type: 'release', master_id: 1002 },
+      index,
+    );
+
+    expect(copies).toHaveLength(1);
+    expect(copies[0]).toMatchObject({ releaseId: 2, samePressing: false });
+  });
+
+  it('matches masters by their own ID', () => {
+    expect(findOwnedCopies({ id: 1003, type: 'master' }, index)).toEqual([
+      expect.objectContaining({ releaseId: 3, samePressing: false }),
+    ]);
+  });
+
+  it('returns an empty array when nothing is owned', () => {
+    expect(findOwnedCopies({ id: 42, type: 'release' }, index)).toEqual([]);
+  });
+});
+
+describe('fetchCollection', () => {
+  it('requests a single page without filters', async () => {
+    mockGetCollectionReleases.mockResolvedValue({
+      releases: items.slice(0, 2),
+      pagination: { page: 1, pages: 2, items: 3 },
+    });
+
+    const listing = await fetchCollection(client, 'digger', {
+      ...listOptions,
+      perPage: 2,
+    });
+
+    expect(mockGetCollectionReleases).toHaveBeenCalledWith(
+      client,
+      'digger',
+      0,
+      { sort: 'added', sort_order: 'desc', page: 1, per_page: 2 },
+      false,
+    );
+    expect(listing.items.map((item) => item.id)).toEqual([1, 2]);
+    expect(listing.pagination).toEqual({
+      page: 1,
+      pages: 2,
+      per_page: 2,
+      items: 3,
+    });
+  });
+
+  it('walks every page and filters before paging', async () => {
+    mockGetCollectionReleases
+      .mockResolvedValueOnce({
+        releases: items.slice(0, 2),
+        pagination: { page: 1, pages: 2 },
+      })
+      .mockResolvedValueOnce({
+        releases: items.slice(2),
+        pagination: { page: 2, pages: 2 },
+      });
+
+    const listing = await fetchCollection(client, 'digger', {
+      ...listOptions,
+      perPage: 1,
+      page: 2,
+      filters: { artist: 'bonobo' },
+    });
+
+    expect(mockGetCollectionReleases).toHaveBeenCalledTimes(2);
+    expect(mockGetCollectionReleases.mock.calls[1][3]).toEqual(
+      expect.objectContaining({ page: 2, per_page: 100 }),
+    );
+    expect(listing.items.map((item) => item.id)).toEqual([3]);
+    expect(listing.pagination).toEqual({
+      page: 2,
+      pages: 2,
+      per_page: 1,
+      items: 2,
+    });
+  });
+
+  it('returns every item with all', async () => {
+    mockGetCollectionReleases.mockResolvedValue({
+      releases: items,
+      pagination: { page: 1, pages: 1 },
+    });
+
+    const listing = await fetchCollection(client, 'digger', {
+      ...listOptions,
+      perPage: 1,
+      all: true,
+    });
+
+    expect(listing.items).toHaveLength(3);
+    expect(listing.pagination.items).toBe(3);
+  });
+
+  it('returns null when the API fails', async () => {
+    mockGetCollectionReleases.mockResolvedValue(null);
+
+    expect(
+      await fetchCollection(client, 'digger', { ...listOptions, all: true }),
+    ).toBeNull();
+  });
+});
+
+describe('handleCollection', () => {
+  const flags = { per_page: 2, tracks_output: 'csv', verbose: false };
+
+  it('warns without calling Discogs when not logged in', async () => {
+    await handleCollection({ auth: {} }, listOptions, flags);
+
+    expect(mockLog.warn).toHaveBeenCalledWith('Not logged in.');
+    expect(mockGetIdentity).not.toHaveBeenCalled();
+    expect(mockGetCollectionReleases).not.toHaveBeenCalled();
+  });
+
+  it('stops when the identity cannot be fetched', async () => {
+    mockGetIdentity.mockResolvedValue(null);
+
+    await handleCollection(client, listOptions, flags);
+
+    expect(mockGetCollectionReleases).not.toHaveBeenCalled();
+  });
+
+  it('lists folders', async () => {
+    mockGetCollectionFolders.mockResolvedValue({
+      folders: [
+        { id: 0, name: 'All', count: 3 },
+        { id: 1, name: 'Uncategorized', count: 3 },
+      ],
+    });
+
+    await handleCollection(client, { action: 'folders' }, flags);
+
+    expect(mockGetCollectionFolders).toHaveBeenCalledWith(
+      client,
+      'digger',
+      false,
+    );
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  1 | Uncategorized (3 item(s))',
+    );
+    expect(mockWriteJsonOutput.mock.calls[0][0].type).toBe(
+      'collection-folders',
+    );
+  });
+
+  it('warns when the collection is empty', async () => {
+    mockGetCollectionReleases.mockResolvedValue({
+      releases: [],
+      pagination: { page: 1, pages: 1, items: 0 },
+    });
+
+    await handleCollection(client, listOptions, flags);
+
+    expect(mockLog.warn).toHaveBeenCalledWith('No items found :(');
+    expect(mockWriteJsonOutput).not.toHaveBeenCalled();
+  });
+
+  it('displays a page, hints at the next and exports it', async () => {
+    mockGetCollectionReleases.mockResolvedValue({
+      releases: items.slice(0, 2),
+      pagination: { page: 1, pages: 2, items: 3 },
+    });
+
+    await handleCollection(client, listOptions, flags);
+
+    expect(mockLog.success).toHaveBeenCalledWith('Page 1 of 2 (3 item(s)):');
+    expect(mockLog.info).toHaveBeenCalledWith(
+      "Type 'collection 2' for the next page, or add 'all' to export everything.",
+    );
+    expect(mockWriteReportOutput).toHaveBeenCalledWith('collection-digger-p1', {
+      csv: 'catno,artist,title,year,format,id\nZEN1,Black Sands\nZEN2,Discovery\n',
+    });
+    expect(mockWriteJsonOutput.mock.calls[0][0].type).toBe('collection');
+  });
+
+  it('exports a whole folder with all', async () => {
+    mockGetCollectionReleases.mockResolvedValue({
+      releases: items,
+      pagination: { page: 1, pages: 1 },
+    });
+
+    await handleCollection(
+      client,
+      { ...listOptions, folderId: 1, all: true },
+      flags,
+    );
+
+    expect(mockLog.success).toHaveBeenCalledWith('Collection (3 item(s)):');
+    expect(mockWriteReportOutput.mock.calls[0][0]).toBe(
+      'collection-digger-folder-1',
+    );
+  });
+
+  it('echoes filters the way the command takes them', async () => {
+    mockGetCollectionReleases.mockResolvedValue({
+      releases: items,
+      pagination: { page: 1, pages: 1 },
+    });
+
+    await handleCollection(
+      client,
+      {
+        ...listOptions,
+        all: true,
+        filters: { artist: 'Daft Punk', format: 'vinyl' },
+      },
+      flags,
+    );
+
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  filters: artist:"Daft Punk" format:vinyl',
+    );
+  });
+});
+
+describe('collectionCommand', () => {
+  it('has alias col and no required arguments', () => {
+    expect(collectionCommand.aliases).toEqual(['col']);
+    expect(collectionCommand.minArgs).toBe(0);
+  });
+
+  it('shows error for invalid options', async () => {
+    const ctx = { client, sessionFlags: { verbose: false } };
+
+    expect(await collectionCommand.handler(['sideways'], ctx)).toBe(true);
+    expect(mockLog.error).toHaveBeenCalledWith("Invalid option 'sideways'");
+    expect(mockGetIdentity).not.toHaveBeenCalled();
+  });
+});
+
+describe('fetchOwnedIndex', () => {
+  it('indexes the whole collection of the authenticated user', async () => {
+    mockGetCollectionReleases.mockResolvedValue({
+      releases: items,
+      pagination: { page: 1, pages: 1, items: 3 },
+    });
+
+    const index = await fetchOwnedIndex(client);
+
+    expect(mockGetCollectionReleases).toHaveBeenCalledWith(
+      client,
+      'digger',
+      0,
+      { sort: 'added', sort_order: 'desc', page: 1, per_page: 100 },
+      false,
+    );
+    expect(index.releases.size).toBe(3);
+  });
+
+  it('returns null when not logged in', async () => {
+    expect(await fetchOwnedIndex({ auth: null })).toBeNull();
+    expect(mockGetCollectionReleases).not.toHaveBeenCalled();
+  });
+});
+
+const folders = [
+  { id: 0, name: 'All', count: 3 },
+  { id: 1, name: 'Uncategorized', count: 2 },
+  { id: 7, name: 'Vinyl', count: 1 },
+];
+const release = {
+  id: 249504,
+  title: 'Black Sands',
+  year: 2010,
+  artists: [{ name: 'Bonobo' }],
+};
+const changeFlags = { verbose: false };
+
+describe('parseReleaseId / parseCollectArgs (pure functions)', () => {
+  it('accepts positive integer release IDs only', () => {
+    expect(parseReleaseId('249504')).toBe(249504);
+    expect(parseReleaseId('0')).toBeNull();
+    expect(parseReleaseId('r249504')).toBeNull();
+    expect(parseReleaseId(undefined)).toBeNull();
+  });
+
+  it('defaults to the Uncategorized folder', () => {
+    expect(parseCollectArgs(['249504'])).toEqual({
+      releaseId: 249504,
+      folder: '1',
+    });
+  });
+
+  it('takes a folder ID or a quoted name', () => {
+    expect(parseCollectArgs(['249504', '7']).folder).toBe('7');
+    expect(parseCollectArgs(['249504', '"Best', 'Of"']).folder).toBe('Best Of');
+  });
+
+  it('reports an invalid release ID', () => {
+    expect(parseCollectArgs(['abc'])).toEqual({
+      error: "Invalid release ID 'abc'",
+      hint: 'Usage: collect <releaseId> [folder]',
+    });
+  });
+});
+
+describe('findFolder (pure function)', () => {
+  it('finds folders by ID or name, ignoring case', () => {
+    expect(findFolder(folders, '7').name).toBe('Vinyl');
+    expect(findFolder(folders, 'vinyl').id).toBe(7);
+  });
+
+  it('never returns folder 0 or unknown folders', () => {
+    expect(findFolder(folders, '0')).toBeNull();
+    expect(findFolder(folders, 'Tapes')).toBeNull();
+  });
+});
+
+describe('describeRelease (pure function)', () => {
+  it('describes release data and collection items', () => {
+    expect(describeRelease(release, 249504)).toBe(
+      'Bonobo - Black Sands (2010), release #249504',
+    );
+    expect(describeRelease(extractCollectionItem(items[1]), 2)).toBe(
+      'Daft Punk - Discovery (2001), release #2',
+    );
+  });
+});
+
+describe('buildCopyChoices (pure function)', () => {
+  it('lists copies with folder names, then cancel', () => {
+    const copy = extractCollectionItem(items[0]);
+    const choices = buildCopyChoices([copy], new Map([[1, 'Uncategorized']]));
+
+    expect(choices).toEqual([
+      {
+        name: 'instance #10, in Uncategorized, added 2024-03-01',
+        value: copy,
+      },
+      { name: '← Cancel', value: null },
+    ]);
+  });
+});
+
+describe('confirmChange', () => {
+  it('skips the prompt with --yes', async () => {
+    expect(await confirmChange('Sure?', true)).toBe(true);
+    expect(mockConfirm).not.toHaveBeenCalled();
+  });
+
+  it('defaults to no and treats Ctrl+C as no', async () => {
+    const cancel = Object.assign(new Error('cancelled'), {
+      name: 'ExitPromptError',
+    });
+    mockConfirm.mockRejectedValueOnce(cancel);
+
+    expect(await confirmChange('Sure?')).toBe(false);
+    expect(mockConfirm).toHaveBeenCalledWith({
+      message: 'Sure?',
+      default: false,
+    });
+  });
+});
+
+describe('handleCollect', () => {
+  beforeEach(() => {
+    mockGetRelease.mockResolvedValue(release);
+    mockGetCollectionFolders.mockResolvedValue({ folders });
+    mockGetReleaseInstances.mockResolvedValue({ releases: [] });
+    mockAddToCollection.mockResolvedValue({ instance_id: 99 });
+    mockConfirm.mockResolvedValue(true);
+  });
+
+  it('adds the release to the chosen folder after confirming', async () => {
+    const added = await handleCollect(
+      {},
+      client,
+      { releaseId: 249504, folder: 'vinyl' },
+      changeFlags,
+    );
+
+    expect(added).toBe(true);
+    expect(mockLog.info).toHaveBeenCalledWith(
+      'Bonobo - Black Sands (2010), release #249504',
+    );
+    expect(mockConfirm).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Add to folder "Vinyl"?' }),
+    );
+    expect(mockAddToCollection).toHaveBeenCalledWith(
+      client,
+      'digger',
+      7,
+      249504,
+      false,
+    );
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Added release #249504 to "Vinyl" (instance #99).',
+    );
+  });
+
+  it('warns when the release is already in the collection', async () => {
+    mockGetReleaseInstances.mockResolvedValue({ releases: [items[0]] });
+
+    await handleCollect(
+      {},
+      client,
+      { releaseId: 249504, folder: '1' },
+      changeFlags,
+    );
+
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'Already in your collection (1 copy); this adds another.',
+    );
+  });
+
+  it('changes nothing when declined', async () => {
+    mockConfirm.mockResolvedValue(false);
+
+    expect(
+      await handleCollect(
+        {},
+        client,
+        { releaseId: 249504, folder: '1' },
+        changeFlags,
+      ),
+    ).toBe(false);
+    expect(mockAddToCollection).not.toHaveBeenCalled();
+    expect(mockLog.info).toHaveBeenCalledWith('Cancelled.');
+  });
+
+  it('reports unknown folders', async () => {
+    await handleCollect(
+      {},
+      client,
+      { releaseId: 249504, folder: 'Tapes' },
+      changeFlags,
+    );
+
+    expect(mockLog.error).toHaveBeenCalledWith("No collection folder 'Tapes'.");
+    expect(mockConfirm).not.toHaveBeenCalled();
+  });
+
+  it('refuses in offline mode', async () => {
+    mockIsOffline.mockReturnValueOnce(true);
+
+    await handleCollect(
+      {},
+      client,
+      { releaseId: 249504, folder: '1' },
+      changeFlags,
+    );
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Changing your collection needs Discogs; turn offline mode off first.',
+    );
+    expect(mockGetIdentity).not.toHaveBeenCalled();
+  });
+});
+
+describe('handleUncollect', () => {
+  beforeEach(() => {
+    mockGetCollectionFolders.mockResolvedValue({ folders });
+    mockRemoveFromCollection.mockResolvedValue(true);
+    mockConfirm.mockResolvedValue(true);
+  });
+
+  it('removes the only copy after confirming', async () => {
+    mockGetReleaseInstances.mockResolvedValue({ releases: [items[0]] });
+
+    expect(await handleUncollect(client, 1, changeFlags)).toBe(true);
+    expect(mockSelect).not.toHaveBeenCalled();
+    expect(mockConfirm).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Remove it from "Uncategorized"?' }),
+    );
+    expect(mockRemoveFromCollection).toHaveBeenCalledWith(
+      client,
+      'digger',
+      1,
+      1,
+      10,
+      false,
+    );
+  });
+
+  it('asks which copy to remove when there are several', async () => {
+    const second = { ...items[0], instance_id: 11, folder_id: 7 };
+    mockGetReleaseInstances.mockResolvedValue({
+      releases: [items[0], second],
+    });
+    mockSelect.mockResolvedValue(extractCollectionItem(second));
+
+    await handleUncollect(client, 1, changeFlags);
+
+    expect(mockSelect.mock.calls[0][0].choices).toHaveLength(3);
+    expect(mockRemoveFromCollection).toHaveBeenCalledWith(
+      client,
+      'digger',
+      7,
+      1,
+      11,
+      false,
+    );
+  });
+
+  it('changes nothing when no copy is picked', async () => {
+    mockGetReleaseInstances.mockResolvedValue({
+      releases: [items[0], { ...items[0], instance_id: 11 }],
+    });
+    mockSelect.mockResolvedValue(null);
+
+    expect(await handleUncollect(client, 1, changeFlags)).toBe(false);
+    expect(mockRemoveFromCollection).not.toHaveBeenCalled();
+  });
+
+  it('reports releases not in the collection', async () => {
+    mockGetReleaseInstances.mockResolvedValue({ releases: [] });
+
+    expect(await handleUncollect(client, 42, changeFlags)).toBe(false);
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'Release #42 is not in your collection.',
+    );
+  });
+});
+
+describe('collectCommand / uncollectCommand', () => {
+  const ctx = { client, db: {}, sessionFlags: { verbose: false } };
+
+  it('require a release ID', () => {
+    expect(collectCommand.minArgs).toBe(1);
+    expect(uncollectCommand.minArgs).toBe(1);
+  });
+
+  it('show usage for an invalid release ID', async () => {
+    expect(await collectCommand.handler(['abc'], ctx)).toBe(true);
+    expect(await uncollectCommand.handler(['abc'], ctx)).toBe(true);
+
+    expect(mockLog.info).toHaveBeenCalledWith(
+      'Usage: collect <releaseId> [folder]',
+    );
+    expect(mockLog.info).toHaveBeenCalledWith('Usage: uncollect <releaseId>');
+    expect(mockGetIdentity).not.toHaveBeenCalled();
+  });
+});
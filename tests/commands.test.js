@@ -7,7 +7,7 @@ import {
   getCommandNames,
   parseInput,
 } from '../lib/commands/index.js';
-import { SETTINGS_SCHEMA } from '../lib/commands/settings.js';
+import { SEARCH_FIELDS, SETTINGS_SCHEMA } from '../lib/commands/settings.js';
 import { parseTracksArgs } from '../lib/commands/tracks.js';
 
 describe('parseInput', () => {
@@ -155,17 +155,42 @@ describe('getCommandNames', () => {
   it('includes all expected commands', () => {
     const names = getCommandNames();
     expect(names).toContain('search');
+    expect(names).toContain('next');
+    expect(names).toContain('prev');
+    expect(names).toContain('page');
+    expect(names).toContain('lookup');
     expect(names).toContain('tracks');
+    expect(names).toContain('versions');
+    expect(names).toContain('artist');
+    expect(names).toContain('releases');
+    expect(names).toContain('label');
+    expect(names).toContain('label-releases');
+    expect(names).toContain('market');
+    expect(names).toContain('playlist');
+    expect(names).toContain('review');
+    expect(names).toContain('buylist');
     expect(names).toContain('settings');
     expect(names).toContain('set');
+    expect(names).toContain('cache');
+    expect(names).toContain('fixtures');
+    expect(names).toContain('collection');
+    expect(names).toContain('collect');
+    expect(names).toContain('uncollect');
+    expect(names).toContain('want');
+    expect(names).toContain('unwant');
+    expect(names).toContain('wantlist');
+    expect(names).toContain('wantlist-push');
+    expect(names).toContain('login');
+    expect(names).toContain('logout');
+    expect(names).toContain('whoami');
     expect(names).toContain('clean');
     expect(names).toContain('help');
     expect(names).toContain('exit');
   });
 
-  it('returns 7 commands', () => {
+  it('returns 32 commands', () => {
     const names = getCommandNames();
-    expect(names.length).toBe(7);
+    expect(names.length).toBe(32);
   });
 });
 
@@ -350,6 +375,29 @@ describe('SETTINGS_SCHEMA validators', () => {
     });
   });
 
+  describe('match_threshold validator', () => {
+    const { validate, transform } = SETTINGS_SCHEMA.match_threshold;
+
+    it('accepts numbers between 0 and 1', () => {
+      expect(validate('0')).toBe(true);
+      expect(validate('0.75')).toBe(true);
+      expect(validate('1')).toBe(true);
+    });
+
+    it('rejects numbers outside 0-1', () => {
+      expect(validate('1.5')).toBe(false);
+      expect(validate('-0.1')).toBe(false);
+    });
+
+    it('rejects non-numeric strings', () => {
+      expect(validate('high')).toBe(false);
+    });
+
+    it('transforms string to float', () => {
+      expect(transform('0.8')).toBe(0.8);
+    });
+  });
+
   describe('verbose validator', () => {
     const { validate, transform } = SETTINGS_SCHEMA.verbose;
 
@@ -378,4 +426,39 @@ describe('SETTINGS_SCHEMA validators', () => {
       expect(transform('yes')).toBe(false);
     });
   });
+
+  describe('search field validators', () => {
+    it('has an entry for every search field', () => {
+      for (const key of Object.keys(SEARCH_FIELDS)) {
+        expect(SETTINGS_SCHEMA[key]).toBeDefined();
+      }
+    });
+
+    it('accepts any text and trims it', () => {
+      const { validate, transform } = SETTINGS_SCHEMA.catno;
+      expect(validate('ZEN 140')).toBe(true);
+      expect(transform(' ZEN 140 ')).toBe('ZEN 140');
+    });
+
+    it('clears with none or empty input', () => {
+      const { transform } = SETTINGS_SCHEMA.genre;
+      expect(transform('none')).toBeNull();
+      expect(transform('')).toBeNull();
+    });
+
+    it('accepts single years and ascending ranges', () => {
+      const { validate } = SETTINGS_SCHEMA.year;
+      expect(validate('1999')).toBe(true);
+      expect(validate('2010-2015')).toBe(true);
+      expect(validate('2010-2010')).toBe(true);
+      expect(validate('none')).toBe(true);
+    });
+
+    it('rejects malformed years', () => {
+      const { validate } = SETTINGS_SCHEMA.year;
+      expect(validate('99')).toBe(false);
+      expect(validate('2015-2010')).toBe(false);
+      expect(validate('2010-')).toBe(false);
+    });
+  });
 });
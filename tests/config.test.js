@@ -2,12 +2,21 @@
  * Tests for config.js getter functions
  * No mocks required - tests validation/parsing logic via exported fileConfig object
  */
+import { join, resolve } from 'node:path';
 import {
   fileConfig,
+  getCacheMaxMb,
+  getCacheTtlHours,
+  getConsumerKey,
+  getConsumerSecret,
   getDefaultTracksOutput,
   getDefaultTracksType,
   getDefaultType,
+  getFixturesDir,
+  getMatchThreshold,
   getPerPage,
+  isOfflineConfigured,
+  projectRoot,
 } from '../lib/config.js';
 
 // Helper to save and restore fileConfig state between tests
@@ -225,3 +234,152 @@ describe('getDefaultTracksOutput', () => {
     expect(getDefaultTracksOutput()).toBe('human');
   });
 });
+
+describe('getMatchThreshold', () => {
+  beforeEach(() => {
+    delete fileConfig.MATCH_THRESHOLD;
+  });
+
+  it('returns 0.7 as default when not set', () => {
+    expect(getMatchThreshold()).toBe(0.7);
+  });
+
+  it('parses a valid decimal', () => {
+    fileConfig.MATCH_THRESHOLD = '0.85';
+    expect(getMatchThreshold()).toBe(0.85);
+  });
+
+  it('accepts the 0 and 1 bounds', () => {
+    fileConfig.MATCH_THRESHOLD = '0';
+    expect(getMatchThreshold()).toBe(0);
+    fileConfig.MATCH_THRESHOLD = '1';
+    expect(getMatchThreshold()).toBe(1);
+  });
+
+  it('returns default for values above 1', () => {
+    fileConfig.MATCH_THRESHOLD = '1.5';
+    expect(getMatchThreshold()).toBe(0.7);
+  });
+
+  it('returns default for non-numeric string', () => {
+    fileConfig.MATCH_THRESHOLD = 'high';
+    expect(getMatchThreshold()).toBe(0.7);
+  });
+});
+
+describe('getCacheTtlHours', () => {
+  beforeEach(() => {
+    delete fileConfig.CACHE_TTL_HOURS;
+  });
+
+  it('returns 24 as default when not set', () => {
+    expect(getCacheTtlHours()).toBe(24);
+  });
+
+  it('parses hours, including 0 to disable the cache', () => {
+    fileConfig.CACHE_TTL_HOURS = '1.5';
+    expect(getCacheTtlHours()).toBe(1.5);
+    fileConfig.CACHE_TTL_HOURS = '0';
+    expect(getCacheTtlHours()).toBe(0);
+  });
+
+  it('returns default for negative or non-numeric values', () => {
+    fileConfig.CACHE_TTL_HOURS = '-1';
+    expect(getCacheTtlHours()).toBe(24);
+    fileConfig.CACHE_TTL_HOURS = 'forever';
+    expect(getCacheTtlHours()).toBe(24);
+  });
+});
+
+describe('getCacheMaxMb', () => {
+  beforeEach(() => {
+    delete fileConfig.CACHE_MAX_MB;
+  });
+
+  it('returns 50 as default when not set', () => {
+    expect(getCacheMaxMb()).toBe(50);
+  });
+
+  it('parses a size in megabytes', () => {
+    fileConfig.CACHE_MAX_MB = '200';
+    expect(getCacheMaxMb()).toBe(200);
+  });
+
+  it('returns default for zero or non-numeric values', () => {
+    fileConfig.CACHE_MAX_MB = '0';
+    expect(getCacheMaxMb()).toBe(50);
+    fileConfig.CACHE_MAX_MB = 'big';
+    expect(getCacheMaxMb()).toBe(50);
+  });
+});
+
+describe('isOfflineConfigured', () => {
+  beforeEach(() => {
+    delete fileConfig.OFFLINE;
+  });
+
+  it('returns false when not set', () => {
+    expect(isOfflineConfigured()).toBe(false);
+  });
+
+  it('accepts true in any case', () => {
+    fileConfig.OFFLINE = 'TRUE';
+    expect(isOfflineConfigured()).toBe(true);
+  });
+
+  it('treats other values as off', () => {
+    fileConfig.OFFLINE = 'false';
+    expect(isOfflineConfigured()).toBe(false);
+    fileConfig.OFFLINE = 'yes';
+    expect(isOfflineConfigured()).toBe(false);
+  });
+});
+
+describe('getFixturesDir', () => {
+  beforeEach(() => {
+    delete fileConfig.FIXTURES_DIR;
+  });
+
+  it('defaults to fixtures/ in the project root', () => {
+    expect(getFixturesDir()).toBe(join(projectRoot, 'fixtures'));
+  });
+
+  it('resolves a relative path from the working directory', () => {
+    fileConfig.FIXTURES_DIR = 'tests/fixtures';
+    expect(getFixturesDir()).toBe(resolve('tests/fixtures'));
+  });
+});
+
+describe('getConsumerKey / getConsumerSecret', () => {
+  beforeEach(() => {
+    delete fileConfig.DISCOGS_CONSUMER_KEY;
+    delete fileConfig.DISCOGS_CONSUMER_SECRET;
+    delete process.env.DISCOGS_CONSUMER_KEY;
+    delete process.env.DISCOGS_CONSUMER_SECRET;
+  });
+
+  afterEach(() => {
+    delete process.env.DISCOGS_CONSUMER_KEY;
+    delete process.env.DISCOGS_CONSUMER_SECRET;
+  });
+
+  it('returns null when not configured', () => {
+    expect(getConsumerKey()).toBeNull();
+    expect(getConsumerSecret()).toBeNull();
+  });
+
+  it('reads .mzkconfig', () => {
+    fileConfig.DISCOGS_CONSUMER_KEY = 'filekey';
+    fileConfig.DISCOGS_CONSUMER_SECRET = 'filesecret';
+    expect(getConsumerKey()).toBe('filekey');
+    expect(getConsumerSecret()).toBe('filesecret');
+  });
+
+  it('prefers the environment', () => {
+    fileConfig.DISCOGS_CONSUMER_KEY = 'filekey';
+    process.env.DISCOGS_CONSUMER_KEY = 'envkey';
+    process.env.DISCOGS_CONSUMER_SECRET = 'envsecret';
+    expect(getConsumerKey()).toBe('envkey');
+    expect(getConsumerSecret()).toBe('envsecret');
+  });
+});
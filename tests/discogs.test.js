@@ -5,6 +5,9 @@
 import {
   buildDiscogsUrl,
   buildDiscogsUrlFromUri,
+  buildMarketplaceUrl,
+  formatCatalogEntry,
+  formatPrice,
   formatResult,
   formatTrack,
 } from '../lib/discogs.js';
@@ -204,3 +207,79 @@ describe('buildDiscogsUrlFromUri', () => {
     );
   });
 });
+
+describe('buildMarketplaceUrl', () => {
+  it('builds release marketplace URL', () => {
+    expect(buildMarketplaceUrl('release', 249504)).toBe(
+      'https://www.discogs.com/sell/release/249504',
+    );
+  });
+
+  it('builds master marketplace URL across all versions', () => {
+    expect(buildMarketplaceUrl('master', 27113)).toBe(
+      'https://www.discogs.com/sell/list?master_id=27113',
+    );
+  });
+});
+
+describe('formatPrice', () => {
+  it('formats value with two decimals and currency', () => {
+    expect(formatPrice({ value: 12.5, currency: 'USD' })).toBe('12.50 USD');
+  });
+
+  it('omits empty currency', () => {
+    expect(formatPrice({ value: 3, currency: '' })).toBe('3.00');
+  });
+
+  it('returns n/a for missing price', () => {
+    expect(formatPrice(null)).toBe('n/a');
+    expect(formatPrice({ currency: 'USD' })).toBe('n/a');
+  });
+});
+
+describe('formatCatalogEntry', () => {
+  const release = {
+    id: 1234,
+    catno: 'ZEN 140',
+    artist: 'Bonobo',
+    title: 'Black Sands',
+    year: 2010,
+    format: 'CD, Album',
+  };
+
+  it('formats human-readable entry with padded catno', () => {
+    expect(formatCatalogEntry(release)).toBe(
+      '  ZEN 140      Bonobo - Black Sands (2010)',
+    );
+  });
+
+  it('omits missing year in human format', () => {
+    expect(formatCatalogEntry({ ...release, year: 0 })).toBe(
+      '  ZEN 140      Bonobo - Black Sands',
+    );
+  });
+
+  it('formats csv with quoting', () => {
+    expect(formatCatalogEntry(release, 'csv')).toBe(
+      'ZEN 140,Bonobo,Black Sands,2010,"CD, Album",1234',
+    );
+  });
+
+  it('formats pipe entry', () => {
+    expect(formatCatalogEntry(release, 'pipe')).toBe(
+      'ZEN 140 | Bonobo - Black Sands | 2010',
+    );
+  });
+
+  it('formats markdown row', () => {
+    expect(formatCatalogEntry(release, 'markdown')).toBe(
+      '| ZEN 140 | Bonobo | Black Sands | 2010 | CD, Album |',
+    );
+  });
+
+  it('uses defaults for missing fields', () => {
+    expect(formatCatalogEntry({ id: 1 }, 'pipe')).toBe(
+      ' | Unknown Artist - Untitled | ',
+    );
+  });
+});
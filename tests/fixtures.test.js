@@ -0,0 +1,302 @@
+/**
+ * Tests for offline mode: recording session logs as fixtures and replaying
+ * Discogs calls from them
+ * Uses temporary fixtures/log directories and tests/data/api-session.log
+ */
+import {
+  copyFileSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+} from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { jest } from '@jest/globals';
+
+// Mock the logger before importing the modules under test
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  debug: jest.fn(),
+  divider: jest.fn(),
+};
+const mockLogApiResponse = jest.fn();
+const logDir = mkdtempSync(join(tmpdir(), 'moozhak-logs-'));
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+  writeLog: jest.fn(),
+  logApiResponse: mockLogApiResponse,
+  logDir,
+}));
+
+// Import after mocking
+const {
+  buildFixtureName,
+  configureFixtures,
+  getFixtureStats,
+  importFixtures,
+  isOffline,
+  parseApiLog,
+  readFixture,
+  writeFixture,
+} = await import('../lib/fixtures.js');
+const { getMaster, getRelease, searchDiscogs } = await import(
+  '../lib/discogs.js'
+);
+const { buildFixtureSummary, findLatestLog, fixturesCommand, handleFixtures } =
+  await import('../lib/commands/fixtures.js');
+
+const dataDir = join(dirname(fileURLToPath(import.meta.url)), 'data');
+const sampleLogPath = join(dataDir, 'api-session.log');
+const sampleLog = readFileSync(sampleLogPath, 'utf-8');
+let dir;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dir = mkdtempSync(join(tmpdir(), 'moozhak-fixtures-'));
+  configureFixtures({ dir, offline: false });
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  rmSync(logDir, { recursive: true, force: true });
+});
+
+describe('buildFixtureName (pure function)', () => {
+  it('prefixes the endpoint and ignores param order', () => {
+    const name = buildFixtureName('database.search', {
+      q: 'a',
+      type: 'master',
+    });
+
+    expect(name).toMatch(/^database\.search-[0-9a-f]{16}\.json$/);
+    expect(
+      buildFixtureName('database.search', { type: 'master', q: 'a' }),
+    ).toBe(name);
+  });
+});
+
+describe('parseApiLog (pure function)', () => {
+  it('reads every API call of a session log', () => {
+    const entries = parseApiLog(sampleLog);
+
+    expect(entries.map((entry) => entry.endpoint)).toEqual([
+      'database.search',
+      'database.getMaster',
+      'database.getRelease',
+    ]);
+    expect(entries[1]).toEqual({
+      endpoint: 'database.getMaster',
+      params: { masterId: 1111045 },
+      data: expect.objectContaining({ title: 'Black Sands' }),
+    });
+  });
+
+  it('keeps failed calls as errors', () => {
+    const [, , failed] = parseApiLog(sampleLog);
+
+    expect(failed).toEqual({
+      endpoint: 'database.getRelease',
+      params: { releaseId: 999999999 },
+      error: 'The requested resource was not found.',
+    });
+  });
+
+  it('skips truncated entries and plain log lines', () => {
+    const text = `[t] Session started\n${sampleLog.slice(0, 400)}`;
+
+    expect(parseApiLog(text)).toEqual([]);
+    expect(parseApiLog('')).toEqual([]);
+  });
+});
+
+describe('importFixtures / readFixture', () => {
+  it('writes one fixture per call', () => {
+    expect(importFixtures(sampleLog)).toEqual({ saved: 3, errors: 1 });
+
+    expect(
+      readFixture('database.getMaster', { masterId: 1111045 }).data.year,
+    ).toBe(2010);
+    expect(readFixture('database.getMaster', { masterId: 1 })).toBeUndefined();
+  });
+
+  it('lets later recordings replace earlier ones', () => {
+    writeFixture({
+      endpoint: 'database.getRelease',
+      params: { releaseId: 1 },
+      data: { title: 'Old' },
+    });
+    writeFixture({
+      endpoint: 'database.getRelease',
+      params: { releaseId: 1 },
+      data: { title: 'New' },
+    });
+
+    expect(readFixture('database.getRelease', { releaseId: 1 }).data).toEqual({
+      title: 'New',
+    });
+    expect(getFixtureStats().total).toBe(1);
+  });
+});
+
+describe('Discogs calls in offline mode', () => {
+  beforeEach(() => {
+    importFixtures(sampleLog);
+    configureFixtures({ offline: true });
+  });
+
+  const db = {
+    search: jest.fn(),
+    getMaster: jest.fn(),
+    getRelease: jest.fn(),
+  };
+
+  it('replays recorded responses without calling the API', async () => {
+    const results = await searchDiscogs(db, 'Bonobo Kiara', 'master', 5);
+    const master = await getMaster(db, 1111045, true);
+
+    expect(results[0].id).toBe(1111045);
+    expect(master.tracklist[1].title).toBe('Kiara');
+    expect(db.search).not.toHaveBeenCalled();
+    expect(db.getMaster).not.toHaveBeenCalled();
+    expect(mockLog.debug).toHaveBeenCalledWith(
+      'Fixture hit: database.getMaster {"masterId":1111045}',
+    );
+    expect(mockLogApiResponse).toHaveBeenCalledWith(
+      'database.getMaster',
+      { masterId: 1111045 },
+      master,
+    );
+  });
+
+  it('replays recorded failures', async () => {
+    expect(await getRelease(db, 999999999)).toBeNull();
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Error fetching release:',
+      'The requested resource was not found.',
+    );
+  });
+
+  it('reports calls that were never recorded', async () => {
+    expect(await getRelease(db, 2223419)).toBeNull();
+    expect(db.getRelease).not.toHaveBeenCalled();
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Error fetching release:',
+      'no recorded response (offline mode)',
+    );
+  });
+});
+
+describe('findLatestLog (pure function)', () => {
+  it('picks the newest session log', () => {
+    expect(
+      findLatestLog([
+        'log-2026-10-18T10-00-00-000Z.txt',
+        'notes.txt',
+        'log-2026-10-19T09-30-00-000Z.txt',
+      ]),
+    ).toBe('log-2026-10-19T09-30-00-000Z.txt');
+    expect(findLatestLog(['notes.txt'])).toBeNull();
+  });
+});
+
+describe('buildFixtureSummary (pure function)', () => {
+  it('lists mode, location and fixtures per endpoint', () => {
+    expect(
+      buildFixtureSummary({
+        dir: '/tmp/fixtures',
+        offline: true,
+        total: 3,
+        endpoints: { 'database.search': 1, 'database.getMaster': 2 },
+      }),
+    ).toEqual([
+      '  offline mode: on',
+      '  location: /tmp/fixtures',
+      '  fixtures: 3',
+      '    database.getMaster: 2',
+      '    database.search: 1',
+    ]);
+  });
+});
+
+describe('handleFixtures', () => {
+  it('shows stats by default', () => {
+    handleFixtures();
+
+    expect(mockLog.header).toHaveBeenCalledWith('Recorded Fixtures');
+    expect(mockLog.plain).toHaveBeenCalledWith(`  location: ${dir}`);
+  });
+
+  it('imports a given session log', () => {
+    handleFixtures('import', sampleLogPath);
+
+    expect(mockLog.success).toHaveBeenCalledWith(
+      `Recorded 3 API call(s) (1 failed) from ${sampleLogPath}`,
+    );
+    expect(getFixtureStats().endpoints).toEqual({
+      'database.search': 1,
+      'database.getMaster': 1,
+      'database.getRelease': 1,
+    });
+  });
+
+  it('imports the newest session log by default', () => {
+    mkdirSync(logDir, { recursive: true });
+    copyFileSync(
+      sampleLogPath,
+      join(logDir, 'log-2026-10-19T09-30-00-000Z.txt'),
+    );
+
+    handleFixtures('import');
+
+    expect(getFixtureStats().total).toBe(3);
+  });
+
+  it('reports a missing session log', () => {
+    handleFixtures('import', join(dir, 'missing.txt'));
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      `Session log not found: ${join(dir, 'missing.txt')}`,
+    );
+  });
+
+  it('turns offline mode on and off', () => {
+    handleFixtures('ON');
+    expect(isOffline()).toBe(true);
+
+    handleFixtures('off');
+    expect(isOffline()).toBe(false);
+  });
+
+  it('rejects unknown actions', () => {
+    handleFixtures('record');
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      "Unknown fixtures action 'record'",
+    );
+  });
+});
+
+describe('fixturesCommand', () => {
+  it('has correct command metadata', () => {
+    expect(fixturesCommand.name).toBe('fixtures');
+    expect(fixturesCommand.minArgs).toBe(0);
+  });
+
+  it('passes action and file to handleFixtures', async () => {
+    const result = await fixturesCommand.handler(['import', sampleLogPath]);
+
+    expect(result).toBe(true);
+    expect(getFixtureStats().total).toBe(3);
+  });
+});
@@ -0,0 +1,435 @@
+/**
+ * Tests for label and label-releases commands with mocked API calls
+ * Uses Jest mocks to verify API interactions without actual network requests
+ */
+import { jest } from '@jest/globals';
+
+// Mock the dependencies before importing the module under test
+const mockGetLabel = jest.fn();
+const mockGetLabelReleases = jest.fn();
+const mockWriteJsonOutput = jest.fn();
+const mockWriteReportOutput = jest.fn();
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('../lib/discogs.js', () => ({
+  getLabel: mockGetLabel,
+  getLabelReleases: mockGetLabelReleases,
+  getArtist: jest.fn(),
+  buildDiscogsUrl: (type, id) => `https://www.discogs.com/${type}/${id}`,
+  formatCatalogEntry: (release, format) =>
+    format === 'csv'
+      ? `${release.catno},${release.title}`
+      : `  ${release.catno} ${release.title}`,
+}));
+
+jest.unstable_mockModule('../lib/output.js', () => ({
+  OUTPUT_EXTENSIONS: { human: 'txt', csv: 'csv', pipe: 'txt', markdown: 'md' },
+  writeJsonOutput: mockWriteJsonOutput,
+  writeReportOutput: mockWriteReportOutput,
+}));
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+}));
+
+// Import after mocking
+const {
+  buildLabelOutput,
+  buildLabelReleasesOutput,
+  extractLabelInfo,
+  fetchLabelCatalog,
+  formatCatalogForFile,
+  handleLabel,
+  handleLabelReleases,
+  labelCommand,
+  labelReleasesCommand,
+  parseLabelReleasesArgs,
+} = await import('../lib/commands/label.js');
+
+const mockLabelData = {
+  name: 'Ninja Tune',
+  profile: 'Founded by [a=Coldcut] in 1990.',
+  contact_info: 'Ninja Tune\r\nLondon\n',
+  parent_label: { id: 99, name: 'Ninja Tune Group', resource_url: 'x' },
+  sublabels: [
+    { id: 1, name: 'Big Dada' },
+    { id: 2, name: 'Counter Records' },
+  ],
+  urls: ['https://ninjatune.net'],
+};
+
+/**
+ * Build a label release as returned by the API
+ */
+function release(id) {
+  return {
+    id,
+    catno: `ZEN ${id}`,
+    artist: 'Bonobo',
+    title: `Title ${id}`,
+    year: 2000 + id,
+    format: 'Vinyl',
+  };
+}
+
+describe('extractLabelInfo (pure function)', () => {
+  it('extracts profile, contact, parent and sub-labels', () => {
+    expect(extractLabelInfo(mockLabelData, 23528)).toEqual({
+      name: 'Ninja Tune',
+      profile: 'Founded by Coldcut in 1990.',
+      contactInfo: 'Ninja Tune\r\nLondon',
+      parentLabel: { id: 99, name: 'Ninja Tune Group' },
+      sublabels: [
+        { id: 1, name: 'Big Dada' },
+        { id: 2, name: 'Counter Records' },
+      ],
+      urls: ['https://ninjatune.net'],
+      url: 'https://www.discogs.com/label/23528',
+    });
+  });
+
+  it('uses defaults for missing fields', () => {
+    const info = extractLabelInfo({}, 1);
+
+    expect(info.name).toBe('Unknown Label');
+    expect(info.parentLabel).toBeNull();
+    expect(info.contactInfo).toBeNull();
+    expect(info.sublabels).toEqual([]);
+  });
+});
+
+describe('buildLabelOutput (pure function)', () => {
+  it('wraps label info with type and params', () => {
+    const info = extractLabelInfo(mockLabelData, 23528);
+
+    expect(buildLabelOutput(23528, info)).toEqual({
+      type: 'label',
+      params: { id: 23528 },
+      result: info,
+    });
+  });
+});
+
+describe('parseLabelReleasesArgs', () => {
+  it('returns error without label ID', () => {
+    expect(parseLabelReleasesArgs([]).error).toBe('Please provide a label ID');
+  });
+
+  it('defaults to page 1', () => {
+    expect(parseLabelReleasesArgs(['23528'])).toEqual({
+      labelId: '23528',
+      page: 1,
+      all: false,
+    });
+  });
+
+  it('parses a page number', () => {
+    expect(parseLabelReleasesArgs(['23528', '4']).page).toBe(4);
+  });
+
+  it('parses all', () => {
+    expect(parseLabelReleasesArgs(['23528', 'ALL']).all).toBe(true);
+  });
+
+  it('rejects invalid pages', () => {
+    expect(parseLabelReleasesArgs(['23528', 'x']).error).toBe(
+      "Invalid page 'x'",
+    );
+    expect(parseLabelReleasesArgs(['23528', '0']).error).toBe(
+      "Invalid page '0'",
+    );
+  });
+});
+
+describe('formatCatalogForFile', () => {
+  it('adds csv header', () => {
+    expect(formatCatalogForFile([release(1)], 'csv')).toBe(
+      'catno,artist,title,year,format,id\nZEN 1,Title 1\n',
+    );
+  });
+
+  it('adds markdown table header', () => {
+    const content = formatCatalogForFile([release(1)], 'markdown');
+
+    expect(content.split('\n')[0]).toBe(
+      '| Cat# | Artist | Title | Year | Format |',
+    );
+  });
+
+  it('has no header for human format', () => {
+    expect(formatCatalogForFile([release(1)], 'human')).toBe(
+      '  ZEN 1 Title 1\n',
+    );
+  });
+});
+
+describe('buildLabelReleasesOutput (pure function)', () => {
+  it('builds output with catalog numbers and release urls', () => {
+    const catalog = {
+      releases: [release(1)],
+      pagination: { page: 2, pages: 5, per_page: 1, items: 5 },
+    };
+
+    expect(buildLabelReleasesOutput(23528, catalog, false)).toEqual({
+      type: 'label-releases',
+      params: { labelId: 23528, page: 2, per_page: 1, all: false },
+      result: {
+        pagination: catalog.pagination,
+        releases: [
+          {
+            id: 1,
+            catno: 'ZEN 1',
+            artist: 'Bonobo',
+            title: 'Title 1',
+            year: 2001,
+            format: 'Vinyl',
+            url: 'https://www.discogs.com/release/1',
+          },
+        ],
+      },
+    });
+  });
+
+  it('has no page when the whole catalog was fetched', () => {
+    const catalog = {
+      releases: [],
+      pagination: { page: 1, pages: 1, per_page: 0, items: 0 },
+    };
+
+    expect(buildLabelReleasesOutput(1, catalog, true).params.page).toBeNull();
+  });
+});
+
+describe('fetchLabelCatalog', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('requests a single page', async () => {
+    mockGetLabelReleases.mockResolvedValue({
+      pagination: { pages: 7, items: 33 },
+      releases: [release(1)],
+    });
+
+    const catalog = await fetchLabelCatalog({}, 23528, {
+      page: 3,
+      perPage: 5,
+      all: false,
+    });
+
+    expect(mockGetLabelReleases).toHaveBeenCalledWith(
+      {},
+      23528,
+      { page: 3, per_page: 5 },
+      false,
+    );
+    expect(catalog.pagination).toEqual({
+      page: 3,
+      pages: 7,
+      per_page: 5,
+      items: 33,
+    });
+  });
+
+  it('walks every page for the whole catalog', async () => {
+    mockGetLabelReleases
+      .mockResolvedValueOnce({
+        pagination: { pages: 2 },
+        releases: [release(1), release(2)],
+      })
+      .mockResolvedValueOnce({
+        pagination: { pages: 2 },
+        releases: [release(3)],
+      });
+
+    const catalog = await fetchLabelCatalog({}, 23528, {
+      page: 1,
+      perPage: 5,
+      all: true,
+    });
+
+    expect(mockGetLabelReleases).toHaveBeenLastCalledWith(
+      {},
+      23528,
+      { page: 2, per_page: 100 },
+      false,
+    );
+    expect(catalog.releases).toHaveLength(3);
+    expect(catalog.pagination.items).toBe(3);
+  });
+
+  it('returns null when the API fails', async () => {
+    mockGetLabelReleases.mockResolvedValue(null);
+
+    expect(
+      await fetchLabelCatalog({}, 1, { page: 1, perPage: 5, all: true }),
+    ).toBeNull();
+  });
+});
+
+describe('handleLabel', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rejects non-numeric IDs', async () => {
+    await handleLabel({}, 'abc', {});
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Invalid ID. Please provide a numeric ID.',
+    );
+    expect(mockGetLabel).not.toHaveBeenCalled();
+  });
+
+  it('warns when the label cannot be fetched', async () => {
+    mockGetLabel.mockResolvedValue(null);
+
+    await handleLabel({}, '23528', {});
+
+    expect(mockLog.warn).toHaveBeenCalledWith('Could not fetch label #23528.');
+  });
+
+  it('displays parent label and sub-labels', async () => {
+    mockGetLabel.mockResolvedValue(mockLabelData);
+
+    await handleLabel({}, '23528', {});
+
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Found: label #23528 - Ninja Tune',
+    );
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  parent label: 99 | Ninja Tune Group',
+    );
+    expect(mockLog.header).toHaveBeenCalledWith('Sub-labels (2):\n');
+    expect(mockLog.plain).toHaveBeenCalledWith('  1 | Big Dada');
+    expect(mockLog.info).toHaveBeenCalledWith(
+      "Type 'label-releases 23528' to browse the catalog.",
+    );
+  });
+
+  it('writes label JSON output', async () => {
+    mockGetLabel.mockResolvedValue(mockLabelData);
+
+    await handleLabel({}, '23528', {});
+
+    expect(mockWriteJsonOutput).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'label', params: { id: 23528 } }),
+    );
+  });
+});
+
+describe('handleLabelReleases', () => {
+  const options = { labelId: '23528', page: 1, all: false };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('warns when fetching fails', async () => {
+    mockGetLabelReleases.mockResolvedValue(null);
+
+    await handleLabelReleases({}, options, { per_page: 5 });
+
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'Could not fetch releases for label #23528.',
+    );
+  });
+
+  it('warns when the catalog is empty', async () => {
+    mockGetLabelReleases.mockResolvedValue({ pagination: {}, releases: [] });
+
+    await handleLabelReleases({}, options, { per_page: 5 });
+
+    expect(mockLog.warn).toHaveBeenCalledWith('No releases found :(');
+    expect(mockWriteReportOutput).not.toHaveBeenCalled();
+  });
+
+  it('displays entries and hints at the next page', async () => {
+    mockGetLabelReleases.mockResolvedValue({
+      pagination: { pages: 3, items: 12 },
+      releases: [release(1)],
+    });
+
+    await handleLabelReleases({}, options, { per_page: 5 });
+
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Page 1 of 3 (12 release(s)):',
+    );
+    expect(mockLog.plain).toHaveBeenCalledWith('  ZEN 1 Title 1');
+    expect(mockLog.info).toHaveBeenCalledWith(
+      "Type 'label-releases 23528 2' for the next page, or 'label-releases 23528 all' to export everything.",
+    );
+  });
+
+  it('exports the page in the tracks_output format', async () => {
+    mockGetLabelReleases.mockResolvedValue({
+      pagination: { pages: 3, items: 12 },
+      releases: [release(1)],
+    });
+
+    await handleLabelReleases({}, options, {
+      per_page: 5,
+      tracks_output: 'csv',
+    });
+
+    expect(mockWriteReportOutput).toHaveBeenCalledWith(
+      'label-23528-catalog-p1',
+      { csv: 'catno,artist,title,year,format,id\nZEN 1,Title 1\n' },
+    );
+    expect(mockWriteJsonOutput).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'label-releases' }),
+    );
+  });
+
+  it('exports the whole catalog with all', async () => {
+    mockGetLabelReleases.mockResolvedValue({
+      pagination: { pages: 1 },
+      releases: [release(1), release(2)],
+    });
+
+    await handleLabelReleases(
+      {},
+      { ...options, all: true },
+      { per_page: 5, tracks_output: 'markdown' },
+    );
+
+    expect(mockLog.success).toHaveBeenCalledWith('Catalog (2 release(s)):');
+    expect(mockWriteReportOutput).toHaveBeenCalledWith(
+      'label-23528-catalog',
+      expect.objectContaining({ md: expect.any(String) }),
+    );
+  });
+});
+
+describe('label commands', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('label has alias l and requires an ID', () => {
+    expect(labelCommand.aliases).toContain('l');
+    expect(labelCommand.minArgs).toBe(1);
+  });
+
+  it('label-releases has alias lr', () => {
+    expect(labelReleasesCommand.aliases).toContain('lr');
+  });
+
+  it('label-releases shows error for invalid page', async () => {
+    const ctx = { db: {}, sessionFlags: { per_page: 5 } };
+
+    const result = await labelReleasesCommand.handler(['23528', 'x'], ctx);
+
+    expect(result).toBe(true);
+    expect(mockLog.error).toHaveBeenCalledWith("Invalid page 'x'");
+    expect(mockGetLabelReleases).not.toHaveBeenCalled();
+  });
+});
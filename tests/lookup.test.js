@@ -0,0 +1,316 @@
+/**
+ * Tests for lookup command with mocked API calls and prompts
+ * Uses Jest mocks to verify API interactions without actual network requests
+ */
+import { jest } from '@jest/globals';
+
+// Mock the dependencies before importing the module under test
+const mockSelect = jest.fn();
+const mockSearchDiscogsPage = jest.fn();
+const mockGetRelease = jest.fn();
+const mockWriteJsonOutput = jest.fn();
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('@inquirer/prompts', () => ({
+  select: mockSelect,
+}));
+
+jest.unstable_mockModule('../lib/discogs.js', () => ({
+  searchDiscogsPage: mockSearchDiscogsPage,
+  getMaster: jest.fn(),
+  getRelease: mockGetRelease,
+  formatResult: (result) => `  ${result.id} | ${result.title}`,
+  formatTrack: (track) => `  ${track.title}`,
+  buildDiscogsUrl: (type, id) => `https://www.discogs.com/${type}/${id}`,
+  buildDiscogsUrlFromUri: (uri) => `https://www.discogs.com${uri}`,
+}));
+
+jest.unstable_mockModule('../lib/output.js', () => ({
+  writeJsonOutput: mockWriteJsonOutput,
+  writeTracksOutput: jest.fn(),
+}));
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+}));
+
+// Import after mocking
+const {
+  buildLookupChoices,
+  buildLookupOutput,
+  handleLookup,
+  lookupCommand,
+  normalizeBarcode,
+  parseLookupArgs,
+} = await import('../lib/commands/lookup.js');
+
+const releases = [
+  {
+    id: 10,
+    title: 'Bonobo - Black Sands',
+    year: '2010',
+    country: 'UK',
+    format: ['Vinyl', 'LP'],
+    label: ['Ninja Tune'],
+    catno: 'ZEN 140',
+    barcode: ['5021392584215'],
+    uri: '/release/10',
+  },
+  { id: 11, title: 'Bonobo - Black Sands', catno: 'ZEN 140', uri: '/r/11' },
+];
+
+/**
+ * Build a searchDiscogsPage() response
+ */
+function searchPage(results, items = results.length) {
+  return {
+    results,
+    pagination: { page: 1, pages: 1, per_page: 5, items },
+  };
+}
+
+describe('normalizeBarcode', () => {
+  it('strips spaces and dashes', () => {
+    expect(normalizeBarcode('5 021392-584215')).toBe('5021392584215');
+  });
+});
+
+describe('parseLookupArgs', () => {
+  it('returns error without a code', () => {
+    const result = parseLookupArgs(['label:Ninja']);
+
+    expect(result.error).toBe('Please provide a barcode or catalog number');
+    expect(result.hint).toContain('lookup <barcode|catno>');
+  });
+
+  it('detects barcodes, ignoring spaces and dashes', () => {
+    expect(parseLookupArgs(['5', '021392', '584215'])).toEqual({
+      kind: 'barcode',
+      code: '5021392584215',
+      label: null,
+    });
+  });
+
+  it('treats short or non-numeric codes as catalog numbers', () => {
+    expect(parseLookupArgs(['ZEN', '140']).kind).toBe('catno');
+    expect(parseLookupArgs(['0190295']).kind).toBe('catno');
+  });
+
+  it('parses a quoted label', () => {
+    expect(parseLookupArgs(['ZEN', '140', 'label:"Ninja Tune'])).toEqual({
+      kind: 'catno',
+      code: 'ZEN 140',
+      label: 'Ninja Tune',
+    });
+  });
+
+  it('lets a prefix force the kind', () => {
+    expect(parseLookupArgs(['catno:12345678'])).toEqual({
+      kind: 'catno',
+      code: '12345678',
+      label: null,
+    });
+    expect(parseLookupArgs(['barcode:123']).kind).toBe('barcode');
+  });
+});
+
+describe('buildLookupOutput (pure function)', () => {
+  it('builds output with candidates and urls', () => {
+    const options = { kind: 'catno', code: 'ZEN 140', label: 'Ninja Tune' };
+
+    expect(buildLookupOutput(options, releases.slice(0, 1))).toEqual({
+      type: 'lookup',
+      params: { kind: 'catno', code: 'ZEN 140', label: 'Ninja Tune' },
+      result: {
+        count: 1,
+        candidates: [
+          {
+            id: 10,
+            title: 'Bonobo - Black Sands',
+            year: '2010',
+            country: 'UK',
+            format: ['Vinyl', 'LP'],
+            label: ['Ninja Tune'],
+            catno: 'ZEN 140',
+            barcode: ['5021392584215'],
+            url: 'https://www.discogs.com/release/10',
+          },
+        ],
+      },
+    });
+  });
+});
+
+describe('buildLookupChoices', () => {
+  it('offers every candidate plus a done choice', () => {
+    expect(buildLookupChoices(releases.slice(1))).toEqual([
+      { name: '11 | Bonobo - Black Sands', value: 11 },
+      { name: '← Done', value: null },
+    ]);
+  });
+});
+
+describe('handleLookup', () => {
+  const flags = { per_page: 5, tracks_output: 'human', verbose: false };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetRelease.mockResolvedValue({ title: 'Black Sands', tracklist: [] });
+  });
+
+  it('searches releases by barcode', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
+
+    await handleLookup(
+      {},
+      { kind: 'barcode', code: '5021392584215', label: null },
+      flags,
+    );
+
+    expect(mockSearchDiscogsPage).toHaveBeenCalledWith(
+      {},
+      '',
+      { type: 'release', barcode: '5021392584215', label: null, per_page: 5 },
+      false,
+    );
+  });
+
+  it('searches releases by catalog number and label', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
+
+    await handleLookup(
+      {},
+      { kind: 'catno', code: 'ZEN 140', label: 'Ninja Tune' },
+      flags,
+    );
+
+    expect(mockSearchDiscogsPage).toHaveBeenCalledWith(
+      {},
+      '',
+      expect.objectContaining({ catno: 'ZEN 140', label: 'Ninja Tune' }),
+      false,
+    );
+  });
+
+  it('warns when the search fails', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(null);
+
+    const result = await handleLookup(
+      {},
+      { kind: 'catno', code: 'X1', label: null },
+      flags,
+    );
+
+    expect(result).toBeUndefined();
+    expect(mockLog.warn).toHaveBeenCalledWith('Could not look up catno "X1".');
+  });
+
+  it('suggests a label when a catalog number finds nothing', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
+
+    await handleLookup({}, { kind: 'catno', code: 'X1', label: null }, flags);
+
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'No releases found for catno "X1" :(',
+    );
+    expect(mockLog.info).toHaveBeenCalledWith(
+      expect.stringContaining('label:<name>'),
+    );
+    expect(mockWriteJsonOutput).not.toHaveBeenCalled();
+  });
+
+  it('goes straight to tracks for a single hit', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(searchPage(releases.slice(0, 1)));
+
+    await handleLookup(
+      {},
+      { kind: 'barcode', code: '5021392584215', label: null },
+      flags,
+    );
+
+    expect(mockGetRelease).toHaveBeenCalledWith({}, 10, false);
+    expect(mockWriteJsonOutput).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'lookup' }),
+    );
+  });
+
+  it('lists several candidates without fetching tracks', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(searchPage(releases, 8));
+
+    const result = await handleLookup(
+      {},
+      { kind: 'catno', code: 'ZEN 140', label: null },
+      flags,
+    );
+
+    expect(result).toHaveLength(2);
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Found 8 release(s), showing the first 2:',
+    );
+    expect(mockLog.plain).toHaveBeenCalledWith('  11 | Bonobo - Black Sands');
+    expect(mockGetRelease).not.toHaveBeenCalled();
+  });
+});
+
+describe('lookupCommand', () => {
+  const ctx = {
+    db: {},
+    sessionFlags: { per_page: 5, tracks_output: 'human', verbose: false },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetRelease.mockResolvedValue({ title: 'Black Sands', tracklist: [] });
+  });
+
+  it('has alias lu and requires a code', () => {
+    expect(lookupCommand.aliases).toContain('lu');
+    expect(lookupCommand.minArgs).toBe(1);
+  });
+
+  it('shows error for a missing code', async () => {
+    const result = await lookupCommand.handler(['label:Ninja'], ctx);
+
+    expect(result).toBe(true);
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Please provide a barcode or catalog number',
+    );
+  });
+
+  it('lets the user pick one of several candidates', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(searchPage(releases));
+    mockSelect.mockResolvedValue(11);
+
+    await lookupCommand.handler(['ZEN', '140'], ctx);
+
+    expect(mockGetRelease).toHaveBeenCalledWith(ctx.db, 11, false);
+  });
+
+  it('does not prompt for a single hit', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(searchPage(releases.slice(0, 1)));
+
+    await lookupCommand.handler(['5021392584215'], ctx);
+
+    expect(mockSelect).not.toHaveBeenCalled();
+    expect(mockGetRelease).toHaveBeenCalledTimes(1);
+  });
+
+  it('handles Ctrl+C at the prompt', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(searchPage(releases));
+    const error = new Error('cancelled');
+    error.name = 'ExitPromptError';
+    mockSelect.mockRejectedValue(error);
+
+    await expect(lookupCommand.handler(['ZEN', '140'], ctx)).resolves.toBe(
+      true,
+    );
+  });
+});
@@ -0,0 +1,318 @@
+/**
+ * Tests for market command with mocked API calls
+ * Uses Jest mocks to verify API interactions without actual network requests
+ */
+import { jest } from '@jest/globals';
+
+// Mock the dependencies before importing the module under test
+const mockGetMaster = jest.fn();
+const mockGetRelease = jest.fn();
+const mockGetMarketplaceStats = jest.fn();
+const mockGetPriceSuggestions = jest.fn();
+const mockWriteJsonOutput = jest.fn();
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('../lib/discogs.js', () => ({
+  getMaster: mockGetMaster,
+  getRelease: mockGetRelease,
+  getMarketplaceStats: mockGetMarketplaceStats,
+  getPriceSuggestions: mockGetPriceSuggestions,
+  buildMarketplaceUrl: (type, id) =>
+    type === 'master'
+      ? `https://www.discogs.com/sell/list?master_id=${id}`
+      : `https://www.discogs.com/sell/release/${id}`,
+  buildDiscogsUrl: (type, id) => `https://www.discogs.com/${type}/${id}`,
+  formatPrice: (price) =>
+    price ? `${price.value.toFixed(2)} ${price.currency}`.trim() : 'n/a',
+  formatTrack: jest.fn(),
+}));
+
+jest.unstable_mockModule('../lib/output.js', () => ({
+  writeJsonOutput: mockWriteJsonOutput,
+  writeTracksOutput: jest.fn(),
+}));
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+}));
+
+// Import after mocking
+const {
+  buildConditionPrices,
+  buildMarketOutput,
+  extractMarketInfo,
+  fetchMarketInfo,
+  handleMarket,
+  marketCommand,
+} = await import('../lib/commands/market.js');
+
+const mockReleaseData = {
+  title: 'Discovery',
+  artists: [{ name: 'Daft Punk' }],
+  year: 2001,
+};
+
+const mockMasterData = {
+  title: 'Black Sands',
+  artists: [{ name: 'Bonobo' }],
+  year: 2010,
+  main_release: 2186633,
+  num_for_sale: 120,
+  lowest_price: 9.999,
+};
+
+const mockStats = {
+  lowest_price: { value: 14.5, currency: 'USD' },
+  num_for_sale: 42,
+  blocked_from_sale: false,
+};
+
+const mockSuggestions = {
+  'Mint (M)': { value: 40.123, currency: 'USD' },
+  'Very Good Plus (VG+)': { value: 25, currency: 'USD' },
+};
+
+describe('buildConditionPrices (pure function)', () => {
+  it('maps suggestions to a condition list with rounded values', () => {
+    expect(buildConditionPrices(mockSuggestions)).toEqual([
+      { condition: 'Mint (M)', value: 40.12, currency: 'USD' },
+      { condition: 'Very Good Plus (VG+)', value: 25, currency: 'USD' },
+    ]);
+  });
+
+  it('returns empty array for missing suggestions', () => {
+    expect(buildConditionPrices(null)).toEqual([]);
+  });
+
+  it('ignores entries without a numeric value', () => {
+    expect(buildConditionPrices({ 'Poor (P)': {} })).toEqual([]);
+  });
+});
+
+describe('extractMarketInfo (pure function)', () => {
+  it('extracts release stats and prices', () => {
+    const info = extractMarketInfo(
+      'release',
+      249504,
+      mockReleaseData,
+      mockStats,
+      mockSuggestions,
+    );
+
+    expect(info).toEqual({
+      releaseId: 249504,
+      artist: 'Daft Punk',
+      title: 'Discovery',
+      year: 2001,
+      lowestPrice: { value: 14.5, currency: 'USD' },
+      numForSale: 42,
+      blockedFromSale: false,
+      conditions: buildConditionPrices(mockSuggestions),
+      url: 'https://www.discogs.com/sell/release/249504',
+    });
+  });
+
+  it('uses the main release and adds all-version totals for masters', () => {
+    const info = extractMarketInfo(
+      'master',
+      27113,
+      mockMasterData,
+      mockStats,
+      null,
+    );
+
+    expect(info.releaseId).toBe(2186633);
+    expect(info.url).toBe('https://www.discogs.com/sell/list?master_id=27113');
+    expect(info.allVersions).toEqual({
+      numForSale: 120,
+      lowestPrice: { value: 10, currency: '' },
+    });
+  });
+
+  it('handles missing stats', () => {
+    const info = extractMarketInfo('release', 1, {}, null, null);
+
+    expect(info.lowestPrice).toBeNull();
+    expect(info.numForSale).toBe(0);
+    expect(info.artist).toBe('Unknown Artist');
+    expect(info.conditions).toEqual([]);
+  });
+});
+
+describe('buildMarketOutput (pure function)', () => {
+  it('builds correct output structure', () => {
+    const output = buildMarketOutput('release', 1, { numForSale: 3 });
+
+    expect(output).toEqual({
+      type: 'market',
+      params: { sourceType: 'release', id: 1 },
+      result: { numForSale: 3 },
+    });
+  });
+});
+
+describe('fetchMarketInfo', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetMarketplaceStats.mockResolvedValue(mockStats);
+    mockGetPriceSuggestions.mockResolvedValue(mockSuggestions);
+  });
+
+  const mockDb = {};
+  const mockClient = {};
+
+  it('fetches stats for a release', async () => {
+    mockGetRelease.mockResolvedValue(mockReleaseData);
+
+    await fetchMarketInfo(mockDb, mockClient, 'release', 249504, false);
+
+    expect(mockGetRelease).toHaveBeenCalledWith(mockDb, 249504, false);
+    expect(mockGetMarketplaceStats).toHaveBeenCalledWith(
+      mockClient,
+      249504,
+      false,
+    );
+    expect(mockGetPriceSuggestions).toHaveBeenCalledWith(
+      mockClient,
+      249504,
+      false,
+    );
+  });
+
+  it('resolves masters to their main release', async () => {
+    mockGetMaster.mockResolvedValue(mockMasterData);
+
+    await fetchMarketInfo(mockDb, mockClient, 'master', 27113, true);
+
+    expect(mockGetMaster).toHaveBeenCalledWith(mockDb, 27113, true);
+    expect(mockGetMarketplaceStats).toHaveBeenCalledWith(
+      mockClient,
+      2186633,
+      true,
+    );
+  });
+
+  it('returns null when the master or release is not found', async () => {
+    mockGetRelease.mockResolvedValue(null);
+
+    const info = await fetchMarketInfo(mockDb, mockClient, 'release', 1);
+
+    expect(info).toBeNull();
+    expect(mockGetMarketplaceStats).not.toHaveBeenCalled();
+  });
+});
+
+describe('handleMarket', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetMarketplaceStats.mockResolvedValue(mockStats);
+    mockGetPriceSuggestions.mockResolvedValue(mockSuggestions);
+  });
+
+  const flags = { verbose: false };
+
+  it('logs error for non-numeric ID', async () => {
+    await handleMarket({}, {}, 'release', 'abc', flags);
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Invalid ID. Please provide a numeric ID.',
+    );
+    expect(mockGetRelease).not.toHaveBeenCalled();
+  });
+
+  it('warns when the release cannot be fetched', async () => {
+    mockGetRelease.mockResolvedValue(null);
+
+    await handleMarket({}, {}, 'release', '1', flags);
+
+    expect(mockLog.warn).toHaveBeenCalledWith('Could not fetch release #1.');
+    expect(mockWriteJsonOutput).not.toHaveBeenCalled();
+  });
+
+  it('displays prices and writes JSON output', async () => {
+    mockGetRelease.mockResolvedValue(mockReleaseData);
+
+    await handleMarket({}, {}, 'release', '249504', flags);
+
+    expect(mockLog.plain).toHaveBeenCalledWith('  for sale:      42');
+    expect(mockLog.plain).toHaveBeenCalledWith('  lowest price:  14.50 USD');
+    expect(mockLog.info).toHaveBeenCalledWith(
+      expect.stringContaining(
+        'Listings (condition, ships from) are not available through the Discogs API',
+      ),
+    );
+    expect(mockWriteJsonOutput).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'market',
+        params: { sourceType: 'release', id: 249504 },
+      }),
+    );
+  });
+
+  it('shows all-version totals for masters', async () => {
+    mockGetMaster.mockResolvedValue(mockMasterData);
+
+    await handleMarket({}, {}, 'master', '27113', flags);
+
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  all versions:  120 for sale, from 10.00',
+    );
+  });
+
+  it('warns when the release is blocked from sale', async () => {
+    mockGetRelease.mockResolvedValue(mockReleaseData);
+    mockGetMarketplaceStats.mockResolvedValue({
+      ...mockStats,
+      blocked_from_sale: true,
+    });
+
+    await handleMarket({}, {}, 'release', '1', flags);
+
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'This release is blocked from sale on Discogs.',
+    );
+  });
+});
+
+describe('marketCommand', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('has correct command metadata', () => {
+    expect(marketCommand.name).toBe('market');
+    expect(marketCommand.aliases).toContain('buy');
+    expect(marketCommand.minArgs).toBe(1);
+    expect(marketCommand.usage).toBe('market [type] <id>');
+  });
+
+  it('uses tracks_type as default source type', async () => {
+    mockGetMaster.mockResolvedValue(null);
+    const ctx = {
+      db: {},
+      client: {},
+      sessionFlags: { tracks_type: 'master', verbose: false },
+    };
+
+    await marketCommand.handler(['27113'], ctx);
+
+    expect(mockGetMaster).toHaveBeenCalledWith(ctx.db, 27113, false);
+  });
+
+  it('logs usage for an invalid type', async () => {
+    const ctx = { sessionFlags: { tracks_type: 'master' } };
+
+    await marketCommand.handler(['artist', '1'], ctx);
+
+    expect(mockLog.error).toHaveBeenCalledWith("Invalid type 'artist'");
+    expect(mockLog.info).toHaveBeenCalledWith('Usage: market [type] <id>');
+  });
+});
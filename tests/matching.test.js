@@ -0,0 +1,387 @@
+/**
+ * Tests for match confidence scoring (pure functions)
+ * No mocks required - scoring is a pure data transformation
+ */
+import {
+  applyEvidence,
+  findTrackByTitle,
+  findTrackInTracklist,
+  getIsrcYear,
+  getReleaseEvidence,
+  normalizeIsrc,
+  normalizeText,
+  normalizeTrackTitle,
+  rankCandidates,
+  releaseHasIsrc,
+  scoreCandidate,
+  scoreFormat,
+  scoreYear,
+  similarity,
+  splitResultTitle,
+} from '../lib/matching.js';
+
+describe('normalizeText', () => {
+  it('lowercases and strips punctuation', () => {
+    expect(normalizeText('Hello, My Name Is...')).toBe('hello my name is');
+  });
+
+  it('removes accents', () => {
+    expect(normalizeText('Sua Mão Direita')).toBe('sua mao direita');
+  });
+
+  it('spells out ampersands', () => {
+    expect(normalizeText('Rainbows & Waterfalls')).toBe(
+      'rainbows and waterfalls',
+    );
+  });
+
+  it('handles empty input', () => {
+    expect(normalizeText(undefined)).toBe('');
+  });
+});
+
+describe('similarity', () => {
+  it('returns 1 for equal text after normalization', () => {
+    expect(similarity('Sua Mão Direita', 'sua mao direita')).toBe(1);
+  });
+
+  it('returns 0 when either side is empty', () => {
+    expect(similarity('', 'Bonobo')).toBe(0);
+  });
+
+  it('scores close spellings higher than unrelated text', () => {
+    const close = similarity('Pretty Lights', 'Pretty Light');
+    const far = similarity('Pretty Lights', 'Daft Punk');
+
+    expect(close).toBeGreaterThan(0.8);
+    expect(far).toBeLessThan(0.2);
+  });
+});
+
+describe('splitResultTitle', () => {
+  it('splits artist and release title', () => {
+    expect(splitResultTitle('Bonobo - Black Sands')).toEqual({
+      artist: 'Bonobo',
+      title: 'Black Sands',
+    });
+  });
+
+  it('keeps extra dashes in the release title', () => {
+    expect(splitResultTitle('A - B - C').title).toBe('B - C');
+  });
+
+  it('strips Discogs artist disambiguation', () => {
+    expect(splitResultTitle('Romare (2) - All Night').artist).toBe('Romare');
+    expect(splitResultTitle('Bonobo* - Kiara').artist).toBe('Bonobo');
+  });
+
+  it('treats a title without dash as release title only', () => {
+    expect(splitResultTitle('Single')).toEqual({ artist: '', title: 'Single' });
+  });
+});
+
+describe('getIsrcYear', () => {
+  it('reads the year from an ISRC', () => {
+    expect(getIsrcYear('QMUY41700198')).toBe(2017);
+  });
+
+  it('maps future two-digit years to the 1900s', () => {
+    expect(getIsrcYear('USABC9912345')).toBe(1999);
+  });
+
+  it('accepts hyphenated ISRCs', () => {
+    expect(getIsrcYear('GB-BPW-17-00014')).toBe(2017);
+  });
+
+  it('returns null for invalid codes', () => {
+    expect(getIsrcYear('not-an-isrc')).toBeNull();
+    expect(getIsrcYear('')).toBeNull();
+  });
+});
+
+describe('normalizeIsrc', () => {
+  it('strips dashes and spaces and uppercases', () => {
+    expect(normalizeIsrc('us-sm1-17 00198')).toBe('USSM11700198');
+  });
+
+  it('returns empty string for invalid codes', () => {
+    expect(normalizeIsrc('GB1')).toBe('');
+    expect(normalizeIsrc(undefined)).toBe('');
+  });
+});
+
+describe('releaseHasIsrc', () => {
+  it('finds the ISRC in identifiers, ignoring punctuation', () => {
+    const release = {
+      identifiers: [
+        { type: 'Barcode', value: '5021392584215' },
+        { type: 'ISRC', value: 'QM-UY4-17-00198' },
+      ],
+    };
+
+    expect(releaseHasIsrc(release, 'QMUY41700198')).toBe(true);
+  });
+
+  it('finds the ISRC in release notes', () => {
+    const release = { notes: 'A1 ISRC: QMUY41700198\nA2 ISRC: QMUY41700199' };
+
+    expect(releaseHasIsrc(release, 'qmuy41700198')).toBe(true);
+  });
+
+  it('is false for other codes, invalid ISRCs or no release', () => {
+    const release = { identifiers: [{ type: 'ISRC', value: 'QMUY41700199' }] };
+
+    expect(releaseHasIsrc(release, 'QMUY41700198')).toBe(false);
+    expect(releaseHasIsrc(release, 'GB1')).toBe(false);
+    expect(releaseHasIsrc(null, 'QMUY41700198')).toBe(false);
+  });
+});
+
+describe('findTrackByTitle', () => {
+  const tracklist = [
+    { type_: 'heading', title: 'Kiara' },
+    { position: 'A1', title: 'Kiara (Interlude)' },
+    { position: 'A2', title: 'kiara!' },
+  ];
+
+  it('matches normalized titles exactly and skips headings', () => {
+    expect(findTrackByTitle(tracklist, 'Kiara')).toEqual(tracklist[2]);
+  });
+
+  it('returns null without a match or title', () => {
+    expect(findTrackByTitle(tracklist, 'Kiar')).toBeNull();
+    expect(findTrackByTitle(undefined, 'Kiara')).toBeNull();
+    expect(findTrackByTitle(tracklist, '')).toBeNull();
+  });
+});
+
+describe('normalizeTrackTitle', () => {
+  it('drops remix, edit and remaster suffixes', () => {
+    expect(normalizeTrackTitle('Kiara (Radio Edit)')).toBe('kiara');
+    expect(normalizeTrackTitle('Kiara [Bonobo Remix]')).toBe('kiara');
+    expect(normalizeTrackTitle('Kiara - 2011 Remaster')).toBe('kiara');
+  });
+
+  it('drops featured artist credits', () => {
+    expect(normalizeTrackTitle('Kiara (feat. Andreya Triana)')).toBe('kiara');
+    expect(normalizeTrackTitle('Kiara ft. Andreya Triana')).toBe('kiara');
+    expect(normalizeTrackTitle('Kiara featuring Someone')).toBe('kiara');
+  });
+
+  it('keeps suffixes that are part of the title', () => {
+    expect(normalizeTrackTitle('Kiara (Interlude)')).toBe('kiara interlude');
+    expect(normalizeTrackTitle('Part One - Part Two')).toBe(
+      'part one part two',
+    );
+  });
+});
+
+describe('findTrackInTracklist', () => {
+  const tracklist = [
+    { type_: 'heading', title: 'Side A' },
+    { position: 'A1', title: 'Rainbows (Intro)', duration: '1:02' },
+    { position: 'B2', title: 'Rainbows & Waterfalls', duration: '6:12' },
+    {
+      type_: 'index',
+      title: 'Medley',
+      sub_tracks: [{ position: 'C1.a', title: 'Waterfalls' }],
+    },
+  ];
+
+  it('finds a track ignoring version suffixes and punctuation', () => {
+    expect(
+      findTrackInTracklist(tracklist, 'Rainbows and Waterfalls (Radio Edit)'),
+    ).toEqual({ track: tracklist[2], score: 1 });
+  });
+
+  it('searches the sub-tracks of index tracks', () => {
+    expect(findTrackInTracklist(tracklist, 'Waterfalls').track.position).toBe(
+      'C1.a',
+    );
+  });
+
+  it('tolerates small spelling differences', () => {
+    const found = findTrackInTracklist(tracklist, 'Rainbow & Waterfalls');
+
+    expect(found.track.position).toBe('B2');
+    expect(found.score).toBeGreaterThanOrEqual(0.8);
+  });
+
+  it('returns null when no title is similar enough', () => {
+    expect(findTrackInTracklist(tracklist, 'Side B')).toBeNull();
+    expect(findTrackInTracklist([], 'Waterfalls')).toBeNull();
+    expect(findTrackInTracklist(tracklist, '')).toBeNull();
+  });
+});
+
+describe('getReleaseEvidence', () => {
+  it('reports ISRC and tracklist matches', () => {
+    const track = { title: 'Kiara', isrc: 'GBCFB1000123' };
+    const release = {
+      identifiers: [{ type: 'ISRC', value: 'GBCFB1000123' }],
+      tracklist: [{ title: 'Kiara' }],
+    };
+
+    expect(getReleaseEvidence(track, release)).toEqual({
+      isrcConfirmed: true,
+      trackListed: true,
+    });
+    expect(getReleaseEvidence(track, null)).toEqual({
+      isrcConfirmed: false,
+      trackListed: false,
+    });
+  });
+});
+
+describe('applyEvidence', () => {
+  it('lifts ISRC-confirmed releases to at least 0.95', () => {
+    expect(applyEvidence(0.4, { isrcConfirmed: true })).toBe(0.95);
+    expect(applyEvidence(0.97, { isrcConfirmed: true })).toBe(0.97);
+  });
+
+  it('is certain when the ISRC and title both match', () => {
+    expect(applyEvidence(0.4, { isrcConfirmed: true, trackListed: true })).toBe(
+      1,
+    );
+  });
+
+  it('adds a bonus for a tracklist match alone, capped at 1', () => {
+    expect(applyEvidence(0.62, { trackListed: true })).toBe(0.72);
+    expect(applyEvidence(0.95, { trackListed: true })).toBe(1);
+  });
+
+  it('leaves confidence alone without evidence', () => {
+    expect(applyEvidence(0.62, {})).toBe(0.62);
+  });
+});
+
+describe('scoreYear', () => {
+  it('returns 1 for the same year', () => {
+    expect(scoreYear(2017, 2017)).toBe(1);
+  });
+
+  it('decreases with distance', () => {
+    expect(scoreYear(2017, 2019)).toBeCloseTo(0.6);
+    expect(scoreYear(2017, 2030)).toBe(0);
+  });
+
+  it('is neutral when either year is unknown', () => {
+    expect(scoreYear(null, 2017)).toBe(0.5);
+    expect(scoreYear(2017, undefined)).toBe(0.5);
+  });
+});
+
+describe('scoreFormat', () => {
+  it('prefers vinyl', () => {
+    expect(scoreFormat(['Vinyl', 'LP'])).toBe(1);
+  });
+
+  it('scores CD and file formats lower', () => {
+    expect(scoreFormat(['CD', 'Album'])).toBe(0.7);
+    expect(scoreFormat(['File', 'MP3'])).toBe(0.6);
+  });
+
+  it('is neutral without formats', () => {
+    expect(scoreFormat(undefined)).toBe(0.5);
+  });
+
+  it('gives unknown formats a low score', () => {
+    expect(scoreFormat(['Flexi-disc'])).toBe(0.3);
+  });
+});
+
+describe('scoreCandidate', () => {
+  const track = {
+    title: 'Rainbows & Waterfalls',
+    artist: 'Pretty Lights',
+    album: 'Rainbows & Waterfalls',
+    isrc: 'QMUY41700198',
+  };
+
+  it('gives an exact vinyl match full confidence', () => {
+    const { confidence, scores } = scoreCandidate(track, {
+      title: 'Pretty Lights - Rainbows & Waterfalls',
+      year: '2017',
+      format: ['Vinyl'],
+    });
+
+    expect(confidence).toBe(1);
+    expect(scores).toEqual({
+      artist: 1,
+      title: 1,
+      album: 1,
+      year: 1,
+      format: 1,
+    });
+  });
+
+  it('uses the better of title and album for the release', () => {
+    const onAlbum = scoreCandidate(
+      { ...track, title: 'Something Else' },
+      { title: 'Pretty Lights - Rainbows & Waterfalls', year: 2017 },
+    );
+
+    expect(onAlbum.scores.album).toBe(1);
+    expect(onAlbum.confidence).toBeGreaterThan(0.85);
+  });
+
+  it('gives unrelated results low confidence', () => {
+    const { confidence } = scoreCandidate(track, {
+      title: 'Daft Punk - Discovery',
+      year: 2001,
+    });
+
+    expect(confidence).toBeLessThan(0.3);
+  });
+});
+
+describe('rankCandidates', () => {
+  it('sorts results by confidence, best first', () => {
+    const track = { title: 'Kiara', artist: 'Bonobo', album: 'Black Sands' };
+    const ranked = rankCandidates(track, [
+      { id: 1, title: 'Daft Punk - Discovery' },
+      { id: 2, title: 'Bonobo - Black Sands' },
+    ]);
+
+    expect(ranked.map((c) => c.result.id)).toEqual([2, 1]);
+    expect(ranked[0].confidence).toBeGreaterThan(ranked[1].confidence);
+  });
+
+  it('returns empty array for no results', () => {
+    expect(rankCandidates({}, [])).toEqual([]);
+  });
+
+  it('records evidence and ranks confirmed releases first', () => {
+    const track = { title: 'Kiara', artist: 'Bonobo', album: 'Black Sands' };
+    const exact = { id: 2, title: 'Bonobo - Black Sands' };
+    const confirmed = { id: 3, title: 'Various - Chill Out 2010' };
+    const ranked = rankCandidates(
+      track,
+      [exact, confirmed],
+      new Map([[confirmed, { isrcConfirmed: true, trackListed: true }]]),
+    );
+
+    expect(ranked.map((c) => c.result.id)).toEqual([3, 2]);
+    expect(ranked[0]).toEqual(
+      expect.objectContaining({
+        confidence: 1,
+        isrcConfirmed: true,
+        trackListed: true,
+      }),
+    );
+    expect(ranked[1].isrcConfirmed).toBe(false);
+  });
+
+  it('breaks confidence ties in favour of confirmed releases', () => {
+    const track = { title: 'Kiara', artist: 'Bonobo' };
+    const first = { id: 1, title: 'Bonobo - Kiara', year: 2010 };
+    const second = { id: 2, title: 'Bonobo - Kiara', year: 2010 };
+    const ranked = rankCandidates(
+      { ...track, isrc: 'GBCFB1000123' },
+      [first, second],
+      new Map([[second, { isrcConfirmed: true }]]),
+    );
+
+    expect(ranked.map((c) => c.result.id)).toEqual([2, 1]);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for the local mock Discogs server, and end-to-end runs of
+ * runSearch/runTracks against it over real HTTP
+ * Only the logger and file output are mocked
+ */
+import { jest } from '@jest/globals';
+
+// Mock the logger before importing the modules under test
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  debug: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+  writeLog: jest.fn(),
+  logApiResponse: jest.fn(),
+  initLog: jest.fn(),
+  logDir: '/tmp/dist/logs',
+}));
+
+// Mock output to avoid writing to dist/
+const mockWriteJsonOutput = jest.fn();
+const mockWriteTracksOutput = jest.fn();
+
+jest.unstable_mockModule('../lib/output.js', () => ({
+  writeJsonOutput: mockWriteJsonOutput,
+  writeTracksOutput: mockWriteTracksOutput,
+  readJsonOutput: jest.fn(),
+  writeReportOutput: jest.fn(),
+  updateJsonOutput: jest.fn(),
+  ensureDistDir: jest.fn(),
+  distDir: '/tmp/dist',
+  OUTPUT_EXTENSIONS: { human: 'txt', csv: 'csv', pipe: 'txt', markdown: 'md' },
+}));
+
+// Import after mocking
+const {
+  loadMockResponses,
+  routeMockRequest,
+  searchMockResults,
+  startMockServer,
+} = await import('../lib/mockserver.js');
+const { getRateLimit } = await import('../lib/ratelimit.js');
+const { runSearch, runTracks } = await import('../lib/session.js');
+
+const responses = loadMockResponses();
+
+describe('searchMockResults (pure function)', () => {
+  it('matches every query word in the title', () => {
+    const data = searchMockResults(
+      responses.search,
+      new URLSearchParams('q=bonobo sands'),
+    );
+
+    expect(data.results.map((result) => result.id)).toEqual([1111045, 2223419]);
+    expect(data.pagination).toEqual({
+      page: 1,
+      pages: 1,
+      per_page: 50,
+      items: 2,
+    });
+  });
+
+  it('filters by type and paginates', () => {
+    const data = searchMockResults(
+      responses.search,
+      new URLSearchParams('q=&type=master&per_page=1&page=2'),
+    );
+
+    expect(data.results).toHaveLength(1);
+    expect(data.results[0].type).toBe('master');
+    expect(data.pagination).toEqual(
+      expect.objectContaining({ page: 2, pages: 2, items: 2 }),
+    );
+  });
+});
+
+describe('routeMockRequest (pure function)', () => {
+  it('serves masters and releases by id', () => {
+    expect(routeMockRequest('GET', '/masters/27113', responses)).toEqual({
+      status: 200,
+      body: expect.objectContaining({ title: 'Discovery' }),
+    });
+    expect(
+      routeMockRequest('GET', '/releases/2223419', responses).body.title,
+    ).toBe('Black Sands');
+  });
+
+  it('answers unknown resources with a Discogs-style 404', () => {
+    expect(routeMockRequest('GET', '/masters/1', responses)).toEqual({
+      status: 404,
+      body: { message: 'Resource not found.' },
+    });
+    expect(routeMockRequest('GET', '/artists/1289', responses).status).toBe(
+      404,
+    );
+  });
+
+  it('only allows GET', () => {
+    expect(routeMockRequest('POST', '/masters/27113', responses).status).toBe(
+      405,
+    );
+  });
+});
+
+describe('end to end against the mock server', () => {
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    ({ server, url } = await startMockServer({ port: 0 }));
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('runSearch fetches and writes search results', async () => {
+    await runSearch('black sands', { token: 'test', apiUrl: url, limit: '5' });
+
+    expect(mockLog.error).not.toHaveBeenCalled();
+    expect(mockWriteJsonOutput).toHaveBeenCalledTimes(1);
+    const output = mockWriteJsonOutput.mock.calls[0][0];
+    expect(output.result.tracks.map((track) => track.title)).toEqual([
+      'Bonobo - Black Sands',
+      'Bonobo - Black Sands',
+    ]);
+    expect(output.result.pagination.items).toBe(2);
+    expect(getRateLimit()).toEqual(
+      expect.objectContaining({ limit: 60, remaining: expect.any(Number) }),
+    );
+  });
+
+  it('runTracks fetches a master tracklist', async () => {
+    await runTracks('27113', { token: 'test', apiUrl: url });
+
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Found: master #27113 - Daft Punk - Discovery (2001)',
+    );
+    expect(mockWriteTracksOutput).toHaveBeenCalledTimes(1);
+  });
+
+  it('runTracks reports a missing release', async () => {
+    await runTracks('1', { token: 'test', apiUrl: url, type: 'release' });
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Error fetching release:',
+      'Resource not found.',
+    );
+    expect(mockLog.warn).toHaveBeenCalledWith('Could not fetch release #1.');
+  });
+});
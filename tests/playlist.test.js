@@ -0,0 +1,1122 @@
+/**
+ * Tests for playlist CSV parsing and the playlist command
+ * Parsers are pure; the command handler runs with mocked API calls
+ */
+import { rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { jest } from '@jest/globals';
+
+const dataDir = join(dirname(fileURLToPath(import.meta.url)), 'data');
+
+// Mock the dependencies before importing the module under test
+const mockSearchDiscogs = jest.fn();
+const mockGetMaster = jest.fn();
+const mockGetRelease = jest.fn();
+const mockWriteJsonOutput = jest.fn();
+const mockFetchOwnedIndex = jest.fn();
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('../lib/discogs.js', () => ({
+  createClient: () => ({ db: {} }),
+  searchDiscogs: mockSearchDiscogs,
+  searchDiscogsPage: jest.fn(),
+  getMaster: mockGetMaster,
+  getRelease: mockGetRelease,
+  formatResult: (result) => `  ${result.id} | ${result.title}`,
+  buildDiscogsUrlFromUri: (uri) => `https://www.discogs.com${uri}`,
+}));
+
+jest.unstable_mockModule('../lib/output.js', () => ({
+  ensureDistDir: jest.fn(),
+  writeJsonOutput: mockWriteJsonOutput,
+}));
+
+jest.unstable_mockModule('../lib/commands/collection.js', () => ({
+  fetchOwnedIndex: mockFetchOwnedIndex,
+}));
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+  initLog: jest.fn(),
+  writeLog: jest.fn(),
+}));
+
+// runPlaylist only needs the session module, not every command
+jest.unstable_mockModule('../lib/commands/index.js', () => ({
+  executeCommand: jest.fn(),
+}));
+
+jest.unstable_mockModule('../lib/commands/clean.js', () => ({
+  handleClean: jest.fn(),
+}));
+
+// Import after mocking
+const {
+  buildTrackRecord,
+  detectHeader,
+  mapColumnName,
+  parseCsvRows,
+  parsePlaylistCsv,
+  readPlaylist,
+} = await import('../lib/playlist.js');
+const { buildOwnedIndex } = await import('../lib/collection.js');
+const {
+  buildCandidate,
+  buildPlaylistEntry,
+  buildPlaylistOutput,
+  buildScoredMatch,
+  buildPlaylistQuery,
+  buildTrackPosition,
+  formatOwnedCopy,
+  formatTrackPosition,
+  handlePlaylist,
+  locateTrack,
+  markOwned,
+  matchTrack,
+  mergeSearchResults,
+  playlistCommand,
+  summarizePlaylist,
+} = await import('../lib/commands/playlist.js');
+const { runPlaylist } = await import('../lib/session.js');
+const { getMatchThreshold } = await import('../lib/config.js');
+
+describe('parseCsvRows (pure function)', () => {
+  it('splits simple comma-separated fields', () => {
+    const { rows } = parseCsvRows('a,b,c');
+    expect(rows).toEqual([{ line: 1, fields: ['a', 'b', 'c'] }]);
+  });
+
+  it('keeps commas inside quoted fields', () => {
+    const { rows } = parseCsvRows('"Hello, My Name Is...",OTT');
+    expect(rows[0].fields).toEqual(['Hello, My Name Is...', 'OTT']);
+  });
+
+  it('unescapes doubled quotes', () => {
+    const { rows } = parseCsvRows('"say ""hi""",x');
+    expect(rows[0].fields).toEqual(['say "hi"', 'x']);
+  });
+
+  it('keeps empty fields', () => {
+    const { rows } = parseCsvRows('a,,c');
+    expect(rows[0].fields).toEqual(['a', '', 'c']);
+  });
+
+  it('allows line breaks inside quoted fields', () => {
+    const { rows } = parseCsvRows('"multi\nline",x\nnext,y');
+    expect(rows).toEqual([
+      { line: 1, fields: ['multi\nline', 'x'] },
+      { line: 3, fields: ['next', 'y'] },
+    ]);
+  });
+
+  it('tracks line numbers across blank lines and CRLF', () => {
+    const { rows } = parseCsvRows('a,b\r\n\r\nc,d\r\n');
+    expect(rows.map((r) => r.line)).toEqual([1, 3]);
+  });
+
+  it('strips a UTF-8 byte order mark', () => {
+    const { rows } = parseCsvRows('\uFEFFTrack name,Artist name');
+    expect(rows[0].fields[0]).toBe('Track name');
+  });
+
+  it('reports unterminated quoted fields', () => {
+    const { errors } = parseCsvRows('a,b\n"broken,c');
+    expect(errors).toEqual([{ line: 2, message: 'Unterminated quoted field' }]);
+  });
+});
+
+describe('mapColumnName (pure function)', () => {
+  it.each([
+    ['Track name', 'title'],
+    ['Artist name', 'artist'],
+    ['Album', 'album'],
+    ['ISRC', 'isrc'],
+    ['Tidal - id', 'id:tidal'],
+    ['Spotify ID', 'id:spotify'],
+    ['Spotify URI', 'id:spotify'],
+  ])('maps "%s" to %s', (name, expected) => {
+    expect(mapColumnName(name)).toBe(expected);
+  });
+
+  it('returns null for unknown columns', () => {
+    expect(mapColumnName('Rainbows & Waterfalls')).toBeNull();
+  });
+});
+
+describe('detectHeader (pure function)', () => {
+  it('detects an exported header row', () => {
+    expect(
+      detectHeader([
+        'Track name',
+        'Artist name',
+        'Album',
+        'ISRC',
+        'Tidal - id',
+      ]),
+    ).toBe(true);
+  });
+
+  it('treats a data row as headerless', () => {
+    expect(
+      detectHeader([
+        'Rainbows & Waterfalls',
+        'Pretty Lights',
+        'Rainbows & Waterfalls',
+        'QMUY41700198',
+        '312954801',
+      ]),
+    ).toBe(false);
+  });
+});
+
+describe('buildTrackRecord (pure function)', () => {
+  it('maps fields by column and collects service ids', () => {
+    const track = buildTrackRecord(
+      ['Kiara', 'Bonobo', 'Black Sands', 'gbcfb1000123', '42'],
+      ['title', 'artist', 'album', 'isrc', 'id:tidal'],
+      7,
+    );
+
+    expect(track).toEqual({
+      line: 7,
+      title: 'Kiara',
+      artist: 'Bonobo',
+      album: 'Black Sands',
+      isrc: 'GBCFB1000123',
+      ids: { tidal: '42' },
+    });
+  });
+
+  it('ignores unmapped columns', () => {
+    const track = buildTrackRecord(['Kiara', 'x'], ['title', null], 1);
+    expect(track.title).toBe('Kiara');
+    expect(track.ids).toEqual({});
+  });
+});
+
+describe('parsePlaylistCsv (pure function)', () => {
+  it('maps headerless columns to track records', () => {
+    const { tracks, hasHeader } = parsePlaylistCsv(
+      'Mood For Love,Gaspard Sommer,Melancholia,CH4132400193,381766528',
+    );
+
+    expect(hasHeader).toBe(false);
+    expect(tracks).toEqual([
+      {
+        line: 1,
+        title: 'Mood For Love',
+        artist: 'Gaspard Sommer',
+        album: 'Melancholia',
+        isrc: 'CH4132400193',
+        ids: { service: '381766528' },
+      },
+    ]);
+  });
+
+  it('maps columns by header name in any order', () => {
+    const { tracks, hasHeader } = parsePlaylistCsv(
+      'Artist name,ISRC,Track name,Spotify ID\nBonobo,GBCFB1000123,Kiara,abc',
+    );
+
+    expect(hasHeader).toBe(true);
+    expect(tracks[0]).toEqual(
+      expect.objectContaining({
+        line: 2,
+        title: 'Kiara',
+        artist: 'Bonobo',
+        isrc: 'GBCFB1000123',
+        ids: { spotify: 'abc' },
+      }),
+    );
+  });
+
+  it('reports rows with the wrong number of fields', () => {
+    const { tracks, errors } = parsePlaylistCsv(
+      'Track name,Artist name,Album\nA,B,C\nD,E\nF,G,H,I',
+    );
+
+    expect(tracks).toHaveLength(1);
+    expect(errors).toEqual([
+      { line: 3, message: 'Expected 3 fields, found 2' },
+      { line: 4, message: 'Expected 3 fields, found 4' },
+    ]);
+  });
+
+  it('reads each headerless row by position, whatever the first row holds', () => {
+    const { tracks, errors } = parsePlaylistCsv(
+      'Bonobo,Kiara,Black Sands\nDa Funk,Daft Punk\nA,B,C,D,E,F\nDesert,Emancipator,,,1',
+    );
+
+    expect(tracks.map((t) => [t.line, t.title, t.artist])).toEqual([
+      [1, 'Bonobo', 'Kiara'],
+      [2, 'Da Funk', 'Daft Punk'],
+      [4, 'Desert', 'Emancipator'],
+    ]);
+    expect(tracks[2].ids).toEqual({ service: '1' });
+    expect(errors).toEqual([
+      { line: 3, message: 'Expected at most 5 fields, found 6' },
+    ]);
+  });
+
+  it('reports headerless rows missing the artist', () => {
+    const { errors } = parsePlaylistCsv('Kiara,Bonobo\nbroken');
+
+    expect(errors).toEqual([{ line: 2, message: 'Missing artist' }]);
+  });
+
+  it('reports rows missing title or artist', () => {
+    const { errors } = parsePlaylistCsv('A,B,C,D,1\n,B,C,D,2');
+
+    expect(errors).toEqual([{ line: 2, message: 'Missing title' }]);
+  });
+
+  it('reports a header without a track name column', () => {
+    const { tracks, errors } = parsePlaylistCsv('Artist name,Album\nA,B');
+
+    expect(tracks).toEqual([]);
+    expect(errors[0].message).toBe('No track name column found');
+  });
+
+  it('returns empty results for empty content', () => {
+    expect(parsePlaylistCsv('')).toEqual({
+      tracks: [],
+      errors: [],
+      hasHeader: false,
+    });
+  });
+});
+
+describe('readPlaylist', () => {
+  it('reads chillmix.csv with header', () => {
+    const { tracks, errors, hasHeader } = readPlaylist(
+      join(dataDir, 'chillmix.csv'),
+    );
+
+    expect(hasHeader).toBe(true);
+    expect(errors).toEqual([]);
+    expect(tracks).toHaveLength(145);
+    expect(tracks[0]).toEqual({
+      line: 2,
+      title: 'Rainbows & Waterfalls',
+      artist: 'Pretty Lights',
+      album: 'Rainbows & Waterfalls',
+      isrc: 'QMUY41700198',
+      ids: { tidal: '312954801' },
+    });
+  });
+
+  it('keeps UTF-8 names and quoted commas intact', () => {
+    const { tracks } = readPlaylist(join(dataDir, 'chillmix.csv'));
+
+    expect(tracks[3].title).toBe('Sua Mão Direita');
+    expect(tracks.map((t) => t.title)).toContain('Hello, My Name Is...');
+  });
+
+  it('reads chillmix1.csv without header', () => {
+    const { tracks, hasHeader } = readPlaylist(join(dataDir, 'chillmix1.csv'));
+
+    expect(hasHeader).toBe(false);
+    expect(tracks[0].line).toBe(1);
+    expect(tracks[0].title).toBe('Rainbows & Waterfalls');
+  });
+
+  it('reads example-playlist.csv without header', () => {
+    const { tracks } = readPlaylist(join(dataDir, 'example-playlist.csv'));
+
+    expect(tracks[0].title).toBe('Rainbows & Waterfalls');
+  });
+});
+
+describe('buildPlaylistQuery (pure function)', () => {
+  it('joins artist and title', () => {
+    expect(buildPlaylistQuery({ artist: 'Bonobo', title: 'Kiara' })).toBe(
+      'Bonobo Kiara',
+    );
+  });
+
+  it('omits empty parts', () => {
+    expect(buildPlaylistQuery({ artist: '', title: 'Kiara' })).toBe('Kiara');
+  });
+});
+
+describe('buildScoredMatch (pure function)', () => {
+  it('adds confidence and scores to the match block', () => {
+    const match = buildScoredMatch({
+      result: { id: 1, type: 'master', year: 2010, uri: '/master/1' },
+      confidence: 0.9,
+      scores: { artist: 1 },
+    });
+
+    expect(match).toEqual({
+      type: 'master',
+      year: 2010,
+      url: 'https://www.discogs.com/master/1',
+      id: 1,
+      title: '',
+      confidence: 0.9,
+      scores: { artist: 1 },
+      isrcConfirmed: false,
+      trackListed: false,
+      track: null,
+    });
+  });
+
+  it('records ISRC and tracklist evidence', () => {
+    const match = buildScoredMatch({
+      result: { id: 1, type: 'release', uri: '/release/1' },
+      confidence: 1,
+      scores: {},
+      isrcConfirmed: true,
+      trackListed: true,
+    });
+
+    expect(match.isrcConfirmed).toBe(true);
+    expect(match.trackListed).toBe(true);
+  });
+});
+
+describe('buildTrackPosition (pure function)', () => {
+  it('keeps position, title, duration and score', () => {
+    expect(
+      buildTrackPosition({
+        track: { position: 'B2', title: 'Kiara', duration: '3:49', extra: 1 },
+        score: 0.92,
+      }),
+    ).toEqual({
+      position: 'B2',
+      title: 'Kiara',
+      duration: '3:49',
+      score: 0.92,
+    });
+  });
+
+  it('returns null when the track was not found', () => {
+    expect(buildTrackPosition(null)).toBeNull();
+  });
+});
+
+describe('formatTrackPosition (pure function)', () => {
+  it('formats position, title and duration', () => {
+    expect(
+      formatTrackPosition({
+        position: 'B2',
+        title: 'Rainbows & Waterfalls',
+        duration: '6:12',
+      }),
+    ).toBe('B2 Rainbows & Waterfalls (6:12)');
+  });
+
+  it('leaves out a missing position or duration', () => {
+    expect(
+      formatTrackPosition({ position: '', title: 'Kiara', duration: '' }),
+    ).toBe('Kiara');
+  });
+});
+
+describe('locateTrack (pure function)', () => {
+  it('finds the playlist track on a release tracklist', () => {
+    const release = {
+      tracklist: [{ position: '3', title: 'Kiara', duration: '3:49' }],
+    };
+
+    expect(locateTrack({ title: 'Kiara (Edit)' }, release)).toEqual({
+      position: '3',
+      title: 'Kiara',
+      duration: '3:49',
+      score: 1,
+    });
+  });
+
+  it('returns null without release details', () => {
+    expect(locateTrack({ title: 'Kiara' }, null)).toBeNull();
+  });
+});
+
+describe('mergeSearchResults (pure function)', () => {
+  it('keeps the first of repeated results', () => {
+    const merged = mergeSearchResults(
+      [{ id: 1, type: 'release', title: 'A' }],
+      [
+        { id: 1, type: 'release', title: 'B' },
+        { id: 1, type: 'master', title: 'C' },
+      ],
+    );
+
+    expect(merged.map((r) => r.title)).toEqual(['A', 'C']);
+  });
+});
+
+describe('buildCandidate (pure function)', () => {
+  it('keeps display and match fields with scores', () => {
+    const candidate = buildCandidate({
+      result: {
+        id: 5,
+        type: 'release',
+        title: 'Bonobo - Kiara',
+        year: '2010',
+        format: ['Vinyl'],
+        catno: 'ZEN12',
+        uri: '/release/5',
+        thumb: 'ignored',
+      },
+      confidence: 0.8,
+      scores: { artist: 1 },
+    });
+
+    expect(candidate).toEqual({
+      id: 5,
+      type: 'release',
+      title: 'Bonobo - Kiara',
+      year: '2010',
+      format: ['Vinyl'],
+      catno: 'ZEN12',
+      uri: '/release/5',
+      confidence: 0.8,
+      scores: { artist: 1 },
+      isrcConfirmed: false,
+      trackListed: false,
+    });
+  });
+
+  it('keeps owned copies when the collection was checked', () => {
+    const owned = [{ releaseId: 5, samePressing: true }];
+
+    expect(
+      buildCandidate({ result: { id: 5 }, confidence: 1, scores: {}, owned })
+        .owned,
+    ).toEqual(owned);
+    expect(
+      buildScoredMatch({ result: { id: 5 }, confidence: 1, scores: {}, owned })
+        .owned,
+    ).toEqual(owned);
+  });
+
+  it('fills defaults for missing fields', () => {
+    const candidate = buildCandidate({
+      result: { id: 6 },
+      confidence: 0,
+      scores: {},
+    });
+
+    expect(candidate.type).toBe('unknown');
+    expect(candidate.year).toBeNull();
+    expect(candidate.format).toEqual([]);
+  });
+});
+
+const ownedItem = {
+  id: 5,
+  instanceId: 50,
+  folderId: 1,
+  masterId: 500,
+  artist: 'Bonobo',
+  title: 'Kiara',
+  year: 2010,
+  format: 'Vinyl, 12"',
+  catno: 'ZEN12',
+};
+
+describe('markOwned (pure function)', () => {
+  const ranked = [
+    { result: { id: 5, type: 'release', master_id: 500 }, confidence: 0.9 },
+    { result: { id: 7, type: 'release' }, confidence: 0.4 },
+  ];
+
+  it('attaches owned copies to each candidate', () => {
+    const marked = markOwned(ranked, buildOwnedIndex([ownedItem]));
+
+    expect(marked[0].owned).toEqual([
+      expect.objectContaining({ releaseId: 5, samePressing: true }),
+    ]);
+    expect(marked[1].owned).toEqual([]);
+  });
+
+  it('leaves candidates unchanged without an index', () => {
+    expect(markOwned(ranked, null)).toBe(ranked);
+  });
+});
+
+describe('formatOwnedCopy (pure function)', () => {
+  const copy = {
+    releaseId: 5,
+    title: 'Bonobo - Kiara',
+    format: 'Vinyl, 12"',
+    catno: 'ZEN12',
+    samePressing: true,
+  };
+
+  it('describes the same pressing', () => {
+    expect(formatOwnedCopy(copy)).toBe(
+      'Bonobo - Kiara (Vinyl, 12", ZEN12) - this pressing',
+    );
+  });
+
+  it('names the release of another pressing', () => {
+    expect(
+      formatOwnedCopy({ ...copy, format: '', catno: '', samePressing: false }),
+    ).toBe('Bonobo - Kiara - release #5');
+  });
+});
+
+describe('summarizePlaylist (pure function)', () => {
+  it('counts matched, needs-review and total entries', () => {
+    expect(
+      summarizePlaylist([
+        { match: { id: 1 }, needsReview: false },
+        { match: null, needsReview: true },
+      ]),
+    ).toEqual({ matched: 1, needsReview: 1, owned: 0, total: 2 });
+  });
+
+  it('counts matches with owned copies', () => {
+    expect(
+      summarizePlaylist([
+        { match: { id: 1, owned: [{ releaseId: 1 }] }, needsReview: false },
+        { match: { id: 2, owned: [] }, needsReview: false },
+      ]).owned,
+    ).toBe(1);
+  });
+});
+
+describe('buildPlaylistEntry (pure function)', () => {
+  const track = {
+    line: 4,
+    title: 'Kiara',
+    artist: 'Bonobo',
+    album: 'Black Sands',
+    isrc: 'GBCFB1000123',
+  };
+
+  const ranked = [
+    {
+      result: {
+        id: 1,
+        title: 'Bonobo - Black Sands',
+        type: 'master',
+        year: 2010,
+        uri: '/master/1',
+      },
+      confidence: 0.92,
+      scores: { artist: 1, title: 0.1, album: 1, year: 1, format: 0.5 },
+    },
+    {
+      result: { id: 2, title: 'Other', type: 'release', uri: '/release/2' },
+      confidence: 0.3,
+      scores: {},
+    },
+  ];
+
+  it('fills CSV fields and best match info', () => {
+    const entry = buildPlaylistEntry(track, ranked, 0.7);
+
+    expect(entry).toEqual({
+      ...track,
+      match: expect.objectContaining({
+        type: 'master',
+        year: 2010,
+        url: 'https://www.discogs.com/master/1',
+        id: 1,
+        confidence: 0.92,
+      }),
+      candidates: [
+        expect.objectContaining({
+          id: 1,
+          type: 'master',
+          title: 'Bonobo - Black Sands',
+          confidence: 0.92,
+        }),
+        expect.objectContaining({
+          id: 2,
+          type: 'release',
+          title: 'Other',
+          confidence: 0.3,
+        }),
+      ],
+      needsReview: false,
+    });
+  });
+
+  it('flags rows below the threshold for review', () => {
+    expect(buildPlaylistEntry(track, ranked, 0.95).needsReview).toBe(true);
+  });
+
+  it('sets match to null and needs review when no result', () => {
+    const entry = buildPlaylistEntry(track, [], 0.7);
+
+    expect(entry.match).toBeNull();
+    expect(entry.candidates).toEqual([]);
+    expect(entry.needsReview).toBe(true);
+  });
+});
+
+describe('buildPlaylistOutput (pure function)', () => {
+  it('counts matched and needs-review entries', () => {
+    const output = buildPlaylistOutput('/tmp/p.csv', 'master', 5, 0.7, [
+      { title: 'a', match: { id: 1 }, needsReview: false },
+      { title: 'b', match: { id: 2 }, needsReview: true },
+      { title: 'c', match: null, needsReview: true },
+    ]);
+
+    expect(output.type).toBe('playlist');
+    expect(output.params).toEqual({
+      file: '/tmp/p.csv',
+      searchType: 'master',
+      per_page: 5,
+      threshold: 0.7,
+    });
+    expect(output.result.matched).toBe(2);
+    expect(output.result.needsReview).toBe(2);
+    expect(output.result.total).toBe(3);
+    expect(output.result.errors).toEqual([]);
+  });
+
+  it('includes malformed row errors', () => {
+    const errors = [{ line: 3, message: 'Missing title' }];
+    const output = buildPlaylistOutput(
+      '/tmp/p.csv',
+      'master',
+      5,
+      0.7,
+      [],
+      errors,
+    );
+
+    expect(output.result.errors).toEqual(errors);
+  });
+});
+
+describe('handlePlaylist', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetMaster.mockResolvedValue(null);
+    mockGetRelease.mockResolvedValue(null);
+  });
+
+  const mockDb = {};
+  const flags = { tracks_type: 'master', per_page: 5, verbose: false };
+  const playlistFile = join(dataDir, 'chillmix1.csv');
+
+  it('logs error when file does not exist', async () => {
+    await handlePlaylist(mockDb, null, '/nonexistent/playlist.csv', flags);
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      expect.stringContaining('Playlist file not found'),
+    );
+    expect(mockSearchDiscogs).not.toHaveBeenCalled();
+  });
+
+  it('searches Discogs by artist and title, and by ISRC', async () => {
+    mockSearchDiscogs.mockResolvedValue([]);
+
+    await handlePlaylist(mockDb, null, playlistFile, flags);
+
+    expect(mockSearchDiscogs).toHaveBeenCalledTimes(6);
+    expect(mockSearchDiscogs).toHaveBeenCalledWith(
+      mockDb,
+      'Pretty Lights Rainbows & Waterfalls',
+      'master',
+      5,
+      false,
+    );
+    expect(mockSearchDiscogs).toHaveBeenCalledWith(
+      mockDb,
+      'QMUY41700198',
+      'release',
+      5,
+      false,
+    );
+  });
+
+  it('shows ISRC-confirmed matches', async () => {
+    mockSearchDiscogs.mockResolvedValue([
+      { id: 20, title: 'Various - Chill', type: 'release', uri: '/r/20' },
+    ]);
+    mockGetRelease.mockResolvedValue({
+      identifiers: [{ type: 'ISRC', value: 'QMUY41700198' }],
+      tracklist: [],
+    });
+
+    await handlePlaylist(mockDb, null, playlistFile, flags);
+
+    const [first] = mockWriteJsonOutput.mock.calls[0][0].result.tracks;
+    expect(first.match).toEqual(
+      expect.objectContaining({
+        id: 20,
+        confidence: 0.95,
+        isrcConfirmed: true,
+      }),
+    );
+    expect(first.needsReview).toBe(false);
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  20 | Various - Chill (confidence: 0.95, ISRC confirmed)',
+    );
+  });
+
+  it('shows the tracklist position of the best match', async () => {
+    mockSearchDiscogs.mockResolvedValue([
+      {
+        id: 10,
+        title: 'Pretty Lights - Rainbows & Waterfalls',
+        type: 'release',
+        uri: '/release/10',
+      },
+    ]);
+    mockGetRelease.mockResolvedValue({
+      tracklist: [
+        { position: 'B2', title: 'Rainbows & Waterfalls', duration: '6:12' },
+      ],
+    });
+
+    await handlePlaylist(mockDb, null, playlistFile, flags);
+
+    const [first] = mockWriteJsonOutput.mock.calls[0][0].result.tracks;
+    expect(first.match.track).toEqual({
+      position: 'B2',
+      title: 'Rainbows & Waterfalls',
+      duration: '6:12',
+      score: 1,
+    });
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  track: B2 Rainbows & Waterfalls (6:12)',
+    );
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  track: not found on the tracklist',
+    );
+  });
+
+  it('records the highest-confidence result as best match', async () => {
+    mockSearchDiscogs.mockResolvedValue([
+      { id: 11, title: 'Someone Else - Other', type: 'master', uri: '/m/11' },
+      {
+        id: 10,
+        title: 'Pretty Lights - Rainbows & Waterfalls',
+        type: 'master',
+        year: 2017,
+        uri: '/master/10',
+      },
+    ]);
+
+    await handlePlaylist(mockDb, null, playlistFile, flags);
+
+    const output = mockWriteJsonOutput.mock.calls[0][0];
+    expect(output.result.matched).toBe(3);
+    expect(output.result.tracks[0]).toEqual(
+      expect.objectContaining({
+        artist: 'Pretty Lights',
+        album: 'Rainbows & Waterfalls',
+        isrc: 'QMUY41700198',
+        match: expect.objectContaining({ id: 10 }),
+        needsReview: false,
+      }),
+    );
+    expect(output.result.tracks[0].candidates.map((c) => c.id)).toEqual([
+      10, 11,
+    ]);
+  });
+
+  it('uses match_threshold to flag rows for review', async () => {
+    mockSearchDiscogs.mockResolvedValue([
+      { id: 11, title: 'Someone Else - Other', type: 'master', uri: '/m/11' },
+    ]);
+
+    await handlePlaylist(mockDb, null, playlistFile, {
+      ...flags,
+      match_threshold: 0.5,
+    });
+
+    const output = mockWriteJsonOutput.mock.calls[0][0];
+    expect(output.params.threshold).toBe(0.5);
+    expect(output.result.needsReview).toBe(3);
+    expect(mockLog.warn).toHaveBeenCalledWith('Low confidence - needs review');
+  });
+
+  it('warns about malformed rows with line numbers', async () => {
+    const file = join(tmpdir(), `moozhak-playlist-${process.pid}.csv`);
+    writeFileSync(file, 'Kiara,Bonobo,Black Sands,GB1,1\nbroken\n');
+    mockSearchDiscogs.mockResolvedValue([]);
+
+    await handlePlaylist(mockDb, null, file, flags);
+    rmSync(file);
+
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'Skipping line 2: Missing artist',
+    );
+    expect(mockSearchDiscogs).toHaveBeenCalledTimes(1);
+    expect(mockWriteJsonOutput.mock.calls[0][0].result.errors).toHaveLength(1);
+  });
+
+  it('warns for tracks without a match', async () => {
+    mockSearchDiscogs.mockResolvedValue([]);
+
+    await handlePlaylist(mockDb, null, playlistFile, flags);
+
+    expect(mockLog.warn).toHaveBeenCalledWith('No match found');
+    expect(mockWriteJsonOutput.mock.calls[0][0].result.matched).toBe(0);
+  });
+
+  it('skips the owned check without a client', async () => {
+    mockSearchDiscogs.mockResolvedValue([]);
+
+    await handlePlaylist(mockDb, null, playlistFile, flags);
+
+    expect(mockFetchOwnedIndex).not.toHaveBeenCalled();
+    expect(mockLog.plain).toHaveBeenCalledWith('  owned check: off\n');
+  });
+
+  it('skips the owned check silently for anonymous clients', async () => {
+    mockSearchDiscogs.mockResolvedValue([]);
+
+    await handlePlaylist(mockDb, { auth: null }, playlistFile, flags);
+
+    expect(mockFetchOwnedIndex).not.toHaveBeenCalled();
+    expect(mockLog.warn).not.toHaveBeenCalledWith('Not logged in.');
+    expect(mockLog.plain).toHaveBeenCalledWith('  owned check: off\n');
+  });
+
+  it('skips the owned check when owned_check is off', async () => {
+    const client = { auth: { method: 'discogs', userToken: 'token' } };
+    mockSearchDiscogs.mockResolvedValue([]);
+
+    await handlePlaylist(mockDb, client, playlistFile, {
+      ...flags,
+      owned_check: false,
+    });
+
+    expect(mockFetchOwnedIndex).not.toHaveBeenCalled();
+    expect(mockLog.plain).toHaveBeenCalledWith('  owned check: off\n');
+  });
+
+  it('flags matches already in the collection', async () => {
+    const client = { auth: { method: 'discogs', userToken: 'token' } };
+    mockFetchOwnedIndex.mockResolvedValue(
+      buildOwnedIndex([{ ...ownedItem, id: 20, masterId: 10 }]),
+    );
+    mockSearchDiscogs.mockResolvedValue([
+      {
+        id: 10,
+        title: 'Pretty Lights - Rainbows & Waterfalls',
+        type: 'master',
+        year: 2017,
+        uri: '/master/10',
+      },
+    ]);
+
+    await handlePlaylist(mockDb, client, playlistFile, flags);
+
+    const output = mockWriteJsonOutput.mock.calls[0][0];
+    expect(mockFetchOwnedIndex).toHaveBeenCalledWith(client, false);
+    expect(output.result.owned).toBe(3);
+    expect(output.result.tracks[0].match.owned).toEqual([
+      expect.objectContaining({ releaseId: 20, samePressing: false }),
+    ]);
+    expect(mockLog.success).toHaveBeenCalledWith(
+      '  owned: Bonobo - Kiara (Vinyl, 12", ZEN12) - release #20',
+    );
+    expect(mockLog.info).toHaveBeenCalledWith(
+      '3 track(s) already in your collection',
+    );
+  });
+});
+
+describe('runPlaylist options', () => {
+  const file = join(dataDir, 'chillmix.csv');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSearchDiscogs.mockResolvedValue([]);
+  });
+
+  it.each([
+    ['0', 0],
+    ['0.85', 0.85],
+    ['1', 1],
+  ])('passes --threshold %s on as %p', async (threshold, expected) => {
+    await runPlaylist(file, { threshold });
+
+    const output = mockWriteJsonOutput.mock.calls[0][0];
+    expect(output.params.threshold).toBe(expected);
+  });
+
+  it('uses the configured threshold without --threshold', async () => {
+    await runPlaylist(file, {});
+
+    const output = mockWriteJsonOutput.mock.calls[0][0];
+    expect(output.params.threshold).toBe(getMatchThreshold());
+  });
+
+  it.each([
+    '5',
+    '-0.1',
+    'abc',
+    '0.5abc',
+    '',
+  ])("rejects --threshold '%s'", async (threshold) => {
+    await runPlaylist(file, { threshold });
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      `Invalid --threshold value '${threshold}'`,
+    );
+    expect(mockLog.info).toHaveBeenCalledWith(
+      'Must be a number between 0 and 1',
+    );
+    expect(mockWriteJsonOutput).not.toHaveBeenCalled();
+  });
+});
+
+describe('matchTrack', () => {
+  const track = {
+    title: 'Kiara',
+    artist: 'Bonobo',
+    album: 'Black Sands',
+    isrc: 'GB-CFB-10-00123',
+  };
+  const flags = { per_page: 5, verbose: false };
+  const master = {
+    id: 1,
+    type: 'master',
+    title: 'Bonobo - Black Sands',
+    year: 2010,
+  };
+  const compilation = { id: 7, type: 'release', title: 'Various - Chill' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetMaster.mockResolvedValue(null);
+    mockGetRelease.mockResolvedValue(null);
+  });
+
+  it('searches only by artist and title without an ISRC', async () => {
+    mockSearchDiscogs.mockResolvedValue([master]);
+
+    const { ranked } = await matchTrack(
+      {},
+      { ...track, isrc: '' },
+      flags,
+      'master',
+    );
+
+    expect(mockSearchDiscogs).toHaveBeenCalledTimes(1);
+    expect(ranked[0].isrcConfirmed).toBe(false);
+  });
+
+  it('adds ISRC search results and confirms them from identifiers', async () => {
+    mockSearchDiscogs
+      .mockResolvedValueOnce([master])
+      .mockResolvedValueOnce([compilation]);
+    mockGetMaster.mockResolvedValue({ main_release: 100, tracklist: [] });
+    mockGetRelease.mockImplementation(async (_db, id) =>
+      id === 7
+        ? {
+            identifiers: [{ type: 'ISRC', value: 'GBCFB1000123' }],
+            tracklist: [{ title: 'Kiara' }],
+          }
+        : { identifiers: [], tracklist: [{ title: 'Kiara' }] },
+    );
+
+    const { results, ranked } = await matchTrack({}, track, flags, 'master');
+
+    expect(mockSearchDiscogs).toHaveBeenLastCalledWith(
+      {},
+      'GBCFB1000123',
+      'release',
+      5,
+      false,
+    );
+    expect(results.map((r) => r.id)).toEqual([7, 1]);
+    expect(mockGetRelease).toHaveBeenCalledWith({}, 100, false);
+    expect(ranked.map((c) => c.result.id)).toEqual([7, 1]);
+    expect(ranked[0]).toEqual(
+      expect.objectContaining({ confidence: 1, isrcConfirmed: true }),
+    );
+    expect(ranked[1]).toEqual(
+      expect.objectContaining({ isrcConfirmed: false, trackListed: true }),
+    );
+  });
+
+  it('falls back to the master tracklist without a main release', async () => {
+    mockSearchDiscogs.mockResolvedValueOnce([master]).mockResolvedValueOnce([]);
+    mockGetMaster.mockResolvedValue({ tracklist: [{ title: 'Kiara' }] });
+
+    const { ranked } = await matchTrack({}, track, flags, 'master');
+
+    expect(mockGetRelease).not.toHaveBeenCalled();
+    expect(ranked[0].trackListed).toBe(true);
+  });
+
+  it('locates the track on the best candidate without an ISRC', async () => {
+    mockSearchDiscogs.mockResolvedValue([master]);
+    mockGetMaster.mockResolvedValue({ main_release: 100 });
+    mockGetRelease.mockResolvedValue({
+      tracklist: [{ position: 'A2', title: 'Kiara', duration: '3:49' }],
+    });
+
+    const { ranked } = await matchTrack(
+      {},
+      { ...track, isrc: '' },
+      flags,
+      'master',
+    );
+
+    expect(mockGetRelease).toHaveBeenCalledWith({}, 100, false);
+    expect(ranked[0].track).toEqual(
+      expect.objectContaining({ position: 'A2', duration: '3:49' }),
+    );
+  });
+
+  it('reuses release details fetched for the ISRC check', async () => {
+    mockSearchDiscogs
+      .mockResolvedValueOnce([compilation])
+      .mockResolvedValueOnce([]);
+    mockGetRelease.mockResolvedValue({ tracklist: [{ title: 'Kiara' }] });
+
+    const { ranked } = await matchTrack({}, track, flags, 'release');
+
+    expect(mockGetRelease).toHaveBeenCalledTimes(1);
+    expect(ranked[0].track.title).toBe('Kiara');
+  });
+
+  it('checks at most three candidates', async () => {
+    const releases = [1, 2, 3, 4, 5].map((id) => ({
+      id,
+      type: 'release',
+      title: `Bonobo - Release ${id}`,
+    }));
+    mockSearchDiscogs.mockResolvedValueOnce(releases).mockResolvedValueOnce([]);
+    mockGetRelease.mockResolvedValue(null);
+
+    await matchTrack({}, track, flags, 'release');
+
+    expect(mockGetRelease).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('playlistCommand', () => {
+  it('has correct command metadata', () => {
+    expect(playlistCommand.name).toBe('playlist');
+    expect(playlistCommand.aliases).toContain('p');
+    expect(playlistCommand.minArgs).toBe(1);
+    expect(playlistCommand.usage).toBe('playlist <file.csv>');
+  });
+
+  it('remembers the written output for review', async () => {
+    mockSearchDiscogs.mockResolvedValue([]);
+    mockWriteJsonOutput.mockReturnValueOnce('/tmp/playlist-out.json');
+    const ctx = {
+      db: {},
+      sessionFlags: { tracks_type: 'master', per_page: 5, verbose: false },
+    };
+
+    await playlistCommand.handler([join(dataDir, 'chillmix1.csv')], ctx);
+
+    expect(ctx.lastPlaylistOutput).toBe('/tmp/playlist-out.json');
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * Tests for the rate-limit aware request scheduler
+ * Uses a fake sleep so backoff and throttling waits return immediately
+ */
+import { jest } from '@jest/globals';
+
+// Mock the logger before importing the modules under test
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  debug: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+  writeLog: jest.fn(),
+  logApiResponse: jest.fn(),
+}));
+
+// Import after mocking
+const {
+  configureScheduler,
+  formatRateLimit,
+  getRateLimit,
+  getRetryDelay,
+  getThrottleDelay,
+  isRetryable,
+  isRetryableWrite,
+  LOW_QUOTA,
+  recordRateLimit,
+  resetRateLimit,
+  scheduleRequest,
+  WINDOW_MS,
+} = await import('../lib/ratelimit.js');
+const { configureCache } = await import('../lib/cache.js');
+const { addToCollection, getRelease } = await import('../lib/discogs.js');
+
+const mockSleep = jest.fn(async () => {});
+
+/**
+ * Build an API error like the ones thrown by disconnect
+ */
+function apiError(statusCode) {
+  const error = new Error(`HTTP ${statusCode}`);
+  error.statusCode = statusCode;
+  return error;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  resetRateLimit();
+  configureScheduler({ sleep: mockSleep, maxConcurrent: 2, maxRetries: 4 });
+});
+
+describe('recordRateLimit / getRateLimit', () => {
+  it('stores the last reported quota', () => {
+    recordRateLimit({ limit: 60, used: 3, remaining: 57 }, 1000);
+
+    expect(getRateLimit()).toEqual({
+      limit: 60,
+      used: 3,
+      remaining: 57,
+      updatedAt: 1000,
+    });
+  });
+
+  it('ignores responses without rate limit headers', () => {
+    recordRateLimit({ limit: 60, used: 3, remaining: 57 }, 1000);
+    recordRateLimit(null);
+    recordRateLimit({ limit: NaN, used: NaN, remaining: NaN });
+
+    expect(getRateLimit().remaining).toBe(57);
+  });
+});
+
+describe('formatRateLimit (pure function)', () => {
+  it('shows the remaining quota and its age', () => {
+    const rateLimit = { limit: 60, used: 3, remaining: 57, updatedAt: 0 };
+
+    expect(formatRateLimit(rateLimit, 12 * 1000)).toBe(
+      '57/60 requests left (12s ago)',
+    );
+  });
+
+  it('reports an unknown quota before the first request', () => {
+    expect(formatRateLimit(getRateLimit())).toBe('unknown (no requests yet)');
+  });
+});
+
+describe('getThrottleDelay (pure function)', () => {
+  const at = (remaining) => ({
+    limit: 60,
+    used: 60 - remaining,
+    remaining,
+    updatedAt: 0,
+  });
+
+  it('does not wait while plenty of quota is left', () => {
+    expect(getThrottleDelay(at(LOW_QUOTA + 1), 0)).toBe(0);
+    expect(getThrottleDelay(getRateLimit(), 0)).toBe(0);
+  });
+
+  it('spaces out requests at the sustained rate when quota is low', () => {
+    expect(getThrottleDelay(at(LOW_QUOTA), 0)).toBe(1000);
+    expect(getThrottleDelay(at(1), 400)).toBe(600);
+  });
+
+  it('waits out the window when the quota is used up', () => {
+    expect(getThrottleDelay(at(0), 15 * 1000)).toBe(WINDOW_MS - 15 * 1000);
+  });
+
+  it('ignores readings older than the window', () => {
+    expect(getThrottleDelay(at(0), WINDOW_MS)).toBe(0);
+  });
+});
+
+describe('isRetryable (pure function)', () => {
+  it('retries rate limiting, server errors and dropped connections', () => {
+    expect(isRetryable(apiError(429))).toBe(true);
+    expect(isRetryable(apiError(502))).toBe(true);
+    expect(
+      isRetryable(Object.assign(new Error(), { code: 'ECONNRESET' })),
+    ).toBe(true);
+  });
+
+  it('gives up on client errors', () => {
+    expect(isRetryable(apiError(404))).toBe(false);
+    expect(isRetryable(apiError(401))).toBe(false);
+    expect(isRetryable(new Error('Invalid JSON'))).toBe(false);
+  });
+});
+
+describe('isRetryableWrite (pure function)', () => {
+  it('only retries rate limiting', () => {
+    expect(isRetryableWrite(apiError(429))).toBe(true);
+    expect(isRetryableWrite(apiError(503))).toBe(false);
+    expect(
+      isRetryableWrite(Object.assign(new Error(), { code: 'ECONNRESET' })),
+    ).toBe(false);
+  });
+});
+
+describe('getRetryDelay (pure function)', () => {
+  it('doubles the delay up to the cap', () => {
+    const config = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+    expect(getRetryDelay(1, config)).toBe(1000);
+    expect(getRetryDelay(2, config)).toBe(2000);
+    expect(getRetryDelay(3, config)).toBe(4000);
+    expect(getRetryDelay(4, config)).toBe(5000);
+  });
+});
+
+describe('scheduleRequest', () => {
+  it('returns the task result', async () => {
+    const result = await scheduleRequest(async () => 'ok');
+
+    expect(result).toBe('ok');
+    expect(mockSleep).not.toHaveBeenCalled();
+  });
+
+  it('retries 429 and 5xx with exponential backoff', async () => {
+    const task = jest
+      .fn()
+      .mockRejectedValueOnce(apiError(429))
+      .mockRejectedValueOnce(apiError(503))
+      .mockResolvedValueOnce('ok');
+
+    const result = await scheduleRequest(task, {
+      endpoint: 'database.search',
+    });
+
+    expect(result).toBe('ok');
+    expect(task).toHaveBeenCalledTimes(3);
+    expect(mockSleep.mock.calls).toEqual([[1000], [2000]]);
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'database.search failed (429), retrying in 1s (1/4)',
+    );
+  });
+
+  it('rejects with the last error after maxRetries', async () => {
+    configureScheduler({ maxRetries: 2 });
+    const task = jest.fn().mockRejectedValue(apiError(500));
+
+    await expect(scheduleRequest(task)).rejects.toThrow('HTTP 500');
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry client errors', async () => {
+    const task = jest.fn().mockRejectedValue(apiError(404));
+
+    await expect(scheduleRequest(task)).rejects.toThrow('HTTP 404');
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry a server error when the request is not idempotent', async () => {
+    const task = jest.fn().mockRejectedValue(apiError(503));
+
+    await expect(scheduleRequest(task, { idempotent: false })).rejects.toThrow(
+      'HTTP 503',
+    );
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(mockSleep).not.toHaveBeenCalled();
+  });
+
+  it('still retries a rate-limited request that is not idempotent', async () => {
+    const task = jest
+      .fn()
+      .mockRejectedValueOnce(apiError(429))
+      .mockResolvedValueOnce('ok');
+
+    expect(await scheduleRequest(task, { idempotent: false })).toBe('ok');
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  it('waits before a request when the quota is low', async () => {
+    recordRateLimit({ limit: 60, used: 60, remaining: 0 });
+
+    await scheduleRequest(async () => 'ok', { verbose: true });
+
+    expect(mockSleep).toHaveBeenCalledTimes(1);
+    expect(mockSleep.mock.calls[0][0]).toBeGreaterThan(WINDOW_MS - 1000);
+    expect(mockLog.debug).toHaveBeenCalledWith(
+      expect.stringContaining('Rate limit nearly used, waiting'),
+    );
+  });
+
+  it('runs at most maxConcurrent requests at once', async () => {
+    configureScheduler({ maxConcurrent: 2 });
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setImmediate(resolve));
+      running--;
+      return running;
+    };
+
+    await Promise.all(Array.from({ length: 5 }, () => scheduleRequest(task)));
+
+    expect(peak).toBe(2);
+  });
+});
+
+describe('Discogs calls through the scheduler', () => {
+  beforeEach(() => {
+    configureCache({ enabled: false });
+  });
+
+  afterAll(() => {
+    configureCache({ enabled: true });
+  });
+
+  it('records the quota from the response and logs it in verbose mode', async () => {
+    const db = {
+      getRelease: jest.fn((_id, done) =>
+        done(null, { id: 1 }, { limit: 60, used: 1, remaining: 59 }),
+      ),
+    };
+
+    expect(await getRelease(db, 1, true)).toEqual({ id: 1 });
+    expect(getRateLimit().remaining).toBe(59);
+    expect(mockLog.debug).toHaveBeenCalledWith(
+      expect.stringContaining('Rate limit: 59/60 requests left'),
+    );
+  });
+
+  it('retries a rate-limited call', async () => {
+    const db = {
+      getRelease: jest
+        .fn()
+        .mockImplementationOnce((_id, done) => done(apiError(429)))
+        .mockImplementationOnce((_id, done) => done(null, { id: 2 })),
+    };
+
+    expect(await getRelease(db, 2)).toEqual({ id: 2 });
+    expect(db.getRelease).toHaveBeenCalledTimes(2);
+  });
+
+  it('explains a rate limit that outlasts the retries', async () => {
+    configureScheduler({ maxRetries: 1 });
+    const db = {
+      getRelease: jest.fn((_id, done) => done(apiError(429))),
+    };
+
+    expect(await getRelease(db, 3)).toBeNull();
+    expect(mockLog.info).toHaveBeenCalledWith(
+      'Discogs rate limit reached. Wait a minute and try again.',
+    );
+  });
+
+  it('adds to the collection at most once on a server error', async () => {
+    const addRelease = jest.fn((_user, _folder, _id, done) =>
+      done(apiError(503)),
+    );
+    const client = { user: () => ({ collection: () => ({ addRelease }) }) };
+
+    expect(await addToCollection(client, 'me', 1, 4)).toBeNull();
+    expect(addRelease).toHaveBeenCalledTimes(1);
+  });
+});
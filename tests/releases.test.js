@@ -0,0 +1,405 @@
+/**
+ * Tests for releases command with mocked API calls
+ * Uses Jest mocks to verify API interactions without actual network requests
+ */
+import { jest } from '@jest/globals';
+
+// Mock the dependencies before importing the module under test
+const mockGetArtistReleases = jest.fn();
+const mockWriteJsonOutput = jest.fn();
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('../lib/discogs.js', () => ({
+  getArtistReleases: mockGetArtistReleases,
+  buildDiscogsUrl: (type, id) => `https://www.discogs.com/${type}/${id}`,
+}));
+
+jest.unstable_mockModule('../lib/output.js', () => ({
+  writeJsonOutput: mockWriteJsonOutput,
+}));
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+}));
+
+// Import after mocking
+const {
+  buildReleasesCommand,
+  buildReleasesOutput,
+  fetchArtistReleases,
+  filterByRole,
+  formatArtistRelease,
+  handleReleases,
+  paginate,
+  parseReleasesArgs,
+  releasesCommand,
+} = await import('../lib/commands/releases.js');
+
+/**
+ * Build an artist release as returned by the API
+ */
+function release(id, role, overrides = {}) {
+  return {
+    id,
+    type: 'release',
+    title: `Title ${id}`,
+    artist: 'Bonobo',
+    year: 2000 + id,
+    role,
+    format: 'Vinyl, 12"',
+    ...overrides,
+  };
+}
+
+const defaults = {
+  artistId: '1289',
+  page: 1,
+  sort: 'year',
+  order: 'asc',
+  role: null,
+};
+
+describe('parseReleasesArgs', () => {
+  it('returns error without artist ID', () => {
+    const result = parseReleasesArgs([]);
+
+    expect(result.error).toBe('Please provide an artist ID');
+    expect(result.hint).toContain('releases <artistId>');
+  });
+
+  it('uses defaults with only an artist ID', () => {
+    expect(parseReleasesArgs(['1289'])).toEqual(defaults);
+  });
+
+  it('recognizes role, sort, order and page in any order', () => {
+    expect(parseReleasesArgs(['1289', '3', 'DESC', 'remix', 'title'])).toEqual({
+      artistId: '1289',
+      page: 3,
+      sort: 'title',
+      order: 'desc',
+      role: 'Remix',
+    });
+  });
+
+  it('maps trackappearance role', () => {
+    expect(parseReleasesArgs(['1', 'trackappearance']).role).toBe(
+      'TrackAppearance',
+    );
+  });
+
+  it('rejects unknown options', () => {
+    const result = parseReleasesArgs(['1289', 'bogus']);
+
+    expect(result.error).toBe("Invalid option 'bogus'");
+    expect(result.hint).toContain('remix');
+  });
+
+  it('rejects page zero', () => {
+    expect(parseReleasesArgs(['1289', '0']).error).toBe("Invalid option '0'");
+  });
+});
+
+describe('filterByRole', () => {
+  const releases = [release(1, 'Main'), release(2, 'Remix')];
+
+  it('keeps only the given role', () => {
+    expect(filterByRole(releases, 'Remix')).toEqual([releases[1]]);
+  });
+
+  it('returns everything without a role', () => {
+    expect(filterByRole(releases, null)).toBe(releases);
+  });
+});
+
+describe('paginate', () => {
+  const items = [1, 2, 3, 4, 5, 6, 7];
+
+  it('slices the requested page', () => {
+    expect(paginate(items, 2, 3)).toEqual({
+      items: [4, 5, 6],
+      pagination: { page: 2, pages: 3, per_page: 3, items: 7 },
+    });
+  });
+
+  it('returns an empty page beyond the end', () => {
+    expect(paginate(items, 5, 3).items).toEqual([]);
+  });
+
+  it('reports one page for an empty list', () => {
+    expect(paginate([], 1, 5).pagination.pages).toBe(1);
+  });
+});
+
+describe('formatArtistRelease', () => {
+  it('formats id, type, year, title, format and role', () => {
+    expect(formatArtistRelease(release(1, 'Remix'))).toBe(
+      '  1 | release | 2001 | Bonobo - Title 1 | Vinyl, 12" | Remix',
+    );
+  });
+
+  it('skips missing fields', () => {
+    expect(
+      formatArtistRelease({ id: 5, type: 'master', artist: 'A', title: 'B' }),
+    ).toBe('  5 | master | A - B');
+  });
+});
+
+describe('buildReleasesCommand', () => {
+  it('builds the minimal command for defaults', () => {
+    expect(buildReleasesCommand(defaults, 2)).toBe('releases 1289 2');
+  });
+
+  it('includes role, sort and order when set', () => {
+    const options = {
+      ...defaults,
+      role: 'Remix',
+      sort: 'title',
+      order: 'desc',
+    };
+
+    expect(buildReleasesCommand(options, 3)).toBe(
+      'releases 1289 remix title desc 3',
+    );
+  });
+});
+
+describe('buildReleasesOutput (pure function)', () => {
+  it('builds output with params, pagination and release urls', () => {
+    const listing = {
+      releases: [release(1, 'Main', { type: 'master', label: 'Ninja Tune' })],
+      pagination: { page: 1, pages: 4, per_page: 5, items: 20 },
+    };
+
+    expect(buildReleasesOutput(1289, defaults, listing)).toEqual({
+      type: 'releases',
+      params: {
+        artistId: 1289,
+        sort: 'year',
+        order: 'asc',
+        role: null,
+        page: 1,
+        per_page: 5,
+      },
+      result: {
+        pagination: listing.pagination,
+        releases: [
+          {
+            id: 1,
+            type: 'master',
+            title: 'Title 1',
+            artist: 'Bonobo',
+            year: 2001,
+            role: 'Main',
+            format: 'Vinyl, 12"',
+            label: 'Ninja Tune',
+            url: 'https://www.discogs.com/master/1',
+          },
+        ],
+      },
+    });
+  });
+});
+
+describe('fetchArtistReleases', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('requests a single API page without a role filter', async () => {
+    mockGetArtistReleases.mockResolvedValue({
+      pagination: { page: 2, pages: 9, items: 42 },
+      releases: [release(1, 'Main')],
+    });
+
+    const listing = await fetchArtistReleases(
+      {},
+      1289,
+      { page: 2, perPage: 5, sort: 'title', order: 'desc', role: null },
+      true,
+    );
+
+    expect(mockGetArtistReleases).toHaveBeenCalledWith(
+      {},
+      1289,
+      { sort: 'title', sort_order: 'desc', page: 2, per_page: 5 },
+      true,
+    );
+    expect(listing.pagination).toEqual({
+      page: 2,
+      pages: 9,
+      per_page: 5,
+      items: 42,
+    });
+  });
+
+  it('walks every API page and filters by role', async () => {
+    mockGetArtistReleases
+      .mockResolvedValueOnce({
+        pagination: { page: 1, pages: 2 },
+        releases: [release(1, 'Main'), release(2, 'Remix')],
+      })
+      .mockResolvedValueOnce({
+        pagination: { page: 2, pages: 2 },
+        releases: [release(3, 'Remix'), release(4, 'Remix')],
+      });
+
+    const listing = await fetchArtistReleases({}, 1289, {
+      page: 1,
+      perPage: 2,
+      sort: 'year',
+      order: 'asc',
+      role: 'Remix',
+    });
+
+    expect(mockGetArtistReleases).toHaveBeenCalledTimes(2);
+    expect(mockGetArtistReleases).toHaveBeenLastCalledWith(
+      {},
+      1289,
+      { sort: 'year', sort_order: 'asc', page: 2, per_page: 100 },
+      false,
+    );
+    expect(listing.releases.map((r) => r.id)).toEqual([2, 3]);
+    expect(listing.pagination).toEqual({
+      page: 1,
+      pages: 2,
+      per_page: 2,
+      items: 3,
+    });
+  });
+
+  it('returns null when the API fails', async () => {
+    mockGetArtistReleases.mockResolvedValue(null);
+
+    expect(
+      await fetchArtistReleases({}, 1, {
+        ...defaults,
+        perPage: 5,
+        role: 'Main',
+      }),
+    ).toBeNull();
+  });
+});
+
+describe('handleReleases', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rejects non-numeric IDs', async () => {
+    await handleReleases({}, { ...defaults, artistId: 'abc' }, {});
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Invalid ID. Please provide a numeric ID.',
+    );
+    expect(mockGetArtistReleases).not.toHaveBeenCalled();
+  });
+
+  it('uses the session per_page setting', async () => {
+    mockGetArtistReleases.mockResolvedValue({ pagination: {}, releases: [] });
+
+    await handleReleases({}, defaults, { per_page: 25 });
+
+    expect(mockGetArtistReleases).toHaveBeenCalledWith(
+      {},
+      1289,
+      expect.objectContaining({ per_page: 25 }),
+      false,
+    );
+  });
+
+  it('warns when fetching fails', async () => {
+    mockGetArtistReleases.mockResolvedValue(null);
+
+    await handleReleases({}, defaults, { per_page: 5 });
+
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'Could not fetch releases for artist #1289.',
+    );
+  });
+
+  it('warns when there are no releases', async () => {
+    mockGetArtistReleases.mockResolvedValue({
+      pagination: { pages: 1, items: 0 },
+      releases: [],
+    });
+
+    await handleReleases({}, defaults, { per_page: 5 });
+
+    expect(mockLog.warn).toHaveBeenCalledWith('No releases found :(');
+    expect(mockWriteJsonOutput).not.toHaveBeenCalled();
+  });
+
+  it('displays the page and hints at the next one', async () => {
+    mockGetArtistReleases.mockResolvedValue({
+      pagination: { pages: 3, items: 12 },
+      releases: [release(1, 'Main')],
+    });
+
+    await handleReleases({}, defaults, { per_page: 5 });
+
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Page 1 of 3 (12 release(s)):',
+    );
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  1 | release | 2001 | Bonobo - Title 1 | Vinyl, 12" | Main',
+    );
+    expect(mockLog.info).toHaveBeenCalledWith(
+      "Type 'releases 1289 2' for the next page.",
+    );
+  });
+
+  it('does not hint on the last page', async () => {
+    mockGetArtistReleases.mockResolvedValue({
+      pagination: { pages: 1, items: 1 },
+      releases: [release(1, 'Main')],
+    });
+
+    await handleReleases({}, defaults, { per_page: 5 });
+
+    expect(mockLog.info).not.toHaveBeenCalledWith(
+      expect.stringContaining('for the next page'),
+    );
+  });
+
+  it('writes releases JSON output', async () => {
+    mockGetArtistReleases.mockResolvedValue({
+      pagination: { pages: 1, items: 1 },
+      releases: [release(1, 'Main')],
+    });
+
+    await handleReleases({}, defaults, { per_page: 5 });
+
+    expect(mockWriteJsonOutput).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'releases' }),
+    );
+  });
+});
+
+describe('releasesCommand', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('has alias rel and requires an artist ID', () => {
+    expect(releasesCommand.aliases).toContain('rel');
+    expect(releasesCommand.minArgs).toBe(1);
+  });
+
+  it('shows error and hint for invalid options', async () => {
+    const ctx = { db: {}, sessionFlags: { per_page: 5 } };
+
+    const result = await releasesCommand.handler(['1289', 'nope'], ctx);
+
+    expect(result).toBe(true);
+    expect(mockLog.error).toHaveBeenCalledWith("Invalid option 'nope'");
+    expect(mockGetArtistReleases).not.toHaveBeenCalled();
+  });
+});
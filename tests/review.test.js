@@ -0,0 +1,416 @@
+/**
+ * Tests for the playlist review queue
+ * Pure helpers run without mocks; handleReview uses mocked prompts, API and files
+ */
+import { jest } from '@jest/globals';
+
+// Mock the dependencies before importing the module under test
+const mockSelect = jest.fn();
+const mockInput = jest.fn();
+const mockSearchDiscogs = jest.fn();
+const mockGetMaster = jest.fn();
+const mockGetRelease = jest.fn();
+const mockReadJsonOutput = jest.fn();
+const mockUpdateJsonOutput = jest.fn();
+const mockDescribeAuthMethod = jest.fn();
+const mockFetchOwnedIndex = jest.fn();
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('@inquirer/prompts', () => ({
+  select: mockSelect,
+  input: mockInput,
+}));
+
+jest.unstable_mockModule('node:fs', () => ({
+  existsSync: (path) => !path.includes('missing'),
+  readFileSync: jest.fn(),
+}));
+
+jest.unstable_mockModule('../lib/discogs.js', () => ({
+  searchDiscogs: mockSearchDiscogs,
+  searchDiscogsPage: jest.fn(),
+  getMaster: mockGetMaster,
+  getRelease: mockGetRelease,
+  formatResult: (result) => `  ${result.id} | ${result.title}`,
+  buildDiscogsUrlFromUri: (uri) => `https://www.discogs.com${uri}`,
+}));
+
+jest.unstable_mockModule('../lib/output.js', () => ({
+  readJsonOutput: mockReadJsonOutput,
+  updateJsonOutput: mockUpdateJsonOutput,
+  writeJsonOutput: jest.fn(),
+}));
+
+// Refined searches check ownership; the collection is fetched by a mock
+jest.unstable_mockModule('../lib/auth.js', () => ({
+  describeAuthMethod: mockDescribeAuthMethod,
+}));
+
+jest.unstable_mockModule('../lib/commands/collection.js', () => ({
+  fetchOwnedIndex: mockFetchOwnedIndex,
+}));
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+  writeLog: jest.fn(),
+}));
+
+// Import after mocking
+const {
+  applyPick,
+  applySkip,
+  buildReviewChoices,
+  getReviewQueue,
+  handleReview,
+  reviewCommand,
+  REVIEW_ACTIONS,
+} = await import('../lib/commands/review.js');
+const { buildOwnedIndex } = await import('../lib/collection.js');
+
+const candidate = {
+  id: 10,
+  type: 'master',
+  title: 'Pretty Lights - Rainbows & Waterfalls',
+  year: 2017,
+  format: [],
+  catno: '',
+  uri: '/master/10',
+  confidence: 0.55,
+  scores: { artist: 1 },
+};
+
+const makeEntry = (overrides = {}) => ({
+  line: 2,
+  title: 'Rainbows & Waterfalls',
+  artist: 'Pretty Lights',
+  album: 'Rainbows & Waterfalls',
+  isrc: 'QMUY41700198',
+  match: null,
+  candidates: [candidate],
+  needsReview: true,
+  ...overrides,
+});
+
+describe('getReviewQueue (pure function)', () => {
+  it('returns entries that need review without a decision', () => {
+    const pending = makeEntry();
+    const entries = [
+      pending,
+      makeEntry({ needsReview: false }),
+      makeEntry({ review: { status: 'skipped' } }),
+    ];
+
+    expect(getReviewQueue(entries)).toEqual([pending]);
+  });
+});
+
+describe('buildReviewChoices (pure function)', () => {
+  it('lists candidates via formatResult with confidence', () => {
+    const choices = buildReviewChoices(makeEntry());
+
+    expect(choices[0]).toEqual({
+      name: '10 | Pretty Lights - Rainbows & Waterfalls (confidence: 0.55)',
+      value: 0,
+    });
+  });
+
+  it('appends search, skip and stop actions', () => {
+    const values = buildReviewChoices(makeEntry({ candidates: [] })).map(
+      (c) => c.value,
+    );
+
+    expect(values).toEqual([
+      REVIEW_ACTIONS.search,
+      REVIEW_ACTIONS.skip,
+      REVIEW_ACTIONS.stop,
+    ]);
+  });
+});
+
+describe('applyPick (pure function)', () => {
+  it('sets the match and clears needsReview', () => {
+    const entry = applyPick(makeEntry(), candidate, '2026-01-01T00:00:00Z');
+
+    expect(entry.match).toEqual(
+      expect.objectContaining({
+        id: 10,
+        type: 'master',
+        url: 'https://www.discogs.com/master/10',
+        confidence: 0.55,
+      }),
+    );
+    expect(entry.needsReview).toBe(false);
+    expect(entry.review).toEqual({
+      status: 'picked',
+      query: null,
+      reviewedAt: '2026-01-01T00:00:00Z',
+    });
+  });
+
+  it('records the refined query', () => {
+    const entry = applyPick(makeEntry(), candidate, 'now', 'pretty lights');
+
+    expect(entry.review.query).toBe('pretty lights');
+  });
+
+  it('keeps the owned copies of the picked candidate', () => {
+    const owned = [{ releaseId: 11, samePressing: false }];
+    const entry = applyPick(makeEntry(), { ...candidate, owned }, 'now');
+
+    expect(entry.match.owned).toEqual(owned);
+  });
+});
+
+describe('applySkip (pure function)', () => {
+  it('records the skip and keeps needsReview', () => {
+    const entry = applySkip(makeEntry(), 'now');
+
+    expect(entry.review).toEqual({ status: 'skipped', reviewedAt: 'now' });
+    expect(entry.needsReview).toBe(true);
+  });
+});
+
+describe('handleReview', () => {
+  const flags = { per_page: 5, verbose: false };
+  let output;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    output = {
+      type: 'playlist',
+      params: { searchType: 'release' },
+      result: {
+        matched: 0,
+        needsReview: 2,
+        total: 2,
+        tracks: [makeEntry(), makeEntry({ line: 3 })],
+      },
+    };
+    mockReadJsonOutput.mockReturnValue(output);
+  });
+
+  it('logs error when file does not exist', async () => {
+    await handleReview({}, null, '/tmp/missing.json', flags);
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      expect.stringContaining('Playlist output not found'),
+    );
+  });
+
+  it('rejects non-playlist outputs', async () => {
+    mockReadJsonOutput.mockReturnValue({ type: 'search' });
+
+    await handleReview({}, null, '/tmp/search.json', flags);
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      expect.stringContaining('Not a playlist output file'),
+    );
+  });
+
+  it('rejects files that are not valid JSON', async () => {
+    mockReadJsonOutput.mockImplementationOnce(() => {
+      throw new SyntaxError('Unexpected end of JSON input');
+    });
+
+    await handleReview({}, null, '/tmp/truncated.json', flags);
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Not a valid JSON output file: /tmp/truncated.json',
+    );
+  });
+
+  it('reports when nothing needs review', async () => {
+    output.result.tracks = [makeEntry({ needsReview: false })];
+
+    await handleReview({}, null, '/tmp/p.json', flags);
+
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Nothing to review - all matches are confirmed.',
+    );
+    expect(mockSelect).not.toHaveBeenCalled();
+  });
+
+  it('writes each decision back to the JSON file', async () => {
+    mockSelect.mockResolvedValueOnce(0).mockResolvedValueOnce('__skip');
+
+    await handleReview({}, null, '/tmp/p.json', flags);
+
+    expect(mockUpdateJsonOutput).toHaveBeenCalledTimes(2);
+    const saved = mockUpdateJsonOutput.mock.calls[1][1];
+    expect(saved.result.tracks[0].review.status).toBe('picked');
+    expect(saved.result.tracks[1].review.status).toBe('skipped');
+    expect(saved.result.matched).toBe(1);
+    expect(saved.result.needsReview).toBe(1);
+  });
+
+  it('stops without saving further decisions', async () => {
+    mockSelect.mockResolvedValueOnce('__stop');
+
+    await handleReview({}, null, '/tmp/p.json', flags);
+
+    expect(mockUpdateJsonOutput).not.toHaveBeenCalled();
+    expect(mockLog.info).toHaveBeenCalledWith('2 track(s) left to review.');
+  });
+
+  it('re-searches with a refined query and picks from new candidates', async () => {
+    mockSelect
+      .mockResolvedValueOnce('__search')
+      .mockResolvedValueOnce(0)
+      .mockResolvedValueOnce('__stop');
+    mockInput.mockResolvedValue('pretty lights rainbows');
+    mockSearchDiscogs.mockResolvedValue([
+      {
+        id: 99,
+        title: 'Pretty Lights - Rainbows & Waterfalls',
+        type: 'release',
+        uri: '/release/99',
+      },
+    ]);
+
+    await handleReview({}, null, '/tmp/p.json', flags);
+
+    expect(mockSearchDiscogs).toHaveBeenCalledWith(
+      {},
+      'pretty lights rainbows',
+      'release',
+      5,
+      false,
+    );
+    const saved = mockUpdateJsonOutput.mock.calls[0][1];
+    expect(saved.result.tracks[0].match.id).toBe(99);
+    expect(saved.result.tracks[0].review.query).toBe('pretty lights rainbows');
+  });
+
+  it('marks owned copies on refined search candidates', async () => {
+    const client = { auth: { token: 'token' } };
+    mockDescribeAuthMethod.mockReturnValue('personal token');
+    mockFetchOwnedIndex.mockResolvedValue(
+      buildOwnedIndex([
+        {
+          id: 99,
+          instanceId: 990,
+          folderId: 1,
+          masterId: 9,
+          artist: 'Pretty Lights',
+          title: 'Rainbows & Waterfalls',
+          year: 2010,
+          format: 'Vinyl, 12"',
+          catno: 'PL01',
+        },
+      ]),
+    );
+    mockSelect
+      .mockResolvedValueOnce('__search')
+      .mockResolvedValueOnce(0)
+      .mockResolvedValueOnce('__search')
+      .mockResolvedValueOnce('__stop');
+    mockInput.mockResolvedValue('pretty lights rainbows');
+    mockSearchDiscogs.mockResolvedValue([
+      {
+        id: 99,
+        title: 'Pretty Lights - Rainbows & Waterfalls',
+        type: 'release',
+        uri: '/release/99',
+      },
+    ]);
+
+    await handleReview({}, client, '/tmp/p.json', flags);
+
+    expect(mockFetchOwnedIndex).toHaveBeenCalledTimes(1);
+    expect(mockFetchOwnedIndex).toHaveBeenCalledWith(client, false);
+    const saved = mockUpdateJsonOutput.mock.calls[0][1];
+    expect(saved.result.tracks[0].match.owned).toEqual([
+      expect.objectContaining({ releaseId: 99, samePressing: true }),
+    ]);
+  });
+
+  it('skips the owned check when owned_check is off', async () => {
+    mockDescribeAuthMethod.mockReturnValue('personal token');
+    mockSelect.mockResolvedValueOnce('__stop');
+
+    await handleReview({}, { auth: {} }, '/tmp/p.json', {
+      ...flags,
+      owned_check: false,
+    });
+
+    expect(mockFetchOwnedIndex).not.toHaveBeenCalled();
+  });
+
+  it('records the tracklist position of the picked release', async () => {
+    mockSelect
+      .mockResolvedValueOnce('__search')
+      .mockResolvedValueOnce(0)
+      .mockResolvedValueOnce('__stop');
+    mockInput.mockResolvedValue('pretty lights');
+    mockSearchDiscogs.mockResolvedValue([
+      { id: 99, title: 'Pretty Lights - Singles', type: 'release' },
+    ]);
+    mockGetRelease.mockResolvedValueOnce({
+      tracklist: [
+        { position: 'B2', title: 'Rainbows & Waterfalls', duration: '6:12' },
+      ],
+    });
+
+    await handleReview({}, null, '/tmp/p.json', flags);
+
+    expect(mockGetRelease).toHaveBeenCalledWith({}, 99, false);
+    const saved = mockUpdateJsonOutput.mock.calls[0][1];
+    expect(saved.result.tracks[0].match.track).toEqual({
+      position: 'B2',
+      title: 'Rainbows & Waterfalls',
+      duration: '6:12',
+      score: 1,
+    });
+  });
+
+  it('treats Ctrl+C as stop', async () => {
+    const error = new Error('cancelled');
+    error.name = 'ExitPromptError';
+    mockSelect.mockRejectedValueOnce(error);
+
+    await expect(handleReview({}, null, '/tmp/p.json', flags)).resolves.toBe(
+      undefined,
+    );
+    expect(mockLog.success).toHaveBeenCalledWith(
+      expect.stringContaining('Review saved to'),
+    );
+  });
+});
+
+describe('reviewCommand', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('has correct command metadata', () => {
+    expect(reviewCommand.name).toBe('review');
+    expect(reviewCommand.aliases).toContain('r');
+    expect(reviewCommand.minArgs).toBe(0);
+  });
+
+  it('errors when there is no playlist output to review', async () => {
+    const result = await reviewCommand.handler([], { sessionFlags: {} });
+
+    expect(result).toBe(true);
+    expect(mockLog.error).toHaveBeenCalledWith('No playlist output to review.');
+  });
+
+  it('defaults to the last playlist output', async () => {
+    mockReadJsonOutput.mockReturnValue({ type: 'search' });
+
+    await reviewCommand.handler([], {
+      sessionFlags: {},
+      lastPlaylistOutput: '/tmp/last.json',
+    });
+
+    expect(mockReadJsonOutput).toHaveBeenCalledWith('/tmp/last.json');
+  });
+});
@@ -5,7 +5,7 @@
 import { jest } from '@jest/globals';
 
 // Mock the dependencies before importing the module under test
-const mockSearchDiscogs = jest.fn();
+const mockSearchDiscogsPage = jest.fn();
 const mockWriteJsonOutput = jest.fn();
 const mockLog = {
   plain: jest.fn(),
@@ -17,7 +17,7 @@ const mockLog = {
 };
 
 jest.unstable_mockModule('../lib/discogs.js', () => ({
-  searchDiscogs: mockSearchDiscogs,
+  searchDiscogsPage: mockSearchDiscogsPage,
   formatResult: (result) => `  ${result.id} | ${result.title}`,
   buildDiscogsUrlFromUri: (uri) => `https://www.discogs.com${uri}`,
 }));
@@ -28,12 +28,41 @@ jest.unstable_mockModule('../lib/output.js', () => ({
 
 jest.unstable_mockModule('../lib/logger.js', () => ({
   log: mockLog,
+  writeLog: jest.fn(),
 }));
 
 // Import after mocking
-const { handleSearch, searchCommand, buildSearchOutput } = await import(
-  '../lib/commands/search.js'
-);
+const {
+  handleSearch,
+  searchCommand,
+  nextCommand,
+  prevCommand,
+  pageCommand,
+  buildSearchOutput,
+  buildMatch,
+  fetchSearchPages,
+  resolveSearchPage,
+  parseSearchArgs,
+  pickSearchFields,
+  splitYearRange,
+  isInYearRange,
+} = await import('../lib/commands/search.js');
+
+/**
+ * Build a searchDiscogsPage() response
+ */
+function searchPage(results, pagination = {}) {
+  return {
+    results,
+    pagination: {
+      page: 1,
+      pages: 1,
+      per_page: 5,
+      items: results.length,
+      ...pagination,
+    },
+  };
+}
 
 describe('handleSearch', () => {
   beforeEach(() => {
@@ -48,61 +77,57 @@ describe('handleSearch', () => {
   };
 
   it('calls searchDiscogs with correct parameters', async () => {
-    mockSearchDiscogs.mockResolvedValue([]);
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
 
     await handleSearch(mockDb, 'Daft Punk', defaultFlags);
 
-    expect(mockSearchDiscogs).toHaveBeenCalledTimes(1);
-    expect(mockSearchDiscogs).toHaveBeenCalledWith(
+    expect(mockSearchDiscogsPage).toHaveBeenCalledTimes(1);
+    expect(mockSearchDiscogsPage).toHaveBeenCalledWith(
       mockDb,
       'Daft Punk',
-      null,
-      5,
+      { type: null, page: 1, per_page: 5 },
       false,
     );
   });
 
   it('passes type filter to searchDiscogs', async () => {
-    mockSearchDiscogs.mockResolvedValue([]);
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
     const flags = { ...defaultFlags, type: 'master' };
 
     await handleSearch(mockDb, 'Bonobo', flags);
 
-    expect(mockSearchDiscogs).toHaveBeenCalledWith(
+    expect(mockSearchDiscogsPage).toHaveBeenCalledWith(
       mockDb,
       'Bonobo',
-      'master',
-      5,
+      { type: 'master', page: 1, per_page: 5 },
       false,
     );
   });
 
   it('passes per_page setting to searchDiscogs', async () => {
-    mockSearchDiscogs.mockResolvedValue([]);
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
     const flags = { ...defaultFlags, per_page: 10 };
 
     await handleSearch(mockDb, 'Tycho', flags);
 
-    expect(mockSearchDiscogs).toHaveBeenCalledWith(
+    expect(mockSearchDiscogsPage).toHaveBeenCalledWith(
       mockDb,
       'Tycho',
-      null,
-      10,
+      { type: null, page: 1, per_page: 10 },
       false,
     );
   });
 
   it('passes verbose flag to searchDiscogs', async () => {
-    mockSearchDiscogs.mockResolvedValue([]);
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
     const flags = { ...defaultFlags, verbose: true };
 
     await handleSearch(mockDb, 'Boards of Canada', flags);
 
-    expect(mockSearchDiscogs).toHaveBeenCalledWith(
+    expect(mockSearchDiscogsPage).toHaveBeenCalledWith(
       mockDb,
       'Boards of Canada',
-      null,
-      5,
+      { type: null, page: 1, per_page: 5 },
       true,
     );
   });
@@ -117,7 +142,7 @@ describe('handleSearch', () => {
         uri: '/master/123',
       },
     ];
-    mockSearchDiscogs.mockResolvedValue(mockResults);
+    mockSearchDiscogsPage.mockResolvedValue(searchPage(mockResults));
 
     await handleSearch(mockDb, 'Daft Punk', defaultFlags);
 
@@ -147,7 +172,7 @@ describe('handleSearch', () => {
   });
 
   it('does not write JSON output when no results found', async () => {
-    mockSearchDiscogs.mockResolvedValue([]);
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
 
     await handleSearch(mockDb, 'nonexistent artist xyz123', defaultFlags);
 
@@ -155,7 +180,7 @@ describe('handleSearch', () => {
   });
 
   it('logs warning when no results found', async () => {
-    mockSearchDiscogs.mockResolvedValue([]);
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
 
     await handleSearch(mockDb, 'nonexistent', defaultFlags);
 
@@ -168,7 +193,7 @@ describe('handleSearch', () => {
       { id: 2, title: 'Album 2' },
       { id: 3, title: 'Album 3' },
     ];
-    mockSearchDiscogs.mockResolvedValue(mockResults);
+    mockSearchDiscogsPage.mockResolvedValue(searchPage(mockResults));
 
     await handleSearch(mockDb, 'test', defaultFlags);
 
@@ -180,7 +205,7 @@ describe('handleSearch', () => {
       { id: 111, title: 'First Album' },
       { id: 222, title: 'Second Album' },
     ];
-    mockSearchDiscogs.mockResolvedValue(mockResults);
+    mockSearchDiscogsPage.mockResolvedValue(searchPage(mockResults));
 
     await handleSearch(mockDb, 'test', defaultFlags);
 
@@ -188,6 +213,524 @@ describe('handleSearch', () => {
     expect(mockLog.plain).toHaveBeenCalledWith('  111 | First Album');
     expect(mockLog.plain).toHaveBeenCalledWith('  222 | Second Album');
   });
+
+  it('hints at the artist command when artists are found', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(
+      searchPage([{ id: 1289, title: 'Bonobo', type: 'artist' }]),
+    );
+
+    await handleSearch(mockDb, 'Bonobo', defaultFlags);
+
+    expect(mockLog.info).toHaveBeenCalledWith(
+      "Type 'artist <id>' to see an artist's details.",
+    );
+  });
+
+  it('hints at the label command when labels are found', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(
+      searchPage([{ id: 23528, title: 'Ninja Tune', type: 'label' }]),
+    );
+
+    await handleSearch(mockDb, 'Ninja Tune', defaultFlags);
+
+    expect(mockLog.info).toHaveBeenCalledWith(
+      "Type 'label <id>' to see a label's details.",
+    );
+  });
+
+  it('does not hint at the artist command for releases', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(
+      searchPage([{ id: 1, title: 'Album', type: 'master' }]),
+    );
+
+    await handleSearch(mockDb, 'Album', defaultFlags);
+
+    expect(mockLog.info).not.toHaveBeenCalledWith(
+      "Type 'artist <id>' to see an artist's details.",
+    );
+  });
+});
+
+describe('handleSearch paging', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const flags = { type: 'master', per_page: 5, verbose: false };
+  const results = [{ id: 1, title: 'Album', type: 'master' }];
+
+  it('fetches the requested page and returns the search state', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(
+      searchPage(results, { page: 2, pages: 4, items: 18 }),
+    );
+
+    const state = await handleSearch({}, 'Bonobo', flags, { page: 2 });
+
+    expect(mockSearchDiscogsPage).toHaveBeenCalledWith(
+      {},
+      'Bonobo',
+      { type: 'master', page: 2, per_page: 5 },
+      false,
+    );
+    expect(state).toEqual({
+      query: 'Bonobo',
+      type: 'master',
+      fields: {},
+      perPage: 5,
+      page: 2,
+      pages: 4,
+    });
+    expect(mockLog.info).toHaveBeenCalledWith(
+      'Page 2 of 4 (18 result(s) in total).',
+    );
+    expect(mockLog.info).toHaveBeenCalledWith(
+      "Type 'next' for the next page, or 'page <n>' to jump.",
+    );
+  });
+
+  it('does not hint at next on the last page', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(searchPage(results));
+
+    await handleSearch({}, 'Bonobo', flags);
+
+    expect(mockLog.info).not.toHaveBeenCalledWith(
+      expect.stringContaining("'next'"),
+    );
+  });
+
+  it('collects several pages into one JSON output', async () => {
+    mockSearchDiscogsPage
+      .mockResolvedValueOnce(searchPage(results, { pages: 3, items: 3 }))
+      .mockResolvedValueOnce(
+        searchPage([{ id: 2, title: 'Two' }], { page: 2, pages: 3, items: 3 }),
+      );
+
+    const state = await handleSearch({}, 'Bonobo', flags, { pages: 2 });
+
+    expect(mockSearchDiscogsPage).toHaveBeenCalledTimes(2);
+    expect(state.page).toBe(2);
+    expect(mockLog.info).toHaveBeenCalledWith(
+      'Pages 1-2 of 3 (3 result(s) in total).',
+    );
+    expect(mockWriteJsonOutput).toHaveBeenCalledTimes(1);
+    expect(mockWriteJsonOutput.mock.calls[0][0].result.tracks).toHaveLength(2);
+  });
+
+  it('returns undefined when nothing is found', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(null);
+
+    expect(await handleSearch({}, 'zzz', flags)).toBeUndefined();
+    expect(mockLog.warn).toHaveBeenCalledWith('No results found :(');
+  });
+});
+
+describe('fetchSearchPages', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('stops at the last available page', async () => {
+    mockSearchDiscogsPage
+      .mockResolvedValueOnce(searchPage([{ id: 1 }], { pages: 2, items: 2 }))
+      .mockResolvedValueOnce(
+        searchPage([{ id: 2 }], { page: 2, pages: 2, items: 2 }),
+      );
+
+    const data = await fetchSearchPages({}, 'q', {
+      type: null,
+      perPage: 1,
+      page: 1,
+      pages: Infinity,
+    });
+
+    expect(mockSearchDiscogsPage).toHaveBeenCalledTimes(2);
+    expect(data.results.map((r) => r.id)).toEqual([1, 2]);
+    expect(data.pagination).toEqual({
+      page: 1,
+      lastPage: 2,
+      pages: 2,
+      per_page: 1,
+      items: 2,
+    });
+  });
+
+  it('returns null when a page fails', async () => {
+    mockSearchDiscogsPage
+      .mockResolvedValueOnce(searchPage([{ id: 1 }], { pages: 2 }))
+      .mockResolvedValueOnce(null);
+
+    expect(
+      await fetchSearchPages({}, 'q', {
+        type: null,
+        perPage: 1,
+        page: 1,
+        pages: 2,
+      }),
+    ).toBeNull();
+  });
+});
+
+describe('resolveSearchPage (pure function)', () => {
+  const lastSearch = {
+    query: 'Bonobo',
+    type: null,
+    perPage: 5,
+    page: 2,
+    pages: 3,
+  };
+
+  it('requires a previous search', () => {
+    expect(resolveSearchPage(null, 'next')).toEqual({
+      error: 'No search to page through',
+      hint: "Type 'search <query>' first.",
+    });
+  });
+
+  it('moves to the next and previous page', () => {
+    expect(resolveSearchPage(lastSearch, 'next')).toEqual({ page: 3 });
+    expect(resolveSearchPage(lastSearch, 'prev')).toEqual({ page: 1 });
+  });
+
+  it('stops at the first and last page', () => {
+    expect(resolveSearchPage({ ...lastSearch, page: 3 }, 'next').error).toBe(
+      'Already on the last page (3)',
+    );
+    expect(resolveSearchPage({ ...lastSearch, page: 1 }, 'prev').error).toBe(
+      'Already on the first page',
+    );
+  });
+
+  it('jumps to a page in range', () => {
+    expect(resolveSearchPage(lastSearch, '3')).toEqual({ page: 3 });
+  });
+
+  it('rejects pages out of range or not numeric', () => {
+    expect(resolveSearchPage(lastSearch, '4')).toEqual({
+      error: "Invalid page '4'",
+      hint: 'Pick a page from 1 to 3.',
+    });
+    expect(resolveSearchPage(lastSearch, 'two').error).toBe(
+      "Invalid page 'two'",
+    );
+  });
+});
+
+describe('parseSearchArgs (pure function)', () => {
+  it('keeps plain words as the query', () => {
+    expect(parseSearchArgs(['Daft', 'Punk'])).toEqual({
+      query: 'Daft Punk',
+      fields: {},
+    });
+  });
+
+  it('extracts field filters in any position', () => {
+    expect(
+      parseSearchArgs([
+        'artist:"Bonobo',
+        'live',
+        'format:Vinyl',
+        'YEAR:2010-2015',
+      ]),
+    ).toEqual({
+      query: 'live',
+      fields: { artist: 'Bonobo', format: 'Vinyl', year: '2010-2015' },
+    });
+  });
+
+  it('keeps unknown key:value words in the query', () => {
+    expect(parseSearchArgs(['Live:', '1999', 'mood:chill']).query).toBe(
+      'Live: 1999 mood:chill',
+    );
+  });
+
+  it('supports multi-word quoted values', () => {
+    expect(parseSearchArgs(['release_title:"Black Sands"']).fields).toEqual({
+      release_title: 'Black Sands',
+    });
+  });
+
+  it('rejects empty values', () => {
+    expect(parseSearchArgs(['label:']).error).toBe("Invalid label filter ''");
+  });
+
+  it('rejects invalid years and ranges', () => {
+    expect(parseSearchArgs(['year:2015-2010'])).toEqual({
+      error: "Invalid year filter '2015-2010'",
+      hint: 'Use a year (2010), a range (2010-2015) or none',
+    });
+    expect(parseSearchArgs(['year:90s']).error).toBe(
+      "Invalid year filter '90s'",
+    );
+  });
+});
+
+describe('pickSearchFields (pure function)', () => {
+  it('keeps only set search fields', () => {
+    expect(
+      pickSearchFields({
+        type: 'master',
+        per_page: 5,
+        artist: 'Bonobo',
+        genre: null,
+        catno: 'ZEN 140',
+      }),
+    ).toEqual({ artist: 'Bonobo', catno: 'ZEN 140' });
+  });
+});
+
+describe('splitYearRange / isInYearRange (pure functions)', () => {
+  it('passes a single year to the API', () => {
+    expect(splitYearRange({ year: '2010', genre: 'Jazz' })).toEqual({
+      apiFields: { year: '2010', genre: 'Jazz' },
+      yearRange: null,
+    });
+  });
+
+  it('splits a range out of the API fields', () => {
+    expect(splitYearRange({ year: '2010-2015', genre: 'Jazz' })).toEqual({
+      apiFields: { genre: 'Jazz' },
+      yearRange: { from: 2010, to: 2015 },
+    });
+  });
+
+  it('checks results against the range', () => {
+    const range = { from: 2010, to: 2015 };
+
+    expect(isInYearRange({ year: '2012' }, range)).toBe(true);
+    expect(isInYearRange({ year: '2016' }, range)).toBe(false);
+    expect(isInYearRange({}, range)).toBe(false);
+    expect(isInYearRange({}, null)).toBe(true);
+  });
+});
+
+describe('search fields', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const flags = { type: null, per_page: 5, verbose: false };
+
+  it('sends fields to the API and records them in params', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(
+      searchPage([{ id: 1, title: 'Bonobo - Black Sands' }]),
+    );
+
+    await handleSearch({}, '', flags, {
+      fields: { artist: 'Bonobo', format: 'Vinyl' },
+    });
+
+    expect(mockSearchDiscogsPage).toHaveBeenCalledWith(
+      {},
+      '',
+      { type: null, page: 1, per_page: 5, artist: 'Bonobo', format: 'Vinyl' },
+      false,
+    );
+    expect(mockWriteJsonOutput.mock.calls[0][0].params).toEqual({
+      query: '',
+      searchType: null,
+      per_page: 5,
+      artist: 'Bonobo',
+      format: 'Vinyl',
+    });
+  });
+
+  it('defaults to the fields set in flags', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
+
+    await handleSearch({}, 'Discovery', { ...flags, country: 'UK' });
+
+    expect(mockSearchDiscogsPage).toHaveBeenCalledWith(
+      {},
+      'Discovery',
+      expect.objectContaining({ country: 'UK' }),
+      false,
+    );
+  });
+
+  it('filters results by a year range', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(
+      searchPage([
+        { id: 1, title: 'Old', year: '2005' },
+        { id: 2, title: 'New', year: '2012' },
+      ]),
+    );
+
+    await handleSearch({}, 'Bonobo', flags, {
+      fields: { year: '2010-2015' },
+    });
+
+    expect(mockSearchDiscogsPage.mock.calls[0][2].year).toBeUndefined();
+    expect(mockLog.success).toHaveBeenCalledWith('Found 1 result(s):');
+    expect(mockLog.info).toHaveBeenCalledWith(
+      '1 result(s) outside year 2010-2015 were left out.',
+    );
+    expect(mockWriteJsonOutput.mock.calls[0][0].params.year).toBe('2010-2015');
+  });
+
+  it('keeps paging when a year range empties a page', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(
+      searchPage([{ id: 1, title: 'Old', year: '2005' }], { pages: 2 }),
+    );
+
+    const state = await handleSearch({}, 'Bonobo', flags, {
+      fields: { year: '2010-2015' },
+    });
+
+    expect(mockLog.warn).toHaveBeenCalledWith('No results found :(');
+    expect(state).toEqual(
+      expect.objectContaining({
+        page: 1,
+        pages: 2,
+        fields: { year: '2010-2015' },
+      }),
+    );
+  });
+
+  it('searchCommand merges session fields with inline fields', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
+    const ctx = {
+      db: {},
+      sessionFlags: { ...flags, genre: 'Jazz', format: 'CD' },
+    };
+
+    await searchCommand.handler(['artist:Bonobo', 'format:Vinyl'], ctx);
+
+    expect(mockSearchDiscogsPage).toHaveBeenCalledWith(
+      {},
+      '',
+      expect.objectContaining({
+        genre: 'Jazz',
+        format: 'Vinyl',
+        artist: 'Bonobo',
+      }),
+      false,
+    );
+  });
+
+  it('searchCommand shows an error for invalid fields', async () => {
+    const ctx = { db: {}, sessionFlags: flags };
+
+    await searchCommand.handler(['year:soon'], ctx);
+
+    expect(mockLog.error).toHaveBeenCalledWith("Invalid year filter 'soon'");
+    expect(mockSearchDiscogsPage).not.toHaveBeenCalled();
+  });
+
+  it('next keeps the fields of the last search', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([{ id: 1 }]));
+    const ctx = {
+      db: {},
+      sessionFlags: { ...flags, genre: 'Rock' },
+      lastSearch: {
+        query: '',
+        type: null,
+        fields: { artist: 'Bonobo' },
+        perPage: 5,
+        page: 1,
+        pages: 2,
+      },
+    };
+
+    await nextCommand.handler([], ctx);
+
+    expect(mockSearchDiscogsPage.mock.calls[0][2]).toEqual({
+      type: null,
+      page: 2,
+      per_page: 5,
+      artist: 'Bonobo',
+    });
+  });
+});
+
+describe('paging commands', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const lastSearch = {
+    query: 'Bonobo',
+    type: 'master',
+    perPage: 10,
+    page: 1,
+    pages: 3,
+  };
+
+  it('searchCommand stores the search state in the session', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(
+      searchPage([{ id: 1, title: 'A' }], { pages: 3 }),
+    );
+    const ctx = {
+      db: {},
+      sessionFlags: { type: null, per_page: 5, verbose: false },
+      lastSearch: null,
+    };
+
+    await searchCommand.handler(['Bonobo'], ctx);
+
+    expect(ctx.lastSearch).toEqual(
+      expect.objectContaining({ query: 'Bonobo', page: 1, pages: 3 }),
+    );
+  });
+
+  it('searchCommand clears the state when nothing is found', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
+    const ctx = {
+      db: {},
+      sessionFlags: { type: null, per_page: 5, verbose: false },
+      lastSearch,
+    };
+
+    await searchCommand.handler(['zzz'], ctx);
+
+    expect(ctx.lastSearch).toBeNull();
+  });
+
+  it('next fetches the following page with the original settings', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(
+      searchPage([{ id: 1, title: 'A' }], { page: 2, pages: 3 }),
+    );
+    const ctx = {
+      db: {},
+      sessionFlags: { type: null, per_page: 5, verbose: false },
+      lastSearch,
+    };
+
+    const result = await nextCommand.handler([], ctx);
+
+    expect(result).toBe(true);
+    expect(mockSearchDiscogsPage).toHaveBeenCalledWith(
+      ctx.db,
+      'Bonobo',
+      { type: 'master', page: 2, per_page: 10 },
+      false,
+    );
+    expect(ctx.lastSearch.page).toBe(2);
+  });
+
+  it('prev reports when already on the first page', async () => {
+    const ctx = { db: {}, sessionFlags: { verbose: false }, lastSearch };
+
+    await prevCommand.handler([], ctx);
+
+    expect(mockLog.error).toHaveBeenCalledWith('Already on the first page');
+    expect(mockSearchDiscogsPage).not.toHaveBeenCalled();
+  });
+
+  it('page keeps the state when the fetch fails', async () => {
+    mockSearchDiscogsPage.mockResolvedValue(null);
+    const ctx = { db: {}, sessionFlags: { verbose: false }, lastSearch };
+
+    await pageCommand.handler(['3'], ctx);
+
+    expect(ctx.lastSearch).toBe(lastSearch);
+  });
+
+  it('has aliases and usage', () => {
+    expect(nextCommand.aliases).toContain('n');
+    expect(prevCommand.aliases).toContain('previous');
+    expect(pageCommand.minArgs).toBe(1);
+    expect(pageCommand.usage).toBe('page <n>');
+  });
 });
 
 describe('searchCommand', () => {
@@ -199,7 +742,7 @@ describe('searchCommand', () => {
     expect(searchCommand.name).toBe('search');
     expect(searchCommand.aliases).toContain('s');
     expect(searchCommand.minArgs).toBe(0);
-    expect(searchCommand.usage).toBe('search <query>');
+    expect(searchCommand.usage).toBe('search <query> [field:value ...]');
   });
 
   it('shows help when called with no args', async () => {
@@ -214,11 +757,11 @@ describe('searchCommand', () => {
     expect(mockLog.info).toHaveBeenCalledWith(
       expect.stringContaining('Search Discogs'),
     );
-    expect(mockSearchDiscogs).not.toHaveBeenCalled();
+    expect(mockSearchDiscogsPage).not.toHaveBeenCalled();
   });
 
   it('calls handleSearch when args provided', async () => {
-    mockSearchDiscogs.mockResolvedValue([]);
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
     const ctx = {
       db: { search: jest.fn() },
       sessionFlags: { type: null, per_page: 5, verbose: false },
@@ -227,17 +770,16 @@ describe('searchCommand', () => {
     const result = await searchCommand.handler(['Daft', 'Punk'], ctx);
 
     expect(result).toBe(true);
-    expect(mockSearchDiscogs).toHaveBeenCalledWith(
+    expect(mockSearchDiscogsPage).toHaveBeenCalledWith(
       ctx.db,
       'Daft Punk',
-      null,
-      5,
+      { type: null, page: 1, per_page: 5 },
       false,
     );
   });
 
   it('joins multiple args into single query', async () => {
-    mockSearchDiscogs.mockResolvedValue([]);
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
     const ctx = {
       db: {},
       sessionFlags: { type: 'master', per_page: 10, verbose: true },
@@ -245,17 +787,16 @@ describe('searchCommand', () => {
 
     await searchCommand.handler(['Boards', 'of', 'Canada'], ctx);
 
-    expect(mockSearchDiscogs).toHaveBeenCalledWith(
+    expect(mockSearchDiscogsPage).toHaveBeenCalledWith(
       ctx.db,
       'Boards of Canada',
-      'master',
-      10,
+      { type: 'master', page: 1, per_page: 10 },
       true,
     );
   });
 
   it('always returns true to continue REPL', async () => {
-    mockSearchDiscogs.mockResolvedValue([]);
+    mockSearchDiscogsPage.mockResolvedValue(searchPage([]));
     const ctx = {
       db: {},
       sessionFlags: { type: null, per_page: 5, verbose: false },
@@ -289,6 +830,7 @@ describe('buildSearchOutput (pure function)', () => {
         per_page: 5,
       },
       result: {
+        pagination: null,
         tracks: [
           {
             title: 'Discovery - Daft Punk',
@@ -307,6 +849,20 @@ describe('buildSearchOutput (pure function)', () => {
     });
   });
 
+  it('includes pagination when given', () => {
+    const pagination = {
+      page: 1,
+      lastPage: 3,
+      pages: 9,
+      per_page: 5,
+      items: 42,
+    };
+
+    const output = buildSearchOutput('test', null, 5, [], pagination);
+
+    expect(output.result.pagination).toEqual(pagination);
+  });
+
   it('handles null type filter', () => {
     const output = buildSearchOutput('query', null, 10, []);
 
@@ -409,3 +965,28 @@ describe('buildSearchOutput (pure function)', () => {
     expect(output.result.tracks[2].match.id).toBe(3);
   });
 });
+
+describe('buildMatch (pure function)', () => {
+  it('builds match info from a search result', () => {
+    const match = buildMatch({
+      id: 42,
+      type: 'release',
+      year: 1999,
+      uri: '/release/42',
+    });
+
+    expect(match).toEqual({
+      type: 'release',
+      year: 1999,
+      url: 'https://www.discogs.com/release/42',
+      id: 42,
+    });
+  });
+
+  it('defaults missing type and year', () => {
+    const match = buildMatch({ id: 1, uri: '/master/1' });
+
+    expect(match.type).toBe('unknown');
+    expect(match.year).toBeNull();
+  });
+});
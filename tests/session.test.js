@@ -0,0 +1,105 @@
+/**
+ * Tests for the interactive session start-up
+ * The prompt answers `exit` right away; credentials live in a temp file
+ */
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { jest } from '@jest/globals';
+
+// Mock the dependencies before importing the module under test
+const mockWriteLog = jest.fn();
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  debug: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+  initLog: jest.fn(),
+  writeLog: mockWriteLog,
+  logApiResponse: jest.fn(),
+}));
+
+jest.unstable_mockModule('../lib/output.js', () => ({
+  ensureDistDir: jest.fn(),
+}));
+
+jest.unstable_mockModule('@inquirer/prompts', () => ({
+  input: jest.fn().mockResolvedValue('exit'),
+  select: jest.fn(),
+}));
+
+jest.unstable_mockModule('../lib/commands/index.js', () => ({
+  executeCommand: jest.fn().mockResolvedValue(false),
+}));
+
+jest.unstable_mockModule('../lib/commands/clean.js', () => ({
+  handleClean: jest.fn(),
+}));
+
+// Import after mocking
+const { configureAuth, saveCredentials } = await import('../lib/auth.js');
+const { fileConfig } = await import('../lib/config.js');
+const { startSession } = await import('../lib/session.js');
+
+describe('startSession', () => {
+  let dir;
+  const savedToken = process.env.DISCOGS_TOKEN;
+  const savedFileToken = fileConfig.DISCOGS_TOKEN;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(process, 'exit').mockImplementation(() => {});
+    dir = mkdtempSync(join(tmpdir(), 'moozhak-session-'));
+    configureAuth({ file: join(dir, 'auth.json') });
+    delete process.env.DISCOGS_TOKEN;
+    delete fileConfig.DISCOGS_TOKEN;
+  });
+
+  afterEach(() => {
+    process.exit.mockRestore();
+    rmSync(dir, { recursive: true, force: true });
+    if (savedToken !== undefined) process.env.DISCOGS_TOKEN = savedToken;
+    if (savedFileToken !== undefined) fileConfig.DISCOGS_TOKEN = savedFileToken;
+  });
+
+  it('greets a user logged in with OAuth and no token', async () => {
+    saveCredentials({
+      consumerKey: 'ckey',
+      consumerSecret: 'csecret',
+      token: 'atoken',
+      tokenSecret: 'asecret',
+    });
+
+    await startSession();
+
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Logged in to Discogs with OAuth',
+    );
+    expect(mockLog.warn).not.toHaveBeenCalled();
+    expect(mockWriteLog).toHaveBeenCalledWith('Auth: OAuth');
+  });
+
+  it('reports a personal token', async () => {
+    await startSession({ token: 'token' });
+
+    expect(mockLog.success).toHaveBeenCalledWith('Discogs token configured');
+    expect(mockWriteLog).toHaveBeenCalledWith('Auth: personal token');
+  });
+
+  it('warns without a token or stored credentials', async () => {
+    await startSession();
+
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'No Discogs token configured. Some features may not work.',
+    );
+    expect(mockWriteLog).toHaveBeenCalledWith('Auth: none');
+  });
+});
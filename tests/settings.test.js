@@ -23,6 +23,7 @@ jest.unstable_mockModule('../lib/logger.js', () => ({
 
 // Import after mocking
 const { handleSet, showSettings } = await import('../lib/commands/settings.js');
+const { recordRateLimit, resetRateLimit } = await import('../lib/ratelimit.js');
 
 describe('handleSet', () => {
   let sessionFlags;
@@ -262,6 +263,24 @@ describe('handleSet', () => {
     });
   });
 
+  describe('owned_check setting', () => {
+    it('turns the playlist owned check off and on', () => {
+      handleSet(['owned_check', 'off'], sessionFlags, mockUpdatePrompt);
+      expect(sessionFlags.owned_check).toBe(false);
+      expect(mockLog.success).toHaveBeenCalledWith('Owned Check: off');
+
+      handleSet(['owned_check', 'on'], sessionFlags, mockUpdatePrompt);
+      expect(sessionFlags.owned_check).toBe(true);
+    });
+
+    it('rejects other values', () => {
+      handleSet(['owned_check', 'maybe'], sessionFlags, mockUpdatePrompt);
+
+      expect(mockLog.error).toHaveBeenCalledWith("Invalid value 'maybe'");
+      expect(sessionFlags.owned_check).toBeUndefined();
+    });
+  });
+
   describe('logging', () => {
     it('writes to log file after successful change', () => {
       handleSet(['type', 'master'], sessionFlags, mockUpdatePrompt);
@@ -279,6 +298,63 @@ describe('handleSet', () => {
   });
 });
 
+describe('search field settings', () => {
+  let sessionFlags;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sessionFlags = { type: null, per_page: 5, artist: null, year: null };
+  });
+
+  it('sets a field keeping its case', () => {
+    handleSet(['artist', 'Boards of Canada'], sessionFlags);
+
+    expect(sessionFlags.artist).toBe('Boards of Canada');
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Artist Filter: Boards of Canada',
+    );
+  });
+
+  it('joins a multi-word value and strips its quotes', () => {
+    handleSet(['artist', 'Daft', 'Punk'], sessionFlags);
+    expect(sessionFlags.artist).toBe('Daft Punk');
+
+    handleSet(['label', '"Warp', 'Records"'], sessionFlags);
+    expect(sessionFlags.label).toBe('Warp Records');
+  });
+
+  it('clears a field with "none"', () => {
+    sessionFlags.artist = 'Bonobo';
+
+    handleSet(['artist', 'None'], sessionFlags);
+
+    expect(sessionFlags.artist).toBeNull();
+    expect(mockLog.success).toHaveBeenCalledWith('Artist Filter: any');
+  });
+
+  it('accepts a year range', () => {
+    handleSet(['year', '2010-2015'], sessionFlags);
+
+    expect(sessionFlags.year).toBe('2010-2015');
+  });
+
+  it('rejects a descending year range', () => {
+    handleSet(['year', '2015-2010'], sessionFlags);
+
+    expect(sessionFlags.year).toBeNull();
+    expect(mockLog.error).toHaveBeenCalledWith("Invalid value '2015-2010'");
+  });
+
+  it('shows unset fields as any', () => {
+    showSettings(sessionFlags);
+
+    const plainCalls = mockLog.plain.mock.calls.map((call) => call[0]);
+    expect(
+      plainCalls.some((c) => c.includes('Barcode Filter') && c.includes('any')),
+    ).toBe(true);
+  });
+});
+
 describe('showSettings', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -366,4 +442,24 @@ describe('showSettings', () => {
       plainCalls.some((c) => c.includes('Verbose Mode') && c.includes('off')),
     ).toBe(true);
   });
+
+  it('shows the API quota', () => {
+    resetRateLimit();
+    showSettings({});
+    let plainCalls = mockLog.plain.mock.calls.map((call) => call[0]);
+    expect(
+      plainCalls.some(
+        (c) =>
+          c.includes('API Quota') && c.includes('unknown (no requests yet)'),
+      ),
+    ).toBe(true);
+
+    jest.clearAllMocks();
+    recordRateLimit({ limit: 60, used: 3, remaining: 57 });
+    showSettings({});
+    plainCalls = mockLog.plain.mock.calls.map((call) => call[0]);
+    expect(plainCalls.some((c) => c.includes('57/60 requests left'))).toBe(
+      true,
+    );
+  });
 });
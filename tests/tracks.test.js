@@ -208,6 +208,26 @@ describe('handleTracks', () => {
       );
     });
 
+    it('hints at the versions command for masters', async () => {
+      mockGetMaster.mockResolvedValue(mockMasterData);
+
+      await handleTracks(mockDb, 'master', '12345', defaultFlags);
+
+      expect(mockLog.info).toHaveBeenCalledWith(
+        "Type 'versions 12345' to list every release of this master.",
+      );
+    });
+
+    it('does not hint at versions for releases', async () => {
+      mockGetRelease.mockResolvedValue(mockReleaseData);
+
+      await handleTracks(mockDb, 'release', '67890', defaultFlags);
+
+      expect(mockLog.info).not.toHaveBeenCalledWith(
+        expect.stringContaining('versions'),
+      );
+    });
+
     it('handles missing year in success message', async () => {
       mockGetMaster.mockResolvedValue({ ...mockMasterData, year: null });
 
@@ -0,0 +1,178 @@
+/**
+ * Tests for the pluggable HTTP transport, and API URL and credentials
+ * handling in createClient
+ */
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { jest } from '@jest/globals';
+
+// Mock the logger before importing the modules under test
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  debug: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+  writeLog: jest.fn(),
+  logApiResponse: jest.fn(),
+}));
+
+// Import after mocking
+const {
+  buildHttpError,
+  buildRequestUrl,
+  DEFAULT_API_URL,
+  parseApiUrl,
+  parseRateLimitHeaders,
+} = await import('../lib/transport.js');
+const { configureAuth, saveCredentials } = await import('../lib/auth.js');
+const { configureCache, isCacheEnabled } = await import('../lib/cache.js');
+const { createClient } = await import('../lib/discogs.js');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  configureCache({ enabled: true });
+});
+
+describe('parseApiUrl (pure function)', () => {
+  it('accepts http and https URLs without a trailing slash', () => {
+    expect(parseApiUrl('http://127.0.0.1:4010/')).toBe('http://127.0.0.1:4010');
+    expect(parseApiUrl(' https://proxy.example/discogs/ ')).toBe(
+      'https://proxy.example/discogs',
+    );
+    expect(parseApiUrl('https://api.discogs.com')).toBe(DEFAULT_API_URL);
+  });
+
+  it('rejects other schemes, query strings and garbage', () => {
+    expect(parseApiUrl('ftp://example.com')).toBeNull();
+    expect(parseApiUrl('http://example.com/?x=1')).toBeNull();
+    expect(parseApiUrl('localhost:4010')).toBeNull();
+    expect(parseApiUrl('')).toBeNull();
+  });
+});
+
+describe('buildRequestUrl (pure function)', () => {
+  it('joins the base URL and the request path', () => {
+    expect(buildRequestUrl('http://127.0.0.1:4010/api', '/masters/27113')).toBe(
+      'http://127.0.0.1:4010/api/masters/27113',
+    );
+    expect(buildRequestUrl('http://localhost', 'releases/1')).toBe(
+      'http://localhost/releases/1',
+    );
+  });
+
+  it('keeps absolute URLs', () => {
+    expect(
+      buildRequestUrl('http://localhost', 'https://api.discogs.com/oauth'),
+    ).toBe('https://api.discogs.com/oauth');
+  });
+});
+
+describe('parseRateLimitHeaders (pure function)', () => {
+  it('reads the X-Discogs-Ratelimit headers', () => {
+    expect(
+      parseRateLimitHeaders({
+        'x-discogs-ratelimit': '60',
+        'x-discogs-ratelimit-used': '2',
+        'x-discogs-ratelimit-remaining': '58',
+      }),
+    ).toEqual({ limit: 60, used: 2, remaining: 58 });
+  });
+
+  it('returns null without them', () => {
+    expect(parseRateLimitHeaders({})).toBeNull();
+  });
+});
+
+describe('buildHttpError (pure function)', () => {
+  it('keeps the status code and the API message', () => {
+    const error = buildHttpError(404, '{"message": "Release not found."}');
+
+    expect(error.statusCode).toBe(404);
+    expect(error.message).toBe('Release not found.');
+    expect(error.name).toBe('DiscogsError');
+  });
+
+  it('falls back to a generic message for non-JSON bodies', () => {
+    expect(buildHttpError(502, '<html>Bad Gateway</html>').message).toBe(
+      'Unknown error.',
+    );
+  });
+});
+
+describe('createClient API URL', () => {
+  it('uses the Discogs API by default', () => {
+    const { client, apiUrl } = createClient('token');
+
+    expect(apiUrl).toBe(DEFAULT_API_URL);
+    expect(Object.hasOwn(client, '_rawRequest')).toBe(false);
+    expect(isCacheEnabled()).toBe(true);
+  });
+
+  it('installs the transport and turns the cache off for another URL', () => {
+    const { client, apiUrl } = createClient('token', 'http://127.0.0.1:4010/');
+
+    expect(apiUrl).toBe('http://127.0.0.1:4010');
+    expect(Object.hasOwn(client, '_rawRequest')).toBe(true);
+    expect(isCacheEnabled()).toBe(false);
+  });
+
+  it('warns about an invalid URL and keeps the default', () => {
+    const { apiUrl } = createClient('token', 'localhost:4010');
+
+    expect(apiUrl).toBe(DEFAULT_API_URL);
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      "Ignoring invalid API URL 'localhost:4010'",
+    );
+  });
+});
+
+describe('createClient credentials', () => {
+  let dir;
+  const savedToken = process.env.DISCOGS_TOKEN;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'moozhak-auth-'));
+    configureAuth({ file: join(dir, 'auth.json') });
+    delete process.env.DISCOGS_TOKEN;
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    if (savedToken !== undefined) process.env.DISCOGS_TOKEN = savedToken;
+  });
+
+  const credentials = {
+    consumerKey: 'ckey',
+    consumerSecret: 'csecret',
+    token: 'atoken',
+    tokenSecret: 'asecret',
+  };
+
+  it('uses stored OAuth credentials when no token is set', () => {
+    saveCredentials(credentials);
+    const { client, token } = createClient();
+
+    expect(token).toBeFalsy();
+    expect(client.auth).toEqual(
+      expect.objectContaining({ method: 'oauth', level: 2, token: 'atoken' }),
+    );
+  });
+
+  it('prefers a personal token over stored credentials', () => {
+    saveCredentials(credentials);
+    const { client } = createClient('token');
+
+    expect(client.auth).toEqual(
+      expect.objectContaining({ method: 'discogs', userToken: 'token' }),
+    );
+  });
+});
@@ -0,0 +1,383 @@
+/**
+ * Tests for versions command with mocked API calls and prompts
+ * Uses Jest mocks to verify API interactions without actual network requests
+ */
+import { jest } from '@jest/globals';
+
+// Mock the dependencies before importing the module under test
+const mockSelect = jest.fn();
+const mockGetMasterVersions = jest.fn();
+const mockGetRelease = jest.fn();
+const mockWriteJsonOutput = jest.fn();
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('@inquirer/prompts', () => ({
+  select: mockSelect,
+}));
+
+jest.unstable_mockModule('../lib/discogs.js', () => ({
+  getMasterVersions: mockGetMasterVersions,
+  getMaster: jest.fn(),
+  getRelease: mockGetRelease,
+  formatTrack: (track) => `  ${track.title}`,
+  buildDiscogsUrl: (type, id) => `https://www.discogs.com/${type}/${id}`,
+}));
+
+jest.unstable_mockModule('../lib/output.js', () => ({
+  writeJsonOutput: mockWriteJsonOutput,
+  writeTracksOutput: jest.fn(),
+}));
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+}));
+
+// Import after mocking
+const {
+  buildVersionChoices,
+  buildVersionsOutput,
+  fetchMasterVersions,
+  filterVersions,
+  formatVersion,
+  handleVersions,
+  parseVersionsArgs,
+  versionsCommand,
+} = await import('../lib/commands/versions.js');
+
+const versions = [
+  {
+    id: 1,
+    title: 'Discovery',
+    country: 'Europe',
+    released: '2001',
+    format: 'CD, Album',
+    major_formats: ['CD'],
+    label: 'Virgin',
+    catno: '7243 8 49606 2 6',
+  },
+  {
+    id: 2,
+    title: 'Discovery',
+    country: 'UK',
+    released: '2001-03-12',
+    format: '2xLP, Album',
+    major_formats: ['Vinyl'],
+    label: 'Virgin',
+    catno: 'V 2940',
+  },
+  {
+    id: 3,
+    title: 'Discovery',
+    country: 'US',
+    released: '2021',
+    format: '2xLP, Album, RE',
+    major_formats: ['Vinyl'],
+    label: 'Parlophone',
+    catno: '0190295',
+  },
+];
+
+describe('parseVersionsArgs', () => {
+  it('returns error without master ID', () => {
+    const result = parseVersionsArgs([]);
+
+    expect(result.error).toBe('Please provide a master ID');
+    expect(result.hint).toContain('versions <masterId>');
+  });
+
+  it('defaults to no filters', () => {
+    expect(parseVersionsArgs(['27113'])).toEqual({
+      masterId: '27113',
+      format: null,
+      country: null,
+    });
+  });
+
+  it('parses format and country filters', () => {
+    expect(parseVersionsArgs(['27113', 'country:UK', 'FORMAT:Vinyl'])).toEqual({
+      masterId: '27113',
+      format: 'Vinyl',
+      country: 'UK',
+    });
+  });
+
+  it('rejects unknown filters', () => {
+    expect(parseVersionsArgs(['27113', 'label:Virgin']).error).toBe(
+      "Invalid filter 'label:Virgin'",
+    );
+  });
+
+  it('rejects the old key=value form', () => {
+    expect(parseVersionsArgs(['27113', 'format=vinyl']).error).toBe(
+      "Invalid filter 'format=vinyl'",
+    );
+  });
+
+  it('strips quotes around multi-word values', () => {
+    expect(
+      parseVersionsArgs(['27113', 'country:"United Kingdom"']).country,
+    ).toBe('United Kingdom');
+  });
+
+  it('rejects filters without a value', () => {
+    expect(parseVersionsArgs(['27113', 'format:']).error).toBe(
+      "Invalid filter 'format:'",
+    );
+  });
+});
+
+describe('filterVersions', () => {
+  it('returns everything without filters', () => {
+    expect(filterVersions(versions, {})).toHaveLength(3);
+  });
+
+  it('filters by major format, case-insensitively', () => {
+    expect(
+      filterVersions(versions, { format: 'vinyl' }).map((v) => v.id),
+    ).toEqual([2, 3]);
+  });
+
+  it('filters by format description', () => {
+    expect(filterVersions(versions, { format: 'RE' }).map((v) => v.id)).toEqual(
+      [3],
+    );
+  });
+
+  it('filters by country', () => {
+    expect(
+      filterVersions(versions, { country: 'uk' }).map((v) => v.id),
+    ).toEqual([2]);
+  });
+
+  it('combines filters', () => {
+    expect(filterVersions(versions, { format: 'CD', country: 'UK' })).toEqual(
+      [],
+    );
+  });
+});
+
+describe('formatVersion', () => {
+  it('formats id, country, released, format, label and catno', () => {
+    expect(formatVersion(versions[1])).toBe(
+      '  2 | UK | 2001-03-12 | 2xLP, Album | Virgin | V 2940',
+    );
+  });
+
+  it('shows ? for unknown country and date', () => {
+    expect(formatVersion({ id: 9, format: 'CD' })).toBe('  9 | ? | ? | CD');
+  });
+});
+
+describe('buildVersionsOutput (pure function)', () => {
+  it('builds output with filters and release urls', () => {
+    const output = buildVersionsOutput(
+      27113,
+      { format: 'Vinyl', country: null },
+      [versions[1]],
+    );
+
+    expect(output).toEqual({
+      type: 'versions',
+      params: { masterId: 27113, format: 'Vinyl', country: null },
+      result: {
+        count: 1,
+        versions: [
+          {
+            id: 2,
+            title: 'Discovery',
+            country: 'UK',
+            year: 2001,
+            format: '2xLP, Album',
+            majorFormats: ['Vinyl'],
+            label: 'Virgin',
+            catno: 'V 2940',
+            url: 'https://www.discogs.com/release/2',
+          },
+        ],
+      },
+    });
+  });
+});
+
+describe('buildVersionChoices', () => {
+  it('offers every version plus a done choice', () => {
+    const choices = buildVersionChoices(versions.slice(0, 1));
+
+    expect(choices).toEqual([
+      {
+        name: '1 | Europe | 2001 | CD, Album | Virgin | 7243 8 49606 2 6',
+        value: 1,
+      },
+      { name: '← Done', value: null },
+    ]);
+  });
+});
+
+describe('fetchMasterVersions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('walks every page', async () => {
+    mockGetMasterVersions
+      .mockResolvedValueOnce({
+        pagination: { pages: 2 },
+        versions: versions.slice(0, 2),
+      })
+      .mockResolvedValueOnce({
+        pagination: { pages: 2 },
+        versions: versions.slice(2),
+      });
+
+    const all = await fetchMasterVersions({}, 27113, true);
+
+    expect(all).toHaveLength(3);
+    expect(mockGetMasterVersions).toHaveBeenLastCalledWith(
+      {},
+      27113,
+      { page: 2, per_page: 100 },
+      true,
+    );
+  });
+
+  it('returns null when the API fails', async () => {
+    mockGetMasterVersions.mockResolvedValue(null);
+
+    expect(await fetchMasterVersions({}, 27113)).toBeNull();
+  });
+});
+
+describe('handleVersions', () => {
+  const options = { masterId: '27113', format: null, country: null };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetMasterVersions.mockResolvedValue({
+      pagination: { pages: 1 },
+      versions,
+    });
+  });
+
+  it('rejects non-numeric IDs', async () => {
+    await handleVersions({}, { ...options, masterId: 'abc' }, {});
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Invalid ID. Please provide a numeric ID.',
+    );
+    expect(mockGetMasterVersions).not.toHaveBeenCalled();
+  });
+
+  it('warns when fetching fails', async () => {
+    mockGetMasterVersions.mockResolvedValue(null);
+
+    const result = await handleVersions({}, options, {});
+
+    expect(result).toBeUndefined();
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'Could not fetch versions of master #27113.',
+    );
+  });
+
+  it('lists filtered versions and returns them', async () => {
+    const result = await handleVersions(
+      {},
+      { ...options, format: 'Vinyl' },
+      {},
+    );
+
+    expect(result.map((v) => v.id)).toEqual([2, 3]);
+    expect(mockLog.success).toHaveBeenCalledWith('Found 2 of 3 version(s):');
+    expect(mockLog.plain).toHaveBeenCalledWith(formatVersion(versions[1]));
+  });
+
+  it('warns when filters match nothing', async () => {
+    const result = await handleVersions(
+      {},
+      { ...options, country: 'Japan' },
+      {},
+    );
+
+    expect(result).toEqual([]);
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'None of the 3 version(s) match the filters.',
+    );
+    expect(mockWriteJsonOutput).not.toHaveBeenCalled();
+  });
+
+  it('writes versions JSON output', async () => {
+    await handleVersions({}, options, {});
+
+    expect(mockWriteJsonOutput).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'versions',
+        result: expect.objectContaining({ count: 3 }),
+      }),
+    );
+  });
+});
+
+describe('versionsCommand', () => {
+  const ctx = {
+    db: {},
+    sessionFlags: { tracks_output: 'human', verbose: false },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetMasterVersions.mockResolvedValue({
+      pagination: { pages: 1 },
+      versions,
+    });
+  });
+
+  it('has alias v and requires a master ID', () => {
+    expect(versionsCommand.aliases).toContain('v');
+    expect(versionsCommand.minArgs).toBe(1);
+  });
+
+  it('shows error for invalid filters', async () => {
+    const result = await versionsCommand.handler(['27113', 'x=y'], ctx);
+
+    expect(result).toBe(true);
+    expect(mockLog.error).toHaveBeenCalledWith("Invalid filter 'x=y'");
+  });
+
+  it('opens the picked version as a release tracklist', async () => {
+    mockSelect.mockResolvedValue(2);
+    mockGetRelease.mockResolvedValue({ title: 'Discovery', tracklist: [] });
+
+    await versionsCommand.handler(['27113'], ctx);
+
+    expect(mockGetRelease).toHaveBeenCalledWith(ctx.db, 2, false);
+  });
+
+  it('does nothing when done is picked', async () => {
+    mockSelect.mockResolvedValue(null);
+
+    await versionsCommand.handler(['27113'], ctx);
+
+    expect(mockGetRelease).not.toHaveBeenCalled();
+  });
+
+  it('does not prompt when nothing matches', async () => {
+    await versionsCommand.handler(['27113', 'country:Japan'], ctx);
+
+    expect(mockSelect).not.toHaveBeenCalled();
+  });
+
+  it('handles Ctrl+C at the prompt', async () => {
+    const error = new Error('cancelled');
+    error.name = 'ExitPromptError';
+    mockSelect.mockRejectedValue(error);
+
+    await expect(versionsCommand.handler(['27113'], ctx)).resolves.toBe(true);
+  });
+});
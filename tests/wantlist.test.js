@@ -0,0 +1,1054 @@
+/**
+ * Tests for the want, unwant, wantlist and wantlist-push commands
+ * Push and export helpers are pure; handlers run with mocked API calls,
+ * prompts and files
+ */
+import { mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { jest } from '@jest/globals';
+
+// Mock the dependencies before importing the module under test
+const mockAddToWantlist = jest.fn();
+const mockRemoveFromWantlist = jest.fn();
+const mockGetRelease = jest.fn();
+const mockGetIdentity = jest.fn();
+const mockGetMaster = jest.fn();
+const mockGetWantlistReleases = jest.fn();
+const mockGetCollectionReleases = jest.fn();
+const mockReadJsonOutput = jest.fn();
+const mockUpdateJsonOutput = jest.fn();
+const mockWriteJsonOutput = jest.fn();
+const mockWriteReportOutput = jest.fn();
+const distDir = join(tmpdir(), `moozhak-wantlist-${process.pid}`);
+const mockConfirm = jest.fn();
+const mockIsOffline = jest.fn(() => false);
+const mockLog = {
+  plain: jest.fn(),
+  info: jest.fn(),
+  success: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  header: jest.fn(),
+  debug: jest.fn(),
+  divider: jest.fn(),
+};
+
+jest.unstable_mockModule('../lib/discogs.js', () => ({
+  addToWantlist: mockAddToWantlist,
+  removeFromWantlist: mockRemoveFromWantlist,
+  getRelease: mockGetRelease,
+  getIdentity: mockGetIdentity,
+  getMaster: mockGetMaster,
+  getWantlistReleases: mockGetWantlistReleases,
+  getMarketplaceStats: jest.fn(),
+  formatPrice: jest.fn(),
+  addToCollection: jest.fn(),
+  removeFromCollection: jest.fn(),
+  getReleaseInstances: jest.fn(),
+  getCollectionFolders: jest.fn(),
+  getCollectionReleases: mockGetCollectionReleases,
+  createOAuth: jest.fn(),
+  createOAuthClient: jest.fn(),
+  getLabel: jest.fn(),
+  getLabelReleases: jest.fn(),
+  getArtist: jest.fn(),
+  getArtistReleases: jest.fn(),
+  searchDiscogsPage: jest.fn(),
+  formatResult: jest.fn(),
+  formatCatalogEntry: jest.fn(),
+  buildDiscogsUrl: (type, id) => `https://www.discogs.com/${type}/${id}`,
+  buildDiscogsUrlFromUri: (uri) => `https://www.discogs.com${uri}`,
+}));
+
+jest.unstable_mockModule('@inquirer/prompts', () => ({
+  confirm: mockConfirm,
+  select: jest.fn(),
+  input: jest.fn(),
+  password: jest.fn(),
+}));
+
+jest.unstable_mockModule('../lib/fixtures.js', () => ({
+  isOffline: mockIsOffline,
+}));
+
+jest.unstable_mockModule('../lib/output.js', () => ({
+  OUTPUT_EXTENSIONS: { human: 'txt' },
+  readJsonOutput: mockReadJsonOutput,
+  updateJsonOutput: mockUpdateJsonOutput,
+  writeJsonOutput: mockWriteJsonOutput,
+  writeReportOutput: mockWriteReportOutput,
+  distDir,
+}));
+
+jest.unstable_mockModule('../lib/logger.js', () => ({
+  log: mockLog,
+  writeLog: jest.fn(),
+  logApiResponse: jest.fn(),
+  logDir: '/tmp/dist/logs',
+}));
+
+// Import after mocking
+const {
+  buildPushOutput,
+  buildPushQueue,
+  buildWantNote,
+  buildWantlistOutput,
+  compareWantItems,
+  diffWantlists,
+  extractWantItem,
+  fetchWantlist,
+  findLatestSnapshot,
+  formatWantItem,
+  formatWantlistCsv,
+  formatWantlistMarkdown,
+  getPlaylistName,
+  getPushSkipStatus,
+  handleUnwant,
+  handleWant,
+  handleWantlist,
+  handleWantlistPush,
+  parsePushArgs,
+  parseWantlistArgs,
+  summarizePush,
+  unwantCommand,
+  wantCommand,
+  wantlistCommand,
+  wantlistPushCommand,
+} = await import('../lib/commands/wantlist.js');
+const { buildOwnedIndex } = await import('../lib/collection.js');
+
+const client = { auth: { method: 'discogs', userToken: 'token' } };
+const db = {};
+const flags = { verbose: false };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockGetIdentity.mockResolvedValue({ id: 1, username: 'digger' });
+  mockGetRelease.mockResolvedValue({
+    id: 249504,
+    title: 'Black Sands',
+    year: 2010,
+    artists: [{ name: 'Bonobo' }],
+  });
+  mockConfirm.mockResolvedValue(true);
+});
+
+describe('handleWant', () => {
+  it('adds the release after confirming', async () => {
+    mockAddToWantlist.mockResolvedValue({ id: 249504 });
+
+    expect(await handleWant(db, client, 249504, flags)).toBe(true);
+    expect(mockLog.info).toHaveBeenCalledWith(
+      'Bonobo - Black Sands (2010), release #249504',
+    );
+    expect(mockConfirm).toHaveBeenCalledWith({
+      message: 'Add it to your wantlist?',
+      default: false,
+    });
+    expect(mockAddToWantlist).toHaveBeenCalledWith(
+      client,
+      'digger',
+      249504,
+      null,
+      false,
+    );
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Added release #249504 to your wantlist.',
+    );
+  });
+
+  it('skips the prompt with --yes', async () => {
+    mockAddToWantlist.mockResolvedValue({ id: 249504 });
+
+    await handleWant(db, client, 249504, { ...flags, yes: true });
+
+    expect(mockConfirm).not.toHaveBeenCalled();
+    expect(mockAddToWantlist).toHaveBeenCalled();
+  });
+
+  it('changes nothing when declined', async () => {
+    mockConfirm.mockResolvedValue(false);
+
+    expect(await handleWant(db, client, 249504, flags)).toBe(false);
+    expect(mockAddToWantlist).not.toHaveBeenCalled();
+    expect(mockLog.info).toHaveBeenCalledWith('Cancelled.');
+  });
+
+  it('stops when the release cannot be fetched', async () => {
+    mockGetRelease.mockResolvedValue(null);
+
+    expect(await handleWant(db, client, 1, flags)).toBe(false);
+    expect(mockLog.warn).toHaveBeenCalledWith('Could not fetch release #1.');
+    expect(mockConfirm).not.toHaveBeenCalled();
+  });
+
+  it('needs a logged-in client', async () => {
+    expect(await handleWant(db, { auth: null }, 249504, flags)).toBe(false);
+    expect(mockLog.warn).toHaveBeenCalledWith('Not logged in.');
+    expect(mockGetRelease).not.toHaveBeenCalled();
+  });
+
+  it('refuses in offline mode', async () => {
+    mockIsOffline.mockReturnValueOnce(true);
+
+    expect(await handleWant(db, client, 249504, flags)).toBe(false);
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Changing your wantlist needs Discogs; turn offline mode off first.',
+    );
+  });
+});
+
+describe('handleUnwant', () => {
+  it('removes the release after confirming', async () => {
+    mockRemoveFromWantlist.mockResolvedValue(true);
+
+    expect(await handleUnwant(db, client, 249504, flags)).toBe(true);
+    expect(mockConfirm).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Remove it from your wantlist?' }),
+    );
+    expect(mockLog.success).toHaveBeenCalledWith(
+      'Removed release #249504 from your wantlist.',
+    );
+  });
+
+  it('reports failure when Discogs refuses', async () => {
+    mockRemoveFromWantlist.mockResolvedValue(false);
+
+    expect(await handleUnwant(db, client, 249504, flags)).toBe(false);
+    expect(mockLog.success).not.toHaveBeenCalled();
+  });
+});
+
+describe('wantCommand / unwantCommand', () => {
+  const ctx = { client, db, sessionFlags: flags };
+
+  it('have correct command metadata', () => {
+    expect(wantCommand.name).toBe('want');
+    expect(unwantCommand.name).toBe('unwant');
+    expect(wantCommand.minArgs).toBe(1);
+  });
+
+  it('show usage for an invalid release ID', async () => {
+    expect(await wantCommand.handler(['r249504'], ctx)).toBe(true);
+    expect(await unwantCommand.handler(['1', '2'], ctx)).toBe(true);
+
+    expect(mockLog.error).toHaveBeenCalledWith("Invalid release ID 'r249504'");
+    expect(mockLog.info).toHaveBeenCalledWith('Usage: unwant <releaseId>');
+    expect(mockGetIdentity).not.toHaveBeenCalled();
+  });
+
+  it('passes the release ID to the handler', async () => {
+    mockAddToWantlist.mockResolvedValue({ id: 5 });
+
+    await wantCommand.handler(['5'], ctx);
+
+    expect(mockAddToWantlist).toHaveBeenCalledWith(
+      client,
+      'digger',
+      5,
+      null,
+      false,
+    );
+  });
+});
+
+/**
+ * Build a playlist entry matched to a master or release
+ */
+function matchedEntry(line, type, id, overrides = {}) {
+  return {
+    line,
+    title: `Track ${line}`,
+    artist: 'Bonobo',
+    match: { type, id, title: `Bonobo - Album ${id}`, confidence: 0.9 },
+    candidates: [],
+    needsReview: false,
+    ...overrides,
+  };
+}
+
+const ownedItem = {
+  id: 300,
+  instanceId: 3000,
+  folderId: 1,
+  masterId: 30,
+  artist: 'Bonobo',
+  title: 'Migration',
+};
+
+describe('parsePushArgs (pure function)', () => {
+  it('reads the file, dry-run and a quoted note in any order', () => {
+    expect(
+      parsePushArgs(['dry-run', 'my', 'set.json', 'note:"for chillmix"']),
+    ).toEqual({ file: 'my set.json', dryRun: true, note: 'for chillmix' });
+  });
+
+  it('leaves the file to the caller when omitted', () => {
+    expect(parsePushArgs([])).toEqual({
+      file: null,
+      dryRun: false,
+      note: null,
+    });
+  });
+
+  it('reports an empty note', () => {
+    expect(parsePushArgs(['note:']).error).toBe("Invalid note 'note:'");
+  });
+});
+
+describe('getPlaylistName / buildWantNote (pure functions)', () => {
+  it('names the playlist after its CSV file', () => {
+    expect(getPlaylistName({ params: { file: '/x/chillmix.csv' } })).toBe(
+      'chillmix',
+    );
+    expect(getPlaylistName({ params: {} })).toBe('playlist');
+  });
+
+  it('lists the tracks of a release after the note', () => {
+    expect(
+      buildWantNote('for chillmix', [
+        matchedEntry(2, 'release', 1),
+        matchedEntry(3, 'release', 1),
+      ]),
+    ).toBe('for chillmix: Bonobo - Track 2; Bonobo - Track 3');
+  });
+});
+
+describe('buildPushQueue (pure function)', () => {
+  it('groups usable matches by release and skips the rest', () => {
+    const { groups, pushed, skipped } = buildPushQueue([
+      matchedEntry(2, 'master', 10),
+      matchedEntry(3, 'master', 10),
+      matchedEntry(4, 'release', 20, { needsReview: true }),
+      { line: 5, artist: 'X', title: 'Y', match: null, needsReview: true },
+    ]);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].entries.map((e) => e.line)).toEqual([2, 3]);
+    expect(pushed).toBe(0);
+    expect(skipped.map((s) => s.reason)).toEqual(['needs review', 'no match']);
+  });
+
+  it('counts entries pushed by an earlier run instead of queueing them', () => {
+    const { groups, pushed } = buildPushQueue([
+      matchedEntry(2, 'release', 1, { wantlist: { status: 'added' } }),
+      matchedEntry(3, 'release', 2),
+    ]);
+
+    expect(pushed).toBe(1);
+    expect(groups.map((g) => g.match.id)).toEqual([2]);
+  });
+});
+
+describe('getPushSkipStatus (pure function)', () => {
+  const index = buildOwnedIndex([ownedItem]);
+
+  it('skips releases already wanted or owned', () => {
+    expect(
+      getPushSkipStatus({ type: 'release', id: 1 }, 1, new Set([1]), index),
+    ).toBe('in-wantlist');
+    expect(
+      getPushSkipStatus({ type: 'release', id: 300 }, 300, new Set(), index),
+    ).toBe('owned');
+  });
+
+  it('treats any owned pressing of a master as owned', () => {
+    expect(
+      getPushSkipStatus({ type: 'master', id: 30 }, 301, new Set(), index),
+    ).toBe('owned');
+  });
+
+  it('skips masters without a main release', () => {
+    expect(
+      getPushSkipStatus({ type: 'master', id: 9 }, null, new Set(), null),
+    ).toBe('no-release');
+  });
+
+  it('adds everything else, also without an owned index', () => {
+    expect(
+      getPushSkipStatus({ type: 'release', id: 2 }, 2, new Set(), null),
+    ).toBeNull();
+  });
+});
+
+describe('summarizePush / buildPushOutput (pure functions)', () => {
+  it('counts results by status', () => {
+    const results = [{ status: 'added' }, { status: 'failed' }];
+
+    expect(summarizePush(results)).toEqual(
+      expect.objectContaining({ added: 1, failed: 1, owned: 0 }),
+    );
+    expect(buildPushOutput('/p.json', { note: 'n' }, results, 2)).toEqual({
+      type: 'wantlist-push',
+      params: { file: '/p.json', note: 'n' },
+      result: expect.objectContaining({
+        added: 1,
+        pushedBefore: 2,
+        releases: results,
+      }),
+    });
+  });
+});
+
+describe('fetchWantlist', () => {
+  it('walks every page at 100 per page', async () => {
+    mockGetWantlistReleases
+      .mockResolvedValueOnce({ wants: [{ id: 1 }], pagination: { pages: 2 } })
+      .mockResolvedValueOnce({ wants: [{ id: 2 }], pagination: { pages: 2 } });
+
+    const wants = await fetchWantlist(client, 'digger');
+
+    expect(wants.map((w) => w.id)).toEqual([1, 2]);
+    expect(mockGetWantlistReleases).toHaveBeenLastCalledWith(
+      client,
+      'digger',
+      { page: 2, per_page: 100 },
+      false,
+    );
+  });
+
+  it('returns null when a page fails', async () => {
+    mockGetWantlistReleases.mockResolvedValueOnce(null);
+    expect(await fetchWantlist(client, 'digger')).toBeNull();
+  });
+});
+
+describe('handleWantlistPush', () => {
+  const file = join(tmpdir(), `moozhak-push-${process.pid}.json`);
+  let output;
+
+  beforeAll(() => writeFileSync(file, '{}'));
+  afterAll(() => rmSync(file));
+
+  beforeEach(() => {
+    output = {
+      type: 'playlist',
+      params: { file: '/music/chillmix.csv' },
+      result: {
+        tracks: [
+          matchedEntry(2, 'master', 10),
+          matchedEntry(3, 'release', 20),
+          matchedEntry(4, 'release', 1),
+          matchedEntry(5, 'release', 300),
+          matchedEntry(6, 'release', 40, { needsReview: true }),
+        ],
+      },
+    };
+    mockReadJsonOutput.mockReturnValue(output);
+    mockGetMaster.mockResolvedValue({ id: 10, main_release: 100 });
+    mockGetWantlistReleases.mockResolvedValue({
+      wants: [{ id: 1 }],
+      pagination: { pages: 1 },
+    });
+    mockGetCollectionReleases.mockResolvedValue({
+      releases: [
+        {
+          id: 300,
+          instance_id: 3000,
+          folder_id: 1,
+          basic_information: { master_id: 30, title: 'Migration' },
+        },
+      ],
+      pagination: { page: 1, pages: 1, items: 1 },
+    });
+    mockAddToWantlist.mockResolvedValue({ id: 1 });
+  });
+
+  it('adds confirmed, not owned releases with notes and records them', async () => {
+    const results = await handleWantlistPush(
+      db,
+      client,
+      { file, dryRun: false, note: null },
+      flags,
+    );
+
+    expect(results.map((r) => [r.releaseId, r.status])).toEqual([
+      [100, 'added'],
+      [20, 'added'],
+      [1, 'in-wantlist'],
+      [300, 'owned'],
+    ]);
+    expect(mockAddToWantlist).toHaveBeenCalledWith(
+      client,
+      'digger',
+      100,
+      'for chillmix: Bonobo - Track 2',
+      false,
+    );
+    expect(output.result.tracks[0].wantlist).toEqual(
+      expect.objectContaining({ status: 'added', releaseId: 100 }),
+    );
+    expect(mockUpdateJsonOutput).toHaveBeenCalledTimes(2);
+    expect(mockLog.success).toHaveBeenCalledWith(
+      '2 release(s) added to your wantlist',
+    );
+    expect(mockWriteJsonOutput.mock.calls[0][0].type).toBe('wantlist-push');
+  });
+
+  it('adds a release once when a master and its pressing both match', async () => {
+    output.result.tracks.push(matchedEntry(7, 'release', 100));
+
+    const results = await handleWantlistPush(
+      db,
+      client,
+      { file, dryRun: false, note: null },
+      flags,
+    );
+
+    expect(results.at(-1)).toEqual(
+      expect.objectContaining({ releaseId: 100, status: 'in-wantlist' }),
+    );
+    expect(
+      mockAddToWantlist.mock.calls.filter((call) => call[2] === 100),
+    ).toHaveLength(1);
+  });
+
+  it('asks before pushing and changes nothing when declined', async () => {
+    mockConfirm.mockResolvedValue(false);
+
+    const results = await handleWantlistPush(
+      db,
+      client,
+      { file, dryRun: false, note: null },
+      flags,
+    );
+
+    expect(results).toBeUndefined();
+    expect(mockConfirm).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: 'Add 4 release(s) to your wantlist?',
+      }),
+    );
+    expect(mockLog.info).toHaveBeenCalledWith('Cancelled.');
+    expect(mockAddToWantlist).not.toHaveBeenCalled();
+  });
+
+  it('skips the prompt with --yes', async () => {
+    await handleWantlistPush(
+      db,
+      client,
+      { file, dryRun: false, note: null },
+      { ...flags, yes: true },
+    );
+
+    expect(mockConfirm).not.toHaveBeenCalled();
+    expect(mockAddToWantlist).toHaveBeenCalledTimes(2);
+  });
+
+  it('previews without changing anything in a dry run', async () => {
+    const results = await handleWantlistPush(
+      db,
+      client,
+      { file, dryRun: true, note: 'for the car' },
+      flags,
+    );
+
+    expect(results[0]).toEqual(
+      expect.objectContaining({
+        status: 'would-add',
+        notes: 'for the car: Bonobo - Track 2',
+      }),
+    );
+    expect(mockAddToWantlist).not.toHaveBeenCalled();
+    expect(mockConfirm).not.toHaveBeenCalled();
+    expect(mockUpdateJsonOutput).not.toHaveBeenCalled();
+    expect(mockLog.success).toHaveBeenCalledWith(
+      '2 release(s) would be added (dry run, nothing changed)',
+    );
+  });
+
+  it('resumes after releases pushed by an earlier run', async () => {
+    output.result.tracks[0].wantlist = { status: 'added', releaseId: 100 };
+
+    await handleWantlistPush(
+      db,
+      client,
+      { file, dryRun: false, note: null },
+      flags,
+    );
+
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  resuming: 1 track(s) pushed by an earlier run',
+    );
+    expect(mockAddToWantlist).toHaveBeenCalledTimes(1);
+    expect(mockAddToWantlist.mock.calls[0][2]).toBe(20);
+  });
+
+  it('reports failures and leaves them for the next run', async () => {
+    mockAddToWantlist.mockResolvedValueOnce(null);
+
+    const results = await handleWantlistPush(
+      db,
+      client,
+      { file, dryRun: false, note: null },
+      flags,
+    );
+
+    expect(results[0].status).toBe('failed');
+    expect(output.result.tracks[0].wantlist).toBeUndefined();
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      '1 release(s) failed; run the command again to retry them.',
+    );
+    expect(mockLog.warn).toHaveBeenCalledWith('1 track(s) not pushed:');
+  });
+
+  it('stops when the wantlist cannot be fetched', async () => {
+    mockGetWantlistReleases.mockResolvedValue(null);
+
+    await handleWantlistPush(
+      db,
+      client,
+      { file, dryRun: false, note: null },
+      flags,
+    );
+
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'Could not fetch the wantlist of digger.',
+    );
+    expect(mockAddToWantlist).not.toHaveBeenCalled();
+  });
+
+  it('stops when the collection cannot be fetched', async () => {
+    mockGetCollectionReleases.mockResolvedValue(null);
+
+    const results = await handleWantlistPush(
+      db,
+      client,
+      { file, dryRun: false, note: null },
+      flags,
+    );
+
+    expect(results).toBeUndefined();
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'Could not fetch the collection of digger.',
+    );
+    expect(mockAddToWantlist).not.toHaveBeenCalled();
+  });
+
+  it('previews without the owned check when the collection cannot be fetched', async () => {
+    mockGetCollectionReleases.mockResolvedValue(null);
+
+    const results = await handleWantlistPush(
+      db,
+      client,
+      { file, dryRun: true, note: null },
+      flags,
+    );
+
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'Could not fetch the collection of digger.',
+    );
+    expect(results.find((r) => r.releaseId === 300).status).toBe('would-add');
+  });
+
+  it('refuses to change the wantlist offline, but allows a dry run', async () => {
+    mockIsOffline.mockReturnValue(true);
+
+    await handleWantlistPush(
+      db,
+      client,
+      { file, dryRun: false, note: null },
+      flags,
+    );
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Changing your wantlist needs Discogs; turn offline mode off first.',
+    );
+
+    await handleWantlistPush(db, client, { file, dryRun: true }, flags);
+    mockIsOffline.mockReturnValue(false);
+
+    expect(mockGetWantlistReleases).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects missing and non-playlist files', async () => {
+    await handleWantlistPush(db, client, { file: '/tmp/missing.json' }, flags);
+    mockReadJsonOutput.mockReturnValue({ type: 'search' });
+    await handleWantlistPush(db, client, { file }, flags);
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      expect.stringContaining('Playlist output not found'),
+    );
+    expect(mockLog.error).toHaveBeenCalledWith(
+      expect.stringContaining('Not a playlist output file'),
+    );
+  });
+
+  it('rejects files that are not valid JSON', async () => {
+    mockReadJsonOutput.mockImplementationOnce(() => {
+      throw new SyntaxError('Unexpected end of JSON input');
+    });
+
+    await handleWantlistPush(db, client, { file }, flags);
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      `Not a valid JSON output file: ${file}`,
+    );
+    expect(mockGetWantlistReleases).not.toHaveBeenCalled();
+  });
+});
+
+describe('wantlistPushCommand', () => {
+  it('has alias wp and an optional file', () => {
+    expect(wantlistPushCommand.aliases).toEqual(['wp']);
+    expect(wantlistPushCommand.minArgs).toBe(0);
+  });
+
+  it('needs a playlist output', async () => {
+    const ctx = { client, db, sessionFlags: flags, lastPlaylistOutput: null };
+
+    expect(await wantlistPushCommand.handler(['dry-run'], ctx)).toBe(true);
+    expect(mockLog.error).toHaveBeenCalledWith('No playlist output to push.');
+  });
+});
+
+/**
+ * Build a want as returned by the wantlist endpoint
+ */
+function apiWant(id, artist, title, overrides = {}) {
+  return {
+    id,
+    notes: '',
+    date_added: '2026-01-02T10:00:00-08:00',
+    basic_information: {
+      title,
+      year: 2010,
+      artists: [{ name: artist }],
+      labels: [{ name: 'Ninja Tune', catno: 'ZEN140' }],
+      formats: [{ name: 'Vinyl', descriptions: ['LP'] }],
+    },
+    ...overrides,
+  };
+}
+
+const blackSands = extractWantItem(apiWant(1, 'Bonobo', 'Black Sands'));
+const migration = extractWantItem(apiWant(2, 'Bonobo', 'Migration'));
+const kriegUndFrieden = extractWantItem(
+  apiWant(3, 'Apparat', 'Krieg, Und Frieden'),
+);
+
+describe('parseWantlistArgs (pure function)', () => {
+  it('exports without arguments', () => {
+    expect(parseWantlistArgs([])).toEqual({ diff: false, snapshot: null });
+  });
+
+  it('diffs against a snapshot, or the last export', () => {
+    expect(parseWantlistArgs(['diff', 'my', 'crate.json'])).toEqual({
+      diff: true,
+      snapshot: 'my crate.json',
+    });
+    expect(parseWantlistArgs(['DIFF'])).toEqual({
+      diff: true,
+      snapshot: null,
+    });
+  });
+
+  it('rejects other words', () => {
+    expect(parseWantlistArgs(['all'])).toEqual({
+      error: "Unknown option 'all'",
+      hint: 'Usage: wantlist [diff [snapshot.json]]',
+    });
+  });
+});
+
+describe('extractWantItem / compareWantItems / formatWantItem (pure functions)', () => {
+  it('flattens a want and keeps its notes', () => {
+    const item = extractWantItem(
+      apiWant(1, 'Bonobo', 'Black Sands', { notes: 'for chillmix' }),
+    );
+
+    expect(item).toEqual(
+      expect.objectContaining({
+        id: 1,
+        artist: 'Bonobo',
+        title: 'Black Sands',
+        format: 'Vinyl, LP',
+        catno: 'ZEN140',
+        notes: 'for chillmix',
+      }),
+    );
+    expect(item).not.toHaveProperty('instanceId');
+  });
+
+  it('sorts by artist, then title', () => {
+    expect(
+      [migration, blackSands, kriegUndFrieden]
+        .sort(compareWantItems)
+        .map((i) => i.id),
+    ).toEqual([3, 1, 2]);
+  });
+
+  it('formats a want for change lists', () => {
+    expect(formatWantItem(blackSands)).toBe(
+      'Bonobo - Black Sands (2010), release #1',
+    );
+  });
+});
+
+describe('findLatestSnapshot (pure function)', () => {
+  it('picks the newest export of the user', () => {
+    expect(
+      findLatestSnapshot(
+        [
+          'wantlist-digger-2026-01-01T00-00-00-000Z.json',
+          'wantlist-digger-2026-03-01T00-00-00-000Z.json',
+          'wantlist-digger-2026-04-01T00-00-00-000Z.md',
+          'wantlist-digger-x-2026-05-01T00-00-00-000Z.json',
+          'buylist-2026-06-01T00-00-00-000Z.json',
+        ],
+        'digger',
+      ),
+    ).toBe('wantlist-digger-2026-03-01T00-00-00-000Z.json');
+  });
+
+  it('returns null without exports', () => {
+    expect(findLatestSnapshot([], 'digger')).toBeNull();
+  });
+});
+
+describe('diffWantlists (pure function)', () => {
+  it('lists wants added and removed by release ID', () => {
+    expect(
+      diffWantlists([blackSands, migration], [kriegUndFrieden, migration]),
+    ).toEqual({ added: [kriegUndFrieden], removed: [blackSands] });
+  });
+});
+
+describe('wantlist report formatters (pure functions)', () => {
+  const diff = {
+    snapshot: '/x/wantlist-digger-old.json',
+    snapshotExportedAt: '2026-01-01T00:00:00.000Z',
+    added: [kriegUndFrieden],
+    removed: [migration],
+  };
+
+  it('builds the snapshot JSON with release links', () => {
+    const output = buildWantlistOutput('digger', [blackSands], null, 'now');
+
+    expect(output.type).toBe('wantlist');
+    expect(output.params).toEqual({ username: 'digger', exportedAt: 'now' });
+    expect(output.result.total).toBe(1);
+    expect(output.result.items[0].url).toBe(
+      'https://www.discogs.com/release/1',
+    );
+    expect(output.result.diff).toBeNull();
+  });
+
+  it('writes markdown with the changes before the items', () => {
+    const md = formatWantlistMarkdown(
+      buildWantlistOutput('digger', [blackSands, kriegUndFrieden], diff, 'now'),
+    );
+
+    expect(md).toContain('# Wantlist: digger');
+    expect(md).toContain('## Changes since wantlist-digger-old.json');
+    expect(md).toContain('1 added, 1 removed');
+    expect(md).toContain(
+      '- [Bonobo - Migration (2010), release #2](https://www.discogs.com/release/2)',
+    );
+    expect(md.indexOf('### Added')).toBeLessThan(md.indexOf('## Items'));
+    expect(md).toContain(
+      '| Bonobo | Black Sands | 2010 | Vinyl, LP | Ninja Tune | ZEN140 | 2026-01-02 |  | [release 1](https://www.discogs.com/release/1) |',
+    );
+  });
+
+  it('writes CSV with quoted fields and a change section', () => {
+    const csv = formatWantlistCsv(
+      buildWantlistOutput('digger', [kriegUndFrieden], diff, 'now'),
+    ).split('\n');
+
+    expect(csv[0]).toBe(
+      'id,artist,title,year,format,label,catno,date_added,notes,url',
+    );
+    expect(csv[1]).toContain('3,Apparat,"Krieg, Und Frieden",2010');
+    expect(csv).toContain('change,id,artist,title,year');
+    expect(csv).toContain('added,3,Apparat,"Krieg, Und Frieden",2010');
+    expect(csv).toContain('removed,2,Bonobo,Migration,2010');
+  });
+
+  it('leaves the change sections out without a diff', () => {
+    const output = buildWantlistOutput('digger', [blackSands], null, 'now');
+
+    expect(formatWantlistMarkdown(output)).not.toContain('Changes since');
+    expect(formatWantlistCsv(output)).not.toContain('change,');
+  });
+});
+
+describe('handleWantlist', () => {
+  const reportsDir = join(distDir, 'reports');
+  const older = join(
+    reportsDir,
+    'wantlist-digger-2026-01-01T00-00-00-000Z.json',
+  );
+  const newer = join(
+    reportsDir,
+    'wantlist-digger-2026-02-01T00-00-00-000Z.json',
+  );
+  const snapshot = (username, items) => ({
+    type: 'wantlist',
+    params: { username, exportedAt: '2026-02-01T00:00:00.000Z' },
+    result: { total: items.length, items, diff: null },
+  });
+
+  beforeAll(() => {
+    mkdirSync(reportsDir, { recursive: true });
+    writeFileSync(older, '{}');
+    writeFileSync(newer, '{}');
+  });
+  afterAll(() => rmSync(distDir, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    mockGetWantlistReleases.mockResolvedValue({
+      wants: [
+        apiWant(2, 'Bonobo', 'Migration'),
+        apiWant(3, 'Apparat', 'Krieg, Und Frieden'),
+      ],
+      pagination: { pages: 1 },
+    });
+    mockWriteReportOutput.mockReturnValue(['/tmp/wantlist.md']);
+  });
+
+  it('exports the whole wantlist sorted to md, csv and json', async () => {
+    const paths = await handleWantlist(
+      client,
+      { diff: false, snapshot: null },
+      flags,
+    );
+
+    expect(paths).toEqual(['/tmp/wantlist.md']);
+    const [name, contents] = mockWriteReportOutput.mock.calls[0];
+    expect(name).toBe('wantlist-digger');
+    expect(Object.keys(contents)).toEqual(['md', 'csv', 'json']);
+
+    const output = JSON.parse(contents.json);
+    expect(output.result.items.map((item) => item.id)).toEqual([3, 2]);
+    expect(output.result.diff).toBeNull();
+    expect(mockLog.success).toHaveBeenCalledWith(
+      '2 item(s) in the wantlist of digger',
+    );
+    expect(mockReadJsonOutput).not.toHaveBeenCalled();
+  });
+
+  it('diffs against the newest earlier export by default', async () => {
+    mockReadJsonOutput.mockReturnValue(
+      snapshot('digger', [blackSands, migration]),
+    );
+
+    await handleWantlist(client, { diff: true, snapshot: null }, flags);
+
+    expect(mockReadJsonOutput).toHaveBeenCalledWith(newer);
+    const output = JSON.parse(mockWriteReportOutput.mock.calls[0][1].json);
+    expect(output.result.diff).toEqual({
+      snapshot: newer,
+      snapshotExportedAt: '2026-02-01T00:00:00.000Z',
+      added: [expect.objectContaining({ id: 3 })],
+      removed: [blackSands],
+    });
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  + Apparat - Krieg, Und Frieden (2010), release #3',
+    );
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      '  - Bonobo - Black Sands (2010), release #1',
+    );
+  });
+
+  it('diffs against a given snapshot and warns when it is of another user', async () => {
+    mockReadJsonOutput.mockReturnValue(snapshot('crew', [migration]));
+
+    await handleWantlist(client, { diff: true, snapshot: older }, flags);
+
+    expect(mockReadJsonOutput).toHaveBeenCalledWith(older);
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'Snapshot is of the wantlist of crew, not digger.',
+    );
+    expect(mockLog.plain).toHaveBeenCalledWith(
+      expect.stringContaining(': 1 added, 0 removed'),
+    );
+  });
+
+  it('says so when nothing changed', async () => {
+    mockGetWantlistReleases.mockResolvedValue({
+      wants: [apiWant(2, 'Bonobo', 'Migration')],
+      pagination: { pages: 1 },
+    });
+    mockReadJsonOutput.mockReturnValue(snapshot('digger', [migration]));
+
+    await handleWantlist(client, { diff: true, snapshot: null }, flags);
+
+    expect(mockLog.info).toHaveBeenCalledWith('No changes.');
+  });
+
+  it('rejects missing and non-wantlist snapshots before fetching', async () => {
+    await handleWantlist(
+      client,
+      { diff: true, snapshot: '/tmp/missing.json' },
+      flags,
+    );
+    mockReadJsonOutput.mockReturnValue({ type: 'playlist' });
+    await handleWantlist(client, { diff: true, snapshot: older }, flags);
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'Wantlist snapshot not found: /tmp/missing.json',
+    );
+    expect(mockLog.error).toHaveBeenCalledWith(
+      `Not a wantlist snapshot: ${older}`,
+    );
+    expect(mockGetWantlistReleases).not.toHaveBeenCalled();
+  });
+
+  it('rejects snapshots that are not valid JSON', async () => {
+    mockReadJsonOutput.mockImplementationOnce(() => {
+      throw new SyntaxError('Unexpected token } in JSON');
+    });
+
+    await handleWantlist(client, { diff: true, snapshot: older }, flags);
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      `Not a valid JSON output file: ${older}`,
+    );
+    expect(mockGetWantlistReleases).not.toHaveBeenCalled();
+  });
+
+  it('needs an earlier export to diff against', async () => {
+    mockGetIdentity.mockResolvedValue({ id: 2, username: 'newbie' });
+
+    await handleWantlist(client, { diff: true, snapshot: null }, flags);
+
+    expect(mockLog.error).toHaveBeenCalledWith(
+      'No earlier wantlist export of newbie to diff against.',
+    );
+    expect(mockWriteReportOutput).not.toHaveBeenCalled();
+  });
+
+  it('writes nothing when the wantlist cannot be fetched', async () => {
+    mockGetWantlistReleases.mockResolvedValue(null);
+
+    await handleWantlist(client, { diff: false, snapshot: null }, flags);
+
+    expect(mockLog.warn).toHaveBeenCalledWith(
+      'Could not fetch the wantlist of digger.',
+    );
+    expect(mockWriteReportOutput).not.toHaveBeenCalled();
+  });
+
+  it('needs a login', async () => {
+    await handleWantlist({ auth: null }, { diff: false }, flags);
+
+    expect(mockLog.warn).toHaveBeenCalledWith('Not logged in.');
+    expect(mockGetWantlistReleases).not.toHaveBeenCalled();
+  });
+});
+
+describe('wantlistCommand', () => {
+  it('has alias wl and optional arguments', () => {
+    expect(wantlistCommand.aliases).toEqual(['wl']);
+    expect(wantlistCommand.minArgs).toBe(0);
+  });
+
+  it('reports unknown words with the usage', async () => {
+    const ctx = { client, sessionFlags: flags };
+
+    expect(await wantlistCommand.handler(['everything'], ctx)).toBe(true);
+    expect(mockLog.error).toHaveBeenCalledWith("Unknown option 'everything'");
+    expect(mockGetWantlistReleases).not.toHaveBeenCalled();
+  });
+});